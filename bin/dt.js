@@ -15,34 +15,30 @@
  */
 
 import { createProgram } from '../src/index.js';
+import { EXIT_CODES, exitCode } from '../src/errors.js';
 
-// Check platform
-if (process.platform !== 'darwin') {
-  console.error('Error: DEVONthink CLI only works on macOS.');
-  process.exit(1);
+// Check platform (the memory backend and cassette replay run anywhere)
+if (process.platform !== 'darwin' && process.env.DT_BACKEND !== 'memory' && !process.env.DT_REPLAY) {
+  console.error('Error: DEVONthink CLI only works on macOS (or set DT_BACKEND=memory).');
+  process.exit(EXIT_CODES.UNSUPPORTED);
 }
 
 // Create and run program
 const program = createProgram();
 
 // Handle errors gracefully
-program.exitOverride();
-
 try {
   await program.parseAsync(process.argv);
 } catch (err) {
-  if (err.code === 'commander.helpDisplayed' || err.code === 'commander.version') {
-    process.exit(0);
-  }
-  if (err.code === 'commander.missingArgument' || err.code === 'commander.missingMandatoryOptionValue') {
-    // Commander already printed the error
-    process.exit(1);
+  if (typeof err.code === 'string' && err.code.startsWith('commander.')) {
+    // Help, version, or a usage error commander already printed
+    process.exit(err.exitCode === 0 ? 0 : EXIT_CODES.INVALID_ARGUMENT);
   }
-  if (err.code === 'DEVONTHINK_NOT_RUNNING') {
+  if (err.code === 'APP_NOT_RUNNING') {
     console.error(err.message);
-    process.exit(1);
+    process.exit(exitCode(err));
   }
   // Unexpected error
   console.error('Error:', err.message);
-  process.exit(1);
+  process.exit(exitCode(err));
 }
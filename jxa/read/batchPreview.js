@@ -13,12 +13,13 @@ const maxChars = parseInt(getArg(5, "3000"), 10) || 3000;
 if (!uuidsJson) {
   JSON.stringify({
     success: false,
-    error: "Usage: batchPreview.js '<json-array-of-uuids>' [maxChars]"
+    error: "Usage: batchPreview.js '<json-array-of-uuids>' [maxChars]",
+    code: "INVALID_ARGUMENT"
   });
 } else {
   try {
     const uuids = JSON.parse(uuidsJson);
-    if (!Array.isArray(uuids)) throw new Error("Input must be a JSON array of UUIDs");
+    if (!Array.isArray(uuids)) throw codedError("INVALID_ARGUMENT", "Input must be a JSON array of UUIDs");
 
     const app = Application("DEVONthink");
     const results = [];
@@ -90,6 +91,6 @@ if (!uuidsJson) {
     }, null, 2);
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
@@ -1,22 +1,32 @@
 #!/usr/bin/env osascript -l JavaScript
-// Verify multiple DEVONthink records after classification
+// Verify multiple DEVONthink records after classification (also read before undoable changes)
 // Usage: osascript -l JavaScript batchVerify.js '<json-array-of-uuids>'
 // Example:
 //   osascript -l JavaScript batchVerify.js '["uuid1", "uuid2", "uuid3"]'
 
 ObjC.import("Foundation");
 
+function parentUuid(record) {
+  try {
+    const group = record.locationGroup();
+    return group ? group.uuid() : null;
+  } catch (e) {
+    return null;
+  }
+}
+
 const uuidsJson = getArg(4, null);
 
 if (!uuidsJson) {
   JSON.stringify({
     success: false,
-    error: "Usage: batchVerify.js '<json-array-of-uuids>'"
+    error: "Usage: batchVerify.js '<json-array-of-uuids>'",
+    code: "INVALID_ARGUMENT"
   });
 } else {
   try {
     const uuids = JSON.parse(uuidsJson);
-    if (!Array.isArray(uuids)) throw new Error("Input must be a JSON array of UUIDs");
+    if (!Array.isArray(uuids)) throw codedError("INVALID_ARGUMENT", "Input must be a JSON array of UUIDs");
 
     const app = Application("DEVONthink");
     const results = [];
@@ -34,6 +44,7 @@ if (!uuidsJson) {
           uuid: uuid,
           name: record.name(),
           location: record.location(),
+          parentUuid: parentUuid(record),
           database: record.database().name(),
           recordType: record.recordType(),
           tags: record.tags(),
@@ -55,6 +66,6 @@ if (!uuidsJson) {
     }, null, 2);
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
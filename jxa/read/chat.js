@@ -43,7 +43,8 @@ const jsonArg = getArg(4, null);
 if (!jsonArg) {
   JSON.stringify({
     success: false,
-    error: 'Usage: chat.js \'{"prompt":"Hello!"}\''
+    error: 'Usage: chat.js \'{"prompt":"Hello!"}\'',
+    code: "INVALID_ARGUMENT"
   });
 } else {
   try {
@@ -58,11 +59,11 @@ if (!jsonArg) {
       const uuid = extractUuid(promptRecord);
       const record = app.getRecordWithUuid(uuid);
       if (!record) {
-        throw new Error("Prompt record not found: " + uuid);
+        throw codedError("RECORD_NOT_FOUND", "Prompt record not found: " + uuid);
       }
       const recordText = record.plainText();
       if (!recordText) {
-        throw new Error("Prompt record has no text content: " + uuid);
+        throw codedError("INVALID_ARGUMENT", "Prompt record has no text content: " + uuid);
       }
       // If both prompt and promptRecord are provided, append record text to prompt?
       // Or just use record text if prompt is empty?
@@ -74,7 +75,7 @@ if (!jsonArg) {
       }
     }
 
-    if (!prompt) throw new Error("Missing required field: prompt");
+    if (!prompt) throw codedError("INVALID_ARGUMENT", "Missing required field: prompt");
 
     // Handle records array - convert UUIDs to record objects
     if (records && Array.isArray(records) && records.length > 0) {
@@ -83,7 +84,7 @@ if (!jsonArg) {
         const uuid = extractUuid(ref);
         const record = app.getRecordWithUuid(uuid);
         if (!record) {
-          throw new Error("Record not found: " + uuid);
+          throw codedError("RECORD_NOT_FOUND", "Record not found: " + uuid);
         }
         recordObjs.push(record);
       }
@@ -99,7 +100,7 @@ if (!jsonArg) {
     if (engine) {
       const engineName = ENGINE_MAP[engine.toLowerCase()];
       if (!engineName) {
-        throw new Error("Unknown engine: " + engine + ". Valid engines: " + Object.keys(ENGINE_MAP).join(", "));
+        throw codedError("INVALID_ARGUMENT", "Unknown engine: " + engine + ". Valid engines: " + Object.keys(ENGINE_MAP).join(", "));
       }
       options.engine = engineName;
     }
@@ -113,7 +114,7 @@ if (!jsonArg) {
     if (temperature !== undefined && temperature !== null) {
       const temp = parseFloat(temperature);
       if (isNaN(temp) || temp < 0 || temp > 2) {
-        throw new Error("Temperature must be between 0 and 2");
+        throw codedError("INVALID_ARGUMENT", "Temperature must be between 0 and 2");
       }
       options.temperature = temp;
     }
@@ -132,7 +133,7 @@ if (!jsonArg) {
     if (usage) {
       const usageVal = USAGE_MAP[usage.toLowerCase()];
       if (!usageVal) {
-        throw new Error("Unknown usage: " + usage + ". Valid values: cheapest, auto, best");
+        throw codedError("INVALID_ARGUMENT", "Unknown usage: " + usage + ". Valid values: cheapest, auto, best");
       }
       options.usage = usageVal;
     }
@@ -149,7 +150,7 @@ if (!jsonArg) {
       };
       const formatVal = formatMap[format.toLowerCase()];
       if (!formatVal) {
-        throw new Error("Unknown format: " + format + ". Valid values: text, json, html, message, raw");
+        throw codedError("INVALID_ARGUMENT", "Unknown format: " + format + ". Valid values: text, json, html, message, raw");
       }
       options.as = formatVal;
     }
@@ -197,6 +198,6 @@ if (!jsonArg) {
 
     JSON.stringify(result, null, 2);
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e, "AI_FAILURE"));
   }
 }
@@ -34,19 +34,20 @@ const jsonArg = getArg(4, null);
 if (!jsonArg) {
   JSON.stringify({
     success: false,
-    error: 'Usage: chatCapabilities.js \'{"engine":"claude","model":"claude-3-opus"}\''
+    error: 'Usage: chatCapabilities.js \'{"engine":"claude","model":"claude-3-opus"}\'',
+    code: "INVALID_ARGUMENT"
   });
 } else {
   try {
     const params = JSON.parse(jsonArg);
     const { engine, model } = params;
 
-    if (!engine) throw new Error("Missing required field: engine");
-    if (!model) throw new Error("Missing required field: model");
+    if (!engine) throw codedError("INVALID_ARGUMENT", "Missing required field: engine");
+    if (!model) throw codedError("INVALID_ARGUMENT", "Missing required field: model");
 
     const engineName = ENGINE_MAP[engine.toLowerCase()];
     if (!engineName) {
-      throw new Error("Unknown engine: " + engine + ". Valid engines: " + Object.keys(ENGINE_MAP).join(", "));
+      throw codedError("INVALID_ARGUMENT", "Unknown engine: " + engine + ". Valid engines: " + Object.keys(ENGINE_MAP).join(", "));
     }
 
     const app = Application("DEVONthink");
@@ -71,6 +72,6 @@ if (!jsonArg) {
       });
     }
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
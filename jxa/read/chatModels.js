@@ -40,13 +40,13 @@ try {
   if (engine) {
     engineName = ENGINE_MAP[engine.toLowerCase()];
     if (!engineName) {
-      throw new Error("Unknown engine: " + engine + ". Valid engines: " + Object.keys(ENGINE_MAP).join(", "));
+      throw codedError("INVALID_ARGUMENT", "Unknown engine: " + engine + ". Valid engines: " + Object.keys(ENGINE_MAP).join(", "));
     }
   } else {
     // Use current default engine
     engineName = app.currentChatEngine();
     if (!engineName) {
-      throw new Error("No default chat engine configured. Please specify --engine.");
+      throw codedError("INVALID_ARGUMENT", "No default chat engine configured. Please specify --engine.");
     }
   }
 
@@ -69,5 +69,5 @@ try {
     });
   }
 } catch (e) {
-  JSON.stringify({ success: false, error: e.message });
+  JSON.stringify(errorResult(e));
 }
@@ -14,14 +14,14 @@ const databaseRef = getArg(5, "");
 const includeTags = getArg(6, "false").toLowerCase() === "true";
 
 if (!recordUuid) {
-  JSON.stringify({ success: false, error: "Usage: classify.js <uuid> [database] [includeTags]" });
+  JSON.stringify({ success: false, error: "Usage: classify.js <uuid> [database] [includeTags]", code: "INVALID_ARGUMENT" });
 } else {
   try {
     const app = Application("DEVONthink");
     const record = app.getRecordWithUuid(extractUuid(recordUuid));
 
     if (!record) {
-      JSON.stringify({ success: false, error: "Record not found: " + recordUuid });
+      JSON.stringify({ success: false, error: "Record not found: " + recordUuid, code: "RECORD_NOT_FOUND" });
     } else {
       // Build classify options
       const classifyOptions = { record: record };
@@ -65,6 +65,6 @@ if (!recordUuid) {
       }
     }
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
@@ -16,14 +16,15 @@ const jsonArg = getArg(4, null);
 if (!jsonArg) {
   JSON.stringify({
     success: false,
-    error: 'Usage: downloadJson.js \'{"url":"https://api.example.com/data.json"}\''
+    error: 'Usage: downloadJson.js \'{"url":"https://api.example.com/data.json"}\'',
+    code: "INVALID_ARGUMENT"
   });
 } else {
   try {
     const params = JSON.parse(jsonArg);
     const { url, agent, method, user, password, referrer, post, outputFile } = params;
 
-    if (!url) throw new Error("Missing required field: url");
+    if (!url) throw codedError("INVALID_ARGUMENT", "Missing required field: url");
 
     const app = Application("DEVONthink");
 
@@ -86,6 +87,6 @@ if (!jsonArg) {
     }
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
@@ -18,14 +18,15 @@ const jsonArg = getArg(4, null);
 if (!jsonArg) {
   JSON.stringify({
     success: false,
-    error: 'Usage: downloadMarkup.js \'{"url":"https://example.com/page.html"}\''
+    error: 'Usage: downloadMarkup.js \'{"url":"https://example.com/page.html"}\'',
+    code: "INVALID_ARGUMENT"
   });
 } else {
   try {
     const params = JSON.parse(jsonArg);
     const { url, agent, encoding, method, user, password, referrer, post, outputFile } = params;
 
-    if (!url) throw new Error("Missing required field: url");
+    if (!url) throw codedError("INVALID_ARGUMENT", "Missing required field: url");
 
     const app = Application("DEVONthink");
 
@@ -93,6 +94,6 @@ if (!jsonArg) {
     }
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
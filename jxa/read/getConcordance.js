@@ -16,14 +16,15 @@ const sortBy = getArg(5, "weight");
 if (!uuid) {
   JSON.stringify({
     success: false,
-    error: "Usage: getConcordance.js <uuid> [sortBy]"
+    error: "Usage: getConcordance.js <uuid> [sortBy]",
+    code: "INVALID_ARGUMENT"
   });
 } else {
   try {
     const app = Application("DEVONthink");
     const record = app.getRecordWithUuid(extractUuid(uuid));
 
-    if (!record) throw new Error("Record not found: " + uuid);
+    if (!record) throw codedError("RECORD_NOT_FOUND", "Record not found: " + uuid);
 
     // Map sort option to DEVONthink concordance sorting
     let sortOption;
@@ -70,6 +71,6 @@ if (!uuid) {
     }
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
@@ -18,19 +18,20 @@ const jsonArg = getArg(4, null);
 if (!jsonArg) {
   JSON.stringify({
     success: false,
-    error: 'Usage: getCustomMetadata.js \'{"uuid":"...","field":"..."}\' or \'{"uuid":"...","all":true}\''
+    error: 'Usage: getCustomMetadata.js \'{"uuid":"...","field":"..."}\' or \'{"uuid":"...","all":true}\'',
+    code: "INVALID_ARGUMENT"
   });
 } else {
   try {
     const params = JSON.parse(jsonArg);
     const { uuid, field, all } = params;
 
-    if (!uuid) throw new Error("Missing required field: uuid");
+    if (!uuid) throw codedError("INVALID_ARGUMENT", "Missing required field: uuid");
 
     const app = Application("DEVONthink");
     const record = app.getRecordWithUuid(extractUuid(uuid));
 
-    if (!record) throw new Error("Record not found: " + uuid);
+    if (!record) throw codedError("RECORD_NOT_FOUND", "Record not found: " + uuid);
 
     if (all) {
       // Get all custom metadata
@@ -71,10 +72,10 @@ if (!jsonArg) {
       }, null, 2);
 
     } else {
-      throw new Error("Either 'field' or 'all:true' is required");
+      throw codedError("INVALID_ARGUMENT", "Either 'field' or 'all:true' is required");
     }
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
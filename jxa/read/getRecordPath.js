@@ -9,7 +9,7 @@ const uuidArg = getArg(4, null);
 const pathType = getArg(5, 'filepath');
 
 if (!uuidArg) {
-  JSON.stringify({ success: false, error: "Usage: getRecordPath.js <uuid> [filepath|dbpath]" });
+  JSON.stringify({ success: false, error: "Usage: getRecordPath.js <uuid> [filepath|dbpath]", code: "INVALID_ARGUMENT" });
 } else {
   try {
     const app = Application("DEVONthink");
@@ -17,7 +17,7 @@ if (!uuidArg) {
     const record = app.getRecordWithUuid(uuid);
 
     if (!record) {
-      JSON.stringify({ success: false, error: "Record not found: " + uuid });
+      JSON.stringify({ success: false, error: "Record not found: " + uuid, code: "RECORD_NOT_FOUND" });
     } else {
       const result = { success: true, uuid: uuid };
 
@@ -31,6 +31,6 @@ if (!uuidArg) {
       JSON.stringify(result);
     }
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
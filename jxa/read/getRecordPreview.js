@@ -11,13 +11,13 @@ const uuid = getArg(4, null);
 const maxChars = parseInt(getArg(5, "3000"), 10) || 3000;
 
 if (!uuid) {
-  JSON.stringify({ success: false, error: "Usage: getRecordPreview.js <uuid> [maxChars]" });
+  JSON.stringify({ success: false, error: "Usage: getRecordPreview.js <uuid> [maxChars]", code: "INVALID_ARGUMENT" });
 } else {
   const app = Application("DEVONthink");
   const record = app.getRecordWithUuid(extractUuid(uuid));
 
   if (!record) {
-    JSON.stringify({ success: false, error: "Record not found: " + uuid });
+    JSON.stringify({ success: false, error: "Record not found: " + uuid, code: "RECORD_NOT_FOUND" });
   } else {
     const plainText = record.plainText() || "";
     const totalLength = plainText.length;
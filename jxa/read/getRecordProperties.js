@@ -76,14 +76,14 @@ if (fieldsArg) {
 }
 
 if (!uuid) {
-  JSON.stringify({ success: false, error: "Usage: getRecordProperties.js <uuid>" });
+  JSON.stringify({ success: false, error: "Usage: getRecordProperties.js <uuid>", code: "INVALID_ARGUMENT" });
 } else {
   const app = Application("DEVONthink");
   const cleanUuid = extractUuid(uuid);
   const record = app.getRecordWithUuid(cleanUuid);
 
   if (!record) {
-    JSON.stringify({ success: false, error: "Record not found: " + cleanUuid });
+    JSON.stringify({ success: false, error: "Record not found: " + cleanUuid, code: "RECORD_NOT_FOUND" });
   } else {
     const parentGroup = getParentGroup(app, record);
     const parentLocation = getProperty(record, 'location');
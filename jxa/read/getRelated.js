@@ -9,7 +9,7 @@ ObjC.import("Foundation");
 const jsonArg = getArg(4, null);
 
 if (!jsonArg) {
-  JSON.stringify({ success: false, error: "Missing arguments" });
+  JSON.stringify({ success: false, error: "Missing arguments", code: "INVALID_ARGUMENT" });
 } else {
   try {
     const params = JSON.parse(jsonArg);
@@ -18,12 +18,12 @@ if (!jsonArg) {
     const limit = params.limit || 50;
     const databaseRef = params.database || null;
 
-    if (!uuid) throw new Error("Missing UUID");
+    if (!uuid) throw codedError("INVALID_ARGUMENT", "Missing UUID");
 
     const app = Application("DEVONthink");
     const record = app.getRecordWithUuid(uuid);
 
-    if (!record) throw new Error("Record not found: " + uuid);
+    if (!record) throw codedError("RECORD_NOT_FOUND", "Record not found: " + uuid);
 
     // Get optional database for scoping classify
     let targetDb = null;
@@ -132,6 +132,6 @@ if (!jsonArg) {
     }, null, 2);
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
@@ -18,7 +18,7 @@ function run() {
 
     return JSON.stringify(result, null, 2);
   } catch (e) {
-    return JSON.stringify({ success: false, error: e.message });
+    return JSON.stringify(errorResult(e));
   }
 }
 
@@ -6,6 +6,8 @@
 //
 // Dependencies (injected by runner):
 // - getArg, isUuid, extractUuid, resolveGroup
+// - codedError(code, message)
+// - errorResult(e, fallbackCode)
 
 const arg1 = getArg(4, null);
 const arg2 = getArg(5, null);
@@ -13,7 +15,8 @@ const arg2 = getArg(5, null);
 if (!arg1) {
   JSON.stringify({
     success: false,
-    error: "Usage: listGroupContents.js <groupUuid> OR listGroupContents.js <database> <path>"
+    error: "Usage: listGroupContents.js <groupUuid> OR listGroupContents.js <database> <path>",
+    code: "INVALID_ARGUMENT"
   });
 } else {
   try {
@@ -33,7 +36,7 @@ if (!arg1) {
     if (params && params.groupRef) {
       // JSON mode
       group = app.getRecordWithUuid(extractUuid(params.groupRef));
-      if (!group) throw new Error("Group not found with UUID: " + params.groupRef);
+      if (!group) throw codedError("GROUP_NOT_FOUND", "Group not found with UUID: " + params.groupRef);
     } else {
       // Legacy CLI mode
       const looksLikeUuid = isUuid(arg1);
@@ -41,7 +44,7 @@ if (!arg1) {
       if (looksLikeUuid && !arg2) {
         // Treat as UUID
         group = app.getRecordWithUuid(extractUuid(arg1));
-        if (!group) throw new Error("Group not found with UUID: " + arg1);
+        if (!group) throw codedError("GROUP_NOT_FOUND", "Group not found with UUID: " + arg1);
       } else {
         // Treat as database + path
         const databaseName = arg1;
@@ -49,7 +52,7 @@ if (!arg1) {
 
         const databases = app.databases();
         const db = databases.find(d => d.name() === databaseName);
-        if (!db) throw new Error("Database not found: " + databaseName);
+        if (!db) throw codedError("DATABASE_NOT_FOUND", "Database not found: " + databaseName);
 
         if (!groupPath || groupPath === "/") {
           group = db.root();
@@ -66,11 +69,11 @@ if (!arg1) {
       }
     }
 
-    if (!group) throw new Error("Group not found");
+    if (!group) throw codedError("GROUP_NOT_FOUND", "Group not found");
 
     const recordType = group.recordType();
     if (recordType !== "group" && recordType !== "smart group") {
-      throw new Error("Not a group: " + recordType);
+      throw codedError("GROUP_NOT_FOUND", "Not a group: " + recordType);
     }
 
     const children = group.children();
@@ -87,11 +90,12 @@ if (!arg1) {
       group: group.name(),
       uuid: group.uuid(),
       path: group.location(),
+      database: group.database().name(),
       itemCount: items.length,
       items: items
     }, null, 2);
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
\ No newline at end of file
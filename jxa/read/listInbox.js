@@ -20,7 +20,7 @@ try {
   // Find the Inbox database
   const databases = app.databases();
   const inbox = databases.find(d => d.name() === "Inbox");
-  if (!inbox) throw new Error("Inbox database not found");
+  if (!inbox) throw codedError("DATABASE_NOT_FOUND", "Inbox database not found");
 
   // Find the target folder
   let targetFolder = inbox.root();
@@ -113,5 +113,5 @@ try {
   JSON.stringify(result, null, 2);
 
 } catch (e) {
-  JSON.stringify({ success: false, error: e.message });
+  JSON.stringify(errorResult(e));
 }
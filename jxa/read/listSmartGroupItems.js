@@ -5,11 +5,13 @@
 //
 // Dependencies (injected by runner):
 // - getArg, isUuid, extractUuid, getDatabase, resolveGroup
+// - codedError(code, message)
+// - errorResult(e, fallbackCode)
 
 const arg1 = getArg(4, null);
 
 if (!arg1) {
-  JSON.stringify({ success: false, error: "Usage: listSmartGroupItems.js '{\"smartGroupRef\":\"...\"}'" });
+  JSON.stringify({ success: false, error: "Usage: listSmartGroupItems.js '{\"smartGroupRef\":\"...\"}'", code: "INVALID_ARGUMENT" });
 } else {
   try {
     const app = Application("DEVONthink");
@@ -22,7 +24,7 @@ if (!arg1) {
     }
 
     const smartGroupRef = params.smartGroupRef;
-    if (!smartGroupRef) throw new Error("Missing smartGroupRef");
+    if (!smartGroupRef) throw codedError("INVALID_ARGUMENT", "Missing smartGroupRef");
 
     let record = null;
 
@@ -30,7 +32,7 @@ if (!arg1) {
       record = app.getRecordWithUuid(extractUuid(smartGroupRef));
     } else {
       if (!params.database) {
-        throw new Error("Database is required when smartGroupRef is a name");
+        throw codedError("INVALID_ARGUMENT", "Database is required when smartGroupRef is a name");
       }
       const db = getDatabase(app, params.database);
       const parent = resolveGroup(app, params.groupPath || "/", db);
@@ -38,9 +40,9 @@ if (!arg1) {
       record = children.find(c => c.recordType() === "smart group" && c.name() === smartGroupRef);
     }
 
-    if (!record) throw new Error("Smart group not found: " + smartGroupRef);
+    if (!record) throw codedError("GROUP_NOT_FOUND", "Smart group not found: " + smartGroupRef);
     if (record.recordType() !== "smart group") {
-      throw new Error("Record is not a smart group: " + record.recordType());
+      throw codedError("INVALID_ARGUMENT", "Record is not a smart group: " + record.recordType());
     }
 
     const items = record.children();
@@ -62,6 +64,6 @@ if (!arg1) {
       items: results
     }, null, 2);
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
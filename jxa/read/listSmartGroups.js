@@ -7,6 +7,8 @@
 //
 // Dependencies (injected by runner):
 // - getArg, isUuid, extractUuid, getDatabase, resolveGroup
+// - codedError(code, message)
+// - errorResult(e, fallbackCode)
 
 const arg1 = getArg(4, null);
 const arg2 = getArg(5, null);
@@ -25,10 +27,10 @@ try {
     if (params.groupRef) {
       if (isUuid(params.groupRef)) {
         group = app.getRecordWithUuid(extractUuid(params.groupRef));
-        if (!group) throw new Error("Group not found with UUID: " + params.groupRef);
+        if (!group) throw codedError("GROUP_NOT_FOUND", "Group not found with UUID: " + params.groupRef);
         db = group.database();
       } else {
-        if (!params.database) throw new Error("Database required for group path");
+        if (!params.database) throw codedError("INVALID_ARGUMENT", "Database required for group path");
         db = getDatabase(app, params.database);
         group = resolveGroup(app, params.groupRef, db);
       }
@@ -38,17 +40,17 @@ try {
     }
   } else if (arg1 && isUuid(arg1) && !arg2) {
     group = app.getRecordWithUuid(extractUuid(arg1));
-    if (!group) throw new Error("Group not found with UUID: " + arg1);
+    if (!group) throw codedError("GROUP_NOT_FOUND", "Group not found with UUID: " + arg1);
     db = group.database();
   } else {
     db = getDatabase(app, arg1);
     group = resolveGroup(app, arg2 || "/", db);
   }
 
-  if (!group) throw new Error("Group not found");
+  if (!group) throw codedError("GROUP_NOT_FOUND", "Group not found");
   const groupType = group.recordType();
   if (groupType !== "group" && groupType !== "smart group") {
-    throw new Error("Not a group: " + groupType);
+    throw codedError("GROUP_NOT_FOUND", "Not a group: " + groupType);
   }
 
   const children = group.children();
@@ -72,5 +74,5 @@ try {
     smartGroups: result
   }, null, 2);
 } catch (e) {
-  JSON.stringify({ success: false, error: e.message });
+  JSON.stringify(errorResult(e));
 }
@@ -7,7 +7,7 @@ ObjC.import("Foundation");
 const jsonArg = getArg(4, null);
 
 if (!jsonArg) {
-  JSON.stringify({ success: false, error: 'Usage: listTags.js \'{"database": "..."}\'' });
+  JSON.stringify({ success: false, error: 'Usage: listTags.js \'{"database": "..."}\'', code: "INVALID_ARGUMENT" });
 } else {
   try {
     const params = JSON.parse(jsonArg);
@@ -22,10 +22,10 @@ if (!jsonArg) {
         const databases = app.databases();
         db = databases.find(d => d.name() === params.database);
       }
-      if (!db) throw new Error("Database not found: " + params.database);
+      if (!db) throw codedError("DATABASE_NOT_FOUND", "Database not found: " + params.database);
     } else {
       db = app.currentDatabase();
-      if (!db) throw new Error("No database specified and no current database");
+      if (!db) throw codedError("DATABASE_NOT_FOUND", "No database specified and no current database");
     }
 
     // Collect all tags with counts
@@ -73,6 +73,6 @@ if (!jsonArg) {
       tags: tags
     });
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
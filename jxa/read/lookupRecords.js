@@ -34,19 +34,20 @@ const jsonArg = getArg(4, null);
 if (!jsonArg) {
   JSON.stringify({
     success: false,
-    error: 'Usage: lookupRecords.js \'{"type":"comment|hash|file|path|tags|url","value":"..."}\''
+    error: 'Usage: lookupRecords.js \'{"type":"comment|hash|file|path|tags|url","value":"..."}\'',
+    code: "INVALID_ARGUMENT"
   });
 } else {
   try {
     const params = JSON.parse(jsonArg);
     const { type, value, database: databaseRef, any: anyTag } = params;
 
-    if (!type) throw new Error("Missing required field: type");
-    if (!value) throw new Error("Missing required field: value");
+    if (!type) throw codedError("INVALID_ARGUMENT", "Missing required field: type");
+    if (!value) throw codedError("INVALID_ARGUMENT", "Missing required field: value");
 
     const validTypes = ["comment", "hash", "file", "path", "tags", "url"];
     if (!validTypes.includes(type)) {
-      throw new Error("Invalid type: " + type + ". Valid: " + validTypes.join(", "));
+      throw codedError("INVALID_ARGUMENT", "Invalid type: " + type + ". Valid: " + validTypes.join(", "));
     }
 
     const app = Application("DEVONthink");
@@ -99,6 +100,6 @@ if (!jsonArg) {
     }, null, 2);
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
@@ -14,7 +14,7 @@ const databaseRef = getArg(5, "");
 const limit = parseInt(getArg(6, "50"), 10) || 50;
 
 if (!tag) {
-  JSON.stringify({ success: false, error: "Usage: queryByTag.js <tag> [database] [limit]" });
+  JSON.stringify({ success: false, error: "Usage: queryByTag.js <tag> [database] [limit]", code: "INVALID_ARGUMENT" });
 } else {
   try {
     const app = Application("DEVONthink");
@@ -87,6 +87,6 @@ if (!tag) {
       }, null, 2);
     }
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
@@ -35,7 +35,7 @@ const comparison = opts.comparison || "";
 const excludeSubgroups = opts.excludeSubgroups === true;
 
 if (!query) {
-  JSON.stringify({ success: false, error: "Usage: search.js <query> [options-json]" });
+  JSON.stringify({ success: false, error: "Usage: search.js <query> [options-json]", code: "INVALID_ARGUMENT" });
 } else {
   try {
     const app = Application("DEVONthink");
@@ -47,7 +47,7 @@ if (!query) {
       // Search within specific group by UUID
       searchScope = app.getRecordWithUuid(extractUuid(parentUUID));
       if (!searchScope) {
-        throw new Error("Parent group not found: " + parentUUID);
+        throw codedError("GROUP_NOT_FOUND", "Parent group not found: " + parentUUID);
       }
     } else if (databaseName && databaseName.length > 0) {
       // Search within database root (by name or UUID)
@@ -129,6 +129,6 @@ if (!query) {
       }, null, 2);
     }
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
@@ -23,5 +23,5 @@ try {
   }, null, 2);
 
 } catch (e) {
-  JSON.stringify({ success: false, error: e.message });
+  JSON.stringify(errorResult(e));
 }
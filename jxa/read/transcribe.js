@@ -24,20 +24,21 @@ const jsonArg = getArg(4, null);
 if (!jsonArg) {
   JSON.stringify({
     success: false,
-    error: 'Usage: transcribe.js \'{"uuid":"..."}\''
+    error: 'Usage: transcribe.js \'{"uuid":"..."}\'',
+    code: "INVALID_ARGUMENT"
   });
 } else {
   try {
     const params = JSON.parse(jsonArg);
     const { uuid: rawUuid, language, timestamps, aiCleanup, aiPrompt, includeRaw, save, database, groupPath, docName, tags, updateRecord } = params;
 
-    if (!rawUuid) throw new Error("Missing required field: uuid");
+    if (!rawUuid) throw codedError("INVALID_ARGUMENT", "Missing required field: uuid");
 
     const uuid = extractUuid(rawUuid);
     const app = Application("DEVONthink");
     const record = app.getRecordWithUuid(uuid);
 
-    if (!record) throw new Error("Record not found: " + uuid);
+    if (!record) throw codedError("RECORD_NOT_FOUND", "Record not found: " + uuid);
 
     // Build transcription options - 'record' is a named parameter, not part of method name
     const transcribeOptions = { record: record };
@@ -111,10 +112,10 @@ if (!jsonArg) {
           if (isUuid(groupUuid)) {
             // Group UUID provided - get database from the group itself
             targetGroup = app.getRecordWithUuid(groupUuid);
-            if (!targetGroup) throw new Error("Group not found with UUID: " + groupUuid);
+            if (!targetGroup) throw codedError("GROUP_NOT_FOUND", "Group not found with UUID: " + groupUuid);
             const groupType = targetGroup.recordType();
             if (groupType !== "group" && groupType !== "smart group") {
-              throw new Error("UUID does not point to a group: " + groupType);
+              throw codedError("GROUP_NOT_FOUND", "UUID does not point to a group: " + groupType);
             }
             targetDb = targetGroup.database();
           } else {
@@ -171,6 +172,6 @@ if (!jsonArg) {
     }
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
@@ -12,7 +12,7 @@ ObjC.import("Foundation");
 const jsonArg = getArg(4, null);
 
 if (!jsonArg) {
-  JSON.stringify({ success: false, error: "Usage: verifyResources.js JSON" });
+  JSON.stringify({ success: false, error: "Usage: verifyResources.js JSON", code: "INVALID_ARGUMENT" });
 } else {
   try {
     const request = JSON.parse(jsonArg);
@@ -113,6 +113,6 @@ if (!jsonArg) {
     JSON.stringify({ success: true, results: results });
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
@@ -1,41 +1,100 @@
 // DEVONthink JXA Shared Helper Functions
 // This file is prepended to scripts by the JXA runner.
 
+// Prefix of an argument passed in a temp file (src/backends/payload.js)
+const PAYLOAD_PREFIX = "dt-payload:";
+
 /**
- * Get command line argument safely
- * Handles both shebang usage (args start at 4) and osascript -e usage (args start after --)
- * @param {number} index - The absolute index expected by legacy scripts (4 = first user arg)
- * @param {any} defaultValue - Default value if missing
- * @returns {string|any} - The argument value
+ * Value of an argument, read from its temp file when it was passed as "dt-payload:<path>"
  */
-function getArg(index, defaultValue) {
+function loadPayload(arg) {
+  if (typeof arg !== "string" || !arg.startsWith(PAYLOAD_PREFIX)) return arg;
+  const path = arg.slice(PAYLOAD_PREFIX.length);
+  const contents = ObjC.unwrap($.NSString.stringWithContentsOfFileEncodingError(path, $.NSUTF8StringEncoding, null));
+  if (contents === undefined || contents === null) throw new Error("Cannot read argument payload: " + path);
+  return contents;
+}
+
+/**
+ * Command line arguments after the script (or the request's arguments in jxa/worker.js)
+ * Handles both shebang usage (args start at 4) and osascript -e usage (args start after --).
+ * Large arguments arrive as payload files and are returned with their contents.
+ * @returns {string[]}
+ */
+function getUserArgs() {
+  // The worker gets its arguments on stdin, never as payload files
+  if (typeof DT_WORKER_ARGS !== "undefined" && DT_WORKER_ARGS) return DT_WORKER_ARGS;
+
   const args = $.NSProcessInfo.processInfo.arguments;
-  
+
   // Look for "--" separator used by runJxa
-  let separatorIndex = -1;
+  let start = 4;
   for (let i = 0; i < args.count; i++) {
     if (ObjC.unwrap(args.objectAtIndex(i)) === "--") {
-      separatorIndex = i;
+      start = i + 1;
       break;
     }
   }
 
-  let realIndex = index;
-  if (separatorIndex !== -1) {
-    // Adjust index relative to "--"
-    // The caller expects 4 to be the first argument.
-    // In -e mode, (separatorIndex + 1) is the first argument.
-    // So we map: 4 -> separatorIndex + 1
-    //            5 -> separatorIndex + 2
-    //            i -> separatorIndex + 1 + (i - 4)
-    realIndex = separatorIndex + 1 + (index - 4);
+  const result = [];
+  for (let i = start; i < args.count; i++) {
+    result.push(loadPayload(ObjC.unwrap(args.objectAtIndex(i))));
   }
+  return result;
+}
 
-  if (args.count <= realIndex) return defaultValue;
-  const arg = ObjC.unwrap(args.objectAtIndex(realIndex));
+/**
+ * Get command line argument safely
+ * @param {number} index - The absolute index expected by legacy scripts (4 = first user arg)
+ * @param {any} defaultValue - Default value if missing
+ * @returns {string|any} - The argument value
+ */
+function getArg(index, defaultValue) {
+  const arg = getUserArgs()[index - 4];
   return arg && arg.length > 0 ? arg : defaultValue;
 }
 
+/**
+ * Get the non-empty arguments from an index on
+ * @param {number} index - Absolute index as in getArg (4 = first user arg)
+ * @returns {string[]}
+ */
+function getArgs(index) {
+  return getUserArgs().slice(index - 4).filter(arg => arg && arg.length > 0);
+}
+
+/**
+ * Error with one of the codes in src/errors.js (e.g. "RECORD_NOT_FOUND")
+ */
+function codedError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Apple event error numbers with a code of their own
+const APPLE_EVENT_ERROR_CODES = {
+  "-600": "APP_NOT_RUNNING",   // Application isn't running
+  "-609": "APP_NOT_RUNNING",   // Connection is invalid
+  "-1712": "TIMEOUT",          // Apple event timed out
+  "-1743": "PERMISSION_DENIED" // Not authorized to send Apple events
+};
+
+/**
+ * Failure result for a caught error: {success: false, error, code}
+ * @param {Error} e - Caught error
+ * @param {string} [fallbackCode] - Code for errors thrown without one (e.g. by DEVONthink itself)
+ * @returns {object} Without a code when none applies (the runner derives one from the message)
+ */
+function errorResult(e, fallbackCode) {
+  const result = { success: false, error: e.message };
+  const code = e.code
+    || APPLE_EVENT_ERROR_CODES[String(e.errorNumber)]
+    || (e instanceof SyntaxError ? "INVALID_ARGUMENT" : fallbackCode); // JSON.parse of the arguments
+  if (code) result.code = code;
+  return result;
+}
+
 /**
  * Detect if string looks like a UUID or x-devonthink-item:// URL
  */
@@ -66,11 +125,11 @@ function getDatabase(theApp, ref) {
   if (isUuid(ref)) {
     const record = theApp.getRecordWithUuid(extractUuid(ref));
     if (record) return record.database();
-    throw new Error("Database not found with UUID: " + ref);
+    throw codedError("DATABASE_NOT_FOUND", "Database not found with UUID: " + ref);
   }
   const databases = theApp.databases();
   const found = databases.find(db => db.name() === ref);
-  if (!found) throw new Error("Database not found: " + ref);
+  if (!found) throw codedError("DATABASE_NOT_FOUND", "Database not found: " + ref);
   return found;
 }
 
@@ -81,10 +140,10 @@ function resolveGroup(theApp, ref, database) {
   if (!ref || ref === "/") return database.root();
   if (isUuid(ref)) {
     const group = theApp.getRecordWithUuid(extractUuid(ref));
-    if (!group) throw new Error("Group not found with UUID: " + ref);
+    if (!group) throw codedError("GROUP_NOT_FOUND", "Group not found with UUID: " + ref);
     const type = group.recordType();
     if (type !== "group" && type !== "smart group") {
-      throw new Error("UUID does not point to a group: " + type);
+      throw codedError("GROUP_NOT_FOUND", "UUID does not point to a group: " + type);
     }
     return group;
   }
@@ -94,7 +153,7 @@ function resolveGroup(theApp, ref, database) {
   for (const part of parts) {
     const children = current.children();
     const found = children.find(c => c.name() === part);
-    if (!found) throw new Error("Group not found: " + part);
+    if (!found) throw codedError("GROUP_NOT_FOUND", "Group not found: " + part);
     current = found;
   }
   return current;
@@ -17,14 +17,15 @@ const mode = getArg(6, "window");
 if (!uuid) {
   JSON.stringify({
     success: false,
-    error: "Usage: revealRecord.js <uuid> [self|parent] [window|tab|reveal]"
+    error: "Usage: revealRecord.js <uuid> [self|parent] [window|tab|reveal]",
+    code: "INVALID_ARGUMENT"
   });
 } else {
   const app = Application("DEVONthink");
   const record = app.getRecordWithUuid(extractUuid(uuid));
 
   if (!record) {
-    JSON.stringify({ success: false, error: "Record not found: " + uuid });
+    JSON.stringify({ success: false, error: "Record not found: " + uuid, code: "RECORD_NOT_FOUND" });
   } else {
     let targetRecord;
     let targetType;
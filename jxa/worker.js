@@ -0,0 +1,80 @@
+#!/usr/bin/env osascript -l JavaScript
+// Long-lived JXA worker: runs the scripts in jxa/ by name, one request per line
+// Usage: osascript -l JavaScript worker.js <jxaDir>
+// Requests (stdin):   {"id": 1, "category": "read", "script": "search", "args": ["query"]}
+//                     {"id": 2, "ping": true}
+// Responses (stdout): {"id": 1, "output": "<what the script printed>"}
+//                     {"id": 1, "error": "..."}
+//                     {"id": 2, "pong": true}
+// Exits when stdin is closed.
+
+ObjC.import("Foundation");
+
+// Arguments of the request being run, read by getArg in helpers.js
+var DT_WORKER_ARGS = null;
+
+function readFile(path) {
+  const contents = ObjC.unwrap($.NSString.stringWithContentsOfFileEncodingError(path, $.NSUTF8StringEncoding, null));
+  if (contents === undefined || contents === null) throw new Error("Script not found: " + path);
+  return contents;
+}
+
+function writeLine(message) {
+  const data = $(JSON.stringify(message) + "\n").dataUsingEncoding($.NSUTF8StringEncoding);
+  $.NSFileHandle.fileHandleWithStandardOutput.writeData(data);
+}
+
+function run(argv) {
+  const dir = argv[0];
+  const helpers = readFile(dir + "/utils/helpers.js");
+  const sources = {};
+
+  // Helpers and script together, as the osascript runner combines them
+  const load = (category, script) => {
+    const key = category + "/" + script;
+    if (!sources[key]) {
+      sources[key] = helpers + "\n" + readFile(dir + "/" + key + ".js").replace(/^#!.*\r?\n/, "");
+    }
+    return sources[key];
+  };
+
+  const handle = (request) => {
+    if (request.ping) return { id: request.id, pong: true };
+    DT_WORKER_ARGS = (request.args || []).map(String);
+    try {
+      // Indirect eval: global scope, completion value = what osascript would print
+      const output = (0, eval)(load(request.category, request.script));
+      return { id: request.id, output: output === undefined || output === null ? "" : String(output) };
+    } catch (e) {
+      return { id: request.id, error: e.message || String(e) };
+    } finally {
+      DT_WORKER_ARGS = null;
+    }
+  };
+
+  const stdin = $.NSFileHandle.fileHandleWithStandardInput;
+  let pending = $.NSMutableData.alloc.init;
+  let remainder = "";
+  while (true) {
+    const data = stdin.availableData;
+    if (data.length === 0) break; // EOF: the caller has gone
+    pending.appendData(data);
+    const text = ObjC.unwrap($.NSString.alloc.initWithDataEncoding(pending, $.NSUTF8StringEncoding));
+    if (text === undefined || text === null) continue; // A character is split across reads
+    pending = $.NSMutableData.alloc.init;
+
+    const lines = (remainder + text).split("\n");
+    remainder = lines.pop();
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let request;
+      try {
+        request = JSON.parse(line);
+      } catch (e) {
+        writeLine({ id: null, error: "Invalid request: " + e.message });
+        continue;
+      }
+      writeLine(handle(request));
+    }
+  }
+}
@@ -17,18 +17,19 @@ const jsonArg = getArg(4, null);
 if (!jsonArg) {
   JSON.stringify({
     success: false,
-    error: 'Usage: addDownload.js \'{"url":"https://example.com/file.pdf"}\''
+    error: 'Usage: addDownload.js \'{"url":"https://example.com/file.pdf"}\'',
+    code: "INVALID_ARGUMENT"
   });
 } else {
   try {
     const params = JSON.parse(jsonArg);
     const { url, automatic, user, password, referrer } = params;
 
-    if (!url) throw new Error("Missing required field: url");
+    if (!url) throw codedError("INVALID_ARGUMENT", "Missing required field: url");
 
     // Validate URL format
     if (!url.startsWith("http://") && !url.startsWith("https://")) {
-      throw new Error("Invalid URL: must start with http:// or https://");
+      throw codedError("INVALID_ARGUMENT", "Invalid URL: must start with http:// or https://");
     }
 
     const app = Application("DEVONthink");
@@ -64,6 +65,6 @@ if (!jsonArg) {
     }, null, 2);
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
@@ -17,7 +17,8 @@ const jsonArg = getArg(4, null);
 if (!jsonArg) {
   JSON.stringify({
     success: false,
-    error: 'Usage: addReadingList.js \'{"uuid":"..."}\' or \'{"url":"...","title":"..."}\''
+    error: 'Usage: addReadingList.js \'{"uuid":"..."}\' or \'{"url":"...","title":"..."}\'',
+    code: "INVALID_ARGUMENT"
   });
 } else {
   try {
@@ -25,7 +26,7 @@ if (!jsonArg) {
     const { uuid, url, title } = params;
 
     if (!uuid && !url) {
-      throw new Error("Missing required field: either uuid or url must be provided");
+      throw codedError("INVALID_ARGUMENT", "Missing required field: either uuid or url must be provided");
     }
 
     const app = Application("DEVONthink");
@@ -38,7 +39,7 @@ if (!jsonArg) {
       // Add record to reading list
       const record = app.getRecordWithUuid(extractUuid(uuid));
       if (!record) {
-        throw new Error("Record not found: " + uuid);
+        throw codedError("RECORD_NOT_FOUND", "Record not found: " + uuid);
       }
 
       success = app.addReadingList({ record: record });
@@ -48,7 +49,7 @@ if (!jsonArg) {
     } else {
       // Add URL to reading list
       if (!url.startsWith("http://") && !url.startsWith("https://")) {
-        throw new Error("Invalid URL: must start with http:// or https://");
+        throw codedError("INVALID_ARGUMENT", "Invalid URL: must start with http:// or https://");
       }
 
       const options = { URL: url };
@@ -66,6 +67,6 @@ if (!jsonArg) {
     JSON.stringify(result, null, 2);
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
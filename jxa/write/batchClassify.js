@@ -24,12 +24,13 @@ const jsonArg = getArg(4, null);
 if (!jsonArg) {
   JSON.stringify({
     success: false,
-    error: "Usage: batchClassify.js '<json-array>'"
+    error: "Usage: batchClassify.js '<json-array>'",
+    code: "INVALID_ARGUMENT"
   });
 } else {
   try {
     const items = JSON.parse(jsonArg);
-    if (!Array.isArray(items)) throw new Error("Input must be a JSON array");
+    if (!Array.isArray(items)) throw codedError("INVALID_ARGUMENT", "Input must be a JSON array");
 
     const app = Application("DEVONthink");
     const results = [];
@@ -39,12 +40,12 @@ if (!jsonArg) {
       try {
         const { uuid, database, groupPath, createGroup, newName, tags, comment, customMetadata, replicateTo } = item;
 
-        if (!uuid) throw new Error("Missing required field: uuid");
-        if (!database) throw new Error("Missing required field: database");
-        if (!groupPath) throw new Error("Missing required field: groupPath");
+        if (!uuid) throw codedError("INVALID_ARGUMENT", "Missing required field: uuid");
+        if (!database) throw codedError("INVALID_ARGUMENT", "Missing required field: database");
+        if (!groupPath) throw codedError("INVALID_ARGUMENT", "Missing required field: groupPath");
 
         const record = app.getRecordWithUuid(extractUuid(uuid));
-        if (!record) throw new Error("Record not found: " + uuid);
+        if (!record) throw codedError("RECORD_NOT_FOUND", "Record not found: " + uuid);
 
         const operations = [];
 
@@ -124,6 +125,6 @@ if (!jsonArg) {
     }, null, 2);
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
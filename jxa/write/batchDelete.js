@@ -7,23 +7,24 @@ ObjC.import("Foundation");
 const jsonArg = getArg(4, null);
 
 if (!jsonArg) {
-  JSON.stringify({ success: false, error: "Usage: batchDelete.js '[\"uuid1\", \"uuid2\", ...]'" });
+  JSON.stringify({ success: false, error: "Usage: batchDelete.js '[\"uuid1\", \"uuid2\", ...]'", code: "INVALID_ARGUMENT" });
 } else {
   try {
     const uuids = JSON.parse(jsonArg);
     if (!Array.isArray(uuids) || uuids.length === 0) {
-      throw new Error("Input must be a non-empty array of UUIDs");
+      throw codedError("INVALID_ARGUMENT", "Input must be a non-empty array of UUIDs");
     }
 
     const app = Application("DEVONthink");
     const results = [];
     const errors = [];
 
-    for (const uuid of uuids) {
+    for (let index = 0; index < uuids.length; index++) {
+      const uuid = uuids[index];
       try {
         const record = app.getRecordWithUuid(extractUuid(uuid));
         if (!record) {
-          errors.push({ uuid: uuid, error: "Record not found" });
+          errors.push({ index: index, uuid: uuid, error: "Record not found" });
           continue;
         }
 
@@ -33,11 +34,12 @@ if (!jsonArg) {
         app.delete({ record: record });
 
         results.push({
+          index: index,
           uuid: recordUuid,
           name: name
         });
       } catch (e) {
-        errors.push({ uuid: uuid, error: e.message });
+        errors.push({ index: index, uuid: uuid, error: e.message });
       }
     }
 
@@ -49,6 +51,6 @@ if (!jsonArg) {
     });
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
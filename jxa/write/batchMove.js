@@ -7,12 +7,12 @@ ObjC.import("Foundation");
 const jsonArg = getArg(4, null);
 
 if (!jsonArg) {
-  JSON.stringify({ success: false, error: "Usage: batchMove.js JSON_ARRAY" });
+  JSON.stringify({ success: false, error: "Usage: batchMove.js JSON_ARRAY", code: "INVALID_ARGUMENT" });
 } else {
   try {
     const items = JSON.parse(jsonArg);
     if (!Array.isArray(items) || items.length === 0) {
-      throw new Error("Input must be a non-empty array of objects");
+      throw codedError("INVALID_ARGUMENT", "Input must be a non-empty array of objects");
     }
 
     const app = Application("DEVONthink");
@@ -22,17 +22,18 @@ if (!jsonArg) {
     // Cache destination lookups to speed up moving many items to same folder
     const groupCache = {}; // key: destRef, value: groupRecord
 
-    for (const item of items) {
+    for (let index = 0; index < items.length; index++) {
+      const item = items[index];
       const { uuid, destination } = item;
       
       try {
         if (!uuid || !destination) {
-          throw new Error("Missing uuid or destination");
+          throw codedError("INVALID_ARGUMENT", "Missing uuid or destination");
         }
 
         const record = app.getRecordWithUuid(extractUuid(uuid));
         if (!record) {
-          errors.push({ uuid: uuid, error: "Record not found" });
+          errors.push({ index: index, uuid: uuid, error: "Record not found" });
           continue;
         }
 
@@ -51,14 +52,14 @@ if (!jsonArg) {
 
         if (record.locationGroup().uuid() === destGroup.uuid()) {
              // Already there
-             results.push({ uuid: record.uuid(), status: "skipped" });
+             results.push({ index: index, uuid: record.uuid(), status: "skipped" });
         } else {
              app.move({ record: record, to: destGroup });
-             results.push({ uuid: record.uuid(), status: "moved" });
+             results.push({ index: index, uuid: record.uuid(), status: "moved" });
         }
 
       } catch (e) {
-        errors.push({ uuid: uuid, error: e.message });
+        errors.push({ index: index, uuid: uuid, error: e.message });
       }
     }
 
@@ -70,6 +71,6 @@ if (!jsonArg) {
     });
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
@@ -8,29 +8,30 @@ ObjC.import("Foundation");
 const jsonArg = getArg(4, null);
 
 if (!jsonArg) {
-  JSON.stringify({ success: false, error: "Usage: batchTag.js JSON_ARRAY" });
+  JSON.stringify({ success: false, error: "Usage: batchTag.js JSON_ARRAY", code: "INVALID_ARGUMENT" });
 } else {
   try {
     const items = JSON.parse(jsonArg);
     if (!Array.isArray(items) || items.length === 0) {
-      throw new Error("Input must be a non-empty array of objects");
+      throw codedError("INVALID_ARGUMENT", "Input must be a non-empty array of objects");
     }
 
     const app = Application("DEVONthink");
     const results = [];
     const errors = [];
 
-    for (const item of items) {
+    for (let index = 0; index < items.length; index++) {
+      const item = items[index];
       const { uuid, tags, operation = "add" } = item;
       
       try {
         if (!uuid || !Array.isArray(tags)) {
-          throw new Error("Missing uuid or tags array");
+          throw codedError("INVALID_ARGUMENT", "Missing uuid or tags array");
         }
 
         const record = app.getRecordWithUuid(extractUuid(uuid));
         if (!record) {
-          errors.push({ uuid: uuid, error: "Record not found" });
+          errors.push({ index: index, uuid: uuid, error: "Record not found" });
           continue;
         }
 
@@ -48,7 +49,7 @@ if (!jsonArg) {
           const toRemove = new Set(tags);
           newTags = currentTags.filter(t => !toRemove.has(t));
         } else {
-          throw new Error("Invalid operation: " + operation);
+          throw codedError("INVALID_ARGUMENT", "Invalid operation: " + operation);
         }
 
         // Only update if changed
@@ -58,13 +59,13 @@ if (!jsonArg) {
 
         if (sortedCurrent !== sortedNew) {
            record.tags = newTags;
-           results.push({ uuid: record.uuid(), status: "updated", tags: newTags });
+           results.push({ index: index, uuid: record.uuid(), status: "updated", tags: newTags });
         } else {
-           results.push({ uuid: record.uuid(), status: "unchanged" });
+           results.push({ index: index, uuid: record.uuid(), status: "unchanged" });
         }
 
       } catch (e) {
-        errors.push({ uuid: uuid, error: e.message });
+        errors.push({ index: index, uuid: uuid, error: e.message });
       }
     }
 
@@ -76,6 +77,6 @@ if (!jsonArg) {
     });
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
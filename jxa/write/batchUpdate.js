@@ -7,29 +7,30 @@ ObjC.import("Foundation");
 const jsonArg = getArg(4, null);
 
 if (!jsonArg) {
-  JSON.stringify({ success: false, error: "Usage: batchUpdate.js JSON_ARRAY" });
+  JSON.stringify({ success: false, error: "Usage: batchUpdate.js JSON_ARRAY", code: "INVALID_ARGUMENT" });
 } else {
   try {
     const items = JSON.parse(jsonArg);
     if (!Array.isArray(items) || items.length === 0) {
-      throw new Error("Input must be a non-empty array of objects");
+      throw codedError("INVALID_ARGUMENT", "Input must be a non-empty array of objects");
     }
 
     const app = Application("DEVONthink");
     const results = [];
     const errors = [];
 
-    for (const item of items) {
+    for (let index = 0; index < items.length; index++) {
+      const item = items[index];
       const { uuid, properties } = item;
       
       try {
         if (!uuid || !properties) {
-          throw new Error("Missing uuid or properties object");
+          throw codedError("INVALID_ARGUMENT", "Missing uuid or properties object");
         }
 
         const record = app.getRecordWithUuid(extractUuid(uuid));
         if (!record) {
-          errors.push({ uuid: uuid, error: "Record not found" });
+          errors.push({ index: index, uuid: uuid, error: "Record not found" });
           continue;
         }
 
@@ -66,13 +67,14 @@ if (!jsonArg) {
         }
 
         results.push({ 
+            index: index,
             uuid: record.uuid(), 
             status: "updated", 
             changes: changes 
         });
 
       } catch (e) {
-        errors.push({ uuid: uuid, error: e.message });
+        errors.push({ index: index, uuid: uuid, error: e.message });
       }
     }
 
@@ -84,6 +86,6 @@ if (!jsonArg) {
     });
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
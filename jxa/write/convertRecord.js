@@ -5,6 +5,8 @@
 //
 // Dependencies (injected by runner):
 // - getArg, extractUuid, resolveGroup
+// - codedError(code, message)
+// - errorResult(e, fallbackCode)
 
 // Map user-friendly format names to DEVONthink convert types
 function getConvertType(format) {
@@ -29,7 +31,7 @@ function getConvertType(format) {
 
   const key = format.toLowerCase();
   if (!mapping[key]) {
-    throw new Error("Unknown format: " + format + ". Valid: simple, rich, note, html, markdown, pdf, pdf-annotated, pdf-no-annotations, pdf-single, webarchive, bookmark");
+    throw codedError("INVALID_ARGUMENT", "Unknown format: " + format + ". Valid: simple, rich, note, html, markdown, pdf, pdf-annotated, pdf-no-annotations, pdf-single, webarchive, bookmark");
   }
   return mapping[key];
 }
@@ -39,19 +41,20 @@ const jsonArg = getArg(4, null);
 if (!jsonArg) {
   JSON.stringify({
     success: false,
-    error: 'Usage: convertRecord.js \'{\"uuid\":\"...\",\"to\":\"markdown\"}\''
+    error: 'Usage: convertRecord.js \'{\"uuid\":\"...\",\"to\":\"markdown\"}\'',
+    code: "INVALID_ARGUMENT"
   });
 } else {
   try {
     const params = JSON.parse(jsonArg);
     const { uuid, to, destGroupUuid } = params;
 
-    if (!uuid) throw new Error("Missing required field: uuid");
+    if (!uuid) throw codedError("INVALID_ARGUMENT", "Missing required field: uuid");
 
     const app = Application("DEVONthink");
     const record = app.getRecordWithUuid(extractUuid(uuid));
 
-    if (!record) throw new Error("Record not found: " + uuid);
+    if (!record) throw codedError("RECORD_NOT_FOUND", "Record not found: " + uuid);
 
     // Build convert options
     const convertOptions = {
@@ -91,6 +94,6 @@ if (!jsonArg) {
     }, null, 2);
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
\ No newline at end of file
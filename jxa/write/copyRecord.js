@@ -21,7 +21,8 @@ const jsonArg = getArg(4, null);
 if (!jsonArg) {
   JSON.stringify({
     success: false,
-    error: 'Usage: copyRecord.js \'{"records":["uuid"],"to":"destUuid","mode":"duplicate|replicate"}\''
+    error: 'Usage: copyRecord.js \'{"records":["uuid"],"to":"destUuid","mode":"duplicate|replicate"}\'',
+    code: "INVALID_ARGUMENT"
   });
 } else {
   try {
@@ -29,13 +30,13 @@ if (!jsonArg) {
     const { records, to, database: databaseRef, mode = "duplicate" } = params;
 
     if (!records || !Array.isArray(records) || records.length === 0) {
-      throw new Error("Missing required field: records (array of UUIDs)");
+      throw codedError("INVALID_ARGUMENT", "Missing required field: records (array of UUIDs)");
     }
-    if (!to) throw new Error("Missing required field: to (destination group)");
+    if (!to) throw codedError("INVALID_ARGUMENT", "Missing required field: to (destination group)");
 
     const validModes = ["duplicate", "replicate"];
     if (!validModes.includes(mode)) {
-      throw new Error("Invalid mode: " + mode + ". Valid: duplicate, replicate");
+      throw codedError("INVALID_ARGUMENT", "Invalid mode: " + mode + ". Valid: duplicate, replicate");
     }
 
     const app = Application("DEVONthink");
@@ -44,17 +45,17 @@ if (!jsonArg) {
     let destGroup;
     if (isUuid(to)) {
       destGroup = app.getRecordWithUuid(extractUuid(to));
-      if (!destGroup) throw new Error("Destination group not found: " + to);
+      if (!destGroup) throw codedError("GROUP_NOT_FOUND", "Destination group not found: " + to);
     } else if (databaseRef) {
       const db = getDatabase(app, databaseRef);
       destGroup = resolveGroup(app, to, db);
     } else {
-      throw new Error("Destination must be UUID, or provide database for path-based destination");
+      throw codedError("INVALID_ARGUMENT", "Destination must be UUID, or provide database for path-based destination");
     }
 
     const destType = destGroup.recordType();
     if (destType !== "group" && destType !== "smart group") {
-      throw new Error("Destination is not a group: " + destType);
+      throw codedError("GROUP_NOT_FOUND", "Destination is not a group: " + destType);
     }
 
     const results = [];
@@ -109,6 +110,6 @@ if (!jsonArg) {
     }, null, 2);
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
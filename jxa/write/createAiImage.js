@@ -33,15 +33,16 @@ const jsonArg = getArg(4, null);
 if (!jsonArg) {
   JSON.stringify({
     success: false,
-    error: 'Usage: createAiImage.js \'{"prompt":"...","name":"...","database":"..."}\''
+    error: 'Usage: createAiImage.js \'{"prompt":"...","name":"...","database":"..."}\'',
+    code: "INVALID_ARGUMENT"
   });
 } else {
   try {
     const params = JSON.parse(jsonArg);
     const { prompt, name, database, groupPath, engine, size, style, quality, seed, imageUrl, imagePath, promptStrength, tags } = params;
 
-    if (!prompt) throw new Error("Missing required field: prompt");
-    if (!name) throw new Error("Missing required field: name");
+    if (!prompt) throw codedError("INVALID_ARGUMENT", "Missing required field: prompt");
+    if (!name) throw codedError("INVALID_ARGUMENT", "Missing required field: name");
 
     const app = Application("DEVONthink");
 
@@ -70,7 +71,7 @@ if (!jsonArg) {
     if (engine) {
       const mappedEngine = engineMap[engine.toLowerCase()];
       if (!mappedEngine) {
-        throw new Error("Invalid engine: " + engine + ". Valid: dalle3, gpt-image-1, flux-schnell, flux-pro, flux-pro-ultra, stable-diffusion, recraft3, imagen");
+        throw codedError("INVALID_ARGUMENT", "Invalid engine: " + engine + ". Valid: dalle3, gpt-image-1, flux-schnell, flux-pro, flux-pro-ultra, stable-diffusion, recraft3, imagen");
       }
       imageOptions.engine = mappedEngine;
     }
@@ -116,7 +117,7 @@ if (!jsonArg) {
     const imageData = app.downloadImageForPrompt(prompt, imageOptions);
 
     if (!imageData) {
-      throw new Error("Image generation failed or returned no data");
+      throw codedError("AI_FAILURE", "Image generation failed or returned no data");
     }
 
     // Find database and destination group
@@ -126,17 +127,17 @@ if (!jsonArg) {
     if (groupPath && isUuid(groupPath)) {
       // Group UUID provided - get database from the group itself
       destination = app.getRecordWithUuid(extractUuid(groupPath));
-      if (!destination) throw new Error("Group not found with UUID: " + groupPath);
+      if (!destination) throw codedError("GROUP_NOT_FOUND", "Group not found with UUID: " + groupPath);
       const groupType = destination.recordType();
       if (groupType !== "group" && groupType !== "smart group") {
-        throw new Error("UUID does not point to a group: " + groupType);
+        throw codedError("GROUP_NOT_FOUND", "UUID does not point to a group: " + groupType);
       }
       db = destination.database();
     } else {
       // Need database for path resolution
-      if (!database) throw new Error("Missing required field: database (required when groupPath is not a UUID)");
+      if (!database) throw codedError("INVALID_ARGUMENT", "Missing required field: database (required when groupPath is not a UUID)");
       db = getDatabase(app, database);
-      if (!db) throw new Error("Database not found: " + database);
+      if (!db) throw codedError("DATABASE_NOT_FOUND", "Database not found: " + database);
       destination = resolveGroup(app, db, groupPath || "/", true);
     }
 
@@ -169,6 +170,6 @@ if (!jsonArg) {
     }, null, 2);
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e, "AI_FAILURE"));
   }
 }
@@ -9,21 +9,24 @@
 // - extractUuid(str)
 // - getDatabase(app, ref)
 // - resolveGroup(app, ref, db)
+// - codedError(code, message)
+// - errorResult(e, fallbackCode)
 
 const jsonArg = getArg(4, null);
 
 if (!jsonArg) {
   JSON.stringify({
     success: false,
-    error: 'Usage: createRecord.js \'{\"name\":\"...\",\"type\":\"...\",\"database\":\"...\"}\''
+    error: 'Usage: createRecord.js \'{\"name\":\"...\",\"type\":\"...\",\"database\":\"...\"}\'',
+    code: "INVALID_ARGUMENT"
   });
 } else {
   try {
     const params = JSON.parse(jsonArg);
     const { name, type, database: databaseRef, groupPath, content, url, tags, query, searchGroup } = params;
 
-    if (!name) throw new Error("Missing required field: name");
-    if (!type) throw new Error("Missing required field: type");
+    if (!name) throw codedError("INVALID_ARGUMENT", "Missing required field: name");
+    if (!type) throw codedError("INVALID_ARGUMENT", "Missing required field: type");
 
     const app = Application("DEVONthink");
 
@@ -34,15 +37,15 @@ if (!jsonArg) {
     if (groupPath && isUuid(groupPath)) {
       // Group UUID provided - get database from the group itself
       destination = app.getRecordWithUuid(extractUuid(groupPath));
-      if (!destination) throw new Error("Group not found with UUID: " + groupPath);
+      if (!destination) throw codedError("GROUP_NOT_FOUND", "Group not found with UUID: " + groupPath);
       const groupType = destination.recordType();
       if (groupType !== "group" && groupType !== "smart group") {
-        throw new Error("UUID does not point to a group: " + groupType);
+        throw codedError("GROUP_NOT_FOUND", "UUID does not point to a group: " + groupType);
       }
       db = destination.database();
     } else {
       // Need database for path resolution
-      if (!databaseRef) throw new Error("Missing required field: database (required when groupPath is not a UUID)");
+      if (!databaseRef) throw codedError("INVALID_ARGUMENT", "Missing required field: database (required when groupPath is not a UUID)");
       db = getDatabase(app, databaseRef);
       destination = resolveGroup(app, groupPath || "/", db);
     }
@@ -59,17 +62,17 @@ if (!jsonArg) {
     // Validate type
     const validTypes = ["markdown", "txt", "rtf", "bookmark", "html", "group", "smart group"];
     if (!validTypes.includes(type)) {
-      throw new Error("Unknown type: " + type + ". Valid: " + validTypes.join(", "));
+      throw codedError("INVALID_ARGUMENT", "Unknown type: " + type + ". Valid: " + validTypes.join(", "));
     }
 
     // Bookmark requires URL
     if (type === "bookmark" && !url) {
-      throw new Error("URL required for bookmark type");
+      throw codedError("INVALID_ARGUMENT", "URL required for bookmark type");
     }
 
     // Smart Group requires query
     if (type === "smart group") {
-      if (!query) throw new Error("Query required for smart group type");
+      if (!query) throw codedError("INVALID_ARGUMENT", "Query required for smart group type");
     }
 
     // Create record
@@ -103,6 +106,6 @@ if (!jsonArg) {
     }, null, 2);
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
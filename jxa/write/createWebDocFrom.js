@@ -16,16 +16,17 @@ const jsonArg = getArg(4, null);
 if (!jsonArg) {
   JSON.stringify({
     success: false,
-    error: 'Usage: createWebDocFrom.js \'{"url":"https://..."}\''
+    error: 'Usage: createWebDocFrom.js \'{"url":"https://..."}\'',
+    code: "INVALID_ARGUMENT"
   });
 } else {
   try {
     const params = JSON.parse(jsonArg);
     const { url, name, database: databaseRef, groupPath, readability, agent, referrer, tags } = params;
 
-    if (!url) throw new Error("Missing required field: url");
+    if (!url) throw codedError("INVALID_ARGUMENT", "Missing required field: url");
     if (!url.startsWith("http://") && !url.startsWith("https://")) {
-      throw new Error("Invalid URL: must start with http:// or https://");
+      throw codedError("INVALID_ARGUMENT", "Invalid URL: must start with http:// or https://");
     }
 
     const app = Application("DEVONthink");
@@ -53,10 +54,10 @@ if (!jsonArg) {
     if (groupPath && isUuid(groupPath)) {
       // Group UUID provided - resolve directly
       const destination = app.getRecordWithUuid(extractUuid(groupPath));
-      if (!destination) throw new Error("Group not found with UUID: " + groupPath);
+      if (!destination) throw codedError("GROUP_NOT_FOUND", "Group not found with UUID: " + groupPath);
       const groupType = destination.recordType();
       if (groupType !== "group" && groupType !== "smart group") {
-        throw new Error("UUID does not point to a group: " + groupType);
+        throw codedError("GROUP_NOT_FOUND", "UUID does not point to a group: " + groupType);
       }
       options.in = destination;
     } else if (databaseRef && databaseRef.length > 0) {
@@ -89,6 +90,6 @@ if (!jsonArg) {
     }, null, 2);
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
@@ -21,19 +21,20 @@ const jsonArg = getArg(4, null);
 if (!jsonArg) {
   JSON.stringify({
     success: false,
-    error: 'Usage: deconsolidateRecord.js \'{"uuid":"..."}\''
+    error: 'Usage: deconsolidateRecord.js \'{"uuid":"..."}\'',
+    code: "INVALID_ARGUMENT"
   });
 } else {
   try {
     const params = JSON.parse(jsonArg);
     const { uuid, destination } = params;
 
-    if (!uuid) throw new Error("Missing required field: uuid");
+    if (!uuid) throw codedError("INVALID_ARGUMENT", "Missing required field: uuid");
 
     const app = Application("DEVONthink");
     const record = app.getRecordWithUuid(extractUuid(uuid));
 
-    if (!record) throw new Error("Record not found: " + uuid);
+    if (!record) throw codedError("RECORD_NOT_FOUND", "Record not found: " + uuid);
 
     // Build options
     const options = { record: record };
@@ -67,6 +68,6 @@ if (!jsonArg) {
     }
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
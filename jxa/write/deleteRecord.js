@@ -4,17 +4,18 @@
 //
 // Dependencies (injected by runner):
 // - getArg, extractUuid
+// - errorResult(e, fallbackCode)
 
 const uuid = getArg(4, null);
 
 if (!uuid) {
-  JSON.stringify({ success: false, error: "Usage: deleteRecord.js <uuid>" });
+  JSON.stringify({ success: false, error: "Usage: deleteRecord.js <uuid>", code: "INVALID_ARGUMENT" });
 } else {
   const app = Application("DEVONthink");
   const record = app.getRecordWithUuid(extractUuid(uuid));
 
   if (!record) {
-    JSON.stringify({ success: false, error: "Record not found: " + uuid });
+    JSON.stringify({ success: false, error: "Record not found: " + uuid, code: "RECORD_NOT_FOUND" });
   } else {
     try {
       const name = record.name();
@@ -31,7 +32,7 @@ if (!uuid) {
         }
       });
     } catch (e) {
-      JSON.stringify({ success: false, error: e.message });
+      JSON.stringify(errorResult(e));
     }
   }
 }
\ No newline at end of file
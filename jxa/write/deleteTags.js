@@ -7,13 +7,13 @@ ObjC.import("Foundation");
 const jsonArg = getArg(4, null);
 
 if (!jsonArg) {
-  JSON.stringify({ success: false, error: 'Usage: deleteTags.js \'{"database": "...", "tags": [...]}\'' });
+  JSON.stringify({ success: false, error: 'Usage: deleteTags.js \'{"database": "...", "tags": [...]}\'', code: "INVALID_ARGUMENT" });
 } else {
   try {
     const params = JSON.parse(jsonArg);
     const app = Application("DEVONthink");
 
-    if (!params.tags || params.tags.length === 0) throw new Error("At least one tag is required");
+    if (!params.tags || params.tags.length === 0) throw codedError("INVALID_ARGUMENT", "At least one tag is required");
 
     // Get database
     let db;
@@ -24,10 +24,10 @@ if (!jsonArg) {
         const databases = app.databases();
         db = databases.find(d => d.name() === params.database);
       }
-      if (!db) throw new Error("Database not found: " + params.database);
+      if (!db) throw codedError("DATABASE_NOT_FOUND", "Database not found: " + params.database);
     } else {
       db = app.currentDatabase();
-      if (!db) throw new Error("No database specified and no current database");
+      if (!db) throw codedError("DATABASE_NOT_FOUND", "No database specified and no current database");
     }
 
     // Get all tag groups
@@ -39,10 +39,12 @@ if (!jsonArg) {
     for (const tagName of params.tags) {
       const tag = tagGroups.find(t => t.name() === tagName);
       if (tag) {
+        const children = tag.children();
         toDelete.push({
           name: tag.name(),
           uuid: tag.uuid(),
-          recordCount: tag.children().length,
+          recordCount: children.length,
+          records: children.map(r => r.uuid()), // Used to undo the deletion
           ref: tag
         });
       } else {
@@ -51,7 +53,7 @@ if (!jsonArg) {
     }
 
     if (toDelete.length === 0) {
-      throw new Error("No tags found to delete. Missing: " + notFound.join(", "));
+      throw codedError("TAG_NOT_FOUND", "No tags found to delete. Missing: " + notFound.join(", "));
     }
 
     // Dry run mode
@@ -71,7 +73,7 @@ if (!jsonArg) {
       for (const tagInfo of toDelete) {
         try {
           app.delete({ record: tagInfo.ref });
-          deleted.push({ name: tagInfo.name, recordCount: tagInfo.recordCount });
+          deleted.push({ name: tagInfo.name, recordCount: tagInfo.recordCount, records: tagInfo.records });
         } catch (e) {
           errors.push({ name: tagInfo.name, error: e.message });
         }
@@ -87,6 +89,6 @@ if (!jsonArg) {
       });
     }
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
@@ -15,18 +15,19 @@ const jsonArg = getArg(4, null);
 if (!jsonArg) {
   JSON.stringify({
     success: false,
-    error: 'Usage: downloadManager.js \'{"action":"start|stop"}\''
+    error: 'Usage: downloadManager.js \'{"action":"start|stop"}\'',
+    code: "INVALID_ARGUMENT"
   });
 } else {
   try {
     const params = JSON.parse(jsonArg);
     const { action } = params;
 
-    if (!action) throw new Error("Missing required field: action");
+    if (!action) throw codedError("INVALID_ARGUMENT", "Missing required field: action");
 
     const validActions = ["start", "stop"];
     if (!validActions.includes(action)) {
-      throw new Error("Invalid action: " + action + ". Valid: start, stop");
+      throw codedError("INVALID_ARGUMENT", "Invalid action: " + action + ". Valid: start, stop");
     }
 
     const app = Application("DEVONthink");
@@ -49,6 +50,6 @@ if (!jsonArg) {
     }
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
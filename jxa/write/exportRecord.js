@@ -16,20 +16,21 @@ const jsonArg = getArg(4, null);
 if (!jsonArg) {
   JSON.stringify({
     success: false,
-    error: 'Usage: exportRecord.js \'{"uuid":"...","destination":"..."}\''
+    error: 'Usage: exportRecord.js \'{"uuid":"...","destination":"..."}\'',
+    code: "INVALID_ARGUMENT"
   });
 } else {
   try {
     const params = JSON.parse(jsonArg);
     const { uuid, destination, includeMetadata } = params;
 
-    if (!uuid) throw new Error("Missing required field: uuid");
-    if (!destination) throw new Error("Missing required field: destination");
+    if (!uuid) throw codedError("INVALID_ARGUMENT", "Missing required field: uuid");
+    if (!destination) throw codedError("INVALID_ARGUMENT", "Missing required field: destination");
 
     const app = Application("DEVONthink");
     const record = app.getRecordWithUuid(extractUuid(uuid));
 
-    if (!record) throw new Error("Record not found: " + uuid);
+    if (!record) throw codedError("RECORD_NOT_FOUND", "Record not found: " + uuid);
 
     // Expand tilde in path
     const destPath = ObjC.unwrap($(destination).stringByExpandingTildeInPath);
@@ -66,6 +67,6 @@ if (!jsonArg) {
     }
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
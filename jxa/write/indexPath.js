@@ -21,14 +21,15 @@ const jsonArg = getArg(4, null);
 if (!jsonArg) {
   JSON.stringify({
     success: false,
-    error: 'Usage: indexPath.js \'{"path":"...","database":"..."}\''
+    error: 'Usage: indexPath.js \'{"path":"...","database":"..."}\'',
+    code: "INVALID_ARGUMENT"
   });
 } else {
   try {
     const params = JSON.parse(jsonArg);
     const { path, database, groupPath } = params;
 
-    if (!path) throw new Error("Missing required field: path");
+    if (!path) throw codedError("INVALID_ARGUMENT", "Missing required field: path");
 
     const app = Application("DEVONthink");
 
@@ -38,7 +39,7 @@ if (!jsonArg) {
     // Check if path exists
     const fm = $.NSFileManager.defaultManager;
     if (!fm.fileExistsAtPath($(expandedPath))) {
-      throw new Error("Path not found: " + expandedPath);
+      throw codedError("RECORD_NOT_FOUND", "Path not found: " + expandedPath);
     }
 
     // Find database and destination group
@@ -48,17 +49,17 @@ if (!jsonArg) {
     if (groupPath && isUuid(groupPath)) {
       // Group UUID provided - get database from the group itself
       destination = app.getRecordWithUuid(extractUuid(groupPath));
-      if (!destination) throw new Error("Group not found with UUID: " + groupPath);
+      if (!destination) throw codedError("GROUP_NOT_FOUND", "Group not found with UUID: " + groupPath);
       const groupType = destination.recordType();
       if (groupType !== "group" && groupType !== "smart group") {
-        throw new Error("UUID does not point to a group: " + groupType);
+        throw codedError("GROUP_NOT_FOUND", "UUID does not point to a group: " + groupType);
       }
       db = destination.database();
     } else {
       // Need database for path resolution
-      if (!database) throw new Error("Missing required field: database (required when groupPath is not a UUID)");
+      if (!database) throw codedError("INVALID_ARGUMENT", "Missing required field: database (required when groupPath is not a UUID)");
       db = getDatabase(app, database);
-      if (!db) throw new Error("Database not found: " + database);
+      if (!db) throw codedError("DATABASE_NOT_FOUND", "Database not found: " + database);
       destination = resolveGroup(app, db, groupPath || "/", true);
     }
 
@@ -88,6 +89,6 @@ if (!jsonArg) {
     }, null, 2);
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
@@ -18,7 +18,7 @@ ObjC.import("Foundation");
 const jsonArg = getArg(4, null);
 
 if (!jsonArg) {
-  JSON.stringify({ success: false, error: "Missing arguments" });
+  JSON.stringify({ success: false, error: "Missing arguments", code: "INVALID_ARGUMENT" });
 } else {
   try {
     const params = JSON.parse(jsonArg);
@@ -26,11 +26,11 @@ if (!jsonArg) {
     const sourceUuid = extractUuid(params.sourceUuid);
     const targetUuid = extractUuid(params.targetUuid);
 
-    if (!sourceUuid) throw new Error("Missing source UUID");
+    if (!sourceUuid) throw codedError("INVALID_ARGUMENT", "Missing source UUID");
 
     const app = Application("DEVONthink");
     const source = app.getRecordWithUuid(sourceUuid);
-    if (!source) throw new Error("Source record not found: " + sourceUuid);
+    if (!source) throw codedError("RECORD_NOT_FOUND", "Source record not found: " + sourceUuid);
 
     const result = { success: true, uuid: sourceUuid, mode: mode };
 
@@ -66,7 +66,7 @@ if (!jsonArg) {
     // 2. Manage Text Links
     if (targetUuid) {
         const target = app.getRecordWithUuid(targetUuid);
-        if (!target) throw new Error("Target record not found: " + targetUuid);
+        if (!target) throw codedError("RECORD_NOT_FOUND", "Target record not found: " + targetUuid);
 
         const targetUrl = "x-devonthink-item://" + targetUuid;
         const targetName = target.name();
@@ -107,6 +107,6 @@ if (!jsonArg) {
     JSON.stringify(result, null, 2);
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
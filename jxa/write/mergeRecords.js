@@ -21,15 +21,16 @@ const jsonArg = getArg(4, null);
 if (!jsonArg) {
   JSON.stringify({
     success: false,
-    error: 'Usage: mergeRecords.js \'{"uuids":["ABC123","DEF456"]}\''
+    error: 'Usage: mergeRecords.js \'{"uuids":["ABC123","DEF456"]}\'',
+    code: "INVALID_ARGUMENT"
   });
 } else {
   try {
     const params = JSON.parse(jsonArg);
     const { uuids, groupPath, database } = params;
 
-    if (!uuids || !Array.isArray(uuids)) throw new Error("Missing required field: uuids (array)");
-    if (uuids.length < 2) throw new Error("At least 2 UUIDs required for merge");
+    if (!uuids || !Array.isArray(uuids)) throw codedError("INVALID_ARGUMENT", "Missing required field: uuids (array)");
+    if (uuids.length < 2) throw codedError("INVALID_ARGUMENT", "At least 2 UUIDs required for merge");
 
     const app = Application("DEVONthink");
 
@@ -37,7 +38,7 @@ if (!jsonArg) {
     const records = [];
     for (const uuid of uuids) {
       const record = app.getRecordWithUuid(extractUuid(uuid));
-      if (!record) throw new Error("Record not found: " + uuid);
+      if (!record) throw codedError("RECORD_NOT_FOUND", "Record not found: " + uuid);
       records.push(record);
     }
 
@@ -49,7 +50,7 @@ if (!jsonArg) {
       let db;
       if (database) {
         db = getDatabase(app, database);
-        if (!db) throw new Error("Database not found: " + database);
+        if (!db) throw codedError("DATABASE_NOT_FOUND", "Database not found: " + database);
       } else {
         // Use the database of the first record
         db = records[0].database();
@@ -77,6 +78,6 @@ if (!jsonArg) {
     }, null, 2);
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
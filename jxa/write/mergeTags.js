@@ -7,14 +7,14 @@ ObjC.import("Foundation");
 const jsonArg = getArg(4, null);
 
 if (!jsonArg) {
-  JSON.stringify({ success: false, error: 'Usage: mergeTags.js \'{"database": "...", "target": "...", "sources": [...]}\'' });
+  JSON.stringify({ success: false, error: 'Usage: mergeTags.js \'{"database": "...", "target": "...", "sources": [...]}\'', code: "INVALID_ARGUMENT" });
 } else {
   try {
     const params = JSON.parse(jsonArg);
     const app = Application("DEVONthink");
 
-    if (!params.target) throw new Error("Target tag is required");
-    if (!params.sources || params.sources.length === 0) throw new Error("At least one source tag is required");
+    if (!params.target) throw codedError("INVALID_ARGUMENT", "Target tag is required");
+    if (!params.sources || params.sources.length === 0) throw codedError("INVALID_ARGUMENT", "At least one source tag is required");
 
     // Get database
     let db;
@@ -25,10 +25,10 @@ if (!jsonArg) {
         const databases = app.databases();
         db = databases.find(d => d.name() === params.database);
       }
-      if (!db) throw new Error("Database not found: " + params.database);
+      if (!db) throw codedError("DATABASE_NOT_FOUND", "Database not found: " + params.database);
     } else {
       db = app.currentDatabase();
-      if (!db) throw new Error("No database specified and no current database");
+      if (!db) throw codedError("DATABASE_NOT_FOUND", "No database specified and no current database");
     }
 
     // Get all tag groups
@@ -36,7 +36,7 @@ if (!jsonArg) {
 
     // Find target tag group
     const targetTag = tagGroups.find(t => t.name() === params.target);
-    if (!targetTag) throw new Error("Target tag not found: " + params.target);
+    if (!targetTag) throw codedError("TAG_NOT_FOUND", "Target tag not found: " + params.target);
 
     // Find source tag groups
     const sourceTags = [];
@@ -51,7 +51,7 @@ if (!jsonArg) {
     }
 
     if (sourceTags.length === 0) {
-      throw new Error("No source tags found. Missing: " + notFound.join(", "));
+      throw codedError("TAG_NOT_FOUND", "No source tags found. Missing: " + notFound.join(", "));
     }
 
     // Dry run mode - just report what would happen
@@ -70,6 +70,13 @@ if (!jsonArg) {
         totalRecordsAffected: sourceInfo.reduce((sum, s) => sum + s.recordCount, 0)
       });
     } else {
+      // Tagged records before the merge (used to undo it)
+      const sourceRecords = {};
+      for (const t of sourceTags) {
+        sourceRecords[t.name()] = t.children().map(r => r.uuid());
+      }
+      const targetRecords = targetTag.children().map(r => r.uuid());
+
       // Perform the merge - target must be first in the array
       // DEVONthink keeps the first tag and merges others into it
       const mergeList = [targetTag, ...sourceTags];
@@ -80,11 +87,13 @@ if (!jsonArg) {
         merged: true,
         target: params.target,
         sourcesMerged: sourceTags.map(t => t.name()),
+        sourceRecords: sourceRecords,
+        targetRecords: targetRecords,
         notFound: notFound.length > 0 ? notFound : undefined,
         survivingTag: result ? result.name() : params.target
       });
     }
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
@@ -5,25 +5,28 @@
 //
 // Dependencies (injected by runner):
 // - getArg, isUuid, extractUuid, resolveGroup
+// - codedError(code, message)
+// - errorResult(e, fallbackCode)
 
 const jsonArg = getArg(4, null);
 
 if (!jsonArg) {
   JSON.stringify({
     success: false,
-    error: "Usage: modifyRecordProperties.js '{\"uuid\":\"...\",\"newName\":\"...\"}'"
+    error: "Usage: modifyRecordProperties.js '{\"uuid\":\"...\",\"newName\":\"...\"}'",
+    code: "INVALID_ARGUMENT"
   });
 } else {
   try {
     const params = JSON.parse(jsonArg);
     const { uuid, newName, tagsAdd, tagsRemove, tagsReplace, destGroupUuid, comment, customMetadata } = params;
 
-    if (!uuid) throw new Error("Missing required field: uuid");
+    if (!uuid) throw codedError("INVALID_ARGUMENT", "Missing required field: uuid");
 
     const app = Application("DEVONthink");
     const record = app.getRecordWithUuid(extractUuid(uuid));
 
-    if (!record) throw new Error("Record not found: " + uuid);
+    if (!record) throw codedError("RECORD_NOT_FOUND", "Record not found: " + uuid);
 
     const result = {
       success: true,
@@ -97,6 +100,6 @@ if (!jsonArg) {
     JSON.stringify(result, null, 2);
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
\ No newline at end of file
@@ -17,7 +17,8 @@ const jsonArg = getArg(4, null);
 if (!jsonArg) {
   JSON.stringify({
     success: false,
-    error: 'Usage: moveRecord.js \'{"records":["uuid"],"to":"destUuid"}\''
+    error: 'Usage: moveRecord.js \'{"records":["uuid"],"to":"destUuid"}\'',
+    code: "INVALID_ARGUMENT"
   });
 } else {
   try {
@@ -25,9 +26,9 @@ if (!jsonArg) {
     const { records, to, from: fromGroup, database: databaseRef } = params;
 
     if (!records || !Array.isArray(records) || records.length === 0) {
-      throw new Error("Missing required field: records (array of UUIDs)");
+      throw codedError("INVALID_ARGUMENT", "Missing required field: records (array of UUIDs)");
     }
-    if (!to) throw new Error("Missing required field: to (destination group)");
+    if (!to) throw codedError("INVALID_ARGUMENT", "Missing required field: to (destination group)");
 
     const app = Application("DEVONthink");
 
@@ -35,18 +36,18 @@ if (!jsonArg) {
     let destGroup;
     if (isUuid(to)) {
       destGroup = app.getRecordWithUuid(extractUuid(to));
-      if (!destGroup) throw new Error("Destination group not found: " + to);
+      if (!destGroup) throw codedError("GROUP_NOT_FOUND", "Destination group not found: " + to);
     } else if (databaseRef) {
       // Path-based destination requires database reference
       const db = getDatabase(app, databaseRef);
       destGroup = resolveGroup(app, to, db);
     } else {
-      throw new Error("Destination must be UUID, or provide --database for path-based destination");
+      throw codedError("INVALID_ARGUMENT", "Destination must be UUID, or provide --database for path-based destination");
     }
 
     const destType = destGroup.recordType();
     if (destType !== "group" && destType !== "smart group") {
-      throw new Error("Destination is not a group: " + destType);
+      throw codedError("GROUP_NOT_FOUND", "Destination is not a group: " + destType);
     }
 
     // Resolve source group if specified
@@ -54,9 +55,9 @@ if (!jsonArg) {
     if (fromGroup) {
       if (isUuid(fromGroup)) {
         sourceGroup = app.getRecordWithUuid(extractUuid(fromGroup));
-        if (!sourceGroup) throw new Error("Source group not found: " + fromGroup);
+        if (!sourceGroup) throw codedError("GROUP_NOT_FOUND", "Source group not found: " + fromGroup);
       } else {
-        throw new Error("Source group must be specified by UUID");
+        throw codedError("INVALID_ARGUMENT", "Source group must be specified by UUID");
       }
     }
 
@@ -110,6 +111,6 @@ if (!jsonArg) {
     }, null, 2);
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
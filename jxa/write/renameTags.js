@@ -7,14 +7,14 @@ ObjC.import("Foundation");
 const jsonArg = getArg(4, null);
 
 if (!jsonArg) {
-  JSON.stringify({ success: false, error: 'Usage: renameTags.js \'{"database": "...", "from": "...", "to": "..."}\'' });
+  JSON.stringify({ success: false, error: 'Usage: renameTags.js \'{"database": "...", "from": "...", "to": "..."}\'', code: "INVALID_ARGUMENT" });
 } else {
   try {
     const params = JSON.parse(jsonArg);
     const app = Application("DEVONthink");
 
-    if (!params.from) throw new Error("Source tag name (from) is required");
-    if (!params.to) throw new Error("Target tag name (to) is required");
+    if (!params.from) throw codedError("INVALID_ARGUMENT", "Source tag name (from) is required");
+    if (!params.to) throw codedError("INVALID_ARGUMENT", "Target tag name (to) is required");
 
     // Get database
     let db;
@@ -25,10 +25,10 @@ if (!jsonArg) {
         const databases = app.databases();
         db = databases.find(d => d.name() === params.database);
       }
-      if (!db) throw new Error("Database not found: " + params.database);
+      if (!db) throw codedError("DATABASE_NOT_FOUND", "Database not found: " + params.database);
     } else {
       db = app.currentDatabase();
-      if (!db) throw new Error("No database specified and no current database");
+      if (!db) throw codedError("DATABASE_NOT_FOUND", "No database specified and no current database");
     }
 
     // Get all tag groups
@@ -36,7 +36,7 @@ if (!jsonArg) {
 
     // Find the tag to rename
     const tag = tagGroups.find(t => t.name() === params.from);
-    if (!tag) throw new Error("Tag not found: " + params.from);
+    if (!tag) throw codedError("TAG_NOT_FOUND", "Tag not found: " + params.from);
 
     // Check if target name already exists
     const existingTarget = tagGroups.find(t => t.name() === params.to);
@@ -68,6 +68,6 @@ if (!jsonArg) {
       });
     }
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
@@ -7,30 +7,21 @@
 
 ObjC.import("Foundation");
 
-function getAllArgs(startIndex) {
-  const args = $.NSProcessInfo.processInfo.arguments;
-  const result = [];
-  for (let i = startIndex; i < args.count; i++) {
-    const arg = ObjC.unwrap(args.objectAtIndex(i));
-    if (arg && arg.length > 0) result.push(arg);
-  }
-  return result;
-}
-
 const sourceUuid = getArg(4, null);
-const destinationUuids = getAllArgs(5);
+const destinationUuids = getArgs(5);
 
 if (!sourceUuid || destinationUuids.length === 0) {
   JSON.stringify({
     success: false,
-    error: "Usage: replicateRecord.js <sourceUuid> <destUuid1> [destUuid2] ..."
+    error: "Usage: replicateRecord.js <sourceUuid> <destUuid1> [destUuid2] ...",
+    code: "INVALID_ARGUMENT"
   });
 } else {
   try {
     const app = Application("DEVONthink");
     const record = app.getRecordWithUuid(extractUuid(sourceUuid));
 
-    if (!record) throw new Error("Record not found: " + sourceUuid);
+    if (!record) throw codedError("RECORD_NOT_FOUND", "Record not found: " + sourceUuid);
 
     const results = [];
     const errors = [];
@@ -70,6 +61,6 @@ if (!sourceUuid || destinationUuids.length === 0) {
     }, null, 2);
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
@@ -17,15 +17,16 @@ const jsonArg = getArg(4, null);
 if (!jsonArg) {
   JSON.stringify({
     success: false,
-    error: 'Usage: resolveOrCreateGroup.js \'{"database":"...","path":"..."}\''
+    error: 'Usage: resolveOrCreateGroup.js \'{"database":"...","path":"..."}\'',
+    code: "INVALID_ARGUMENT"
   });
 } else {
   try {
     const params = JSON.parse(jsonArg);
     const { database, path } = params;
 
-    if (!database) throw new Error("Missing required field: database");
-    if (!path) throw new Error("Missing required field: path");
+    if (!database) throw codedError("INVALID_ARGUMENT", "Missing required field: database");
+    if (!path) throw codedError("INVALID_ARGUMENT", "Missing required field: path");
 
     const app = Application("DEVONthink");
 
@@ -181,6 +182,6 @@ if (!jsonArg) {
     }
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
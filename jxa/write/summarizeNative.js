@@ -9,18 +9,18 @@ ObjC.import("Foundation");
 const jsonArg = getArg(4, null);
 
 if (!jsonArg) {
-  JSON.stringify({ success: false, error: "Missing arguments" });
+  JSON.stringify({ success: false, error: "Missing arguments", code: "INVALID_ARGUMENT" });
 } else {
   try {
     const params = JSON.parse(jsonArg);
     const uuid = extractUuid(params.uuid);
     
-    if (!uuid) throw new Error("Missing UUID");
+    if (!uuid) throw codedError("INVALID_ARGUMENT", "Missing UUID");
 
     const app = Application("DEVONthink");
     const record = app.getRecordWithUuid(uuid);
 
-    if (!record) throw new Error("Record not found: " + uuid);
+    if (!record) throw codedError("RECORD_NOT_FOUND", "Record not found: " + uuid);
 
     const type = params.type || "annotations"; // annotations, content, mentions
     const format = params.format || "markdown"; // markdown, rich, sheet, simple
@@ -61,7 +61,7 @@ if (!jsonArg) {
             to: targetFormat
         });
     } else {
-        throw new Error("Unknown summary type: " + type);
+        throw codedError("INVALID_ARGUMENT", "Unknown summary type: " + type);
     }
 
     if (!resultRecord) {
@@ -77,6 +77,6 @@ if (!jsonArg) {
     }, null, 2);
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
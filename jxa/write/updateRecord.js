@@ -29,7 +29,8 @@ const jsonArg = getArg(4, null);
 if (!jsonArg) {
   JSON.stringify({
     success: false,
-    error: 'Usage: updateRecord.js \'{"uuid":"...","text":"...","target":"content|annotation|comment|customMetadata"}\''
+    error: 'Usage: updateRecord.js \'{"uuid":"...","text":"...","target":"content|annotation|comment|customMetadata"}\'',
+    code: "INVALID_ARGUMENT"
   });
 } else {
   try {
@@ -38,27 +39,27 @@ if (!jsonArg) {
     const mode = params.mode || "setting";
     const target = params.target || "content";
 
-    if (!uuid) throw new Error("Missing required field: uuid");
-    if (text === undefined || text === null) throw new Error("Missing required field: text");
+    if (!uuid) throw codedError("INVALID_ARGUMENT", "Missing required field: uuid");
+    if (text === undefined || text === null) throw codedError("INVALID_ARGUMENT", "Missing required field: text");
 
     const validModes = ["setting", "inserting", "appending"];
     if (!validModes.includes(mode)) {
-      throw new Error("Invalid mode: " + mode + ". Valid: setting, inserting, appending");
+      throw codedError("INVALID_ARGUMENT", "Invalid mode: " + mode + ". Valid: setting, inserting, appending");
     }
 
     const validTargets = ["content", "comment", "customMetadata"];
     if (!validTargets.includes(target)) {
-      throw new Error("Invalid target: " + target + ". Valid: content, comment, customMetadata");
+      throw codedError("INVALID_ARGUMENT", "Invalid target: " + target + ". Valid: content, comment, customMetadata");
     }
 
     if (target === "customMetadata" && !customMetadataField) {
-      throw new Error("customMetadataField is required when target is customMetadata");
+      throw codedError("INVALID_ARGUMENT", "customMetadataField is required when target is customMetadata");
     }
 
     const app = Application("DEVONthink");
     const record = app.getRecordWithUuid(extractUuid(uuid));
 
-    if (!record) throw new Error("Record not found: " + uuid);
+    if (!record) throw codedError("RECORD_NOT_FOUND", "Record not found: " + uuid);
 
     const recordType = record.recordType();
     let success = false;
@@ -137,6 +138,6 @@ if (!jsonArg) {
     }
 
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
@@ -5,19 +5,21 @@
 //
 // Dependencies (injected by runner):
 // - getArg, isUuid, extractUuid, getDatabase, resolveGroup
+// - codedError(code, message)
+// - errorResult(e, fallbackCode)
 
 const arg1 = getArg(4, null);
 
 if (!arg1) {
-  JSON.stringify({ success: false, error: "Usage: updateSmartGroup.js '{\"smartGroupRef\":\"...\"}'" });
+  JSON.stringify({ success: false, error: "Usage: updateSmartGroup.js '{\"smartGroupRef\":\"...\"}'", code: "INVALID_ARGUMENT" });
 } else {
   try {
     const params = JSON.parse(arg1);
     const { smartGroupRef, database, groupPath, name, query, searchGroup } = params;
 
-    if (!smartGroupRef) throw new Error("Missing smartGroupRef");
+    if (!smartGroupRef) throw codedError("INVALID_ARGUMENT", "Missing smartGroupRef");
     if (name === undefined && query === undefined && searchGroup === undefined) {
-      throw new Error("No updates provided");
+      throw codedError("INVALID_ARGUMENT", "No updates provided");
     }
 
     const app = Application("DEVONthink");
@@ -26,16 +28,16 @@ if (!arg1) {
     if (isUuid(smartGroupRef)) {
       record = app.getRecordWithUuid(extractUuid(smartGroupRef));
     } else {
-      if (!database) throw new Error("Database is required when smartGroupRef is a name");
+      if (!database) throw codedError("INVALID_ARGUMENT", "Database is required when smartGroupRef is a name");
       const db = getDatabase(app, database);
       const parent = resolveGroup(app, groupPath || "/", db);
       const children = parent.children();
       record = children.find(c => c.recordType() === "smart group" && c.name() === smartGroupRef);
     }
 
-    if (!record) throw new Error("Smart group not found: " + smartGroupRef);
+    if (!record) throw codedError("GROUP_NOT_FOUND", "Smart group not found: " + smartGroupRef);
     if (record.recordType() !== "smart group") {
-      throw new Error("Record is not a smart group: " + record.recordType());
+      throw codedError("INVALID_ARGUMENT", "Record is not a smart group: " + record.recordType());
     }
 
     if (name !== undefined) {
@@ -58,6 +60,6 @@ if (!arg1) {
       searchGroup: record.searchGroup() ? record.searchGroup().location() : null
     }, null, 2);
   } catch (e) {
-    JSON.stringify({ success: false, error: e.message });
+    JSON.stringify(errorResult(e));
   }
 }
@@ -0,0 +1,218 @@
+/**
+ * Cassettes
+ * Record the script calls of a run with their results, and replay them anywhere:
+ *   DT_RECORD=file  run on the selected backend and append every call to file
+ *   DT_REPLAY=file  answer calls from file; nothing reaches osascript
+ *
+ * A cassette is NDJSON, one call per line:
+ *   {"category":"read","script":"search","args":["q"],"response":{...}}
+ *   {"source":"<sha1 of the script>","response":{...}}   (runJxaSource)
+ *   {"isRunning":true,"response":true}
+ *
+ * Replay matches calls on category, script and arguments. Identical calls get their
+ * recorded responses in order, the last one repeating once they run out. A call that
+ * is not in the cassette fails with an error naming it. sanitizeCassette() replaces
+ * UUIDs and personal names consistently, so a sanitized cassette still replays.
+ */
+
+import { readFileSync, appendFileSync, mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { createHash } from 'node:crypto';
+
+function sourceHash(source) {
+  return createHash('sha1').update(source).digest('hex');
+}
+
+/**
+ * Matching key of a call (the entry without its response)
+ */
+function keyOf(entry) {
+  if (entry.source) return JSON.stringify({ source: entry.source });
+  if (entry.isRunning) return JSON.stringify({ isRunning: true });
+  return JSON.stringify({ category: entry.category, script: entry.script, args: entry.args.map(String) });
+}
+
+function describeCall(entry) {
+  if (entry.source) return `inline script ${entry.source.slice(0, 12)}`;
+  if (entry.isRunning) return 'isRunning';
+  return `${entry.category}/${entry.script} ${JSON.stringify(entry.args.map(String))}`;
+}
+
+/**
+ * Read a cassette
+ * @param {string} file - NDJSON cassette
+ * @returns {object[]} Entries in recorded order
+ * @throws {Error} if the file is missing or a line is not a call
+ */
+export function readCassette(file) {
+  let text;
+  try {
+    text = readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read cassette ${file}: ${error.message}`);
+  }
+  return text.split('\n').flatMap((line, index) => {
+    if (!line.trim()) return [];
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid cassette ${file}, line ${index + 1}: ${error.message}`);
+    }
+    if (!('response' in entry) || !(entry.source || entry.isRunning || (entry.script && Array.isArray(entry.args)))) {
+      throw new Error(`Invalid cassette ${file}, line ${index + 1}: not a recorded call`);
+    }
+    return [entry];
+  });
+}
+
+/**
+ * Wrap a backend so that every call is appended to a cassette
+ * @param {import('./index.js').Backend} backend
+ * @param {string} file - Cassette to append to (created if missing)
+ * @returns {import('./index.js').Backend}
+ */
+export function recordBackend(backend, file) {
+  mkdirSync(dirname(file), { recursive: true });
+  const append = (entry) => appendFileSync(file, JSON.stringify(entry) + '\n');
+
+  return {
+    name: backend.name,
+    async run(category, scriptName, args, options) {
+      const response = await backend.run(category, scriptName, args, options);
+      append({ category, script: scriptName, args: args.map(String), response });
+      return response;
+    },
+    async runSource(source, options) {
+      const response = await backend.runSource(source, options);
+      append({ source: sourceHash(source), response });
+      return response;
+    },
+    async isRunning() {
+      const response = await backend.isRunning();
+      append({ isRunning: true, response });
+      return response;
+    },
+    enableWorker() {
+      backend.enableWorker?.();
+    }
+  };
+}
+
+/**
+ * A backend answering from a cassette
+ * @param {string} file - Cassette recorded with DT_RECORD
+ * @returns {import('./index.js').Backend}
+ */
+export function replayBackend(file) {
+  const recorded = new Map();
+  for (const entry of readCassette(file)) {
+    const key = keyOf(entry);
+    if (!recorded.has(key)) recorded.set(key, []);
+    recorded.get(key).push(entry.response);
+  }
+  const served = new Map();
+
+  const answer = (call) => {
+    const key = keyOf(call);
+    const responses = recorded.get(key);
+    if (!responses) return undefined;
+    const count = served.get(key) || 0;
+    served.set(key, count + 1);
+    return structuredClone(responses[Math.min(count, responses.length - 1)]);
+  };
+
+  const unmatched = (call) => {
+    const message = `No recorded response for ${describeCall(call)} in cassette ${file}`;
+    console.error(`Replay: ${message}`);
+    return { success: false, error: message };
+  };
+
+  return {
+    name: 'replay',
+    async run(category, scriptName, args) {
+      const call = { category, script: scriptName, args };
+      return answer(call) ?? unmatched(call);
+    },
+    async runSource(source) {
+      const call = { source: sourceHash(source) };
+      return answer(call) ?? unmatched(call);
+    },
+    async isRunning() {
+      // Cassettes written by hand need not record it
+      return answer({ isRunning: true }) ?? true;
+    }
+  };
+}
+
+const UUID_PATTERN = /\b[0-9A-F]{8}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{12}\b/gi;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Replace UUIDs and personal names in cassette entries, the same value always by
+ * the same replacement (in arguments and responses alike)
+ * @param {object[]} entries - From readCassette
+ * @param {object} [options] - `names`: personal names to replace (case-insensitive)
+ * @returns {{entries: object[], uuids: number, names: number}} Sanitized copies and how many distinct values were replaced
+ */
+export function sanitizeCassette(entries, options = {}) {
+  const uuids = new Map();
+  const names = new Map();
+  const nameList = (options.names || []).filter(Boolean).sort((a, b) => b.length - a.length);
+  const namePattern = nameList.length > 0
+    ? new RegExp(nameList.map(escapeRegExp).join('|'), 'gi')
+    : null;
+
+  const sanitizeString = (text) => {
+    let result = text.replace(UUID_PATTERN, (uuid) => {
+      const key = uuid.toUpperCase();
+      if (!uuids.has(key)) {
+        uuids.set(key, `00000000-0000-4000-8000-${String(uuids.size + 1).padStart(12, '0')}`);
+      }
+      return uuids.get(key);
+    });
+    // Home folders name their owner
+    result = result.replace(/\/Users\/[^/\s"]+/g, '/Users/user');
+    if (namePattern) {
+      result = result.replace(namePattern, (name) => {
+        const key = name.toLowerCase();
+        if (!names.has(key)) names.set(key, `Person ${names.size + 1}`);
+        return names.get(key);
+      });
+    }
+    return result;
+  };
+
+  const sanitize = (value) => {
+    if (typeof value === 'string') return sanitizeString(value);
+    if (Array.isArray(value)) return value.map(sanitize);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, v]) => [sanitizeString(key), sanitize(v)]));
+    }
+    return value;
+  };
+
+  // The hash of an inline script is kept: it is what replay matches on
+  const sanitized = entries.map(entry => (entry.source
+    ? { source: entry.source, response: sanitize(entry.response) }
+    : sanitize(entry)));
+  return { entries: sanitized, uuids: uuids.size, names: names.size };
+}
+
+/**
+ * Calls per script in a cassette
+ * @returns {Array<{call: string, count: number}>} Most frequent first
+ */
+export function summarizeCassette(entries) {
+  const counts = new Map();
+  for (const entry of entries) {
+    const call = entry.source ? 'inline script' : (entry.isRunning ? 'isRunning' : `${entry.category}/${entry.script}`);
+    counts.set(call, (counts.get(call) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .map(([call, count]) => ({ call, count }))
+    .sort((a, b) => b.count - a.count || a.call.localeCompare(b.call));
+}
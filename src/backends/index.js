@@ -0,0 +1,54 @@
+/**
+ * Backends
+ * A backend runs the scripts in jxa/ by name: runJxa hands it the category, script
+ * name and arguments and gets back the script's JSON result. DT_BACKEND picks it:
+ *   osascript (default) - DEVONthink via osascript, macOS only
+ *   memory              - an in-memory fake DEVONthink (see memory.js), any platform
+ * DT_RECORD and DT_REPLAY record the calls to a cassette, or answer them from one
+ * (see cassette.js).
+ *
+ * @typedef {object} Backend
+ * @property {string} name
+ * @property {(category: string, scriptName: string, args: string[], options: {timeout: number, taskTimeout: boolean}) => Promise<object>} run
+ * @property {(source: string, options: {timeout: number}) => Promise<object>} runSource - Run JXA built by a command
+ * @property {() => Promise<boolean|object>} isRunning
+ * @property {() => void} [enableWorker] - Reuse one process across calls (osascript)
+ */
+
+import { recordBackend, replayBackend } from './cassette.js';
+
+const BACKENDS = {
+  osascript: () => import('./osascript.js'),
+  memory: () => import('./memory.js')
+};
+
+export const BACKEND_NAMES = Object.keys(BACKENDS);
+
+let current = null;
+
+/**
+ * The backend selected by DT_BACKEND, DT_RECORD and DT_REPLAY (loaded once per process)
+ * @returns {Promise<Backend>}
+ * @throws {Error} on an unknown backend name, or an unreadable cassette
+ */
+export async function getBackend() {
+  if (!current) {
+    const { DT_RECORD: recordFile, DT_REPLAY: replayFile } = process.env;
+    if (recordFile && replayFile) {
+      throw new Error('Set DT_RECORD or DT_REPLAY, not both');
+    }
+    if (replayFile) {
+      current = replayBackend(replayFile);
+      return current;
+    }
+
+    const name = process.env.DT_BACKEND || 'osascript';
+    const load = BACKENDS[name];
+    if (!load) {
+      throw new Error(`Unknown DT_BACKEND: ${name} (use ${BACKEND_NAMES.join(', ')})`);
+    }
+    const backend = await load();
+    current = recordFile ? recordBackend(backend, recordFile) : backend;
+  }
+  return current;
+}
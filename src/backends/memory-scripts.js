@@ -0,0 +1,1408 @@
+/**
+ * Memory Scripts
+ * The scripts in jxa/ re-implemented against the memory store: same arguments, same
+ * JSON results, same error messages. Keyed by "category/scriptName"; each takes the
+ * state and the string arguments runJxa passes, and throws or returns a result.
+ *
+ * Scripts that need DEVONthink's AI, OCR, the network or files on disk are not
+ * modelled; the backend reports them as unsupported.
+ */
+
+import {
+  RECORD_TYPES, addRecord, touch, isUuid, extractUuid, getRecord, databaseOf, findDatabase,
+  currentDatabase, getDatabase, isGroup, rootOf, resolveGroup, children, parentOf,
+  location, locationWithName, filename, filePath, typeInfo, plainText, contentHash, contents,
+  tagIndex, moveTo, trash, replicate, duplicate, search
+} from './memory-store.js';
+
+/**
+ * getArg: argument i (0 = first), or the default when missing or empty
+ */
+function arg(args, index, defaultValue = null) {
+  const value = args[index];
+  return value !== undefined && value !== null && value.length > 0 ? value : defaultValue;
+}
+
+function parseJsonArg(args, usage) {
+  const json = arg(args, 0);
+  if (!json) throw Object.assign(new Error(usage), { usage: true });
+  return JSON.parse(json);
+}
+
+function dateString(iso) {
+  return iso ? new Date(iso).toString() : null;
+}
+
+function requireRecord(state, uuid, label = 'Record') {
+  const record = getRecord(state, uuid);
+  if (!record) throw new Error(`${label} not found: ${uuid}`);
+  return record;
+}
+
+/**
+ * Database of the tag scripts: by name or database UUID, or the current one
+ */
+function tagDatabase(state, ref) {
+  if (!ref) {
+    const db = currentDatabase(state);
+    if (!db) throw new Error('No database specified and no current database');
+    return db;
+  }
+  const db = isUuid(ref)
+    ? state.databases.find(d => d.uuid === extractUuid(ref))
+    : state.databases.find(d => d.name === ref);
+  if (!db) throw new Error('Database not found: ' + ref);
+  return db;
+}
+
+/**
+ * A smart group by UUID, or by name in a group of a database
+ */
+function findSmartGroup(state, { smartGroupRef, database, groupPath }) {
+  if (!smartGroupRef) throw new Error('Missing smartGroupRef');
+  let record;
+  if (isUuid(smartGroupRef)) {
+    record = getRecord(state, smartGroupRef);
+  } else {
+    if (!database) throw new Error('Database is required when smartGroupRef is a name');
+    const parent = resolveGroup(state, groupPath || '/', getDatabase(state, database));
+    record = children(state, parent).find(c => c.type === 'smart group' && c.name === smartGroupRef);
+  }
+  if (!record) throw new Error('Smart group not found: ' + smartGroupRef);
+  if (record.type !== 'smart group') {
+    throw new Error('Record is not a smart group: ' + record.type);
+  }
+  return record;
+}
+
+function mightNeedOCR(type) {
+  return ['pdf', 'picture', 'image'].includes(type);
+}
+
+/**
+ * Words of a record's text with their counts, most frequent first
+ */
+function concordance(record) {
+  const counts = new Map();
+  for (const word of plainText(record).toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || []) {
+    counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).map(([word]) => word);
+}
+
+function itemLinks(text) {
+  return [...String(text).matchAll(/x-devonthink-item:\/\/([A-F0-9-]+)/gi)].map(m => m[1]);
+}
+
+/**
+ * Full property set of getRecordProperties
+ */
+function recordProperties(state, record) {
+  const db = databaseOf(state, record);
+  const parent = parentOf(state, record);
+  const info = typeInfo(record);
+  const text = plainText(record);
+  const prefix = (value) => {
+    const trimmed = String(value).replace(/\/+$/, '').replace(/^\//, '');
+    return trimmed ? `${db.name}/${trimmed}` : db.name;
+  };
+  return {
+    success: true,
+    id: record.id,
+    uuid: record.uuid,
+    name: record.name,
+    filename: filename(record),
+    path: filePath(state, record),
+    location: prefix(locationWithName(state, record)),
+    locationWithName: prefix(locationWithName(state, record)),
+    database: db.name,
+    parentUuid: parent ? parent.uuid : null,
+    parentName: parent ? parent.name : null,
+    parentPath: parent ? prefix(location(state, record)) : null,
+    recordType: record.type,
+    kind: info.kind,
+    mimeType: info.mimeType,
+    creationDate: record.creationDate,
+    modificationDate: record.modificationDate,
+    additionDate: record.additionDate,
+    openingDate: null,
+    size: Buffer.byteLength(record.content || ''),
+    wordCount: (text.match(/\S+/g) || []).length,
+    characterCount: text.length,
+    pageCount: 0,
+    duration: 0,
+    width: 0,
+    height: 0,
+    dpi: 0,
+    tags: [...record.tags],
+    comment: record.comment,
+    url: record.url,
+    aliases: record.aliases,
+    rating: record.rating,
+    label: record.label,
+    flag: record.flag,
+    unread: record.unread,
+    locked: record.locked,
+    indexed: false,
+    pending: false,
+    encrypted: false,
+    score: 0,
+    state: record.flag,
+    excludeFromSearch: Boolean(record.exclusions.excludeFromSearch),
+    excludeFromClassification: Boolean(record.exclusions.excludeFromClassification),
+    excludeFromSeeAlso: Boolean(record.exclusions.excludeFromSeeAlso),
+    excludeFromTagging: Boolean(record.exclusions.excludeFromTagging),
+    excludeFromWikiLinking: Boolean(record.exclusions.excludeFromWikiLinking),
+    excludeFromChat: Boolean(record.exclusions.excludeFromChat),
+    numberOfDuplicates: text
+      ? contents(state, db).filter(r => r !== record && r.type === record.type && r.content === record.content).length
+      : 0,
+    numberOfReplicants: Math.max(0, record.parents.length - 1),
+    annotationCount: 0,
+    attachmentCount: 0,
+    latitude: 0,
+    longitude: 0,
+    altitude: 0,
+    batesNumber: 0,
+    doi: null,
+    isbn: null
+  };
+}
+
+/**
+ * Set a record's tags; the result entry batchTag reports
+ */
+function applyTags(record, tags, operation) {
+  const current = record.tags;
+  let next;
+  if (operation === 'set') next = [...tags];
+  else if (operation === 'add') next = [...new Set([...current, ...tags])];
+  else if (operation === 'remove') next = current.filter(t => !tags.includes(t));
+  else throw new Error('Invalid operation: ' + operation);
+
+  if ([...current].sort().join('|') === [...next].sort().join('|')) return { status: 'unchanged' };
+  record.tags = next;
+  touch(record);
+  return { status: 'updated', tags: next };
+}
+
+/**
+ * resolveOrCreateGroup's match for one path part: exact name, then case/whitespace,
+ * then (last part only) the same last name ("Doe, J.") or first word
+ */
+function findMatchingGroup(candidates, target, isLeaf) {
+  const normalize = (s) => s.toUpperCase().trim().replace(/\s+/g, ' ');
+  const lastName = (s) => (s.indexOf(',') > 0 ? s.slice(0, s.indexOf(',')) : s).trim().toUpperCase();
+  const firstWord = (s) => s.split(/[\s,\-&]+/)[0].toUpperCase();
+  const groups = candidates.filter(isGroup);
+  const pick = (test) => groups.find(c => c.type === 'group' && test(c)) || groups.find(c => c.type === 'smart group' && test(c));
+
+  return pick(c => c.name === target) ||
+    pick(c => normalize(c.name) === normalize(target)) ||
+    (isLeaf && target.includes(',') ? pick(c => lastName(c.name) === lastName(target)) : null) ||
+    (isLeaf && !target.includes(',') ? pick(c => firstWord(c.name) === firstWord(target) && firstWord(target).length > 2) : null) ||
+    null;
+}
+
+/**
+ * Resolve a copy/move destination: a UUID, or a path in the given database
+ */
+function destinationGroup(state, to, databaseRef, missingMessage) {
+  let group;
+  if (isUuid(to)) {
+    group = getRecord(state, to);
+    if (!group) throw new Error('Destination group not found: ' + to);
+  } else if (databaseRef) {
+    group = resolveGroup(state, to, getDatabase(state, databaseRef));
+  } else {
+    throw new Error(missingMessage);
+  }
+  if (!isGroup(group)) throw new Error('Destination is not a group: ' + group.type);
+  return group;
+}
+
+function applyMode(current, text, mode) {
+  const value = current || '';
+  if (mode === 'appending') return value + text;
+  if (mode === 'inserting') {
+    const end = value.indexOf('\n');
+    return end === -1 ? value + '\n' + text : value.slice(0, end + 1) + text + value.slice(end + 1);
+  }
+  return text;
+}
+
+export const SCRIPTS = {
+  // -------------------------------------------------------------------------
+  // utils
+  // -------------------------------------------------------------------------
+  'utils/isRunning': (state) => ({
+    success: true,
+    running: state.running,
+    appName: 'DEVONthink',
+    appShortName: 'DT',
+    message: state.running ? 'DEVONthink (DT) is running' : 'DEVONthink (DT) is not running'
+  }),
+
+  'utils/revealRecord': (state, args) => {
+    const uuid = arg(args, 0);
+    if (!uuid) throw Object.assign(new Error('Usage: revealRecord.js <uuid> [self|parent] [window|tab|reveal]'), { usage: true });
+    const target = arg(args, 1, 'self');
+    const mode = arg(args, 2, 'window');
+    const record = requireRecord(state, uuid);
+    const revealed = target === 'parent' ? parentOf(state, record) : record;
+    if (!revealed) throw new Error('No parent group found');
+    if (mode === 'reveal' && !isGroup(revealed)) state.selection = [revealed.uuid];
+    return {
+      success: true,
+      target: target === 'parent' ? 'parent' : 'self',
+      mode,
+      revealed: {
+        name: revealed.name,
+        uuid: revealed.uuid,
+        location: location(state, revealed),
+        database: databaseOf(state, revealed).name,
+        recordType: revealed.type
+      }
+    };
+  },
+
+  // -------------------------------------------------------------------------
+  // read
+  // -------------------------------------------------------------------------
+  'read/listDatabases': (state) => state.databases.map(db => ({
+    name: db.name,
+    uuid: db.uuid,
+    path: db.path,
+    isInbox: db.name === 'Inbox'
+  })),
+
+  'read/getRecordProperties': (state, args) => {
+    let uuid = arg(args, 0);
+    let fields = null;
+    if (uuid && uuid.trim().startsWith('{')) {
+      const parsed = JSON.parse(uuid);
+      uuid = parsed.uuid || null;
+      fields = Array.isArray(parsed.fields) ? parsed.fields : null;
+    }
+    const fieldsArg = arg(args, 1);
+    if (fieldsArg) {
+      const trimmed = fieldsArg.trim();
+      if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        const parsed = JSON.parse(trimmed);
+        fields = Array.isArray(parsed.fields) ? parsed.fields : (Array.isArray(parsed) ? parsed : fields);
+      } else {
+        fields = trimmed.split(',').map(s => s.trim()).filter(Boolean);
+      }
+    }
+    if (!uuid) return { success: false, error: 'Usage: getRecordProperties.js <uuid>' };
+    const record = getRecord(state, uuid);
+    if (!record) return { success: false, error: 'Record not found: ' + extractUuid(uuid) };
+
+    const props = recordProperties(state, record);
+    if (!fields || fields.length === 0) return props;
+    const filtered = { success: true };
+    fields.forEach(field => {
+      filtered[field] = Object.prototype.hasOwnProperty.call(props, field) ? props[field] : null;
+    });
+    return filtered;
+  },
+
+  'read/getRecordPreview': (state, args) => {
+    const uuid = arg(args, 0);
+    if (!uuid) return { success: false, error: 'Usage: getRecordPreview.js <uuid> [maxChars]' };
+    const maxChars = parseInt(arg(args, 1, '3000'), 10) || 3000;
+    const record = getRecord(state, uuid);
+    if (!record) return { success: false, error: 'Record not found: ' + uuid };
+    const text = plainText(record);
+    return {
+      success: true,
+      uuid,
+      name: record.name,
+      recordType: record.type,
+      preview: text.slice(0, maxChars),
+      totalLength: text.length,
+      truncated: text.length > maxChars
+    };
+  },
+
+  'read/getRecordPath': (state, args) => {
+    const uuidArg = arg(args, 0);
+    if (!uuidArg) return { success: false, error: 'Usage: getRecordPath.js <uuid> [filepath|dbpath]' };
+    const uuid = extractUuid(uuidArg);
+    const record = getRecord(state, uuid);
+    if (!record) return { success: false, error: 'Record not found: ' + uuid };
+    if (arg(args, 1, 'filepath') === 'dbpath') {
+      return { success: true, uuid, location: location(state, record), database: databaseOf(state, record).name };
+    }
+    return { success: true, uuid, path: filePath(state, record) };
+  },
+
+  'read/getCustomMetadata': (state, args) => {
+    const { uuid, field, all } = parseJsonArg(args, 'Usage: getCustomMetadata.js \'{"uuid":"...","field":"..."}\' or \'{"uuid":"...","all":true}\'');
+    if (!uuid) throw new Error('Missing required field: uuid');
+    const record = requireRecord(state, uuid);
+    if (all) {
+      const metadata = Object.entries(record.customMetaData)
+        .map(([key, value]) => ({ field: key, value, type: value === null ? 'null' : typeof value }))
+        .sort((a, b) => a.field.localeCompare(b.field));
+      return { success: true, uuid, name: record.name, count: metadata.length, metadata };
+    }
+    if (!field) throw new Error("Either 'field' or 'all:true' is required");
+    const value = record.customMetaData['md' + field.toLowerCase()] ?? record.customMetaData[field] ?? null;
+    return { success: true, uuid, name: record.name, field, value, type: value === null ? 'null' : typeof value };
+  },
+
+  'read/getSelection': (state) => {
+    const selection = state.selection.map(uuid => getRecord(state, uuid)).filter(Boolean);
+    if (selection.length === 0) {
+      return {
+        success: false,
+        error: 'No records selected in DEVONthink',
+        hint: 'Select one or more items in DEVONthink and try again'
+      };
+    }
+    const records = selection.map(record => ({
+      uuid: record.uuid,
+      name: record.name,
+      path: filePath(state, record),
+      location: location(state, record),
+      database: databaseOf(state, record).name,
+      type: record.type,
+      kind: typeInfo(record).kind,
+      tags: [...record.tags],
+      comment: record.comment,
+      creationDate: dateString(record.creationDate),
+      modificationDate: dateString(record.modificationDate),
+      size: Buffer.byteLength(record.content || ''),
+      wordCount: (plainText(record).match(/\S+/g) || []).length
+    }));
+    return { success: true, count: records.length, records };
+  },
+
+  'read/getConcordance': (state, args) => {
+    const uuid = arg(args, 0);
+    if (!uuid) return { success: false, error: 'Usage: getConcordance.js <uuid> [sortBy]' };
+    const sortBy = arg(args, 1, 'weight');
+    const record = requireRecord(state, uuid);
+    const words = concordance(record);
+    const sort = sortBy.toLowerCase();
+    if (sort === 'name' || sort === 'alphabetical') words.sort((a, b) => a.localeCompare(b));
+    return {
+      success: true,
+      uuid,
+      name: record.name,
+      sortedBy: words.length === 0 ? (['frequency', 'count'].includes(sort) ? 'frequency' : 'weight') : sortBy,
+      wordCount: words.length,
+      words
+    };
+  },
+
+  'read/getRelated': (state, args) => {
+    const params = parseJsonArg(args, 'Missing arguments');
+    const uuid = extractUuid(params.uuid);
+    const type = params.type || 'all';
+    const limit = params.limit || 50;
+    if (!uuid) throw new Error('Missing UUID');
+    const record = requireRecord(state, uuid);
+    const db = params.database ? getDatabase(state, params.database) : databaseOf(state, record);
+    const format = (r, relation, score) => ({
+      uuid: r.uuid,
+      name: r.name,
+      database: databaseOf(state, r).name,
+      location: location(state, r),
+      relation,
+      score: score || null,
+      path: filePath(state, r)
+    });
+    const others = contents(state, db).filter(r => r !== record && !isGroup(r));
+    const ranked = (score) => others
+      .map(r => ({ r, score: score(r) }))
+      .filter(x => x.score > 0)
+      .sort((a, b) => b.score - a.score);
+
+    let results = [];
+    if (type === 'incoming' || type === 'all') {
+      others.filter(r => itemLinks(plainText(r)).includes(record.uuid)).forEach(r => results.push(format(r, 'incoming')));
+    }
+    if (type === 'outgoing' || type === 'all') {
+      itemLinks(plainText(record)).map(link => getRecord(state, link)).filter(Boolean)
+        .forEach(r => results.push(format(r, 'outgoing')));
+    }
+    const words = new Set(concordance(record));
+    const byWords = (r) => concordance(r).filter(w => words.has(w)).length / Math.max(1, words.size);
+    if (type === 'similar' || type === 'all') {
+      ranked(byWords).forEach(x => results.push(format(x.r, 'similar', x.score)));
+    }
+    if (type === 'byData') {
+      ranked(byWords).forEach(x => results.push(format(x.r, 'byData', x.score)));
+    }
+    if (type === 'byTags') {
+      ranked(r => r.tags.filter(t => record.tags.includes(t)).length / Math.max(1, record.tags.length))
+        .forEach(x => results.push(format(x.r, 'byTags', x.score)));
+    }
+    if (type === 'all') {
+      const seen = new Set();
+      results = results.filter(r => !seen.has(r.uuid + r.relation) && seen.add(r.uuid + r.relation));
+    }
+    results = results.slice(0, limit);
+    return { success: true, source: { uuid: record.uuid, name: record.name }, relations: results, count: results.length };
+  },
+
+  'read/search': (state, args) => {
+    const query = arg(args, 0);
+    if (!query) return { success: false, error: 'Usage: search.js <query> [options-json]' };
+    let opts;
+    try {
+      opts = JSON.parse(arg(args, 1, '{}'));
+    } catch {
+      opts = { database: arg(args, 1) };
+    }
+    const limit = parseInt(opts.limit, 10) || 50;
+    let scope = null;
+    if (opts.parentUUID) {
+      scope = getRecord(state, opts.parentUUID);
+      if (!scope) throw new Error('Parent group not found: ' + opts.parentUUID);
+    } else if (opts.database) {
+      scope = rootOf(state, getDatabase(state, opts.database));
+    }
+
+    const summary = {};
+    if (opts.database) summary.database = opts.database;
+    if (opts.parentUUID) summary.parentUUID = opts.parentUUID;
+    if (opts.comparison) summary.comparison = opts.comparison;
+    if (opts.excludeSubgroups === true) summary.excludeSubgroups = true;
+    if (opts.recordType) summary.recordType = opts.recordType;
+    summary.limit = limit;
+
+    let results = search(state, query, { scope, excludeSubgroups: opts.excludeSubgroups === true });
+    if (results.length === 0) {
+      return { success: true, query, options: summary, results: [], totalCount: 0 };
+    }
+    if (opts.recordType) results = results.filter(r => r.type === opts.recordType);
+    const output = results.slice(0, limit).map(r => ({
+      uuid: r.uuid,
+      name: r.name,
+      recordType: r.type,
+      location: location(state, r),
+      database: databaseOf(state, r).name,
+      tags: [...r.tags],
+      modificationDate: dateString(r.modificationDate)
+    }));
+    return { success: true, query, options: summary, results: output, totalCount: results.length, returned: output.length };
+  },
+
+  'read/showSearch': (state, args) => ({
+    success: true,
+    query: arg(args, 0, ''),
+    message: 'Search opened in DEVONthink'
+  }),
+
+  'read/lookupRecords': (state, args) => {
+    const params = parseJsonArg(args, 'Usage: lookupRecords.js \'{"type":"comment|hash|file|path|tags|url","value":"..."}\'');
+    const { type, value, database: databaseRef, any } = params;
+    if (!type) throw new Error('Missing required field: type');
+    if (!value) throw new Error('Missing required field: value');
+    const validTypes = ['comment', 'hash', 'file', 'path', 'tags', 'url'];
+    if (!validTypes.includes(type)) {
+      throw new Error('Invalid type: ' + type + '. Valid: ' + validTypes.join(', '));
+    }
+    const pool = databaseRef
+      ? contents(state, getDatabase(state, databaseRef))
+      : state.databases.flatMap(db => contents(state, db));
+    const tags = Array.isArray(value) ? value : [value];
+    const tests = {
+      comment: r => r.comment === value,
+      hash: r => contentHash(r) === value,
+      file: r => filename(r) === value || r.name === value,
+      path: r => filePath(state, r) === value,
+      tags: r => (any === true ? tags.some(t => r.tags.includes(t)) : tags.every(t => r.tags.includes(t))),
+      url: r => r.url === value
+    };
+    const records = pool.filter(tests[type]).map(r => ({
+      uuid: r.uuid,
+      name: r.name,
+      type: r.type,
+      location: location(state, r),
+      database: databaseOf(state, r).name
+    }));
+    return { success: true, lookupType: type, query: value, count: records.length, records };
+  },
+
+  'read/queryByTag': (state, args) => {
+    const tag = arg(args, 0);
+    if (!tag) return { success: false, error: 'Usage: queryByTag.js <tag> [database] [limit]' };
+    const databaseRef = arg(args, 1, '');
+    const limit = parseInt(arg(args, 2, '50'), 10) || 50;
+    let scope = null;
+    let dbName = databaseRef;
+    if (databaseRef) {
+      const db = getDatabase(state, databaseRef);
+      scope = rootOf(state, db);
+      dbName = db.name;
+    }
+    const results = search(state, `tag:${tag}`, { scope })
+      .filter(r => !isGroup(r))
+      .sort((a, b) => a.additionDate.localeCompare(b.additionDate));
+    if (results.length === 0) {
+      return { success: true, tag, database: dbName || 'all', results: [], totalCount: 0 };
+    }
+    const output = results.slice(0, limit).map(r => ({
+      uuid: r.uuid,
+      name: r.name,
+      recordType: r.type,
+      location: location(state, r),
+      database: databaseOf(state, r).name,
+      path: filePath(state, r),
+      tags: [...r.tags],
+      additionDate: dateString(r.additionDate)
+    }));
+    return { success: true, tag, database: dbName || 'all', results: output, totalCount: results.length, returned: output.length };
+  },
+
+  'read/listGroupContents': (state, args) => {
+    const arg1 = arg(args, 0);
+    const arg2 = arg(args, 1);
+    if (!arg1) {
+      return { success: false, error: 'Usage: listGroupContents.js <groupUuid> OR listGroupContents.js <database> <path>' };
+    }
+    let params = null;
+    try {
+      if (arg1.trim().startsWith('{')) params = JSON.parse(arg1);
+    } catch {
+      // Not JSON: positional arguments
+    }
+    let group;
+    if (params && params.groupRef) {
+      group = getRecord(state, params.groupRef);
+      if (!group) throw new Error('Group not found with UUID: ' + params.groupRef);
+    } else if (isUuid(arg1) && !arg2) {
+      group = getRecord(state, arg1);
+      if (!group) throw new Error('Group not found with UUID: ' + arg1);
+    } else {
+      const db = state.databases.find(d => d.name === arg1);
+      if (!db) throw new Error('Database not found: ' + arg1);
+      group = resolveGroup(state, arg2 || '/', db);
+    }
+    if (!isGroup(group)) throw new Error('Not a group: ' + group.type);
+    const items = children(state, group).map(c => ({
+      uuid: c.uuid,
+      name: c.name,
+      recordType: c.type,
+      tags: [...c.tags],
+      modificationDate: dateString(c.modificationDate)
+    }));
+    return {
+      success: true,
+      group: group.name,
+      uuid: group.uuid,
+      path: location(state, group),
+      database: databaseOf(state, group).name,
+      itemCount: items.length,
+      items
+    };
+  },
+
+  'read/listInbox': (state, args) => {
+    const limit = parseInt(arg(args, 0, '50'), 10);
+    const folderName = arg(args, 1, '_TO BE FILED');
+    const maxChars = parseInt(arg(args, 2, '0'), 10) || 0;
+    const inbox = state.databases.find(d => d.name === 'Inbox');
+    if (!inbox) throw new Error('Inbox database not found');
+    let folder = rootOf(state, inbox);
+    if (folderName && folderName !== '/') {
+      folder = children(state, folder).find(c => c.name === folderName) || folder;
+    }
+    const documents = children(state, folder)
+      .filter(c => !isGroup(c))
+      .sort((a, b) => b.additionDate.localeCompare(a.additionDate));
+    const needsOCR = [];
+    const items = documents.slice(0, limit).map(c => {
+      const item = {
+        uuid: c.uuid,
+        name: c.name,
+        recordType: c.type,
+        path: filePath(state, c),
+        additionDate: dateString(c.additionDate),
+        size: Buffer.byteLength(c.content || '')
+      };
+      const text = plainText(c);
+      if (maxChars > 0) {
+        if (text.length === 0 && mightNeedOCR(c.type)) {
+          Object.assign(item, { preview: '', totalLength: 0, needsOCR: true, tags: [...c.tags] });
+          needsOCR.push({ uuid: c.uuid, name: c.name, recordType: c.type, path: item.path });
+        } else {
+          Object.assign(item, {
+            preview: text.slice(0, maxChars),
+            totalLength: text.length,
+            truncated: text.length > maxChars,
+            needsOCR: false,
+            tags: [...c.tags]
+          });
+        }
+      } else {
+        item.hasContent = text.length > 0;
+      }
+      return item;
+    });
+    const result = {
+      success: true,
+      folder: folder.name,
+      database: 'Inbox',
+      totalCount: documents.length,
+      returned: items.length,
+      items
+    };
+    if (maxChars > 0) Object.assign(result, { maxChars, needsOCRCount: needsOCR.length, needsOCR });
+    return result;
+  },
+
+  'read/listTags': (state, args) => {
+    const params = parseJsonArg(args, 'Usage: listTags.js \'{"database": "..."}\'');
+    const db = tagDatabase(state, params.database);
+    const records = contents(state, db);
+    const counts = {};
+    records.forEach(r => r.tags.forEach(tag => { counts[tag] = (counts[tag] || 0) + 1; }));
+    let tags = Object.entries(counts).map(([tag, count]) => ({ tag, count }));
+    const minCount = params.minCount || 1;
+    if (minCount > 1) tags = tags.filter(t => t.count >= minCount);
+    if ((params.sort || 'alpha') === 'count') {
+      tags.sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    } else {
+      tags.sort((a, b) => a.tag.toLowerCase().localeCompare(b.tag.toLowerCase()));
+    }
+    return {
+      success: true,
+      database: db.name,
+      databaseUuid: db.uuid,
+      totalRecords: records.length,
+      totalTags: tags.length,
+      totalTagInstances: Object.values(counts).reduce((a, b) => a + b, 0),
+      tags
+    };
+  },
+
+  'read/listSmartGroups': (state, args) => {
+    const arg1 = arg(args, 0);
+    const arg2 = arg(args, 1);
+    let group;
+    let db;
+    const params = arg1 && arg1.trim().startsWith('{') ? JSON.parse(arg1) : null;
+    if (params) {
+      if (params.groupRef) {
+        if (isUuid(params.groupRef)) {
+          group = getRecord(state, params.groupRef);
+          if (!group) throw new Error('Group not found with UUID: ' + params.groupRef);
+          db = databaseOf(state, group);
+        } else {
+          if (!params.database) throw new Error('Database required for group path');
+          db = getDatabase(state, params.database);
+          group = resolveGroup(state, params.groupRef, db);
+        }
+      } else {
+        db = getDatabase(state, params.database);
+        group = rootOf(state, db);
+      }
+    } else if (arg1 && isUuid(arg1) && !arg2) {
+      group = getRecord(state, arg1);
+      if (!group) throw new Error('Group not found with UUID: ' + arg1);
+      db = databaseOf(state, group);
+    } else {
+      db = getDatabase(state, arg1);
+      group = resolveGroup(state, arg2 || '/', db);
+    }
+    if (!isGroup(group)) throw new Error('Not a group: ' + group.type);
+    const smartGroups = children(state, group)
+      .filter(c => c.type === 'smart group')
+      .map(sg => ({ name: sg.name, uuid: sg.uuid, path: location(state, sg), database: db.name }));
+    return { success: true, database: db.name, group: group.name, uuid: group.uuid, count: smartGroups.length, smartGroups };
+  },
+
+  'read/listSmartGroupItems': (state, args) => {
+    const arg1 = arg(args, 0);
+    if (!arg1) return { success: false, error: "Usage: listSmartGroupItems.js '{\"smartGroupRef\":\"...\"}'" };
+    const params = arg1.trim().startsWith('{') ? JSON.parse(arg1) : { smartGroupRef: arg1 };
+    const record = findSmartGroup(state, params);
+    const items = children(state, record);
+    const limit = params.limit ? parseInt(params.limit, 10) : null;
+    const results = (limit ? items.slice(0, limit) : items).map(item => ({
+      uuid: item.uuid,
+      name: item.name,
+      recordType: item.type,
+      path: location(state, item)
+    }));
+    return { success: true, smartGroup: record.name, uuid: record.uuid, count: results.length, items: results };
+  },
+
+  'read/batchPreview': (state, args) => {
+    const uuidsJson = arg(args, 0);
+    if (!uuidsJson) return { success: false, error: "Usage: batchPreview.js '<json-array-of-uuids>' [maxChars]" };
+    const maxChars = parseInt(arg(args, 1, '3000'), 10) || 3000;
+    const uuids = JSON.parse(uuidsJson);
+    if (!Array.isArray(uuids)) throw new Error('Input must be a JSON array of UUIDs');
+    const results = [];
+    const errors = [];
+    const needsOCR = [];
+    for (const uuid of uuids) {
+      const record = getRecord(state, uuid);
+      if (!record) {
+        errors.push({ uuid, error: 'Record not found' });
+        continue;
+      }
+      const text = plainText(record);
+      const base = { uuid, name: record.name, recordType: record.type, path: filePath(state, record) };
+      if (text.length === 0 && mightNeedOCR(record.type)) {
+        needsOCR.push(base);
+        results.push({ ...base, preview: '', totalLength: 0, needsOCR: true, tags: [...record.tags] });
+      } else {
+        results.push({
+          ...base,
+          preview: text.slice(0, maxChars),
+          totalLength: text.length,
+          truncated: text.length > maxChars,
+          needsOCR: false,
+          tags: [...record.tags]
+        });
+      }
+    }
+    return {
+      success: true,
+      requested: uuids.length,
+      returned: results.length,
+      needsOCRCount: needsOCR.length,
+      errorCount: errors.length,
+      results,
+      needsOCR,
+      errors
+    };
+  },
+
+  'read/batchVerify': (state, args) => {
+    const uuidsJson = arg(args, 0);
+    if (!uuidsJson) return { success: false, error: "Usage: batchVerify.js '<json-array-of-uuids>'" };
+    const uuids = JSON.parse(uuidsJson);
+    if (!Array.isArray(uuids)) throw new Error('Input must be a JSON array of UUIDs');
+    const results = [];
+    const errors = [];
+    for (const uuid of uuids) {
+      const record = getRecord(state, uuid);
+      if (!record) {
+        errors.push({ uuid, error: 'Record not found' });
+        continue;
+      }
+      results.push({
+        uuid,
+        name: record.name,
+        location: location(state, record),
+        parentUuid: parentOf(state, record)?.uuid ?? null,
+        database: databaseOf(state, record).name,
+        recordType: record.type,
+        tags: [...record.tags],
+        comment: record.comment || '',
+        customMetaData: { ...record.customMetaData }
+      });
+    }
+    return { success: true, requested: uuids.length, verified: results.length, errorCount: errors.length, results, errors };
+  },
+
+  'read/verifyResources': (state, args) => {
+    const request = parseJsonArg(args, 'Usage: verifyResources.js JSON');
+    const results = { uuids: {}, paths: {}, databases: {} };
+    (request.databases || []).forEach(ref => {
+      results.databases[ref] = state.databases.some(d => d.name === ref || d.uuid === ref);
+    });
+    (request.uuids || []).forEach(uuid => {
+      if (uuid) results.uuids[uuid] = Boolean(getRecord(state, uuid));
+    });
+    (request.paths || []).forEach(({ database, path }) => {
+      const key = `${database}::${path}`;
+      let db;
+      if (!database) db = currentDatabase(state);
+      else if (isUuid(database)) db = getRecord(state, database) ? databaseOf(state, getRecord(state, database)) : null;
+      else db = findDatabase(state, database);
+      if (!db) {
+        results.paths[key] = { exists: false, error: 'Database not found' };
+        return;
+      }
+      let current = rootOf(state, db);
+      for (const part of path.split('/').filter(p => p.length > 0)) {
+        current = current && children(state, current).find(c => c.name === part);
+      }
+      results.paths[key] = { exists: Boolean(current) };
+    });
+    return { success: true, results };
+  },
+
+  // -------------------------------------------------------------------------
+  // write
+  // -------------------------------------------------------------------------
+  'write/createRecord': (state, args) => {
+    const params = parseJsonArg(args, 'Usage: createRecord.js \'{"name":"...","type":"...","database":"..."}\'');
+    const { name, type, database: databaseRef, groupPath, content, url, tags, query, searchGroup } = params;
+    if (!name) throw new Error('Missing required field: name');
+    if (!type) throw new Error('Missing required field: type');
+
+    let db;
+    let destination;
+    if (groupPath && isUuid(groupPath)) {
+      destination = getRecord(state, groupPath);
+      if (!destination) throw new Error('Group not found with UUID: ' + groupPath);
+      if (!isGroup(destination)) throw new Error('UUID does not point to a group: ' + destination.type);
+      db = databaseOf(state, destination);
+    } else {
+      if (!databaseRef) throw new Error('Missing required field: database (required when groupPath is not a UUID)');
+      db = getDatabase(state, databaseRef);
+      destination = resolveGroup(state, groupPath || '/', db);
+    }
+
+    const validTypes = RECORD_TYPES;
+    if (!validTypes.includes(type)) {
+      throw new Error('Unknown type: ' + type + '. Valid: ' + validTypes.join(', '));
+    }
+    if (type === 'bookmark' && !url) throw new Error('URL required for bookmark type');
+    if (type === 'smart group' && !query) throw new Error('Query required for smart group type');
+
+    let scope = null;
+    if (type === 'smart group' && searchGroup) {
+      try {
+        scope = resolveGroup(state, searchGroup, db).uuid;
+      } catch {
+        // Like DEVONthink: an unknown search group leaves the whole database
+      }
+    }
+    const record = addRecord(state, db, destination, {
+      name,
+      type,
+      content: type === 'bookmark' ? '' : content,
+      url,
+      tags: Array.isArray(tags) ? tags : [],
+      query,
+      searchGroup: scope
+    });
+    return {
+      success: true,
+      uuid: record.uuid,
+      name: record.name,
+      location: location(state, record),
+      database: db.name,
+      recordType: record.type
+    };
+  },
+
+  'write/resolveOrCreateGroup': (state, args) => {
+    const { database, path } = parseJsonArg(args, 'Usage: resolveOrCreateGroup.js \'{"database":"...","path":"..."}\'');
+    if (!database) throw new Error('Missing required field: database');
+    if (!path) throw new Error('Missing required field: path');
+    const db = getDatabase(state, database);
+    const parts = path.split('/').filter(p => p.length > 0);
+    const root = rootOf(state, db);
+    if (parts.length === 0) {
+      return { success: true, uuid: root.uuid, name: root.name, path: '/', created: false };
+    }
+    let current = root;
+    let created = false;
+    const createdParts = [];
+    parts.forEach((part, index) => {
+      const found = findMatchingGroup(children(state, current), part, index === parts.length - 1);
+      if (found) {
+        current = found;
+        if (found.name !== part) createdParts.push(`(matched: ${found.name})`);
+      } else {
+        current = addRecord(state, db, current, { name: part, type: 'group' });
+        created = true;
+        createdParts.push(part);
+      }
+    });
+    return {
+      success: true,
+      uuid: current.uuid,
+      name: current.name,
+      path: '/' + parts.join('/'),
+      databaseName: database,
+      created,
+      createdParts: createdParts.length > 0 ? createdParts : undefined
+    };
+  },
+
+  'write/modifyRecordProperties': (state, args) => {
+    const params = parseJsonArg(args, "Usage: modifyRecordProperties.js '{\"uuid\":\"...\",\"newName\":\"...\"}'");
+    const { uuid, newName, tagsAdd, tagsRemove, tagsReplace, destGroupUuid, comment, customMetadata } = params;
+    if (!uuid) throw new Error('Missing required field: uuid');
+    const record = requireRecord(state, uuid);
+    const result = { success: true, uuid, operations: {} };
+
+    if (newName) {
+      result.previousName = record.name;
+      record.name = newName;
+      result.newName = newName;
+      result.operations.renamed = true;
+    }
+    if (tagsReplace || tagsAdd || tagsRemove) {
+      result.previousTags = [...record.tags];
+      let tags = tagsReplace ? [...tagsReplace] : [...record.tags];
+      (tagsAdd || []).forEach(tag => { if (!tags.includes(tag)) tags.push(tag); });
+      if (tagsRemove) tags = tags.filter(t => !tagsRemove.includes(t));
+      record.tags = tags;
+      result.newTags = tags;
+      result.operations.tagsModified = true;
+    }
+    if (comment !== undefined) {
+      result.previousComment = record.comment || '';
+      record.comment = comment;
+      result.newComment = comment;
+      result.operations.commentModified = true;
+    }
+    if (customMetadata && typeof customMetadata === 'object') {
+      record.customMetaData = { ...record.customMetaData, ...customMetadata };
+      result.customMetadata = record.customMetaData;
+      result.operations.customMetadataModified = true;
+    }
+    if (destGroupUuid) {
+      result.previousLocation = location(state, record);
+      moveTo(state, record, resolveGroup(state, destGroupUuid, databaseOf(state, record)));
+      result.newLocation = location(state, record);
+      result.operations.moved = true;
+    }
+    touch(record);
+    return result;
+  },
+
+  'write/updateRecord': (state, args) => {
+    const params = parseJsonArg(args, 'Usage: updateRecord.js \'{"uuid":"...","text":"...","target":"content|annotation|comment|customMetadata"}\'');
+    const { uuid, text, url, customMetadataField } = params;
+    const mode = params.mode || 'setting';
+    const target = params.target || 'content';
+    if (!uuid) throw new Error('Missing required field: uuid');
+    if (text === undefined || text === null) throw new Error('Missing required field: text');
+    if (!['setting', 'inserting', 'appending'].includes(mode)) {
+      throw new Error('Invalid mode: ' + mode + '. Valid: setting, inserting, appending');
+    }
+    if (!['content', 'comment', 'customMetadata'].includes(target)) {
+      throw new Error('Invalid target: ' + target + '. Valid: content, comment, customMetadata');
+    }
+    if (target === 'customMetadata' && !customMetadataField) {
+      throw new Error('customMetadataField is required when target is customMetadata');
+    }
+    const record = requireRecord(state, uuid);
+    if (target === 'content') {
+      record.content = applyMode(plainText(record), text, mode);
+    } else if (target === 'comment') {
+      record.comment = applyMode(record.comment, text, mode);
+    } else {
+      // DEVONthink stores custom metadata under "md" + the lowercased field name
+      record.customMetaData['md' + customMetadataField.toLowerCase()] = text;
+    }
+    if (url) record.url = url;
+    touch(record);
+    const result = { success: true, uuid, name: record.name, recordType: record.type, target, mode, textLength: text.length };
+    if (target === 'customMetadata') result.field = customMetadataField;
+    return result;
+  },
+
+  'write/moveRecord': (state, args) => {
+    const { records, to, from, database } = parseJsonArg(args, 'Usage: moveRecord.js \'{"records":["uuid"],"to":"destUuid"}\'');
+    if (!records || !Array.isArray(records) || records.length === 0) {
+      throw new Error('Missing required field: records (array of UUIDs)');
+    }
+    if (!to) throw new Error('Missing required field: to (destination group)');
+    const dest = destinationGroup(state, to, database, 'Destination must be UUID, or provide --database for path-based destination');
+    let source = null;
+    if (from) {
+      if (!isUuid(from)) throw new Error('Source group must be specified by UUID');
+      source = getRecord(state, from);
+      if (!source) throw new Error('Source group not found: ' + from);
+    }
+
+    const moved = [];
+    const errors = [];
+    for (const uuid of records) {
+      const record = getRecord(state, uuid);
+      if (!record) {
+        errors.push({ uuid, error: 'Record not found' });
+        continue;
+      }
+      try {
+        moveTo(state, record, dest, source);
+        moved.push({ uuid: record.uuid, name: record.name, newLocation: location(state, record), database: databaseOf(state, record).name });
+      } catch (e) {
+        errors.push({ uuid, error: e.message });
+      }
+    }
+    return {
+      success: moved.length > 0,
+      destination: { uuid: dest.uuid, name: dest.name, database: databaseOf(state, dest).name },
+      moved,
+      errors: errors.length > 0 ? errors : undefined
+    };
+  },
+
+  'write/deleteRecord': (state, args) => {
+    const uuid = arg(args, 0);
+    if (!uuid) return { success: false, error: 'Usage: deleteRecord.js <uuid>' };
+    const record = getRecord(state, uuid);
+    if (!record) return { success: false, error: 'Record not found: ' + uuid };
+    trash(state, record);
+    return { success: true, deleted: { uuid: record.uuid, name: record.name } };
+  },
+
+  'write/replicateRecord': (state, args) => {
+    const sourceUuid = arg(args, 0);
+    const destinations = args.slice(1).filter(Boolean);
+    if (!sourceUuid || destinations.length === 0) {
+      return { success: false, error: 'Usage: replicateRecord.js <sourceUuid> <destUuid1> [destUuid2] ...' };
+    }
+    const record = requireRecord(state, sourceUuid);
+    const replicated = [];
+    const errors = [];
+    for (const destUuid of destinations) {
+      const dest = getRecord(state, destUuid);
+      if (!dest) {
+        errors.push({ uuid: destUuid, error: 'Destination not found' });
+        continue;
+      }
+      if (!isGroup(dest)) {
+        errors.push({ uuid: destUuid, error: 'Not a group: ' + dest.type });
+        continue;
+      }
+      try {
+        const replicant = replicate(state, record, dest);
+        replicated.push({ destinationUuid: destUuid, destinationName: dest.name, replicantUuid: replicant.uuid });
+      } catch (e) {
+        errors.push({ uuid: destUuid, error: e.message });
+      }
+    }
+    return {
+      success: replicated.length > 0,
+      sourceUuid: record.uuid,
+      sourceName: record.name,
+      replicated,
+      errors: errors.length > 0 ? errors : undefined
+    };
+  },
+
+  'write/copyRecord': (state, args) => {
+    const params = parseJsonArg(args, 'Usage: copyRecord.js \'{"records":["uuid"],"to":"destUuid","mode":"duplicate|replicate"}\'');
+    const { records, to, database, mode = 'duplicate' } = params;
+    if (!records || !Array.isArray(records) || records.length === 0) {
+      throw new Error('Missing required field: records (array of UUIDs)');
+    }
+    if (!to) throw new Error('Missing required field: to (destination group)');
+    if (!['duplicate', 'replicate'].includes(mode)) {
+      throw new Error('Invalid mode: ' + mode + '. Valid: duplicate, replicate');
+    }
+    const dest = destinationGroup(state, to, database, 'Destination must be UUID, or provide database for path-based destination');
+    const copied = [];
+    const errors = [];
+    for (const uuid of records) {
+      const record = getRecord(state, uuid);
+      if (!record) {
+        errors.push({ uuid, error: 'Record not found' });
+        continue;
+      }
+      try {
+        const copy = mode === 'replicate' ? replicate(state, record, dest) : duplicate(state, record, dest);
+        copied.push({
+          sourceUuid: uuid,
+          sourceName: record.name,
+          copiedUuid: copy.uuid,
+          copiedName: copy.name,
+          location: location(state, copy),
+          database: databaseOf(state, copy).name,
+          mode
+        });
+      } catch (e) {
+        errors.push({ uuid, error: e.message });
+      }
+    }
+    return {
+      success: copied.length > 0,
+      mode,
+      destination: { uuid: dest.uuid, name: dest.name, database: databaseOf(state, dest).name },
+      copied,
+      errors: errors.length > 0 ? errors : undefined
+    };
+  },
+
+  'write/linkRecords': (state, args) => {
+    const params = parseJsonArg(args, 'Missing arguments');
+    const mode = params.mode || 'link';
+    const sourceUuid = extractUuid(params.sourceUuid);
+    const targetUuid = extractUuid(params.targetUuid);
+    if (!sourceUuid) throw new Error('Missing source UUID');
+    const source = getRecord(state, sourceUuid);
+    if (!source) throw new Error('Source record not found: ' + sourceUuid);
+    const result = { success: true, uuid: sourceUuid, mode };
+    const setExclusion = (prop, value) => {
+      if (value !== undefined && value !== null) {
+        source.exclusions[prop] = !value;
+        result[prop] = !value;
+      }
+    };
+    setExclusion('excludeFromWikiLinking', params.wiki);
+    setExclusion('excludeFromSeeAlso', params.seeAlso);
+    setExclusion('excludeFromClassification', params.classification);
+    setExclusion('excludeFromSearch', params.search);
+    setExclusion('excludeFromChat', params.chat);
+    if (!targetUuid && params.wiki === undefined && params.seeAlso === undefined) {
+      setExclusion('excludeFromWikiLinking', mode === 'link');
+      setExclusion('excludeFromSeeAlso', mode === 'link');
+    }
+    if (targetUuid) {
+      const target = getRecord(state, targetUuid);
+      if (!target) throw new Error('Target record not found: ' + targetUuid);
+      const targetUrl = 'x-devonthink-item://' + targetUuid;
+      if (typeInfo(source).text) {
+        const text = source.content;
+        if (mode === 'link') {
+          result.linkAdded = !text.includes(targetUrl);
+          if (result.linkAdded) source.content = `${text}\n\n[${target.name}](${targetUrl})`;
+          else result.message = 'Link already exists';
+        } else {
+          const lines = text.split('\n');
+          const kept = lines.filter(line => !line.includes(targetUrl));
+          result.linkRemoved = kept.length !== lines.length;
+          if (result.linkRemoved) source.content = kept.join('\n');
+          else result.message = 'Link not found in text';
+        }
+        touch(source);
+      } else {
+        result.warning = 'Source record type does not support text links: ' + source.type;
+      }
+      result.targetUuid = targetUuid;
+    }
+    return result;
+  },
+
+  'write/batchTag': (state, args) => {
+    const items = parseJsonArg(args, 'Usage: batchTag.js JSON_ARRAY');
+    if (!Array.isArray(items) || items.length === 0) throw new Error('Input must be a non-empty array of objects');
+    const tagged = [];
+    const errors = [];
+    items.forEach(({ uuid, tags, operation = 'add' }, index) => {
+      try {
+        if (!uuid || !Array.isArray(tags)) throw new Error('Missing uuid or tags array');
+        const record = getRecord(state, uuid);
+        if (!record) {
+          errors.push({ index, uuid, error: 'Record not found' });
+          return;
+        }
+        tagged.push({ index, uuid: record.uuid, ...applyTags(record, tags, operation) });
+      } catch (e) {
+        errors.push({ index, uuid, error: e.message });
+      }
+    });
+    return { success: errors.length === 0, tagged, errors: errors.length > 0 ? errors : undefined, count: tagged.length };
+  },
+
+  'write/batchMove': (state, args) => {
+    const items = parseJsonArg(args, 'Usage: batchMove.js JSON_ARRAY');
+    if (!Array.isArray(items) || items.length === 0) throw new Error('Input must be a non-empty array of objects');
+    const moved = [];
+    const errors = [];
+    items.forEach(({ uuid, destination }, index) => {
+      try {
+        if (!uuid || !destination) throw new Error('Missing uuid or destination');
+        const record = getRecord(state, uuid);
+        if (!record) {
+          errors.push({ index, uuid, error: 'Record not found' });
+          return;
+        }
+        const dest = resolveGroup(state, destination, databaseOf(state, record));
+        if (parentOf(state, record)?.uuid === dest.uuid) {
+          moved.push({ index, uuid: record.uuid, status: 'skipped' });
+        } else {
+          moveTo(state, record, dest);
+          moved.push({ index, uuid: record.uuid, status: 'moved' });
+        }
+      } catch (e) {
+        errors.push({ index, uuid, error: e.message });
+      }
+    });
+    return { success: errors.length === 0, moved, errors: errors.length > 0 ? errors : undefined, count: moved.length };
+  },
+
+  'write/batchDelete': (state, args) => {
+    const uuids = parseJsonArg(args, 'Usage: batchDelete.js \'["uuid1", "uuid2", ...]\'');
+    if (!Array.isArray(uuids) || uuids.length === 0) throw new Error('Input must be a non-empty array of UUIDs');
+    const deleted = [];
+    const errors = [];
+    uuids.forEach((uuid, index) => {
+      try {
+        const record = getRecord(state, uuid);
+        if (!record) {
+          errors.push({ index, uuid, error: 'Record not found' });
+          return;
+        }
+        trash(state, record);
+        deleted.push({ index, uuid: record.uuid, name: record.name });
+      } catch (e) {
+        errors.push({ index, uuid, error: e.message });
+      }
+    });
+    return { success: errors.length === 0, deleted, errors: errors.length > 0 ? errors : undefined, count: deleted.length };
+  },
+
+  'write/batchUpdate': (state, args) => {
+    const items = parseJsonArg(args, 'Usage: batchUpdate.js JSON_ARRAY');
+    if (!Array.isArray(items) || items.length === 0) throw new Error('Input must be a non-empty array of objects');
+    const updated = [];
+    const errors = [];
+    const fields = { name: 'name', comment: 'comment', url: 'url', label: 'label', rating: 'rating', unread: 'unread', flagged: 'flag', locked: 'locked' };
+    items.forEach(({ uuid, properties }, index) => {
+      try {
+        if (!uuid || !properties) throw new Error('Missing uuid or properties object');
+        const record = getRecord(state, uuid);
+        if (!record) {
+          errors.push({ index, uuid, error: 'Record not found' });
+          return;
+        }
+        const changes = [];
+        for (const [key, field] of Object.entries(fields)) {
+          if (properties[key] !== undefined) {
+            record[field] = properties[key];
+            changes.push(key);
+          }
+        }
+        if (properties.aliases !== undefined) {
+          record.aliases = Array.isArray(properties.aliases) ? properties.aliases.join(', ') : properties.aliases;
+          changes.push('aliases');
+        }
+        if (properties.customMetaData) {
+          record.customMetaData = { ...record.customMetaData, ...properties.customMetaData };
+          changes.push('customMetaData');
+        }
+        touch(record);
+        updated.push({ index, uuid: record.uuid, status: 'updated', changes });
+      } catch (e) {
+        errors.push({ index, uuid, error: e.message });
+      }
+    });
+    return { success: errors.length === 0, updated, errors: errors.length > 0 ? errors : undefined, count: updated.length };
+  },
+
+  'write/mergeTags': (state, args) => {
+    const params = parseJsonArg(args, 'Usage: mergeTags.js \'{"database": "...", "target": "...", "sources": [...]}\'');
+    if (!params.target) throw new Error('Target tag is required');
+    if (!params.sources || params.sources.length === 0) throw new Error('At least one source tag is required');
+    const db = tagDatabase(state, params.database);
+    const index = tagIndex(state, db);
+    if (!index.has(params.target)) throw new Error('Target tag not found: ' + params.target);
+    const sources = params.sources.filter(name => index.has(name));
+    const notFound = params.sources.filter(name => !index.has(name));
+    if (sources.length === 0) throw new Error('No source tags found. Missing: ' + notFound.join(', '));
+
+    if (params.dryRun) {
+      const info = sources.map(name => ({ name, recordCount: index.get(name).length }));
+      return {
+        success: true,
+        dryRun: true,
+        target: params.target,
+        sources: info,
+        notFound,
+        totalRecordsAffected: info.reduce((sum, s) => sum + s.recordCount, 0)
+      };
+    }
+    const sourceRecords = Object.fromEntries(sources.map(name => [name, index.get(name).map(r => r.uuid)]));
+    const targetRecords = index.get(params.target).map(r => r.uuid);
+    for (const record of new Set(sources.flatMap(name => index.get(name)))) {
+      const tags = record.tags.filter(t => !sources.includes(t));
+      record.tags = tags.includes(params.target) ? tags : [...tags, params.target];
+      touch(record);
+    }
+    return {
+      success: true,
+      merged: true,
+      target: params.target,
+      sourcesMerged: sources,
+      sourceRecords,
+      targetRecords,
+      notFound: notFound.length > 0 ? notFound : undefined,
+      survivingTag: params.target
+    };
+  },
+
+  'write/renameTags': (state, args) => {
+    const params = parseJsonArg(args, 'Usage: renameTags.js \'{"database": "...", "from": "...", "to": "..."}\'');
+    if (!params.from) throw new Error('Source tag name (from) is required');
+    if (!params.to) throw new Error('Target tag name (to) is required');
+    const db = tagDatabase(state, params.database);
+    const index = tagIndex(state, db);
+    if (!index.has(params.from)) throw new Error('Tag not found: ' + params.from);
+    if (index.has(params.to)) {
+      throw new Error("A tag with the name '" + params.to + "' already exists. Use 'dt tags merge' to combine tags.");
+    }
+    const records = index.get(params.from);
+    if (params.dryRun) {
+      return { success: true, dryRun: true, from: params.from, to: params.to, recordCount: records.length };
+    }
+    records.forEach(record => {
+      record.tags = record.tags.map(t => (t === params.from ? params.to : t));
+      touch(record);
+    });
+    return { success: true, renamed: true, from: params.from, to: params.to, recordCount: records.length };
+  },
+
+  'write/deleteTags': (state, args) => {
+    const params = parseJsonArg(args, 'Usage: deleteTags.js \'{"database": "...", "tags": [...]}\'');
+    if (!params.tags || params.tags.length === 0) throw new Error('At least one tag is required');
+    const db = tagDatabase(state, params.database);
+    const index = tagIndex(state, db);
+    const toDelete = params.tags.filter(name => index.has(name))
+      .map(name => ({ name, recordCount: index.get(name).length, records: index.get(name).map(r => r.uuid) }));
+    const notFound = params.tags.filter(name => !index.has(name));
+    if (toDelete.length === 0) throw new Error('No tags found to delete. Missing: ' + notFound.join(', '));
+
+    if (params.dryRun) {
+      return {
+        success: true,
+        dryRun: true,
+        tagsToDelete: toDelete.map(t => ({ name: t.name, recordCount: t.recordCount })),
+        notFound: notFound.length > 0 ? notFound : undefined,
+        totalRecordsAffected: toDelete.reduce((sum, t) => sum + t.recordCount, 0)
+      };
+    }
+    const names = toDelete.map(t => t.name);
+    for (const record of new Set(names.flatMap(name => index.get(name)))) {
+      record.tags = record.tags.filter(t => !names.includes(t));
+      touch(record);
+    }
+    return {
+      success: true,
+      deleted: toDelete,
+      notFound: notFound.length > 0 ? notFound : undefined,
+      totalDeleted: toDelete.length,
+      totalRecordsAffected: toDelete.reduce((sum, t) => sum + t.recordCount, 0)
+    };
+  },
+
+  'write/updateSmartGroup': (state, args) => {
+    const params = parseJsonArg(args, "Usage: updateSmartGroup.js '{\"smartGroupRef\":\"...\"}'");
+    const { name, query, searchGroup } = params;
+    if (!params.smartGroupRef) throw new Error('Missing smartGroupRef');
+    if (name === undefined && query === undefined && searchGroup === undefined) {
+      throw new Error('No updates provided');
+    }
+    const record = findSmartGroup(state, params);
+    if (name !== undefined) record.name = name;
+    if (query !== undefined) record.searchPredicates = query;
+    if (searchGroup !== undefined) {
+      record.searchGroup = resolveGroup(state, searchGroup, databaseOf(state, record)).uuid;
+    }
+    touch(record);
+    const scope = record.searchGroup ? getRecord(state, record.searchGroup) : null;
+    return {
+      success: true,
+      uuid: record.uuid,
+      name: record.name,
+      searchPredicates: record.searchPredicates,
+      searchGroup: scope ? location(state, scope) : null
+    };
+  },
+
+  'write/deleteSmartGroup': (state, args) => {
+    const params = parseJsonArg(args, "Usage: deleteSmartGroup.js '{\"smartGroupRef\":\"...\"}'");
+    const record = findSmartGroup(state, params);
+    trash(state, record);
+    return { success: true, uuid: record.uuid, name: record.name };
+  }
+};
+
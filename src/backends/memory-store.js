@@ -0,0 +1,498 @@
+/**
+ * Memory Store
+ * The data model of the in-memory DEVONthink: databases, each with a root group and
+ * a Trash group, and records (documents, groups, smart groups). A record lists the
+ * groups it is in; a replicant is the same record in a second group. Tags are the
+ * names in records' tag lists. Deleting moves a record to its database's Trash.
+ *
+ * The state is plain JSON so that it can be saved to a file between processes.
+ * Lookups follow jxa/utils/helpers.js (getDatabase, resolveGroup) including their
+ * error messages.
+ */
+
+import { randomUUID, createHash } from 'node:crypto';
+
+const TYPES = {
+  markdown: { kind: 'Markdown', mimeType: 'text/markdown', extension: 'md', text: true },
+  txt: { kind: 'Plain Text', mimeType: 'text/plain', extension: 'txt', text: true },
+  rtf: { kind: 'RTF', mimeType: 'text/rtf', extension: 'rtf', text: true },
+  html: { kind: 'HTML', mimeType: 'text/html', extension: 'html', text: true },
+  bookmark: { kind: 'Bookmark', mimeType: 'application/x-webloc', extension: 'webloc', text: false },
+  group: { kind: 'Group', mimeType: null, extension: null, text: false },
+  'smart group': { kind: 'Smart Group', mimeType: null, extension: null, text: false }
+};
+
+export const RECORD_TYPES = Object.keys(TYPES);
+
+/**
+ * A new, empty library
+ * @param {Array<{name: string, uuid?: string}>} [databases] - Databases to create (default: Inbox)
+ */
+export function createState(databases = [{ name: 'Inbox' }]) {
+  const state = { nextId: 1, running: true, databases: [], records: {}, selection: [] };
+  databases.forEach(db => addDatabase(state, db));
+  return state;
+}
+
+function newUuid() {
+  return randomUUID().toUpperCase();
+}
+
+/**
+ * Add a database (with its root and Trash groups)
+ * @returns {object} The database
+ */
+export function addDatabase(state, { name, uuid = newUuid() }) {
+  const db = { uuid, name, path: `/memory/${name}.dtBase2`, root: newUuid(), trash: newUuid() };
+  state.databases.push(db);
+  addRecord(state, db, null, { uuid: db.root, name, type: 'group' });
+  addRecord(state, db, null, { uuid: db.trash, name: 'Trash', type: 'group' });
+  return db;
+}
+
+/**
+ * Add a record
+ * @param {object} db - Database
+ * @param {object|null} parent - Group (null for a database's own groups)
+ * @param {object} props - name, type, and optional content, url, tags, comment, ...
+ * @returns {object} The record
+ */
+export function addRecord(state, db, parent, props) {
+  const now = new Date().toISOString();
+  const record = {
+    uuid: props.uuid || newUuid(),
+    id: state.nextId++,
+    name: props.name,
+    type: props.type,
+    database: db.uuid,
+    parents: parent ? [parent.uuid] : [],
+    content: props.content || '',
+    url: props.url || '',
+    comment: props.comment || '',
+    tags: props.tags ? [...props.tags] : [],
+    aliases: '',
+    rating: 0,
+    label: 0,
+    flag: false,
+    unread: false,
+    locked: false,
+    customMetaData: {},
+    exclusions: {},
+    creationDate: now,
+    modificationDate: now,
+    additionDate: now
+  };
+  if (props.type === 'smart group') {
+    record.searchPredicates = props.query || '';
+    record.searchGroup = props.searchGroup || null;
+  }
+  state.records[record.uuid] = record;
+  return record;
+}
+
+export function touch(record) {
+  record.modificationDate = new Date().toISOString();
+}
+
+/**
+ * Same as isUuid in jxa/utils/helpers.js
+ */
+export function isUuid(str) {
+  if (!str || typeof str !== 'string') return false;
+  if (str.startsWith('x-devonthink-item://')) return true;
+  if (str.includes('/')) return false;
+  return /^[A-F0-9-]{8,}$/i.test(str) && str.includes('-');
+}
+
+/**
+ * Same as extractUuid in jxa/utils/helpers.js
+ */
+export function extractUuid(str) {
+  if (!str) return null;
+  const urlMatch = str.match(/^x-devonthink-item:\/\/([A-F0-9-]+)(?:\?.*)?$/i);
+  if (urlMatch) return urlMatch[1];
+  return str;
+}
+
+/**
+ * getRecordWithUuid: a record by UUID or item link (a database UUID gives its root)
+ * @returns {object|null}
+ */
+export function getRecord(state, ref) {
+  const uuid = extractUuid(ref);
+  if (!uuid) return null;
+  const record = state.records[uuid] || state.records[uuid.toUpperCase()];
+  if (record) return record;
+  const db = state.databases.find(d => d.uuid === uuid);
+  return db ? state.records[db.root] : null;
+}
+
+export function databaseOf(state, record) {
+  return state.databases.find(d => d.uuid === record.database);
+}
+
+export function findDatabase(state, ref) {
+  return state.databases.find(d => d.name === ref || d.uuid === extractUuid(ref)) || null;
+}
+
+/**
+ * The current database (the first one)
+ */
+export function currentDatabase(state) {
+  return state.databases[0] || null;
+}
+
+/**
+ * Same as getDatabase in jxa/utils/helpers.js
+ * @throws {Error} if not found
+ */
+export function getDatabase(state, ref) {
+  if (!ref) return currentDatabase(state);
+  if (isUuid(ref)) {
+    const record = getRecord(state, ref);
+    if (record) return databaseOf(state, record);
+    throw new Error('Database not found with UUID: ' + ref);
+  }
+  const found = state.databases.find(db => db.name === ref);
+  if (!found) throw new Error('Database not found: ' + ref);
+  return found;
+}
+
+export function isGroup(record) {
+  return record.type === 'group' || record.type === 'smart group';
+}
+
+export function rootOf(state, db) {
+  return state.records[db.root];
+}
+
+/**
+ * Same as resolveGroup in jxa/utils/helpers.js
+ * @throws {Error} if not found
+ */
+export function resolveGroup(state, ref, db) {
+  if (!ref || ref === '/') return rootOf(state, db);
+  if (isUuid(ref)) {
+    const group = getRecord(state, ref);
+    if (!group) throw new Error('Group not found with UUID: ' + ref);
+    if (!isGroup(group)) {
+      throw new Error('UUID does not point to a group: ' + group.type);
+    }
+    return group;
+  }
+  let current = rootOf(state, db);
+  for (const part of ref.split('/').filter(p => p.length > 0)) {
+    const found = children(state, current).find(c => c.name === part);
+    if (!found) throw new Error('Group not found: ' + part);
+    current = found;
+  }
+  return current;
+}
+
+/**
+ * The records in a group, oldest first (for a smart group: its search results)
+ */
+export function children(state, group) {
+  if (group.type === 'smart group') return smartGroupItems(state, group);
+  return Object.values(state.records)
+    .filter(r => r.parents.includes(group.uuid))
+    .sort((a, b) => a.id - b.id);
+}
+
+/**
+ * The group a record is primarily in (null for a database's own groups)
+ */
+export function parentOf(state, record) {
+  return record.parents.length > 0 ? state.records[record.parents[0]] : null;
+}
+
+/**
+ * Whether a record is in the Trash (directly or inside a trashed group)
+ */
+export function isTrashed(state, record) {
+  const db = databaseOf(state, record);
+  for (let current = record; current; current = parentOf(state, current)) {
+    if (current.uuid === db.trash) return true;
+  }
+  return false;
+}
+
+function groupPath(state, group) {
+  const db = databaseOf(state, group);
+  if (group.uuid === db.root) return '';
+  const parent = parentOf(state, group);
+  return `${parent ? groupPath(state, parent) : ''}/${group.name.replace(/\//g, '\\/')}`;
+}
+
+/**
+ * location: the path of the group a record is in ("/" for the root, "/A/B/" below)
+ */
+export function location(state, record) {
+  const parent = parentOf(state, record);
+  if (!parent) return '/';
+  return `${groupPath(state, parent)}/`;
+}
+
+export function locationWithName(state, record) {
+  return location(state, record) + record.name.replace(/\//g, '\\/');
+}
+
+export function filename(record) {
+  const extension = TYPES[record.type]?.extension;
+  return extension ? `${record.name}.${extension}` : record.name;
+}
+
+/**
+ * path: where the record's file would be inside the database package ('' for groups)
+ */
+export function filePath(state, record) {
+  if (isGroup(record)) return '';
+  return `${databaseOf(state, record).path}/Files.noindex/${TYPES[record.type]?.extension || 'bin'}/${filename(record)}`;
+}
+
+export function typeInfo(record) {
+  return TYPES[record.type] || { kind: record.type, mimeType: null, extension: null, text: false };
+}
+
+export function plainText(record) {
+  return typeInfo(record).text ? record.content : '';
+}
+
+export function contentHash(record) {
+  return createHash('sha1').update(record.content || '').digest('hex');
+}
+
+/**
+ * Records of a database outside its own groups and the Trash
+ */
+export function contents(state, db) {
+  return Object.values(state.records)
+    .filter(r => r.database === db.uuid && r.parents.length > 0 && !isTrashed(state, r))
+    .sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Records anywhere below a group
+ * @param {boolean} [direct] - Only the records directly in it
+ */
+export function descendants(state, group, direct = false) {
+  const found = [];
+  const visit = (current) => {
+    for (const child of children(state, current)) {
+      if (found.includes(child)) continue;
+      found.push(child);
+      if (!direct && child.type === 'group') visit(child);
+    }
+  };
+  visit(group);
+  return found;
+}
+
+/**
+ * Tags of a database with the records that have them
+ * @returns {Map<string, object[]>}
+ */
+export function tagIndex(state, db) {
+  const index = new Map();
+  for (const record of contents(state, db)) {
+    for (const tag of record.tags) {
+      if (!index.has(tag)) index.set(tag, []);
+      index.get(tag).push(record);
+    }
+  }
+  return index;
+}
+
+/**
+ * Move a record to a group (from one of its groups, or out of all of them)
+ */
+export function moveTo(state, record, group, from = null) {
+  // DEVONthink refuses this; it would cut the group off from the database tree
+  if (group === record || descendants(state, record).includes(group)) {
+    throw new Error('Cannot move a group into itself or one of its subgroups');
+  }
+  const db = databaseOf(state, group);
+  if (from && record.parents.includes(from.uuid)) {
+    record.parents = [...new Set(record.parents.map(p => (p === from.uuid ? group.uuid : p)))];
+  } else {
+    record.parents = [group.uuid];
+  }
+  if (record.database !== db.uuid) {
+    [record, ...descendants(state, record)].forEach(r => { r.database = db.uuid; });
+  }
+  return record;
+}
+
+/**
+ * Move a record (every instance of it) to its database's Trash
+ */
+export function trash(state, record) {
+  const db = databaseOf(state, record);
+  if (record.uuid === db.root || record.uuid === db.trash) {
+    throw new Error('Cannot delete the database root or Trash');
+  }
+  record.parents = [db.trash];
+}
+
+/**
+ * Remove everything in a database's Trash for good
+ */
+export function emptyTrash(state, db) {
+  const trashed = descendants(state, state.records[db.trash]);
+  trashed.forEach(record => { delete state.records[record.uuid]; });
+  return trashed.length;
+}
+
+/**
+ * Add a record to one more group (a replicant keeps the record's UUID)
+ */
+export function replicate(state, record, group) {
+  if (databaseOf(state, group).uuid !== record.database) {
+    throw new Error('Replicants must be in the same database');
+  }
+  if (!record.parents.includes(group.uuid)) record.parents.push(group.uuid);
+  return record;
+}
+
+/**
+ * Copy a record (and, for a group, what is in it) into a group
+ * @returns {object} The copy
+ */
+export function duplicate(state, record, group) {
+  const db = databaseOf(state, group);
+  const copy = addRecord(state, db, group, { name: record.name, type: record.type });
+  const keep = { uuid: copy.uuid, id: copy.id, database: copy.database, parents: copy.parents };
+  Object.assign(copy, structuredClone(record), keep);
+  if (record.type === 'group') {
+    children(state, record).forEach(child => duplicate(state, child, copy));
+  }
+  return copy;
+}
+
+// ---------------------------------------------------------------------------
+// Search
+// ---------------------------------------------------------------------------
+
+const AGO_UNITS = { minute: 60000, hour: 3600000, day: 86400000, week: 604800000, month: 2592000000, year: 31536000000 };
+
+/**
+ * Parse a date filter value: a date, or "2 weeks" (ago)
+ * @returns {number|null} Epoch ms
+ */
+function parseDateValue(value) {
+  const ago = value.trim().match(/^(\d+)\s*(minute|hour|day|week|month|year)s?$/i);
+  if (ago) return Date.now() - parseInt(ago[1], 10) * AGO_UNITS[ago[2].toLowerCase()];
+  const time = Date.parse(value.trim());
+  return isNaN(time) ? null : time;
+}
+
+const DATE_FIELDS = { created: 'creationDate', modified: 'modificationDate', added: 'additionDate' };
+
+/**
+ * Split a query into words, keeping "quoted phrases" together
+ */
+function tokenize(text) {
+  return (text.match(/-?[\w.]*:?"[^"]*"|\S+/g) || []).map(token => token.replace(/"/g, ''));
+}
+
+function termMatcher(value) {
+  const pattern = value.toLowerCase().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  const regex = new RegExp(value.includes('*') ? `^${pattern}$` : pattern);
+  return (text) => regex.test(String(text || '').toLowerCase());
+}
+
+/**
+ * A predicate for one query word (field:value, or a word matched anywhere)
+ */
+function compileTerm(token) {
+  const field = token.match(/^(name|tags?|kind|type|comment|content|text|url|filename):(.*)$/i);
+  if (!field) {
+    if (token === '*') return () => true;
+    const match = termMatcher(token.replace(/^~/, ''));
+    return (record) => match(record.name) || match(plainText(record)) || match(record.comment) ||
+      record.tags.some(tag => match(tag)) || match(record.url);
+  }
+  const [, key, value] = field;
+  const match = termMatcher(value);
+  switch (key.toLowerCase()) {
+    case 'name': return (record) => match(record.name);
+    case 'filename': return (record) => match(filename(record));
+    case 'tag':
+    case 'tags': {
+      const wanted = value.toLowerCase();
+      return (record) => record.tags.some(tag => tag.toLowerCase() === wanted);
+    }
+    case 'kind':
+    case 'type': return (record) => match(record.type) || match(typeInfo(record).kind);
+    case 'comment': return (record) => match(record.comment);
+    case 'url': return (record) => match(record.url);
+    default: return (record) => match(plainText(record));
+  }
+}
+
+/**
+ * Compile a DEVONthink search query into a predicate
+ * Supports words (all must match), "phrases", field:value (name, tags, kind, comment,
+ * content, url, filename), NOT/-word, OR between alternatives, * (everything) and
+ * created/modified/added:<date or :>date (dates or "2 weeks").
+ * @param {string} query
+ * @returns {(record: object) => boolean}
+ */
+export function compileQuery(query) {
+  const filters = [];
+  const rest = String(query).replace(
+    /\b(created|modified|added):\s*([<>]=?)\s*(.+?)(?=\s+(?:AND|OR)\s|\)|$)/gi,
+    (all, field, operator, value) => {
+      const time = parseDateValue(value);
+      if (time !== null) {
+        const key = DATE_FIELDS[field.toLowerCase()];
+        filters.push(operator.startsWith('>')
+          ? (record) => Date.parse(record[key]) >= time
+          : (record) => Date.parse(record[key]) <= time);
+      }
+      return ' ';
+    }
+  );
+
+  const alternatives = rest.replace(/[()]/g, ' ').split(/\s+OR\s+/).map(part => {
+    const predicates = [];
+    let negate = false;
+    for (const token of tokenize(part)) {
+      if (token === 'AND') continue;
+      if (token === 'NOT') {
+        negate = true;
+        continue;
+      }
+      const negated = negate || (token.startsWith('-') && token.length > 1);
+      const predicate = compileTerm(negated && token.startsWith('-') ? token.slice(1) : token);
+      predicates.push(negated ? (record) => !predicate(record) : predicate);
+      negate = false;
+    }
+    return predicates;
+  }).filter(predicates => predicates.length > 0);
+
+  return (record) => filters.every(f => f(record)) &&
+    (alternatives.length === 0 || alternatives.some(predicates => predicates.every(p => p(record))));
+}
+
+/**
+ * app.search: records matching a query
+ * @param {object} [options] - `scope` (group), `excludeSubgroups`
+ * @returns {object[]}
+ */
+export function search(state, query, options = {}) {
+  const matches = compileQuery(query);
+  const pool = options.scope
+    ? descendants(state, options.scope, options.excludeSubgroups)
+    : state.databases.flatMap(db => contents(state, db));
+  return pool.filter(record => !isTrashed(state, record) && !record.exclusions.excludeFromSearch && matches(record));
+}
+
+/**
+ * Records a smart group shows: its query run in its search group (or database)
+ */
+function smartGroupItems(state, group) {
+  const scope = (group.searchGroup && state.records[group.searchGroup]) || rootOf(state, databaseOf(state, group));
+  if (!group.searchPredicates) return [];
+  return search(state, group.searchPredicates, { scope }).filter(record => !isGroup(record));
+}
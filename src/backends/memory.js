@@ -0,0 +1,124 @@
+/**
+ * Memory Backend
+ * A fake DEVONthink for running the CLI, queue and MCP server without macOS. It
+ * models databases, groups, records, tags, smart groups, replicants and the Trash
+ * (memory-store.js) and answers the jxa/ scripts with the same JSON
+ * (memory-scripts.js).
+ *
+ * The library lives in the process, or in DT_MEMORY_FILE when set so that several
+ * dt processes (e.g. a test and the CLI it spawns) share it. A new library has one
+ * database, Inbox.
+ */
+
+import { readFileSync, writeFileSync, renameSync, mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { createState, addDatabase as addStoreDatabase, findDatabase, emptyTrash as emptyStoreTrash } from './memory-store.js';
+import { SCRIPTS } from './memory-scripts.js';
+import { codedError } from '../errors.js';
+
+export const name = 'memory';
+
+let processState = null;
+
+function loadState() {
+  const file = process.env.DT_MEMORY_FILE;
+  if (!file) {
+    processState = processState || createState();
+    return processState;
+  }
+  try {
+    return JSON.parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return createState();
+    throw new Error(`Cannot read DT_MEMORY_FILE ${file}: ${error.message}`);
+  }
+}
+
+function saveState(state) {
+  const file = process.env.DT_MEMORY_FILE;
+  if (!file) return;
+  mkdirSync(dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  writeFileSync(tmp, JSON.stringify(state));
+  renameSync(tmp, file);
+}
+
+/**
+ * Load the library, apply a change and save it
+ */
+function withState(fn) {
+  const state = loadState();
+  const result = fn(state);
+  saveState(state);
+  return result;
+}
+
+/**
+ * Run a script by name
+ * @param {string} category - Script category (read, write, utils)
+ * @param {string} scriptName - Script name (without .js)
+ * @param {string[]} args - Arguments to the script
+ * @returns {Promise<object>} The script's JSON result
+ */
+export async function run(category, scriptName, args = []) {
+  const script = SCRIPTS[`${category}/${scriptName}`];
+  if (!script) {
+    return { success: false, error: `${scriptName} is not supported by the memory backend`, code: 'UNSUPPORTED' };
+  }
+  try {
+    return withState(state => {
+      if (!state.running && scriptName !== 'isRunning') {
+        throw codedError('APP_NOT_RUNNING', 'DEVONthink is not running');
+      }
+      // Results are copies: callers must not hold on to stored records
+      return JSON.parse(JSON.stringify(script(state, args.map(String))));
+    });
+  } catch (error) {
+    return { success: false, error: error.message, ...(error.code && { code: error.code }) };
+  }
+}
+
+export async function runSource() {
+  return { success: false, error: 'Inline JXA scripts are not supported by the memory backend', code: 'UNSUPPORTED' };
+}
+
+export async function isRunning() {
+  return loadState().running;
+}
+
+/**
+ * Add a database to the library unless one with that name exists
+ * @param {{name: string, uuid?: string}} database
+ * @returns {{name: string, uuid: string}}
+ */
+export function addDatabase(database) {
+  return withState(state => {
+    const db = state.databases.find(d => d.name === database.name) || addStoreDatabase(state, database);
+    return { name: db.name, uuid: db.uuid };
+  });
+}
+
+/**
+ * Empty a database's Trash
+ * @param {string} database - Name or UUID
+ * @returns {number} Records removed
+ */
+export function emptyTrash(database) {
+  return withState(state => {
+    const db = findDatabase(state, database);
+    if (!db) throw new Error('Database not found: ' + database);
+    return emptyStoreTrash(state, db);
+  });
+}
+
+/**
+ * Replace the library (e.g. between tests)
+ * @param {object} [options] - `databases` to create (default: Inbox), `running`, `selection` (UUIDs)
+ */
+export function resetLibrary({ databases, running = true, selection = [] } = {}) {
+  const state = createState(databases);
+  state.running = running;
+  state.selection = selection;
+  processState = state;
+  saveState(state);
+}
@@ -0,0 +1,171 @@
+/**
+ * osascript Worker
+ * One long-lived osascript process (jxa/worker.js) that runs the scripts in jxa/ by
+ * name, so that callers making many calls (MCP server, queue execution, daemon) do
+ * not start osascript for each. Requests and responses are newline-delimited JSON.
+ *
+ * The worker runs one request at a time; calls made while it is busy (e.g. a parallel
+ * queue run) get null and use their own process. A new worker, and one idle for a
+ * while, must answer a ping first. A request that times out kills the worker (a JXA
+ * call cannot be interrupted); a worker that exits is started again on the next
+ * request. After MAX_FAILURES crashes, timeouts or failed pings within
+ * FAILURE_WINDOW_MS the worker is given up: callers fall back to one osascript
+ * process per call.
+ */
+
+import { spawn } from 'node:child_process';
+import { createInterface } from 'node:readline';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const JXA_DIR = resolve(__dirname, '..', '..', 'jxa');
+const WORKER_PATH = resolve(JXA_DIR, 'worker.js');
+
+const PING_TIMEOUT_MS = 5000;
+const IDLE_PING_MS = 30000;
+const MAX_FAILURES = 3;
+const FAILURE_WINDOW_MS = 60000;
+
+let worker = null;
+let nextId = 1;
+let failures = [];
+let gaveUp = false;
+let busy = false;
+
+function recordFailure() {
+  const now = Date.now();
+  failures = [...failures.filter(t => now - t < FAILURE_WINDOW_MS), now];
+  if (failures.length >= MAX_FAILURES) {
+    gaveUp = true;
+    console.error(`JXA worker failed ${failures.length} times; running scripts with one osascript process each`);
+  }
+}
+
+function startWorker() {
+  const child = spawn('osascript', ['-l', 'JavaScript', WORKER_PATH, JXA_DIR], { stdio: ['pipe', 'pipe', 'pipe'] });
+  const current = { child, pending: new Map(), stderr: '', lastUsed: Date.now() };
+
+  createInterface({ input: child.stdout }).on('line', (line) => {
+    let response;
+    try {
+      response = JSON.parse(line);
+    } catch {
+      return; // Not a response (e.g. a script writing to stdout itself)
+    }
+    const settle = current.pending.get(response.id);
+    if (settle) settle(response);
+  });
+  child.stderr.on('data', (chunk) => {
+    current.stderr = (current.stderr + chunk).slice(-2000);
+  });
+
+  const onExit = (reason) => {
+    if (worker === current) worker = null;
+    const detail = current.stderr.trim() ? `: ${current.stderr.trim()}` : '';
+    for (const settle of current.pending.values()) {
+      settle({ error: `JXA worker exited (${reason})${detail}` });
+    }
+    current.pending.clear();
+  };
+  child.on('exit', (code, signal) => onExit(signal || `code ${code}`));
+  child.on('error', (error) => onExit(error.message));
+  child.stdin.on('error', () => {}); // Reported through 'exit'
+
+  // An idle worker does not keep the process alive; pending requests do (their timers)
+  child.unref();
+  child.stdin.unref?.();
+  child.stdout.unref?.();
+  child.stderr.unref?.();
+  return current;
+}
+
+function stopWorker(current, reason) {
+  if (!current) return;
+  if (worker === current) worker = null;
+  current.child.kill();
+  for (const settle of current.pending.values()) settle({ error: `JXA worker stopped (${reason})` });
+  current.pending.clear();
+}
+
+/**
+ * Send a request and wait for its response
+ * @returns {Promise<object>} The response, `{timedOut: true}`, or `{error}` if the worker exited
+ */
+function send(current, message, timeout) {
+  const id = nextId++;
+  return new Promise((done) => {
+    const timer = setTimeout(() => {
+      current.pending.delete(id);
+      stopWorker(current, 'request timed out');
+      done({ timedOut: true });
+    }, timeout);
+    current.pending.set(id, (response) => {
+      clearTimeout(timer);
+      current.pending.delete(id);
+      done(response);
+    });
+    current.lastUsed = Date.now();
+    current.child.stdin.write(JSON.stringify({ id, ...message }) + '\n');
+  });
+}
+
+/**
+ * Health check: the worker answers a ping
+ */
+async function ping(current) {
+  const response = await send(current, { ping: true }, PING_TIMEOUT_MS);
+  return response.pong === true;
+}
+
+/**
+ * A worker that answered a ping, or null when the worker has been given up
+ */
+async function healthyWorker() {
+  while (!gaveUp) {
+    const fresh = !worker;
+    if (fresh) worker = startWorker();
+    const current = worker;
+    if (!fresh && Date.now() - current.lastUsed < IDLE_PING_MS) return current;
+    if (await ping(current)) return current;
+    stopWorker(current, 'no answer to ping');
+    recordFailure();
+  }
+  return null;
+}
+
+/**
+ * Run a script in the worker
+ * @param {string} category - Script category (read, write, utils)
+ * @param {string} scriptName - Script name (without .js)
+ * @param {string[]} args - Arguments to the script
+ * @param {number} timeout - Request timeout in ms
+ * @returns {Promise<object|null>} `{output}` (what the script printed), `{error}`, `{timedOut: true}`,
+ *   or null when the worker is busy or not available
+ */
+export async function request(category, scriptName, args, timeout) {
+  if (busy || gaveUp) return null;
+  busy = true;
+  try {
+    const current = await healthyWorker();
+    if (!current) return null;
+    const response = await send(current, { category, script: scriptName, args: args.map(String) }, timeout);
+    if (response.timedOut || (response.error && !worker)) recordFailure();
+    return response;
+  } finally {
+    busy = false;
+  }
+}
+
+/**
+ * State of the worker (for diagnostics)
+ */
+export function workerStatus() {
+  return {
+    running: Boolean(worker),
+    busy,
+    pid: worker?.child.pid ?? null,
+    gaveUp,
+    recentFailures: failures.length
+  };
+}
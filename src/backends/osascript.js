@@ -0,0 +1,176 @@
+/**
+ * osascript Backend
+ * Runs the JXA scripts in jxa/ against DEVONthink via osascript (macOS): one
+ * osascript process per call, or a long-lived worker process once enableWorker()
+ * was called (see osascript-worker.js). DT_JXA_WORKER=1 uses the worker for every
+ * command, DT_JXA_WORKER=0 never. Large arguments reach a process through temp
+ * files (see payload.js); the worker gets them on stdin.
+ */
+
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { readFile } from 'node:fs/promises';
+import { request as workerRequest } from './osascript-worker.js';
+import { stagePayloads } from './payload.js';
+
+const execFileAsync = promisify(execFile);
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const JXA_DIR = resolve(__dirname, '..', '..', 'jxa');
+
+export const name = 'osascript';
+
+let useWorker = process.env.DT_JXA_WORKER === '1';
+
+/**
+ * Run scripts in the long-lived worker from now on (unless DT_JXA_WORKER=0)
+ */
+export function enableWorker() {
+  if (process.env.DT_JXA_WORKER !== '0') useWorker = true;
+}
+
+/**
+ * Parse the JSON a script printed
+ */
+function parseOutput(stdout) {
+  const trimmed = stdout.trim();
+  if (!trimmed) {
+    return { success: false, error: 'Empty response from script' };
+  }
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    // If not valid JSON, return raw output
+    return { success: true, raw: trimmed };
+  }
+}
+
+/**
+ * Turn an osascript failure into a script result
+ * @param {Error} error - execFile error
+ * @param {object} options - `taskTimeout` (the limit came from runWithTimeout), `scriptPath`
+ */
+function toResult(error, options) {
+  if (error.killed) {
+    return {
+      success: false,
+      error: options.taskTimeout ? 'Script timed out (task timeout reached)' : 'Script timed out',
+      code: 'TIMEOUT'
+    };
+  }
+  if (error.code === 'ENOENT') {
+    return { success: false, error: `Script not found: ${options.scriptPath}` };
+  }
+
+  // Some scripts print their error as JSON before exiting
+  if (error.stdout) {
+    try {
+      return JSON.parse(error.stdout.trim());
+    } catch {
+      // Fall through to error handling
+    }
+  }
+
+  return {
+    success: false,
+    error: error.message || 'Unknown error',
+    stderr: error.stderr?.trim() || undefined
+  };
+}
+
+/**
+ * Run a script from jxa/ with the shared helpers prepended
+ * @param {string} category - Script category (read, write, utils)
+ * @param {string} scriptName - Script filename (without .js)
+ * @param {string[]} args - Arguments to pass to the script
+ * @param {object} options - `timeout` in ms, `taskTimeout`
+ * @returns {Promise<object>} Parsed JSON response
+ */
+export async function run(category, scriptName, args, options) {
+  if (useWorker) {
+    const response = await workerRequest(category, scriptName, args, options.timeout);
+    if (response) {
+      if (response.timedOut) return toResult({ killed: true }, options);
+      if (response.error) return { success: false, error: response.error };
+      return parseOutput(response.output);
+    }
+    // Worker busy or not available: a process for this call
+  }
+
+  const scriptPath = resolve(JXA_DIR, category, `${scriptName}.js`);
+  const helpersPath = resolve(JXA_DIR, 'utils', 'helpers.js');
+  let payloads = null;
+
+  try {
+    const [scriptContent, helpersContent] = await Promise.all([
+      readFile(scriptPath, 'utf8'),
+      readFile(helpersPath, 'utf8')
+    ]);
+
+    const cleanHelpers = helpersContent.replace(/^(?:(?:\/\/.*|\s*)\r?\n)+/, ''); // Remove leading comments and empty lines
+    const cleanScript = scriptContent.replace(/^#!.*\r?\n/, '');
+
+    // Combine helpers and script
+    const fullScript = `${cleanHelpers}\n${cleanScript}`;
+
+    // Large arguments go through temp files (argv limit, process listings)
+    payloads = await stagePayloads(args);
+
+    const { stdout } = await execFileAsync(
+      'osascript',
+      ['-l', 'JavaScript', '-e', fullScript, '--', ...payloads.args],
+      {
+        timeout: options.timeout,
+        maxBuffer: 10 * 1024 * 1024, // 10MB buffer for large results
+      }
+    );
+    return parseOutput(stdout);
+  } catch (error) {
+    return toResult(error, { ...options, scriptPath });
+  } finally {
+    await payloads?.cleanup();
+  }
+}
+
+/**
+ * Run JXA source built by a command (e.g. import)
+ * @param {string} source - Complete script
+ * @param {object} options - `timeout` in ms
+ * @returns {Promise<object>} Parsed JSON response
+ */
+export async function runSource(source, options) {
+  try {
+    const { stdout } = await execFileAsync(
+      'osascript',
+      ['-l', 'JavaScript', '-e', source],
+      { timeout: options.timeout, maxBuffer: 10 * 1024 * 1024 }
+    );
+    return parseOutput(stdout);
+  } catch (error) {
+    return toResult(error, options);
+  }
+}
+
+/**
+ * Check if DEVONthink is running
+ * @returns {Promise<boolean|object>} true/false, or a failure object when the check itself failed
+ */
+export async function isRunning() {
+  const scriptPath = resolve(JXA_DIR, 'utils', 'isRunning.js');
+  try {
+    const scriptContent = await readFile(scriptPath, 'utf8');
+    const { stdout } = await execFileAsync(
+      'osascript',
+      ['-l', 'JavaScript', '-e', scriptContent],
+      { timeout: 5000 }
+    );
+    const trimmed = stdout.trim();
+    if (!trimmed) return { success: false, running: false, error: 'Empty response from isRunning script' };
+    const result = JSON.parse(trimmed);
+    return result.success && result.running === true;
+  } catch (error) {
+    console.error(`Error checking DEVONthink status: ${error.message}`);
+    return { success: false, running: false, error: error.message };
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * Payload Transport
+ * Script arguments go to osascript as argv, where large ones (queue batches, chat
+ * prompts with document text) run into the argv length limit and show up in process
+ * listings. stagePayloads() writes every argument above PAYLOAD_THRESHOLD bytes to a
+ * private temp file and passes "dt-payload:<path>" instead; getUserArgs in
+ * jxa/utils/helpers.js reads the file back, so scripts see the original value.
+ *
+ * Files are removed when the call finishes (cleanup()), and the directory holding
+ * them when the process exits.
+ */
+
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+export const PAYLOAD_PREFIX = 'dt-payload:';
+export const PAYLOAD_THRESHOLD = 1024;
+
+let payloadDir = null;
+let nextFile = 1;
+
+/**
+ * Directory for this process's payload files (mode 0700), removed on exit
+ */
+function getPayloadDir() {
+  payloadDir ||= mkdtemp(join(tmpdir(), 'dt-payload-')).then((dir) => {
+    process.once('exit', () => rmSync(dir, { recursive: true, force: true }));
+    return dir;
+  });
+  return payloadDir;
+}
+
+/**
+ * Replace large arguments by references to temp files
+ * @param {string[]} args - Script arguments
+ * @param {number} [threshold] - Size in bytes above which an argument goes to a file
+ * @returns {Promise<{args: string[], files: string[], cleanup: Function}>} Arguments to pass,
+ *   the files written, and cleanup() to remove them once the script has run
+ */
+export async function stagePayloads(args, threshold = PAYLOAD_THRESHOLD) {
+  const files = [];
+  const staged = await Promise.all(args.map(async (arg) => {
+    const value = String(arg);
+    // An argument that looks like a reference is staged too, so it arrives as it was
+    if (Buffer.byteLength(value) <= threshold && !value.startsWith(PAYLOAD_PREFIX)) return value;
+    const file = join(await getPayloadDir(), `${nextFile++}.txt`);
+    files.push(file);
+    await writeFile(file, value, { mode: 0o600 });
+    return PAYLOAD_PREFIX + file;
+  }));
+
+  return {
+    args: staged,
+    files,
+    cleanup: () => Promise.all(files.map(file => rm(file, { force: true })))
+  };
+}
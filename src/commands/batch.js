@@ -7,6 +7,7 @@
 
 import { runJxa, requireDevonthink } from '../jxa-runner.js';
 import { print, printError } from '../output.js';
+import { exitCode } from '../errors.js';
 import { readUuidsFromStdin, isStdinMarker } from '../utils.js';
 
 export function registerBatchCommand(program) {
@@ -66,11 +67,11 @@ Examples:
         print(result, options);
 
         if (!result.success) {
-          process.exit(1);
+          process.exit(exitCode(result));
         }
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -124,11 +125,11 @@ Examples:
         print(result, options);
 
         if (!result.success) {
-          process.exit(1);
+          process.exit(exitCode(result));
         }
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 }
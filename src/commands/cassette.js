@@ -0,0 +1,81 @@
+/**
+ * Cassette Commands
+ * Inspect and sanitize cassettes recorded with DT_RECORD (see src/backends/cassette.js)
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { readCassette, sanitizeCassette, summarizeCassette } from '../backends/cassette.js';
+import { print, printError } from '../output.js';
+import { exitCode } from '../errors.js';
+
+function collectNames(value, previous) {
+  return previous.concat([value]);
+}
+
+export function registerCassetteCommand(program) {
+  const cassette = program
+    .command('cassette')
+    .description('Recorded script calls for replay (DT_RECORD, DT_REPLAY)')
+    .addHelpText('after', `
+Record a run, then replay it without DEVONthink:
+  DT_RECORD=run.ndjson dt search query "invoice"
+  DT_REPLAY=run.ndjson dt search query "invoice"
+`);
+
+  // dt cassette show <file>
+  cassette
+    .command('show <file>')
+    .description('Count the calls in a cassette per script')
+    .option('--json', 'Output raw JSON')
+    .addHelpText('after', `
+Examples:
+  dt cassette show run.ndjson
+`)
+    .action(async (file, options) => {
+      try {
+        const entries = readCassette(file);
+        const calls = summarizeCassette(entries);
+        if (options.json) {
+          print({ success: true, file, total: entries.length, calls }, options);
+        } else {
+          console.log(`${file}: ${entries.length} call${entries.length === 1 ? '' : 's'}`);
+          calls.forEach(c => console.log(`  ${String(c.count).padStart(5)}  ${c.call}`));
+        }
+      } catch (error) {
+        printError(error, options);
+        process.exit(exitCode(error));
+      }
+    });
+
+  // dt cassette sanitize <file>
+  cassette
+    .command('sanitize <file>')
+    .description('Replace UUIDs and personal names in a cassette (stdout without --output)')
+    .option('-o, --output <file>', 'Write the sanitized cassette to a file')
+    .option('-n, --name <name>', 'Personal name to replace (can be used multiple times)', collectNames, [])
+    .option('--json', 'Output raw JSON')
+    .addHelpText('after', `
+Each UUID becomes 00000000-0000-4000-8000-<n> and each name "Person <n>", the same
+value always by the same replacement, so the sanitized cassette still replays
+(with the replaced UUIDs). /Users/<name> paths become /Users/user.
+
+Examples:
+  dt cassette sanitize run.ndjson -o bug-1234.ndjson --name "Jane Doe" --name Jane
+  dt cassette sanitize run.ndjson > shared.ndjson
+`)
+    .action(async (file, options) => {
+      try {
+        const { entries, uuids, names } = sanitizeCassette(readCassette(file), { names: options.name });
+        const content = entries.map(e => JSON.stringify(e)).join('\n') + '\n';
+        if (!options.output) {
+          process.stdout.write(content);
+          return;
+        }
+        await writeFile(options.output, content);
+        print({ success: true, file: options.output, calls: entries.length, uuids, names }, options);
+      } catch (error) {
+        printError(error, options);
+        process.exit(exitCode(error));
+      }
+    });
+}
@@ -6,6 +6,7 @@
 
 import { runJxa, requireDevonthink } from '../jxa-runner.js';
 import { print, printError } from '../output.js';
+import { exitCode } from '../errors.js';
 import { readStdin, readUuidsFromStdin, isStdinMarker } from '../utils.js';
 
 function collectRecords(value, previous) {
@@ -113,10 +114,10 @@ Examples:
           print(result, options);
         }
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -148,10 +149,10 @@ Examples:
           print(result, options);
         }
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -181,10 +182,10 @@ Examples:
         const result = await runJxa('read', 'chatCapabilities', [JSON.stringify(params)]);
         print(result, options);
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 }
@@ -7,6 +7,7 @@
 
 import { runJxa, requireDevonthink } from '../jxa-runner.js';
 import { print, printError } from '../output.js';
+import { exitCode } from '../errors.js';
 
 export function registerClassifyCommand(program) {
   const classify = program
@@ -56,11 +57,11 @@ Examples:
         print(result, options);
 
         if (!result.success) {
-          process.exit(1);
+          process.exit(exitCode(result));
         }
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -120,11 +121,11 @@ Examples:
         print(result, options);
 
         if (!result.success) {
-          process.exit(1);
+          process.exit(exitCode(result));
         }
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 }
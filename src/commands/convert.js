@@ -7,6 +7,7 @@
 
 import { runJxa, requireDevonthink } from '../jxa-runner.js';
 import { print, printError } from '../output.js';
+import { exitCode } from '../errors.js';
 import { addTasks } from '../queue.js';
 
 const VALID_FORMATS = [
@@ -67,11 +68,11 @@ Examples:
         print(result, options);
 
         if (!result.success) {
-          process.exit(1);
+          process.exit(exitCode(result));
         }
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 }
@@ -7,10 +7,20 @@
 
 import { runJxa, requireDevonthink } from '../jxa-runner.js';
 import { print, printError } from '../output.js';
+import { exitCode } from '../errors.js';
 import { readFileSync, existsSync } from 'node:fs';
 import { resolve } from 'node:path';
 import { readStdin, isStdinMarker, isUuid } from '../utils.js';
 import { addTasks } from '../queue.js';
+import { inverseFromResult, recordAction } from '../history.js';
+
+/**
+ * Log a created record so that `dt undo` can delete it (content stays out of the history)
+ */
+async function recordCreate(params, result) {
+  const { content, ...logged } = params;
+  await recordAction('create', logged, result, inverseFromResult('create', result));
+}
 
 export function registerCreateCommand(program) {
   const create = program
@@ -113,14 +123,15 @@ Examples:
         await requireDevonthink();
 
         const result = await runJxa('write', 'createRecord', [JSON.stringify(params)]);
+        await recordCreate(params, result);
         print(result, options);
 
         if (!result.success) {
-          process.exit(1);
+          process.exit(exitCode(result));
         }
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -177,14 +188,15 @@ Examples:
         await requireDevonthink();
 
         const result = await runJxa('write', 'createMarkdownFrom', [JSON.stringify(params)]);
+        await recordCreate(params, result);
         print(result, options);
 
         if (!result.success) {
-          process.exit(1);
+          process.exit(exitCode(result));
         }
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -244,14 +256,15 @@ Examples:
         await requireDevonthink();
 
         const result = await runJxa('write', 'createPdfFrom', [JSON.stringify(params)]);
+        await recordCreate(params, result);
         print(result, options);
 
         if (!result.success) {
-          process.exit(1);
+          process.exit(exitCode(result));
         }
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -308,14 +321,15 @@ Examples:
         await requireDevonthink();
 
         const result = await runJxa('write', 'createWebDocFrom', [JSON.stringify(params)]);
+        await recordCreate(params, result);
         print(result, options);
 
         if (!result.success) {
-          process.exit(1);
+          process.exit(exitCode(result));
         }
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -370,14 +384,15 @@ Examples:
         await requireDevonthink();
 
         const result = await runJxa('write', 'createRecord', [JSON.stringify(params)]);
+        await recordCreate(params, result);
         print(result, options);
 
         if (!result.success) {
-          process.exit(1);
+          process.exit(exitCode(result));
         }
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -458,14 +473,15 @@ Examples:
         await requireDevonthink();
 
         const result = await runJxa('write', 'createAiImage', [JSON.stringify(params)]);
+        await recordCreate(params, result);
         print(result, options);
 
         if (!result.success) {
-          process.exit(1);
+          process.exit(exitCode(result));
         }
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 }
@@ -0,0 +1,55 @@
+/**
+ * Daemon Command
+ * Runs scheduled queues (see dt queue schedule)
+ */
+
+import { runDaemon } from '../scheduler.js';
+import { useJxaWorker } from '../jxa-runner.js';
+import { printError } from '../output.js';
+import { exitCode } from '../errors.js';
+
+/**
+ * One log line per schedule attempt
+ */
+function formatEntry(schedule, entry) {
+  let line = `${entry.at} ${schedule.name}: ${entry.status}`;
+  if (entry.runId) line += ` (run ${entry.runId}, ${entry.summary.completed} completed, ${entry.summary.failed} failed)`;
+  if (entry.reason || entry.error) line += ` - ${entry.reason || entry.error}`;
+  return line;
+}
+
+export function registerDaemonCommand(program) {
+  program
+    .command('daemon')
+    .description('Run scheduled queues when their cron expressions fire')
+    .option('--once', 'Run the schedules that are due, then exit')
+    .option('--interval <seconds>', 'Check for new or changed schedules at least this often (default: 60)', parseInt)
+    .option('--json', 'Log one JSON object per run')
+    .addHelpText('after', `
+Only one daemon runs per config directory (lock: daemon.lock). Stop it with Ctrl-C or SIGTERM.
+Schedules are managed with dt queue schedule.
+
+Examples:
+  dt daemon
+  dt daemon --once        # e.g. from launchd or cron every few minutes
+`)
+    .action(async (options) => {
+      try {
+        const log = (schedule, entry) => {
+          console.log(options.json ? JSON.stringify({ name: schedule.name, ...entry }) : formatEntry(schedule, entry));
+        };
+        const onError = (error) => console.error(`Scheduler error: ${error.message}`);
+        if (!options.once && !options.json) console.error('dt daemon started (Ctrl-C to stop)');
+        await useJxaWorker();
+        await runDaemon({
+          once: options.once,
+          intervalMs: options.interval ? options.interval * 1000 : undefined,
+          log,
+          onError
+        });
+      } catch (error) {
+        printError(error, options);
+        process.exit(exitCode(error));
+      }
+    });
+}
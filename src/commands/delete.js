@@ -7,8 +7,10 @@
 
 import { runJxa, requireDevonthink } from '../jxa-runner.js';
 import { print, printError } from '../output.js';
+import { exitCode } from '../errors.js';
 import { readUuidsFromStdin, isStdinMarker } from '../utils.js';
 import { addTasks } from '../queue.js';
+import { captureUndo, recordAction } from '../history.js';
 
 export function registerDeleteCommand(program) {
   program
@@ -58,6 +60,8 @@ Examples:
 
         await requireDevonthink();
 
+        const undo = await captureUndo(recordUuids.map(uuid => ({ action: 'delete', params: { uuid } })));
+
         // Use batch delete for multiple UUIDs, single for one
         let result;
         if (recordUuids.length === 1) {
@@ -65,17 +69,18 @@ Examples:
         } else {
           result = await runJxa('write', 'batchDelete', [JSON.stringify(recordUuids)]);
         }
+        await recordAction('delete', { uuids: recordUuids }, result, undo, { captured: true });
 
         if (!options.quiet || !result.success) {
           print(result, options);
         }
 
         if (!result.success) {
-          process.exit(1);
+          process.exit(exitCode(result));
         }
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 }
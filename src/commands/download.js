@@ -5,6 +5,7 @@
 
 import { runJxa, requireDevonthink } from '../jxa-runner.js';
 import { print, printError } from '../output.js';
+import { exitCode } from '../errors.js';
 
 export function registerDownloadCommand(program) {
   const download = program
@@ -45,10 +46,10 @@ Examples:
         const result = await runJxa('write', 'addDownload', [JSON.stringify(params)]);
         print(result, options);
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -99,10 +100,10 @@ Examples:
           print(result, options);
         }
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -155,10 +156,10 @@ Examples:
           print(result, options);
         }
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -209,10 +210,10 @@ Examples:
           print(result, options);
         }
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -232,10 +233,10 @@ Examples:
         await requireDevonthink();
         const result = await runJxa('write', 'downloadManager', [JSON.stringify({ action: 'start' })]);
         print(result, options);
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -255,10 +256,10 @@ Examples:
         await requireDevonthink();
         const result = await runJxa('write', 'downloadManager', [JSON.stringify({ action: 'stop' })]);
         print(result, options);
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 }
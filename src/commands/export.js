@@ -5,6 +5,7 @@
 
 import { runJxa, requireDevonthink } from '../jxa-runner.js';
 import { print, printError } from '../output.js';
+import { exitCode } from '../errors.js';
 
 export function registerExportCommand(program) {
   const exportCmd = program
@@ -47,10 +48,10 @@ Examples:
           print(result, options);
         }
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -87,10 +88,10 @@ Examples:
         const result = await runJxa('write', 'deconsolidateRecord', [JSON.stringify(params)]);
         print(result, options);
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 }
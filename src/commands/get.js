@@ -7,6 +7,7 @@
 
 import { runJxa, requireDevonthink } from '../jxa-runner.js';
 import { print, printError } from '../output.js';
+import { exitCode } from '../errors.js';
 import { trackRecordAccess } from '../state.js';
 
 function collectTags(value, previous) {
@@ -111,10 +112,10 @@ Examples:
         }
 
         print(result, options);
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -149,10 +150,10 @@ Examples:
           print(result, options);
         }
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -187,10 +188,10 @@ Examples:
           print(result, options);
         }
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -239,10 +240,10 @@ Examples:
           print(result, options);
         }
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -275,10 +276,10 @@ Examples:
         await requireDevonthink();
         const result = await runJxa('read', 'getSelection', []);
         print(result, options);
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -327,10 +328,10 @@ Examples:
           print(result, options);
         }
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -366,10 +367,10 @@ Examples:
           print(result, options);
         }
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -407,10 +408,10 @@ Examples:
           print(result, options);
         }
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -479,10 +480,10 @@ Examples:
           print(result, options);
         }
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -544,10 +545,10 @@ Examples:
           print(result, options);
         }
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 }
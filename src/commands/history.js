@@ -0,0 +1,154 @@
+/**
+ * History, Undo & Redo Commands
+ * Inspect the action history and revert write actions (see src/history.js)
+ */
+
+import { requireDevonthink } from '../jxa-runner.js';
+import { getHistory, getAction } from '../state.js';
+import { undo, redo, toSteps } from '../history.js';
+import { print, printError } from '../output.js';
+import { exitCode } from '../errors.js';
+
+/**
+ * One line per entry: ID, time, action, undo state
+ */
+function formatEntry(entry) {
+  const steps = toSteps(entry.reverseAction).length;
+  const state = entry.reversedAt
+    ? `undone ${entry.reversedAt}`
+    : (entry.reversible ? `undo: ${steps} step${steps === 1 ? '' : 's'}` : 'not undoable');
+  const target = entry.params?.queue ? ` ${entry.params.queue} (${entry.params.tasks?.length ?? 0} tasks)` : '';
+  return `${entry.id}  ${entry.timestamp}  ${entry.action}${target}  [${state}]`;
+}
+
+/**
+ * Parse --since: an ISO date, or a duration ago (30m, 2h, 1d)
+ */
+function parseSince(value) {
+  const ago = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(m|h|d)$/);
+  if (ago) {
+    const unit = { m: 60000, h: 3600000, d: 86400000 }[ago[2]];
+    return new Date(Date.now() - parseFloat(ago[1]) * unit).toISOString();
+  }
+  const date = new Date(value);
+  if (isNaN(date)) throw new Error(`Invalid --since: "${value}" (use an ISO date, or 30m, 2h, 1d ago)`);
+  return date.toISOString();
+}
+
+/**
+ * Print the outcome of dt undo / dt redo
+ * @param {string} command - undo or redo
+ */
+function printReplay(result, command, options) {
+  if (options.json || result.dryRun) {
+    print(result, options);
+    return;
+  }
+  const done = command === 'undo' ? 'Undid' : 'Redid';
+  result.entries.forEach(e => console.log(`${done} ${e.action} (${e.id}, ${e.steps} step${e.steps === 1 ? '' : 's'})`));
+  if (result.failed) {
+    console.error(`Could not ${command} ${result.failed.action} (${result.failed.id}):\n  ${result.failed.errors.join('\n  ')}`);
+  }
+}
+
+export function registerHistoryCommand(program) {
+  // dt history [id]
+  program
+    .command('history [id]')
+    .description('List the action history, or show one entry with its undo actions')
+    .option('-n, --limit <n>', 'Number of entries', '20')
+    .option('-a, --action <action>', 'Only this action (e.g. move, tag, tag.merge, queue.execute)')
+    .option('--since <time>', 'Only entries since an ISO date, or a duration ago (30m, 2h, 1d)')
+    .option('--undoable', 'Only entries that can be undone')
+    .option('--undone', 'Only entries that were undone (and can be redone)')
+    .option('--json', 'Output raw JSON')
+    .addHelpText('after', `
+Write commands (create, move, modify, delete, tags merge/rename/delete/normalize)
+and queue runs are recorded with the actions that undo them. A queue run is one entry.
+
+Examples:
+  dt history
+  dt history --action tag --since 1d
+  dt history h_1767700000000_a1b2c
+`)
+    .action(async (id, options) => {
+      try {
+        if (id) {
+          const entry = await getAction(id);
+          if (!entry) throw new Error(`History entry not found: ${id}`);
+          print(entry, options);
+          return;
+        }
+
+        const entries = await getHistory({
+          limit: parseInt(options.limit, 10) || 20,
+          action: options.action,
+          since: options.since ? parseSince(options.since) : undefined,
+          reversibleOnly: options.undoable,
+          reversedOnly: options.undone
+        });
+        if (options.json) {
+          print(entries, options);
+        } else if (entries.length === 0) {
+          console.log('No history entries');
+        } else {
+          entries.forEach(e => console.log(formatEntry(e)));
+        }
+      } catch (error) {
+        printError(error, options);
+        process.exit(exitCode(error));
+      }
+    });
+
+  // dt undo
+  program
+    .command('undo')
+    .description('Undo the latest write actions (from dt history)')
+    .option('--steps <n>', 'Number of history entries to undo', '1')
+    .option('--dry-run', 'Show the actions that would run')
+    .option('--json', 'Output raw JSON')
+    .addHelpText('after', `
+Entries are undone newest first; undo stops at the first entry that fails.
+Deleted records are moved back out of the Trash; created records are deleted.
+Custom metadata and record content are not restored.
+
+Examples:
+  dt undo
+  dt undo --steps 3 --dry-run
+`)
+    .action(async (options) => {
+      try {
+        if (!options.dryRun) await requireDevonthink();
+        const result = await undo({ steps: options.steps, dryRun: options.dryRun });
+        printReplay(result, 'undo', options);
+        if (!result.success) process.exit(exitCode(result));
+      } catch (error) {
+        printError(error, options);
+        process.exit(exitCode(error));
+      }
+    });
+
+  // dt redo
+  program
+    .command('redo')
+    .description('Redo the most recently undone actions')
+    .option('--steps <n>', 'Number of history entries to redo', '1')
+    .option('--dry-run', 'Show the actions that would run')
+    .option('--json', 'Output raw JSON')
+    .addHelpText('after', `
+Examples:
+  dt redo
+  dt redo --steps 2
+`)
+    .action(async (options) => {
+      try {
+        if (!options.dryRun) await requireDevonthink();
+        const result = await redo({ steps: options.steps, dryRun: options.dryRun });
+        printReplay(result, 'redo', options);
+        if (!result.success) process.exit(exitCode(result));
+      } catch (error) {
+        printError(error, options);
+        process.exit(exitCode(error));
+      }
+    });
+}
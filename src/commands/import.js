@@ -5,16 +5,13 @@
  * @tested 2026-01-05
  */
 
-import { execFile } from 'node:child_process';
-import { promisify } from 'node:util';
 import { resolve, basename } from 'node:path';
 import { existsSync } from 'node:fs';
-import { runJxa, requireDevonthink } from '../jxa-runner.js';
+import { runJxa, runJxaSource, requireDevonthink } from '../jxa-runner.js';
 import { print, printError } from '../output.js';
+import { exitCode } from '../errors.js';
 import { isUuid, escapeString, jxaResolveDatabaseAndGroup } from '../utils.js';
 
-const execFileAsync = promisify(execFile);
-
 export function registerImportCommand(program) {
   program
     .command('import <file>')
@@ -78,21 +75,15 @@ Examples:
           console.error('Generated JXA script:\n' + jxaScript);
         }
 
-        const { stdout } = await execFileAsync(
-          'osascript',
-          ['-l', 'JavaScript', '-e', jxaScript],
-          { timeout: 300000, maxBuffer: 10 * 1024 * 1024 } // 5 min timeout for OCR
-        );
-
-        const result = JSON.parse(stdout.trim());
+        const result = await runJxaSource(jxaScript, { timeout: 300000 }); // 5 min timeout for OCR
         print(result, options);
 
         if (!result.success) {
-          process.exit(1);
+          process.exit(exitCode(result));
         }
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 }
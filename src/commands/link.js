@@ -6,6 +6,7 @@
 
 import { runJxa, requireDevonthink } from '../jxa-runner.js';
 import { print, printError } from '../output.js';
+import { exitCode } from '../errors.js';
 
 export function registerLinkCommand(program) {
   // dt link <source> [target]
@@ -62,10 +63,10 @@ Examples:
         const result = await runJxa('write', 'linkRecords', [JSON.stringify(params)]);
         print(result, options);
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -114,10 +115,10 @@ Examples:
         const result = await runJxa('write', 'linkRecords', [JSON.stringify(params)]);
         print(result, options);
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 }
@@ -7,6 +7,7 @@
 
 import { runJxa, requireDevonthink } from '../jxa-runner.js';
 import { print, printError } from '../output.js';
+import { exitCode } from '../errors.js';
 import { getDatabaseCache, setDatabaseCache } from '../cache.js';
 import { trackGroupAccess } from '../state.js';
 
@@ -62,7 +63,7 @@ Examples:
           } else {
              // If JXA returned error object
              print(result, options);
-             if (!result.success) process.exit(1);
+             if (!result.success) process.exit(exitCode(result));
              return; 
           }
         }
@@ -70,7 +71,7 @@ Examples:
         print(dbs, options);
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -89,6 +90,7 @@ JSON Output:
     "group": "string",
     "uuid": "string",
     "path": "string",
+    "database": "string",
     "itemCount": number,
     "items": [
       {
@@ -115,25 +117,22 @@ Examples:
 
         const result = await runJxa('read', 'listGroupContents', args);
         
-        // Track access if successful and we have group info
-        // The JXA script returns list of children. It might not return group metadata.
-        // If we want to track the group, we might need to know which group it was.
-        // For now, let's skip tracking in 'list group' unless we update the JXA to return metadata too.
-        // Actually, if 'target' is a UUID, we can track it.
-        if (result.success && looksLikeUuid) {
-             // We'll track it as a group access. 
-             // Ideally we need name/path for the recent list, but we only have UUID here.
-             // We can defer or look it up. For now, let's track minimal info.
-             // Wait, state.js expects {uuid, name, path...}.
-             // If we don't have name, maybe we shouldn't track or track as "Unknown".
-             // Let's hold off on tracking here until we can get full metadata.
+        // Remember the group (full path) for context, e.g. offline queue repair.
+        // Database roots have no location and are not tracked.
+        if (result.success && result.uuid && result.path) {
+          await trackGroupAccess({
+            uuid: result.uuid,
+            name: result.group,
+            path: `${result.path.replace(/\/$/, '')}/${result.group}`,
+            databaseName: result.database
+          }).catch(() => {});
         }
 
         print(result, options);
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -185,10 +184,10 @@ Examples:
 
         const result = await runJxa('read', 'listInbox', args);
         print(result, options);
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -235,10 +234,10 @@ Examples:
         const args = [tag, options.database || '', options.limit || '50'];
         const result = await runJxa('read', 'queryByTag', args);
         print(result, options);
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 }
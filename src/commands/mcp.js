@@ -5,7 +5,8 @@
  */
 
 import { runMcpServer } from '../mcp-server.js';
-import { requireDevonthink } from '../jxa-runner.js';
+import { requireDevonthink, useJxaWorker } from '../jxa-runner.js';
+import { exitCode } from '../errors.js';
 
 export function registerMcpCommand(program) {
   const mcp = program
@@ -22,10 +23,11 @@ Examples:
     .action(async () => {
       try {
         await requireDevonthink();
+        await useJxaWorker();
         await runMcpServer();
       } catch (error) {
         console.error(`Error: ${error.message}`);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
     
@@ -7,7 +7,9 @@
 
 import { runJxa, requireDevonthink } from '../jxa-runner.js';
 import { print, printError } from '../output.js';
+import { exitCode } from '../errors.js';
 import { addTasks } from '../queue.js';
+import { captureUndo, recordAction } from '../history.js';
 
 export function registerModifyCommand(program) {
   program
@@ -114,15 +116,17 @@ Examples:
 
         await requireDevonthink();
 
+        const undo = await captureUndo([{ action: 'modify', params }]);
         const result = await runJxa('write', 'modifyRecordProperties', [JSON.stringify(params)]);
+        await recordAction('modify', params, result, undo, { captured: true });
         print(result, options);
 
         if (!result.success) {
-          process.exit(1);
+          process.exit(exitCode(result));
         }
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 }
@@ -7,8 +7,10 @@
 
 import { runJxa, requireDevonthink } from '../jxa-runner.js';
 import { print, printError } from '../output.js';
+import { exitCode } from '../errors.js';
 import { readUuidsFromStdin, isStdinMarker } from '../utils.js';
 import { addTasks } from '../queue.js';
+import { captureUndo, recordAction } from '../history.js';
 
 export function registerMoveCommand(program) {
   program
@@ -86,15 +88,17 @@ Examples:
           params.database = options.database;
         }
 
+        const undo = await captureUndo(recordUuids.map(uuid => ({ action: 'move', params: { uuid } })));
         const result = await runJxa('write', 'moveRecord', [JSON.stringify(params)]);
+        await recordAction('move', params, result, undo, { captured: true });
         print(result, options);
 
         if (!result.success) {
-          process.exit(1);
+          process.exit(exitCode(result));
         }
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 }
@@ -4,8 +4,9 @@
  * @version 1.0.0
  */
 
-import { runJxa, requireDevonthink } from '../jxa-runner.js';
+import { runJxa, requireDevonthink, useJxaWorker } from '../jxa-runner.js';
 import { print, printError } from '../output.js';
+import { exitCode } from '../errors.js';
 import { readUuidsFromStdin, isStdinMarker } from '../utils.js';
 import { addTasks } from '../queue.js';
 
@@ -76,6 +77,7 @@ Examples:
         }
 
         await requireDevonthink();
+        await useJxaWorker();
 
         const results = [];
         
@@ -116,7 +118,7 @@ Examples:
 
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 }
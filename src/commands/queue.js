@@ -11,20 +11,77 @@ import {
   validateQueue, 
   verifyQueue,
   aiRepairQueue,
+  repairQueue,
   getQueueStatus, 
   clearQueue,
-  loadQueue
+  loadQueue,
+  getQueueGraph,
+  listQueues,
+  snapshotQueue,
+  exportQueue,
+  restoreQueue,
+  unlockQueue,
+  getQueueRuns,
+  getRun,
+  rerunQueue
 } from '../queue.js';
+import { renderTree, renderDot } from '../queue-graph.js';
+import { describeLock } from '../queue-lock.js';
+import { createNdjsonWriter, createProgressBar } from '../queue-progress.js';
+import {
+  addSchedule,
+  listSchedules,
+  getSchedule,
+  removeSchedule,
+  setScheduleEnabled,
+  createScheduler
+} from '../scheduler.js';
+import { loadWorkflow, parseVars } from '../workflow.js';
+import { useJxaWorker } from '../jxa-runner.js';
 import { print, printError } from '../output.js';
-import { readStdin, isStdinMarker } from '../utils.js';
-import fs from 'fs/promises';
-import YAML from 'yaml';
+import { EXIT_CODES, codedError, exitCode } from '../errors.js';
+
+function collectVars(value, previous) {
+  return previous.concat([value]);
+}
+
+/**
+ * Build a retry policy from --retry, --backoff and --retry-on
+ * @returns {object|undefined} { attempts, backoff, on } or undefined if no flag was given
+ */
+function parseRetryOptions(options) {
+  if (options.retry === undefined && options.backoff === undefined && !options.retryOn) return undefined;
+  const retry = {};
+  if (options.retry !== undefined) retry.attempts = options.retry;
+  if (options.backoff !== undefined) retry.backoff = options.backoff;
+  if (options.retryOn) retry.on = options.retryOn;
+  return retry;
+}
 
 export function registerQueueCommand(program) {
   const queue = program
     .command('queue')
     .alias('q')
-    .description('Manage the task queue');
+    .description('Manage the task queue')
+    .option('--name <queue>', 'Named queue to use (default: the default queue)')
+    .option('--lock-timeout <ms>', 'How long to wait for a queue locked by another process (default: 1000, env DT_QUEUE_LOCK_TIMEOUT)', parseInt)
+    .enablePositionalOptions()
+    .addHelpText('after', `
+Named queues:
+  Queue options go before the subcommand; each named queue has its own file and lock.
+  dt queue --name nightly-cleanup add move --uuid ABCD-1234 --destination "/Archive"
+  dt queue --name nightly-cleanup execute
+  dt queue ls
+
+Locks:
+  A queue is locked while a command changes or executes it. Locks of processes that
+  are no longer running (or older than DT_QUEUE_LOCK_MAX_AGE ms, default 24h) are taken over.
+  dt queue --lock-timeout 600000 add move --uuid ABCD-1234 --destination "/Archive"
+  dt queue unlock
+`);
+
+  // Options for the selected queue (set with dt queue --name <queue> --lock-timeout <ms>)
+  const target = () => ({ queue: queue.opts().name, lockTimeoutMs: queue.opts().lockTimeout });
 
   // dt queue status (default)
   queue
@@ -39,9 +96,10 @@ JSON Output:
       {
         "uuid": "string",
         "action": "string",
-        "status": "pending|completed|failed",
+        "status": "pending|completed|failed|skipped|rolled_back",
         "params": {},
-        "error": "string"
+        "error": "string",
+        "skipReason": "string"
       }
     ],
     "pendingCount": number
@@ -53,34 +111,92 @@ Examples:
 `)
     .action(async (options) => {
       try {
-        const status = await getQueueStatus();
+        const status = await getQueueStatus(target());
         if (!options.all) {
           status.tasks = status.tasks.filter(t => t.status !== 'completed');
         }
         print(status, options);
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
+      }
+    });
+
+  // dt queue ls
+  queue
+    .command('ls')
+    .description('List queues')
+    .option('--json', 'Output raw JSON')
+    .addHelpText('after', `
+JSON Output:
+  [
+    {
+      "name": "string",
+      "id": "string",
+      "status": "string",
+      "summary": { "total": number, "pending": number, "completed": number, "failed": number, "skipped": number },
+      "locked": boolean,
+      "lock": { "pid": number, "host": "string", "command": "string", "startedAt": "ISO date", "ageMs": number, "alive": boolean, "stale": boolean, "staleReason": "string" },
+      "updatedAt": "ISO date"
+    }
+  ]
+
+Examples:
+  dt queue ls
+`)
+    .action(async (options) => {
+      try {
+        const queues = await listQueues();
+        if (options.json) {
+          print(queues, options);
+        } else if (queues.length === 0) {
+          console.log('No queues');
+        } else {
+          queues.forEach(q => {
+            const s = q.summary || {};
+            const lock = q.lock ? `\tlocked by ${describeLock(q.lock)}${q.lock.stale ? ' [stale]' : ''}` : '';
+            console.log(`${q.name}\t${q.status}\t${s.pending || 0} pending, ${s.completed || 0} completed, ${s.failed || 0} failed${lock}`);
+          });
+        }
+      } catch (error) {
+        printError(error, options);
+        process.exit(exitCode(error));
       }
     });
 
   // dt queue list
   queue
     .command('list')
-    .alias('ls')
     .description('List all tasks')
+    .option('--graph [format]', 'Show the dependency graph and execution plan: text (default) or dot')
     .option('--json', 'Output raw JSON')
     .addHelpText('after', `
 Examples:
   dt queue list
+  dt queue list --graph
+  dt queue list --graph dot | dot -Tpng -o queue.png
 `)
     .action(async (options) => {
       try {
-        const status = await getQueueStatus();
+        if (options.graph) {
+          const format = options.graph === true ? 'text' : options.graph;
+          if (!['text', 'dot'].includes(format)) {
+            throw new Error(`Invalid graph format: ${format}. Use text or dot`);
+          }
+          const graph = await getQueueGraph(target());
+          if (options.json) {
+            print(graph, options);
+          } else {
+            console.log(format === 'dot' ? renderDot(graph) : renderTree(graph, graph));
+          }
+          return;
+        }
+
+        const status = await getQueueStatus(target());
         print(status.tasks, options);
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -102,6 +218,8 @@ Examples:
     .option('--from <name>', 'From (tag.rename)')
     .option('--to <name>', 'To (tag.rename)')
     .option('--tag <tag>', 'Tag (tag.delete)')
+    .option('--query <query>', 'Query (search)')
+    .option('--limit <n>', 'Maximum results (search)', parseInt)
     .option('--prompt <text>', 'Prompt (chat)')
     .option('--prompt-record <uuid>', 'Prompt record (chat)')
     .option('--records <uuids...>', 'Context records (chat)')
@@ -115,6 +233,15 @@ Examples:
     .option('--format <fmt>', 'Chat response format: text, json, html, message, raw')
     .option('--no-thinking', 'Disable reasoning (chat)')
     .option('--no-tools', 'Disable tool calls (chat)')
+    .option('--for-each <ref>', 'Run once per element of a list, e.g. "$1.results" (bind with $item)')
+    .option('--when <condition>', 'Only run if the condition holds, e.g. "$2.results.length > 0"')
+    .option('--retry <attempts>', 'Max attempts if the task fails', parseInt)
+    .option('--backoff <ms>', 'Delay before the first retry, doubled on each retry', parseInt)
+    .option('--retry-on <patterns...>', 'Only retry errors matching these patterns')
+    .option('--timeout <ms>', 'Task timeout (also limits each DEVONthink script call)', parseInt)
+    .option('--priority <n>', 'Priority, higher runs first (default: 0)', parseInt)
+    .option('--not-before <time>', 'Do not run before this time: ISO date, HH:MM or +30m/+2h/+1d')
+    .option('--deadline <time>', 'Run before this time: ISO date, HH:MM or +30m/+2h/+1d')
     .option('--json', 'Output raw JSON response')
     .addHelpText('after', `
 Examples:
@@ -126,6 +253,12 @@ Examples:
   dt queue add tag.delete --tag "temp" --database "Research"
   dt queue add tag.delete --tags "temp" "old" --database "Research"
   dt queue add chat --prompt "Summarize" --records "ABCD-1234" --engine claude
+  dt queue add search --query "invoice 2025" --database "Finance"
+  dt queue add move --for-each '$1.results' --uuid '$item.uuid' --destination "/Archive"
+  dt queue add tag.add --when '$1.results.length > 0' --uuids '$1.uuids' --tags "found"
+  dt queue add chat --prompt "Summarize" --records ABCD-1234 --retry 3 --backoff 2000 --retry-on "timed out" --timeout 120000
+  dt queue add convert --uuid ABCD-1234 --format pdf --not-before 22:00 --deadline 06:00
+  dt queue add tag.add --uuids ABCD-1234 --tags "urgent" --priority 10
 `)
     .action(async (action, options) => {
       try {
@@ -145,6 +278,8 @@ Examples:
         if (options.from) params.from = options.from;
         if (options.to) params.to = options.to;
         if (options.tag) params.tag = options.tag;
+        if (options.query) params.query = options.query;
+        if (options.limit !== undefined) params.limit = options.limit;
         if (options.prompt) params.prompt = options.prompt;
         if (options.promptRecord) params.promptRecord = options.promptRecord;
         if (options.records) params.records = options.records;
@@ -160,53 +295,82 @@ Examples:
         if (options.tools === false) params.toolCalls = false;
 
         const task = { action, params };
-        const result = await addTasks([task]);
+        if (options.forEach) task.forEach = options.forEach;
+        if (options.when) task.when = options.when;
+        const retry = parseRetryOptions(options);
+        if (retry) task.retry = retry;
+        if (options.timeout) task.timeoutMs = options.timeout;
+        if (options.priority !== undefined) task.priority = options.priority;
+        if (options.notBefore) task.notBefore = options.notBefore;
+        if (options.deadline) task.deadline = options.deadline;
+        const result = await addTasks([task], target());
         
         print(result, options);
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
   // dt queue load <file>
   queue
     .command('load <file>')
-    .description('Load tasks from a YAML/JSON file')
+    .description('Load tasks from a YAML/JSON/NDJSON/CSV task or workflow file')
+    .option('--var <name=value>', 'Workflow input (repeatable)', collectVars, [])
+    .option('--format <format>', 'File format: yaml, json, ndjson, csv (default: from the extension or content)')
     .addHelpText('after', `
+Workflow files declare inputs and may include other workflows (see dt workflow).
+Their $N references count from the file's first task, as do those of files with
+task IDs (from dt queue export).
+
+NDJSON has one task per line; CSV has an action column plus one column per param
+(list params such as uuids and tags split on ";", cells starting with [ { or " are
+JSON). Every row is checked before anything is queued; errors give the line.
+
 Examples:
   dt queue load tasks.yaml
   cat tasks.json | dt queue load -
+  dt queue load inbox-triage.yaml --var database=Research --var since="2 weeks"
+  dt queue load renames.csv
+  generate-tasks.sh | dt queue load - --format ndjson
 `)
     .action(async (file, options) => {
       try {
-        let content;
-        if (isStdinMarker(file)) {
-          content = await readStdin();
-        } else {
-          content = await fs.readFile(file, 'utf-8');
-        }
-        
-        // Try YAML then JSON
-        let tasks;
-        try {
-          tasks = YAML.parse(content);
-        } catch {
-          tasks = JSON.parse(content);
-        }
-        
-        // Support wrapping in { tasks: [...] } or just array
-        if (tasks.tasks && Array.isArray(tasks.tasks)) {
-           tasks = tasks.tasks;
-        } else if (!Array.isArray(tasks)) {
-           throw new Error('Input must be an array of tasks or object with "tasks" array');
-        }
-
-        const result = await addTasks(tasks);
+        const workflow = await loadWorkflow(file, parseVars(options.var), { format: options.format });
+        const result = await addTasks(workflow.tasks, {
+          ...target(),
+          relativeIds: workflow.relativeIds,
+          ...(workflow.mode && { mode: workflow.mode })
+        });
         print(result, options);
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
+      }
+    });
+
+  // dt queue export [file]
+  queue
+    .command('export [file]')
+    .description('Write the queue\'s tasks to a task file (stdout without a file)')
+    .option('--format <format>', 'yaml, json, ndjson, csv (default: from the extension, else yaml)')
+    .option('--json', 'Output raw JSON')
+    .addHelpText('after', `
+Exports action, params, dependencies and scheduling, not status or results.
+The file loads back with dt queue load, into this or any other queue.
+
+Examples:
+  dt queue export tasks.csv
+  dt queue --name nightly-cleanup export --format ndjson > nightly.ndjson
+`)
+    .action(async (file, options) => {
+      try {
+        const result = await exportQueue(file === '-' ? undefined : file, { ...target(), format: options.format });
+        if (result.content === undefined) print(result, options);
+        else process.stdout.write(result.content);
+      } catch (error) {
+        printError(error, options);
+        process.exit(exitCode(error));
       }
     });
 
@@ -221,18 +385,19 @@ Examples:
 `)
     .action(async (options) => {
       try {
-        const result = await validateQueue();
+        const result = await validateQueue(target());
         if (!result.valid) {
-          printError(new Error('Queue validation failed'), options);
+          const error = codedError('INVALID_ARGUMENT', 'Queue validation failed');
+          printError(error, options);
           if (options.json) print(result, options);
           else console.error(result.errors.join('\n'));
-          process.exit(1);
+          process.exit(exitCode(error));
         } else {
           print(result, options);
         }
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -247,7 +412,7 @@ Examples:
 `)
     .action(async (options) => {
       try {
-        const result = await verifyQueue();
+        const result = await verifyQueue(target());
         if (!result.valid) {
           printError(new Error(`Queue verification failed: ${result.issues.length} issues found`), options);
           if (options.json) {
@@ -258,7 +423,7 @@ Examples:
               console.error(`- Task ${i.taskId}: ${i.message}`);
             });
           }
-          process.exit(1);
+          process.exit(EXIT_CODES.ERROR);
         } else {
           if (options.json) {
             print(result, options);
@@ -269,26 +434,66 @@ Examples:
         }
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
   // dt queue repair
   queue
     .command('repair')
-    .description('Use AI to smartly restructure and fix the task queue')
+    .description('Fix the task queue with AI, or deterministically from local caches (--offline)')
     .option('--apply', 'Actually apply the proposed fixes')
     .option('--engine <engine>', 'AI engine to use (default: claude)')
+    .option('--offline', 'No AI: match databases, group paths and record names against the local caches')
+    .option('--min-confidence <n>', 'Offline: lowest confidence (0-1) to propose a fix (default: 0.6)', parseFloat)
     .option('--json', 'Output raw JSON')
     .addHelpText('after', `
+Offline repair (--offline) checks pending and failed tasks against:
+  databases.yaml         database names
+  state.yaml recents     group paths (the known group tree) and record names given instead of UUIDs
+Each fix has a confidence score and is shown as a diff; the same queue and caches
+always give the same result. Repaired failed tasks are reset to pending.
+
 Examples:
   dt queue repair
   dt queue repair --apply
+  dt queue repair --offline
+  dt queue repair --offline --min-confidence 0.8 --apply
 `)
     .action(async (options) => {
       try {
+        if (options.offline) {
+          const result = await repairQueue({ ...options, ...target() });
+          if (options.json) {
+            print(result, options);
+            return;
+          }
+          if (result.fixes.length === 0 && result.unresolved.length === 0) {
+            console.log('No repairs found.');
+          }
+          if (result.fixes.length > 0) {
+            console.log(result.diff);
+          }
+          if (result.unresolved.length > 0) {
+            console.log(`\nUnresolved (${result.unresolved.length}):`);
+            for (const item of result.unresolved) {
+              const hint = item.suggestion ? ` (closest: ${item.suggestion.value}, ${item.suggestion.confidence.toFixed(2)})` : '';
+              console.log(`  Task ${item.taskId}: ${item.message}${hint}`);
+            }
+          }
+          if (result.sources.databases === null) {
+            console.log('\nNote: databases.yaml not found, database names were not checked (run: dt list databases)');
+          }
+          if (result.fixes.length > 0) {
+            console.log(options.apply
+              ? `\nApplied ${result.fixes.length} fix(es) to ${result.changedTasks.length} task(s).`
+              : '\nTo apply these fixes, run: dt queue repair --offline --apply');
+          }
+          return;
+        }
+
         console.log('Analyzing queue and consulting AI...');
-        const result = await aiRepairQueue(options);
+        const result = await aiRepairQueue({ ...options, ...target() });
         
         if (options.json) {
           print(result, options);
@@ -308,31 +513,92 @@ Examples:
         }
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
   // dt queue execute
   queue
     .command('execute')
-    .alias('run')
-    .description('Execute pending tasks')
+    .description('Execute pending tasks (each execution is archived, see dt queue runs)')
     .option('--dry-run', 'Validate only')
+    .option('--simulate', 'Predict the end state of every referenced record without changing anything')
+    .option('--mode <mode>', 'Execution mode: sequential, parallel, transactional (default: queue option)')
+    .option('--concurrency <n>', 'Max concurrent tasks in parallel mode (default: 4)', parseInt)
+    .option('--rollback-on-error', 'Undo completed write tasks if a task fails (same as --mode transactional)')
+    .option('--retry <attempts>', 'Default max attempts for tasks without their own retry policy', parseInt)
+    .option('--backoff <ms>', 'Default delay before the first retry, doubled on each retry', parseInt)
+    .option('--retry-on <patterns...>', 'Default error patterns that trigger a retry')
+    .option('--timeout <ms>', 'Default task timeout (also limits each DEVONthink script call)', parseInt)
+    .option('--until <time>', 'Leave out tasks with a deadline after this time (unless a task that runs needs them)')
+    .option('--events <format>', 'Stream progress events to stdout instead of the result: ndjson')
+    .option('--no-progress', 'Do not show the progress bar (shown on a terminal)')
     .option('--verbose', 'Show detailed results')
     .option('--json', 'Output raw JSON')
     .addHelpText('after', `
+Progress events (--events ndjson), one JSON object per line:
+  { "type": "run.started|batch.formed|task.started|task.retrying|task.irreversible|task.completed|
+             task.failed|task.skipped|rollback.started|run.finished",
+    "runId": "string", "queue": "string", "time": "ISO date", "taskId": number, "action": "string",
+    "progress": { "done": number, "total": number, "completed": number, "failed": number,
+                  "skipped": number, "elapsedMs": number, "etaMs": number|null } }
+  task.irreversible (with error) means the task's records could not be read before it
+  ran, so it cannot be undone. The last event (run.finished) carries success, status and summary.
+
+Simulation (--simulate):
+  Reads the current name, group, tags and comment of every record the queue
+  references and replays the pending tasks on them. Prints a before/after diff per
+  record, records the queue creates, and conflicts such as moving a record that an
+  earlier task deletes (exit code 1). Tasks that need search or AI results are
+  listed as not predicted.
+
+Scheduling:
+  Tasks run by priority (higher first, inherited by the tasks they depend on), then
+  earliest deadline, always after their dependencies. Tasks whose notBefore lies in
+  the future, and tasks that depend on them, stay pending for a later run.
+
 Examples:
   dt queue execute
   dt queue execute --dry-run
+  dt queue execute --simulate
+  dt queue execute --mode parallel --concurrency 6
+  dt queue execute --mode transactional
+  dt queue execute --retry 3 --backoff 1000 --timeout 120000
+  dt queue execute --events ndjson | jq -c 'select(.type == "task.failed")'
+  dt queue execute --until 09:00
 `)
     .action(async (options) => {
       try {
-        const result = await executeQueue(options);
-        print(result, options);
-        if (!result.success) process.exit(1);
+        if (options.events && options.events !== 'ndjson') {
+          throw new Error(`Invalid events format: ${options.events}. Use ndjson`);
+        }
+        let onEvent;
+        if (options.events) {
+          onEvent = createNdjsonWriter(process.stdout);
+        } else if (options.progress && process.stderr.isTTY) {
+          onEvent = createProgressBar(process.stderr);
+        }
+
+        await useJxaWorker();
+        const result = await executeQueue({
+          ...options,
+          ...target(),
+          retry: parseRetryOptions(options),
+          timeoutMs: options.timeout,
+          onEvent
+        });
+        if (result.simulated && !options.json) {
+          console.log(result.diff);
+          const deferred = result.deferred.length ? `, ${result.deferred.length} deferred` : '';
+          console.log(`\nSimulated ${result.tasks} task(s): ${result.records.length} record(s) changed, ` +
+            `${result.created.length} created, ${result.conflicts.length} conflict(s)${deferred}`);
+        } else if (!options.events) {
+          print(result, options);
+        }
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -350,11 +616,335 @@ Examples:
     .action(async (options) => {
       try {
         const scope = options.all ? 'all' : (options.scope || 'completed');
-        await clearQueue(scope);
+        await clearQueue(scope, target());
         console.log('Queue cleared (scope: ' + scope + ')');
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
+      }
+    });
+
+  // dt queue unlock
+  queue
+    .command('unlock')
+    .description('Remove a stale queue lock (left behind by a crashed process)')
+    .option('--force', 'Remove the lock even if its process is still running')
+    .option('--json', 'Output raw JSON')
+    .addHelpText('after', `
+JSON Output:
+  {
+    "success": true,
+    "queue": "string",
+    "unlocked": boolean,
+    "lock": { "pid": number, "command": "string", "startedAt": "ISO date", "alive": boolean, "stale": boolean }
+  }
+
+Examples:
+  dt queue unlock
+  dt queue --name nightly-cleanup unlock --force
+`)
+    .action(async (options) => {
+      try {
+        const result = await unlockQueue({ ...target(), force: options.force });
+        if (options.json) {
+          print(result, options);
+        } else if (result.unlocked) {
+          console.log(`Removed lock of queue "${result.queue}" held by ${describeLock(result.lock)}`);
+        } else {
+          console.log(`Queue "${result.queue}" is not locked`);
+        }
+      } catch (error) {
+        printError(error, options);
+        process.exit(exitCode(error));
+      }
+    });
+
+  // dt queue runs
+  queue
+    .command('runs')
+    .description('List archived executions of the queue, newest first')
+    .option('--limit <n>', 'Show at most n runs', parseInt)
+    .option('--json', 'Output raw JSON')
+    .addHelpText('after', `
+Every dt queue execute is archived in runs/<queue>/<runId>.yaml. Per queue, the newest
+DT_QUEUE_RUNS_KEEP runs (default 50) of the last DT_QUEUE_RUNS_MAX_AGE days (default 30) are kept.
+
+JSON Output:
+  [
+    {
+      "id": "r_1767693600000_a1b2",
+      "queue": "string",
+      "startedAt": "ISO date",
+      "finishedAt": "ISO date",
+      "durationMs": number,
+      "mode": "sequential|parallel|transactional",
+      "status": "completed|failed",
+      "summary": { "total": number, "completed": number, "failed": number, "skipped": number, "rolledBack": number, "pending": number }
+    }
+  ]
+
+Examples:
+  dt queue runs
+  dt queue --name nightly-cleanup runs --limit 5
+`)
+    .action(async (options) => {
+      try {
+        const runs = await getQueueRuns({ ...target(), limit: options.limit });
+        if (options.json) {
+          print(runs, options);
+        } else if (runs.length === 0) {
+          console.log('No runs');
+        } else {
+          runs.forEach(r => {
+            const s = r.summary;
+            console.log(`${r.id}\t${r.startedAt}\t${r.status}\t${s.completed}/${s.total} completed, ${s.failed} failed, ${s.skipped} skipped\t${r.durationMs}ms`);
+          });
+        }
+      } catch (error) {
+        printError(error, options);
+        process.exit(exitCode(error));
+      }
+    });
+
+  // dt queue run show <id>
+  const run = queue
+    .command('run')
+    .description('Inspect archived runs');
+
+  run
+    .command('show <id>')
+    .description('Show an archived run with resolved params, results, errors and timings')
+    .option('--json', 'Output raw JSON')
+    .addHelpText('after', `
+Examples:
+  dt queue run show r_1767693600000_a1b2
+  dt queue run show r_1767693600000_a1b2 --json
+`)
+    .action(async (id, options) => {
+      try {
+        const record = await getRun(id);
+        if (options.json) {
+          print(record, options);
+          return;
+        }
+        console.log(`Run ${record.id} (queue ${record.queue}, ${record.mode})`);
+        console.log(`${record.status} in ${record.durationMs}ms, started ${record.startedAt}`);
+        record.tasks.forEach(t => {
+          const timing = t.durationMs !== undefined ? ` ${t.durationMs}ms` : '';
+          const detail = t.error || t.skipReason || '';
+          console.log(`  #${t.id} ${t.action} [${t.status}]${timing}${detail ? ` ${detail}` : ''}`);
+        });
+      } catch (error) {
+        printError(error, options);
+        process.exit(exitCode(error));
+      }
+    });
+
+  // dt queue rerun <id>
+  queue
+    .command('rerun <id>')
+    .description('Queue the tasks of an archived run again (into its queue, or --name)')
+    .option('--failed-only', 'Only tasks that did not complete (their completed prerequisites are copied with results)')
+    .option('--json', 'Output raw JSON')
+    .addHelpText('after', `
+The tasks are added with new IDs; $N references and dependsOn are rewritten.
+Run dt queue execute afterwards.
+
+Examples:
+  dt queue rerun r_1767693600000_a1b2
+  dt queue rerun r_1767693600000_a1b2 --failed-only
+  dt queue --name retry rerun r_1767693600000_a1b2 --failed-only
+`)
+    .action(async (id, options) => {
+      try {
+        const result = await rerunQueue(id, { ...target(), failedOnly: options.failedOnly });
+        print(result, options);
+      } catch (error) {
+        printError(error, options);
+        process.exit(exitCode(error));
+      }
+    });
+
+  // dt queue snapshot <file>
+  queue
+    .command('snapshot <file>')
+    .description('Save a copy of the queue to a file')
+    .option('--json', 'Output raw JSON')
+    .addHelpText('after', `
+Examples:
+  dt queue snapshot backup.yaml
+  dt queue --name nightly-cleanup snapshot nightly.yaml
+`)
+    .action(async (file, options) => {
+      try {
+        const result = await snapshotQueue(file, target());
+        print(result, options);
+      } catch (error) {
+        printError(error, options);
+        process.exit(exitCode(error));
+      }
+    });
+
+  // dt queue restore <file>
+  queue
+    .command('restore <file>')
+    .description('Restore a queue from a snapshot (into the queue it was taken from, or --name)')
+    .option('--force', 'Replace the queue even if it still has tasks')
+    .option('--json', 'Output raw JSON')
+    .addHelpText('after', `
+Examples:
+  dt queue restore nightly.yaml
+  dt queue --name nightly-copy restore nightly.yaml
+  dt queue restore backup.yaml --force
+`)
+    .action(async (file, options) => {
+      try {
+        const result = await restoreQueue(file, { ...target(), force: options.force });
+        print(result, options);
+      } catch (error) {
+        printError(error, options);
+        process.exit(exitCode(error));
+      }
+    });
+
+  // dt queue schedule ...
+  const schedule = queue
+    .command('schedule')
+    .description('Run task files on a cron schedule (executed by dt daemon)')
+    .addHelpText('after', `
+Each schedule loads its task file into its queue (replacing the previous tasks) and
+executes it when the cron expression fires. Runs are skipped while DEVONthink is not
+running or the queue is locked; every attempt is recorded (dt queue schedule show).
+
+Cron expressions: minute hour day-of-month month day-of-week, local time
+  "30 2 * * *"      every day at 02:30
+  "0 7 * * mon-fri" weekdays at 07:00
+  "*/15 9-17 * * *" every 15 minutes from 09:00 to 17:45
+  @hourly, @daily, @weekly, @monthly, @yearly
+
+Examples:
+  dt queue schedule add inbox-triage ~/dt/inbox-triage.yaml --cron "0 7 * * *"
+  dt queue schedule ls
+  dt daemon
+`);
+
+  schedule
+    .command('add <name> <file>')
+    .description('Register a task or workflow file (same format as dt queue load)')
+    .requiredOption('--cron <expression>', 'When to run, e.g. "30 2 * * *" or @daily')
+    .option('--queue <queue>', 'Queue to run it in (default: the schedule name)')
+    .option('--mode <mode>', 'Execution mode: sequential, parallel, transactional')
+    .option('--var <name=value>', 'Workflow input (repeatable)', collectVars, [])
+    .option('--force', 'Replace an existing schedule with the same name')
+    .option('--json', 'Output raw JSON')
+    .addHelpText('after', `
+Examples:
+  dt queue schedule add tag-cleanup ./tag-cleanup.yaml --cron "30 2 * * *"
+  dt queue schedule add sweeps ./sweeps.yaml --cron @hourly --queue maintenance --mode parallel
+  dt queue schedule add research-triage ~/.config/dt/workflows/inbox-triage.yaml --cron @daily --var database=Research
+`)
+    .action(async (name, file, options) => {
+      try {
+        const result = await addSchedule(name, file, { ...options, vars: parseVars(options.var) });
+        print(result, options);
+      } catch (error) {
+        printError(error, options);
+        process.exit(exitCode(error));
+      }
+    });
+
+  schedule
+    .command('ls')
+    .description('List schedules with their next and last run')
+    .option('--json', 'Output raw JSON')
+    .addHelpText('after', `
+Examples:
+  dt queue schedule ls
+`)
+    .action(async (options) => {
+      try {
+        const schedules = await listSchedules();
+        if (options.json) {
+          print(schedules.map(({ history, ...s }) => s), options);
+        } else if (schedules.length === 0) {
+          console.log('No schedules');
+        } else {
+          schedules.forEach(s => {
+            const next = s.enabled === false ? 'disabled' : `next ${s.nextRunAt}`;
+            const last = s.lastRun ? `\tlast ${s.lastRun.at} ${s.lastRun.status}` : '';
+            console.log(`${s.name}\t${s.cron}\tqueue ${s.queue}\t${next}${last}`);
+          });
+        }
+      } catch (error) {
+        printError(error, options);
+        process.exit(exitCode(error));
+      }
+    });
+
+  schedule
+    .command('show <name>')
+    .description('Show a schedule with its run history')
+    .option('--json', 'Output raw JSON')
+    .action(async (name, options) => {
+      try {
+        print(await getSchedule(name), options);
+      } catch (error) {
+        printError(error, options);
+        process.exit(exitCode(error));
+      }
+    });
+
+  schedule
+    .command('rm <name>')
+    .description('Remove a schedule (its queue and archived runs are kept)')
+    .option('--json', 'Output raw JSON')
+    .action(async (name, options) => {
+      try {
+        print(await removeSchedule(name), options);
+      } catch (error) {
+        printError(error, options);
+        process.exit(exitCode(error));
+      }
+    });
+
+  schedule
+    .command('enable <name>')
+    .description('Resume a schedule (missed runs are not made up)')
+    .option('--json', 'Output raw JSON')
+    .action(async (name, options) => {
+      try {
+        print(await setScheduleEnabled(name, true), options);
+      } catch (error) {
+        printError(error, options);
+        process.exit(exitCode(error));
+      }
+    });
+
+  schedule
+    .command('disable <name>')
+    .description('Pause a schedule')
+    .option('--json', 'Output raw JSON')
+    .action(async (name, options) => {
+      try {
+        print(await setScheduleEnabled(name, false), options);
+      } catch (error) {
+        printError(error, options);
+        process.exit(exitCode(error));
+      }
+    });
+
+  schedule
+    .command('run <name>')
+    .description('Run a schedule now, as the daemon would')
+    .option('--json', 'Output raw JSON')
+    .action(async (name, options) => {
+      try {
+        const entry = await createScheduler().run(name);
+        print(entry, options);
+        if (entry.status === 'failed') process.exit(EXIT_CODES.ERROR);
+      } catch (error) {
+        printError(error, options);
+        process.exit(exitCode(error));
       }
     });
 }
@@ -7,6 +7,7 @@
 
 import { runJxa, requireDevonthink } from '../jxa-runner.js';
 import { print, printError } from '../output.js';
+import { exitCode } from '../errors.js';
 import { trackDatabaseAccess } from '../state.js';
 import { getDatabaseCache } from '../cache.js';
 import { buildSearchQuery } from '../utils.js';
@@ -100,11 +101,11 @@ Examples:
         print(result, options);
 
         if (!result.success) {
-          process.exit(1);
+          process.exit(exitCode(result));
         }
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -150,10 +151,10 @@ Examples:
         const result = await runJxa('read', 'lookupRecords', [JSON.stringify(params)]);
         print(result, options);
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -199,10 +200,10 @@ Examples:
         const result = await runJxa('read', 'lookupRecords', [JSON.stringify(params)]);
         print(result, options);
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -248,10 +249,10 @@ Examples:
         const result = await runJxa('read', 'lookupRecords', [JSON.stringify(params)]);
         print(result, options);
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -297,10 +298,10 @@ Examples:
         const result = await runJxa('read', 'lookupRecords', [JSON.stringify(params)]);
         print(result, options);
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -348,10 +349,10 @@ Examples:
         const result = await runJxa('read', 'lookupRecords', [JSON.stringify(params)]);
         print(result, options);
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -397,10 +398,10 @@ Examples:
         const result = await runJxa('read', 'lookupRecords', [JSON.stringify(params)]);
         print(result, options);
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -430,10 +431,10 @@ Examples:
         const result = await runJxa('read', 'showSearch', [query || '']);
         print(result, options);
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 }
@@ -5,6 +5,7 @@
 
 import { runJxa, requireDevonthink } from '../jxa-runner.js';
 import { print, printError } from '../output.js';
+import { exitCode } from '../errors.js';
 import { addTasks } from '../queue.js';
 
 export function registerSmartGroupCommand(program) {
@@ -53,10 +54,10 @@ Examples:
           print(result, options);
         }
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -104,10 +105,10 @@ Examples:
           print(result, options);
         }
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -146,10 +147,10 @@ Examples:
 
         const result = await runJxa('write', 'updateSmartGroup', [JSON.stringify(params)]);
         print(result, options);
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -177,10 +178,10 @@ Examples:
 
         const result = await runJxa('write', 'deleteSmartGroup', [JSON.stringify(params)]);
         print(result, options);
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -227,10 +228,10 @@ Examples:
           print(result, options);
         }
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -262,7 +263,7 @@ Examples:
         const itemsResult = await runJxa('read', 'listSmartGroupItems', [JSON.stringify(params)]);
         if (!itemsResult.success) {
           print(itemsResult, options);
-          process.exit(1);
+          process.exit(exitCode(itemsResult));
         }
 
         const uuids = (itemsResult.items || []).map(item => item.uuid);
@@ -283,10 +284,10 @@ Examples:
 
         const result = await runJxa('write', 'batchDelete', [JSON.stringify(uuids)]);
         print(result, options);
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -328,7 +329,7 @@ Examples:
         const itemsResult = await runJxa('read', 'listSmartGroupItems', [JSON.stringify(params)]);
         if (!itemsResult.success) {
           print(itemsResult, options);
-          process.exit(1);
+          process.exit(exitCode(itemsResult));
         }
 
         const uuids = (itemsResult.items || []).map(item => item.uuid);
@@ -349,7 +350,7 @@ Examples:
           tagResults.push({ operation: 'add', result });
           if (!result.success) {
             print(result, options);
-            process.exit(1);
+            process.exit(exitCode(result));
           }
         }
 
@@ -359,7 +360,7 @@ Examples:
           tagResults.push({ operation: 'remove', result });
           if (!result.success) {
             print(result, options);
-            process.exit(1);
+            process.exit(exitCode(result));
           }
         }
 
@@ -369,7 +370,7 @@ Examples:
           tagResults.push({ operation: 'set', result });
           if (!result.success) {
             print(result, options);
-            process.exit(1);
+            process.exit(exitCode(result));
           }
         }
 
@@ -393,7 +394,7 @@ Examples:
           updateResult = await runJxa('write', 'batchUpdate', [JSON.stringify(items)]);
           if (!updateResult.success) {
             print(updateResult, options);
-            process.exit(1);
+            process.exit(exitCode(updateResult));
           }
         }
 
@@ -405,7 +406,7 @@ Examples:
         }, options);
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 }
@@ -7,6 +7,7 @@
 
 import { runJxa } from '../jxa-runner.js';
 import { print, printError } from '../output.js';
+import { exitCode } from '../errors.js';
 import { setDatabaseCache } from '../cache.js';
 
 export function registerStatusCommand(program) {
@@ -53,7 +54,7 @@ Examples:
         process.exit(result.running ? 0 : 1);
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 }
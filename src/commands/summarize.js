@@ -6,6 +6,7 @@
 
 import { runJxa, requireDevonthink } from '../jxa-runner.js';
 import { print, printError } from '../output.js';
+import { exitCode } from '../errors.js';
 import { readUuidsFromStdin, isStdinMarker } from '../utils.js';
 import { addTasks } from '../queue.js';
 
@@ -77,74 +78,30 @@ Examples:
         }
 
         for (const uuid of recordUuids) {
-          
-          // --- NATIVE MODE ---
-          if (options.native) {
-             const result = await runJxa('write', 'summarizeNative', [JSON.stringify({
-                 uuid,
-                 type: options.type,
-                 format: options.format
-             })]);
-             
-             if (result.success) {
-                 results.push({ 
-                     uuid, 
-                     success: true, 
-                     summaryUuid: result.summaryUuid, 
-                     summaryName: result.summaryName 
-                 });
-                 if (options.quiet) {
-                     console.log(result.summaryUuid);
-                 } else if (!options.json) {
-                     console.log(`Created summary: ${result.summaryName} (${result.summaryUuid})`);
-                 }
-             } else {
-                 results.push({ uuid, success: false, error: result.error });
-                 if (!options.json && !options.quiet) console.error(`Failed to summarize ${uuid}: ${result.error}`);
-             }
-             continue; // Skip AI logic
-          }
+          const result = await summarizeRecord(uuid, {
+            ...options,
+            customInstruction,
+            save: !options.print
+          });
+          results.push(result);
 
-          // --- AI MODE ---
-          const preview = await runJxa('read', 'getRecordPreview', [uuid, '10000']);
-          if (!preview.success) {
-            results.push({ uuid, success: false, error: preview.error });
+          if (!result.success) {
+            if (!options.json && !options.quiet) console.error(`Failed to summarize ${uuid}: ${result.error}`);
             continue;
           }
 
-          const prompt = `You are an expert at summarizing information. 
-          ${customInstruction ? `Follow these specific instructions: ${customInstruction}` : "Provide a concise 1-2 sentence summary of the following text."}
-          
-          Text:
-          ${preview.preview.substring(0, 8000)}`;
-
-          const chatResult = await runJxa('read', 'chat', [JSON.stringify({ 
-            prompt, 
-            thinking: false,
-            format: 'text' 
-          })]);
-
-          if (chatResult.success) {
-            const summary = chatResult.response.trim();
-            
-            if (!options.print) {
-              await runJxa('write', 'modifyRecordProperties', [JSON.stringify({
-                uuid,
-                comment: summary
-              })]);
-            }
-
-            results.push({ uuid, success: true, summary });
-            
+          if (options.native) {
             if (options.quiet) {
-              console.log(summary);
+              console.log(result.summaryUuid);
             } else if (!options.json) {
-              console.log(`Summary for ${uuid}:`);
-              console.log(summary);
-              console.log('---');
+              console.log(`Created summary: ${result.summaryName} (${result.summaryUuid})`);
             }
-          } else {
-            results.push({ uuid, success: false, error: chatResult.error });
+          } else if (options.quiet) {
+            console.log(result.summary);
+          } else if (!options.json) {
+            console.log(`Summary for ${uuid}:`);
+            console.log(result.summary);
+            console.log('---');
           }
         }
 
@@ -154,7 +111,70 @@ Examples:
 
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 }
+
+/**
+ * Summarize a single record, either natively or with AI chat
+ * @param {string} uuid - Record UUID
+ * @param {object} options - native, type, format, prompt, customInstruction, save
+ * @returns {Promise<object>} { uuid, success, summary } or { uuid, success, summaryUuid, summaryName }
+ */
+export async function summarizeRecord(uuid, options = {}) {
+  // --- NATIVE MODE ---
+  if (options.native) {
+    const result = await runJxa('write', 'summarizeNative', [JSON.stringify({
+      uuid,
+      type: options.type,
+      format: options.format
+    })]);
+
+    if (!result.success) return { uuid, success: false, error: result.error, code: result.code };
+    return {
+      uuid,
+      success: true,
+      summaryUuid: result.summaryUuid,
+      summaryName: result.summaryName
+    };
+  }
+
+  // --- AI MODE ---
+  let customInstruction = options.customInstruction;
+  if (customInstruction === undefined) {
+    customInstruction = "";
+    const promptUuid = options.prompt || process.env.DT_SUMMARIZE_PROMPT;
+    if (promptUuid) {
+      const pRec = await runJxa('read', 'getRecordPreview', [promptUuid, '5000']);
+      if (pRec.success) customInstruction = pRec.preview;
+    }
+  }
+
+  const preview = await runJxa('read', 'getRecordPreview', [uuid, '10000']);
+  if (!preview.success) return { uuid, success: false, error: preview.error, code: preview.code };
+
+  const prompt = `You are an expert at summarizing information. 
+  ${customInstruction ? `Follow these specific instructions: ${customInstruction}` : "Provide a concise 1-2 sentence summary of the following text."}
+  
+  Text:
+  ${preview.preview.substring(0, 8000)}`;
+
+  const chatResult = await runJxa('read', 'chat', [JSON.stringify({ 
+    prompt, 
+    thinking: false,
+    format: 'text' 
+  })]);
+
+  if (!chatResult.success) return { uuid, success: false, error: chatResult.error, code: chatResult.code };
+
+  const summary = chatResult.response.trim();
+  if (options.save !== false) {
+    await runJxa('write', 'modifyRecordProperties', [JSON.stringify({
+      uuid,
+      comment: summary
+    })]);
+  }
+
+  return { uuid, success: true, summary };
+}
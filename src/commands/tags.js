@@ -6,9 +6,12 @@
 
 import { runJxa, requireDevonthink } from '../jxa-runner.js';
 import { print, printError } from '../output.js';
+import { EXIT_CODES, exitCode } from '../errors.js';
 import { ML_ARTIFACT_BLOCKLIST, SCANNER_BLOCKLIST, NOISE_BLOCKLIST } from '../data/tag-blocklists.js';
 import { loadRules, planChanges, getConfigDir, getGlobalRulesPath, getDatabaseRulesPath } from '../rules-loader.js';
 import { addTasks } from '../queue.js';
+import { captureUndo, inverseFromResult, recordAction } from '../history.js';
+import { levenshtein } from '../utils.js';
 
 /**
  * Normalize a tag for comparison (lowercase, strip punctuation/spaces)
@@ -17,36 +20,6 @@ function normalizeForComparison(tag) {
   return tag.toLowerCase().replace(/[-_\s]/g, '');
 }
 
-/**
- * Calculate Levenshtein distance between two strings
- */
-function levenshtein(a, b) {
-  if (a.length === 0) return b.length;
-  if (b.length === 0) return a.length;
-
-  const matrix = [];
-  for (let i = 0; i <= b.length; i++) {
-    matrix[i] = [i];
-  }
-  for (let j = 0; j <= a.length; j++) {
-    matrix[0][j] = j;
-  }
-  for (let i = 1; i <= b.length; i++) {
-    for (let j = 1; j <= a.length; j++) {
-      if (b.charAt(i - 1) === a.charAt(j - 1)) {
-        matrix[i][j] = matrix[i - 1][j - 1];
-      } else {
-        matrix[i][j] = Math.min(
-          matrix[i - 1][j - 1] + 1,
-          matrix[i][j - 1] + 1,
-          matrix[i - 1][j] + 1
-        );
-      }
-    }
-  }
-  return matrix[b.length][a.length];
-}
-
 /**
  * Detect problems in tags
  */
@@ -360,7 +333,7 @@ Examples:
 
         if (!result.success) {
           printError(result, options);
-          process.exit(1);
+          process.exit(exitCode(result));
         }
 
         if (options.quiet) {
@@ -385,7 +358,7 @@ Examples:
         }
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -437,7 +410,7 @@ Examples:
 
         if (!listResult.success) {
           printError(listResult, options);
-          process.exit(1);
+          process.exit(exitCode(listResult));
         }
 
         // Analyze tags
@@ -460,7 +433,7 @@ Examples:
           if (!key) {
             console.error(`Unknown category: ${options.category}`);
             console.error('Valid categories: case, malformed, punctuation, ml, scanner, noise, low-usage');
-            process.exit(1);
+            process.exit(EXIT_CODES.INVALID_ARGUMENT);
           }
           analysis.problems = { [key]: analysis.problems[key] };
           analysis.summary = {
@@ -497,7 +470,7 @@ Examples:
         }
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -551,6 +524,7 @@ Examples:
         };
 
         const result = await runJxa('write', 'mergeTags', [JSON.stringify(params)]);
+        if (!params.dryRun) await recordAction('tag.merge', params, result, inverseFromResult('tag.merge', result));
 
         if (options.quiet && result.success) {
           if (result.dryRun) {
@@ -562,10 +536,10 @@ Examples:
           print(result, options);
         }
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -618,7 +592,9 @@ Examples:
           dryRun: options.dryRun || false
         };
 
+        const undo = await captureUndo([{ action: 'tag.rename', params }]);
         const result = await runJxa('write', 'renameTags', [JSON.stringify(params)]);
+        if (!params.dryRun) await recordAction('tag.rename', params, result, undo, { captured: true });
 
         if (options.quiet && result.success) {
           if (result.dryRun) {
@@ -630,10 +606,10 @@ Examples:
           print(result, options);
         }
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -682,6 +658,7 @@ Examples:
         };
 
         const result = await runJxa('write', 'deleteTags', [JSON.stringify(params)]);
+        if (!params.dryRun) await recordAction('tag.delete', params, result, inverseFromResult('tag.delete', result));
 
         if (options.quiet && result.success) {
           if (result.dryRun) {
@@ -693,10 +670,10 @@ Examples:
           print(result, options);
         }
 
-        if (!result.success) process.exit(1);
+        if (!result.success) process.exit(exitCode(result));
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -731,7 +708,7 @@ Examples:
         const listResult = await runJxa('read', 'listTags', [JSON.stringify(listParams)]);
         if (!listResult.success) {
           printError(listResult, options);
-          process.exit(1);
+          process.exit(exitCode(listResult));
         }
 
         // 2. Load or generate rules
@@ -778,6 +755,7 @@ Examples:
             applied: [],
             errors: []
           };
+          const undo = []; // Inverse actions, last change first
 
           for (const change of plan.changes) {
             try {
@@ -807,6 +785,10 @@ Examples:
 
               if (opResult.success) {
                 results.applied.push(change);
+                const action = `tag.${change.action}`;
+                undo.unshift(...(action === 'tag.rename'
+                  ? await captureUndo([{ action, params: { database: options.database, from: change.from, to: change.to } }])
+                  : inverseFromResult(action, opResult)));
               } else {
                 results.errors.push({ ...change, error: opResult.error });
               }
@@ -829,6 +811,9 @@ Examples:
               failed: results.errors.length
             }
           };
+          if (results.applied.length > 0) {
+            await recordAction('tag.normalize', { database: options.database, changes: results.applied }, { success: result.success, applied: result.applied }, undo);
+          }
 
           if (options.quiet) {
             console.log(`Applied ${results.applied.length} changes:`);
@@ -842,11 +827,11 @@ Examples:
             print(result, options);
           }
 
-          if (!result.success) process.exit(1);
+          if (!result.success) process.exit(exitCode(result));
         }
       } catch (error) {
         printError(error, options);
-        process.exit(1);
+        process.exit(exitCode(error));
       }
     });
 
@@ -0,0 +1,152 @@
+/**
+ * Workflow Command
+ * Run reusable, parameterized task files (see src/workflow.js)
+ */
+
+import { listWorkflows, loadWorkflow, readWorkflow, resolveWorkflowFile, runWorkflow, parseVars, getWorkflowsDir } from '../workflow.js';
+import { createProgressBar } from '../queue-progress.js';
+import { useJxaWorker } from '../jxa-runner.js';
+import { print, printError } from '../output.js';
+import { exitCode } from '../errors.js';
+
+function collectVars(value, previous) {
+  return previous.concat([value]);
+}
+
+/**
+ * One line per input: name, type, default or required
+ */
+function formatInputs(inputs) {
+  return Object.entries(inputs).map(([key, input]) => {
+    const type = input.type || 'string';
+    const detail = input.required ? 'required' : (input.default !== undefined ? `default: ${JSON.stringify(input.default)}` : 'optional');
+    const choices = input.enum ? ` one of ${input.enum.join(', ')}` : '';
+    return `  ${key} (${type}${choices}, ${detail})${input.description ? ` - ${input.description}` : ''}`;
+  });
+}
+
+export function registerWorkflowCommand(program) {
+  const workflow = program
+    .command('workflow')
+    .description('Run reusable task files with inputs and includes')
+    .addHelpText('after', `
+Workflows are YAML/JSON files in ${getWorkflowsDir()} (or any path):
+
+  name: inbox-triage
+  inputs:
+    database: { type: string, required: true }
+    since: { type: string, default: "2 weeks" }
+    limit: { type: integer, default: 50 }
+  tasks:
+    - action: search
+      params: { query: "kind:any", database: "{{ database }}", createdAfter: "{{ since }}", limit: "{{ limit }}" }
+    - action: tag.add
+      params: { uuids: $1.uuids, tags: [triage] }
+    - include: tag-cleanup          # another workflow, by name or relative path
+      vars: { database: "{{ database }}" }
+
+Input types: string, number, integer, boolean, list (comma-separated), uuid, time (ISO, HH:MM, +2h).
+`);
+
+  // dt workflow ls
+  workflow
+    .command('ls')
+    .description('List workflows in the workflows directory')
+    .option('--json', 'Output raw JSON')
+    .action(async (options) => {
+      try {
+        const workflows = await listWorkflows();
+        if (options.json) {
+          print(workflows, options);
+        } else if (workflows.length === 0) {
+          console.log(`No workflows in ${getWorkflowsDir()}`);
+        } else {
+          workflows.forEach(w => {
+            const detail = w.error ? `invalid: ${w.error}` : (w.description || '');
+            const inputs = w.inputs ? Object.keys(w.inputs) : [];
+            console.log(`${w.name}${inputs.length ? ` (${inputs.join(', ')})` : ''}${detail ? `\t${detail}` : ''}`);
+          });
+        }
+      } catch (error) {
+        printError(error, options);
+        process.exit(exitCode(error));
+      }
+    });
+
+  // dt workflow show <name>
+  workflow
+    .command('show <name>')
+    .description('Show a workflow\'s inputs, or its expanded tasks with --var')
+    .option('--var <name=value>', 'Input value (repeatable); expands the tasks', collectVars, [])
+    .option('--json', 'Output raw JSON')
+    .addHelpText('after', `
+Examples:
+  dt workflow show inbox-triage
+  dt workflow show inbox-triage --var database=Research
+`)
+    .action(async (name, options) => {
+      try {
+        const file = await resolveWorkflowFile(name);
+        if (options.var.length > 0) {
+          const { relativeIds, ...expanded } = await loadWorkflow(file, parseVars(options.var));
+          print(expanded, options);
+          return;
+        }
+        const { plain, ...definition } = await readWorkflow(file);
+        if (options.json) {
+          print({ file, ...definition }, options);
+        } else {
+          console.log(`${definition.name} (${file})`);
+          if (definition.description) console.log(definition.description);
+          const inputs = formatInputs(definition.inputs);
+          console.log(inputs.length ? `Inputs:\n${inputs.join('\n')}` : 'No inputs');
+          console.log(`${definition.tasks.length} task(s)`);
+        }
+      } catch (error) {
+        printError(error, options);
+        process.exit(exitCode(error));
+      }
+    });
+
+  // dt workflow run <name>
+  workflow
+    .command('run <name>')
+    .description('Queue a workflow\'s tasks and execute them')
+    .option('--var <name=value>', 'Input value (repeatable)', collectVars, [])
+    .option('--queue <queue>', 'Queue to run in; its tasks are replaced (default: the workflow\'s file name)')
+    .option('--mode <mode>', 'Execution mode: sequential, parallel, transactional (default: the workflow\'s)')
+    .option('--dry-run', 'Validate inputs and show the expanded tasks without queuing them')
+    .option('--force', 'Replace pending tasks in the queue that this workflow did not create')
+    .option('--no-progress', 'Do not show the progress bar (shown on a terminal)')
+    .option('--verbose', 'Show detailed results')
+    .option('--json', 'Output raw JSON')
+    .addHelpText('after', `
+Every input is checked before anything is queued. Pending tasks left in the queue
+by an earlier run of the workflow are replaced; other pending tasks only with --force.
+The run is archived like any queue execution (dt queue --name <queue> runs).
+
+Examples:
+  dt workflow run inbox-triage --var database=Research --var since="2 weeks"
+  dt workflow run ./cleanup.yaml --var tags=draft,old --dry-run
+  dt workflow run inbox-triage --var database=Inbox --queue inbox-triage-inbox
+`)
+    .action(async (name, options) => {
+      try {
+        await useJxaWorker();
+        const result = await runWorkflow(name, {
+          vars: parseVars(options.var),
+          queue: options.queue,
+          mode: options.mode,
+          dryRun: options.dryRun,
+          force: options.force,
+          verbose: options.verbose,
+          onEvent: options.progress && process.stderr.isTTY ? createProgressBar(process.stderr) : undefined
+        });
+        print(result, options);
+        if (!result.success) process.exit(exitCode(result));
+      } catch (error) {
+        printError(error, options);
+        process.exit(exitCode(error));
+      }
+    });
+}
@@ -0,0 +1,129 @@
+/**
+ * Cron Expressions
+ * Standard five-field expressions (minute hour day-of-month month day-of-week) in
+ * local time, with lists, ranges, steps, month/day names and the @daily style macros.
+ * As in cron, a day matches either field when both day fields are restricted.
+ */
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 }
+];
+
+// Long enough for leap days and rare day-of-week/date combinations
+const MAX_SEARCH_YEARS = 8;
+
+function parseValue(text, field) {
+  const index = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  const value = index !== -1 ? index + field.offset : (/^\d+$/.test(text) ? Number(text) : NaN);
+  if (!(value >= field.min && value <= field.max)) {
+    throw new Error(`${field.name} "${text}" is out of range ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+  for (const item of text.split(',')) {
+    const [range, stepText, extra] = item.split('/');
+    if (extra !== undefined || range === '') throw new Error(`invalid ${field.name} "${item}"`);
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!(Number.isInteger(step) && step >= 1)) throw new Error(`invalid step in ${field.name} "${item}"`);
+
+    let from = field.min;
+    let to = field.max;
+    if (range !== '*') {
+      const [start, end] = range.split('-');
+      from = parseValue(start, field);
+      to = end !== undefined ? parseValue(end, field) : (stepText !== undefined ? field.max : from);
+      if (from > to) throw new Error(`invalid ${field.name} range "${range}"`);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - e.g. "30 2 * * 1-5" or "@daily"
+ * @returns {object} { expression, minutes, hours, days, months, weekdays, anyDay, anyWeekday }
+ * @throws {Error} if the expression is invalid
+ */
+export function parseCron(expression) {
+  const source = String(expression ?? '').trim();
+  const expanded = MACROS[source.toLowerCase()] || source;
+  const parts = expanded.split(/\s+/);
+  try {
+    if (parts.length !== 5) throw new Error(`expected 5 fields, got ${parts.length}`);
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    if (weekdays.has(7)) {
+      weekdays.delete(7);
+      weekdays.add(0);
+    }
+    return {
+      expression: source,
+      minutes,
+      hours,
+      days,
+      months,
+      weekdays,
+      anyDay: parts[2] === '*',
+      anyWeekday: parts[4] === '*'
+    };
+  } catch (error) {
+    throw new Error(`Invalid cron expression "${source}": ${error.message}`);
+  }
+}
+
+function matchesDay(cron, date) {
+  const day = cron.days.has(date.getDate());
+  const weekday = cron.weekdays.has(date.getDay());
+  if (!cron.anyDay && !cron.anyWeekday) return day || weekday;
+  return day && weekday;
+}
+
+/**
+ * Next time the expression fires, strictly after `after`
+ * @param {string|object} cron - Expression or result of parseCron
+ * @param {Date} [after]
+ * @returns {Date}
+ * @throws {Error} if the expression never fires (e.g. "0 0 30 2 *")
+ */
+export function getNextRun(cron, after = new Date()) {
+  const spec = typeof cron === 'string' ? parseCron(cron) : cron;
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = new Date(date);
+  limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+  while (date < limit) {
+    if (!spec.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!matchesDay(spec, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!spec.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!spec.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  throw new Error(`Cron expression "${spec.expression}" never fires`);
+}
@@ -0,0 +1,84 @@
+/**
+ * Error Codes
+ * Every failure carries a stable code: in the JSON error envelope
+ * ({"success": false, "error": "...", "code": "RECORD_NOT_FOUND"}), in MCP tool
+ * results, and as the process exit code of the CLI (see EXIT_CODES).
+ *
+ * JXA scripts set the code where they know it (codedError/errorResult in
+ * jxa/utils/helpers.js); for the rest it is derived from the message.
+ */
+
+/**
+ * Code → process exit code. Documented in the README; never renumber.
+ */
+export const EXIT_CODES = {
+  ERROR: 1,
+  INVALID_ARGUMENT: 2,
+  RECORD_NOT_FOUND: 3,
+  DATABASE_NOT_FOUND: 4,
+  GROUP_NOT_FOUND: 5,
+  TAG_NOT_FOUND: 6,
+  TIMEOUT: 7,
+  APP_NOT_RUNNING: 8,
+  PERMISSION_DENIED: 9,
+  AI_FAILURE: 10,
+  UNSUPPORTED: 11
+};
+
+// Message patterns for failures without a code, most specific first
+const MESSAGE_CODES = [
+  ['TIMEOUT', /timed out|timeout/i],
+  ['APP_NOT_RUNNING', /DEVONthink is not running|Application isn.t running|\((?:-600|-609)\)/i],
+  ['PERMISSION_DENIED', /Not authori[sz]ed|\(-1743\)|permission denied|EACCES|EPERM/i],
+  ['DATABASE_NOT_FOUND', /Database not found|No database specified/i],
+  ['GROUP_NOT_FOUND', /group not found|UUID does not point to a group|Not a group|is not a group/i],
+  ['TAG_NOT_FOUND', /Tag not found|No (?:source )?tags found/i],
+  ['RECORD_NOT_FOUND', /Record not found|Record \S+ not found|Path not found/i],
+  ['UNSUPPORTED', /not supported/i],
+  ['INVALID_ARGUMENT', /^(?:Error: )?(?:Usage:|Missing |Invalid |Unknown |Input must be|At least )|is required|must be /i]
+];
+
+/**
+ * Create an Error with a code
+ * @param {string} code - A key of EXIT_CODES
+ * @param {string} message
+ * @returns {Error}
+ */
+export function codedError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Code of a failure
+ * @param {Error|object|string} error - Error, failed script result, or message
+ * @returns {string} A key of EXIT_CODES (ERROR when nothing more specific applies)
+ */
+export function errorCode(error) {
+  if (error && typeof error === 'object' && EXIT_CODES[error.code]) return error.code;
+  const message = String(error instanceof Error ? error.message : (error?.error ?? error?.message ?? error ?? ''));
+  for (const [code, pattern] of MESSAGE_CODES) {
+    if (pattern.test(message)) return code;
+  }
+  return 'ERROR';
+}
+
+/**
+ * Process exit code of a failure
+ * @param {Error|object|string} error - As for errorCode
+ * @returns {number}
+ */
+export function exitCode(error) {
+  return EXIT_CODES[errorCode(error)];
+}
+
+/**
+ * Give a failed script result its code (successful results are returned as they are)
+ * @param {object} result - Parsed script result
+ * @returns {object}
+ */
+export function withErrorCode(result) {
+  if (!result || typeof result !== 'object' || result.success !== false || EXIT_CODES[result.code]) return result;
+  return { ...result, code: errorCode(result) };
+}
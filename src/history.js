@@ -0,0 +1,343 @@
+/**
+ * Undo & Redo
+ * Write actions record their inverse in the history (state.yaml) as a list of queue
+ * actions ({ action, params }). Undo replays the inverse of the latest entries;
+ * while doing so it captures the inverse of the undo itself, which redo replays.
+ *
+ * Inverses are captured before an action runs (move, delete, modify, tag.add/remove/set,
+ * tag.rename; the records of a whole batch are read in one script call) or built from
+ * its result (create, tag.merge, tag.delete). A queue run is one entry, so a bulk
+ * operation is undone in one step.
+ */
+
+import { runJxa } from './jxa-runner.js';
+import { logAction, getHistory, markActionReversed, markActionRedone } from './state.js';
+import { runAction } from './queue.js';
+
+// Actions that change nothing, so there is nothing to undo
+const READ_ONLY_ACTIONS = ['search', 'chat'];
+
+function getUuids(params) {
+  if (Array.isArray(params.uuids)) return params.uuids;
+  return params.uuid ? [params.uuid] : [];
+}
+
+/**
+ * Records whose state the inverse of an action is built from
+ */
+function getUndoUuids(action, params) {
+  if (params.dryRun) return [];
+  switch (action) {
+    case 'move':
+    case 'delete':
+    case 'modify':
+      return params.uuid ? [params.uuid] : [];
+    case 'tag.add':
+    case 'tag.remove':
+    case 'tag.set':
+      return getUuids(params);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Fetch the properties needed to undo write actions, in one script call
+ * @param {string[]} uuids
+ * @returns {Promise<Function>} uuid => { uuid, name, comment, tags, parentUuid }, which
+ *   throws for a record that could not be read
+ * @throws {Error} if the script fails
+ */
+async function getUndoProperties(uuids) {
+  const unique = [...new Set(uuids)];
+  const result = unique.length > 0
+    ? await runJxa('read', 'batchVerify', [JSON.stringify(unique)])
+    : { success: true, results: [] };
+  if (!result.success) {
+    throw new Error(`Could not capture state for undo: ${result.error}`);
+  }
+  const found = new Map(result.results.map(props => [props.uuid, props]));
+  const errors = new Map((result.errors || []).map(e => [e.uuid, e.error]));
+  return (uuid) => {
+    if (found.has(uuid)) return found.get(uuid);
+    throw new Error(`Could not capture state of ${uuid} for undo: ${errors.get(uuid) || 'Record not found'}`);
+  };
+}
+
+/**
+ * Normalize an inverse (one action, a list, or null) to a list of actions
+ * @returns {Array<{action, params}>}
+ */
+export function toSteps(inverse) {
+  if (!inverse) return [];
+  return Array.isArray(inverse) ? inverse : [inverse];
+}
+
+/**
+ * Build the inverse of an action from the state of its records before it runs
+ * @param {Function} read - uuid => properties (see getUndoProperties)
+ */
+function buildInverse(action, params, read) {
+  if (params.dryRun) return null;
+
+  switch (action) {
+    case 'move':
+    case 'delete':
+      // Deleted records go to the Trash; undo moves them back
+      return { action: 'move', params: { uuid: params.uuid, destination: read(params.uuid).parentUuid } };
+
+    case 'tag.add':
+    case 'tag.remove':
+    case 'tag.set':
+      return getUuids(params).map(uuid => ({ action: 'tag.set', params: { uuid, tags: read(uuid).tags || [] } }));
+
+    case 'modify': {
+      const props = read(params.uuid);
+      const inverse = { uuid: params.uuid, newName: props.name, comment: props.comment || '' };
+      if (params.tagsAdd || params.tagsRemove || params.tagsReplace) {
+        inverse.tagsReplace = props.tags || [];
+      }
+      if (params.destGroupUuid) {
+        inverse.destGroupUuid = props.parentUuid;
+      }
+      return { action: 'modify', params: inverse };
+    }
+
+    case 'tag.rename':
+      // Renaming never merges (an existing target name is refused), so renaming back restores it
+      return { action: 'tag.rename', params: { database: params.database, from: params.to, to: params.from } };
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Capture the inverses of actions before they run, reading all their records at once
+ * @param {Array<{action, params}>} steps - Queue actions with resolved params
+ * @returns {Promise<Array<{inverse?, error?}>>} Per step: the inverse (null when it is built
+ *   from the result or the action cannot be undone), or the error if a record could not be read
+ * @throws {Error} if the records cannot be read at all
+ */
+export async function captureInverses(steps) {
+  const read = await getUndoProperties(steps.flatMap(({ action, params }) => getUndoUuids(action, params)));
+  return steps.map(({ action, params }) => {
+    try {
+      return { inverse: buildInverse(action, params, read) };
+    } catch (error) {
+      return { error };
+    }
+  });
+}
+
+/**
+ * Capture the inverse of an action before it runs
+ * @param {string} action - Queue action
+ * @param {object} params - Resolved params
+ * @returns {Promise<object|Array|null>} The inverse, or null when it is built from the result
+ *   (create, tag.merge, tag.delete) or the action cannot be undone
+ * @throws {Error} if a record's current state cannot be read
+ */
+export async function captureInverse(action, params) {
+  const [{ inverse, error }] = await captureInverses([{ action, params }]);
+  if (error) throw error;
+  return inverse;
+}
+
+/**
+ * Build the inverse of an action from its result (for actions whose effect is known
+ * only afterwards)
+ * @param {string} action - Queue action
+ * @param {object} result - Script result (a forEach result covers its items)
+ * @returns {Array<{action, params}>}
+ */
+export function inverseFromResult(action, result) {
+  if (!result || result.dryRun) return [];
+  if (result.forEach) {
+    return (result.results || []).flatMap(item => inverseFromResult(action, item));
+  }
+
+  switch (action) {
+    case 'create':
+      return result.uuid ? [{ action: 'delete', params: { uuid: result.uuid } }] : [];
+
+    case 'tag.merge': {
+      // Put the source tags back, and take the target off records that only had a source tag
+      const sourceRecords = result.sourceRecords || {};
+      const hadTarget = new Set(result.targetRecords || []);
+      const inverse = Object.entries(sourceRecords)
+        .filter(([, uuids]) => uuids.length > 0)
+        .map(([tag, uuids]) => ({ action: 'tag.add', params: { uuids, tags: [tag] } }));
+      const gainedTarget = [...new Set(Object.values(sourceRecords).flat())].filter(uuid => !hadTarget.has(uuid));
+      if (gainedTarget.length > 0) {
+        inverse.push({ action: 'tag.remove', params: { uuids: gainedTarget, tags: [result.target] } });
+      }
+      return inverse;
+    }
+
+    case 'tag.delete':
+      return (result.deleted || [])
+        .filter(tag => tag.records?.length > 0)
+        .map(tag => ({ action: 'tag.add', params: { uuids: tag.records, tags: [tag.name] } }));
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Capture the inverses of actions about to run (for commands that call scripts directly)
+ * Records that cannot be read are left out; the action fails on them anyway.
+ * @param {Array<{action, params}>} steps - One queue action per record
+ * @returns {Promise<Array<{action, params}>>} Inverse actions
+ */
+export async function captureUndo(steps) {
+  try {
+    return (await captureInverses(steps)).flatMap(({ inverse }) => toSteps(inverse));
+  } catch {
+    return []; // Nothing to restore
+  }
+}
+
+/**
+ * Steps of an inverse captured before an action ran that undo what it applied: none if
+ * it failed, and none for the records a partly applied action lists under `errors`
+ */
+function getAppliedSteps(result, inverse) {
+  const errors = Array.isArray(result?.errors) ? result.errors : [];
+  if (!result?.success && errors.length === 0) return [];
+  const failed = new Set(errors.map(e => e.uuid).filter(Boolean));
+  return inverse.filter(step => !getUuids(step.params).some(uuid => failed.has(uuid)));
+}
+
+/**
+ * Log an action with its inverse
+ * A failed action is only logged if part of it was applied (its inverse is not empty).
+ * @param {string} action - Action or command name (e.g. move, tags.merge, queue.execute)
+ * @param {object} params
+ * @param {object} result
+ * @param {Array<{action, params}>} [inverse] - Inverse actions in the order they are to run
+ * @param {object} [options] - `captured`: the inverse was captured before the action ran
+ *   (captureUndo) and covers every record it was given, so it is cut down to what the
+ *   result says was applied
+ */
+export async function recordAction(action, params, result, inverse = [], options = {}) {
+  const applied = options.captured ? getAppliedSteps(result, inverse) : inverse;
+  if (!result?.success && applied.length === 0) return;
+  await logAction(action, params, result, applied.length > 0 ? applied : null);
+}
+
+/**
+ * Run actions one by one, capturing the inverse of each
+ * @returns {Promise<{errors: string[], inverse: Array<{action, params}>}>} The inverse
+ *   of everything that ran, in the order it is to run
+ */
+async function applySteps(steps) {
+  const errors = [];
+  const inverse = [];
+  for (const step of steps) {
+    try {
+      let before = null;
+      try {
+        before = await captureInverse(step.action, step.params);
+      } catch {
+        // Runs anyway; it just cannot be redone exactly
+      }
+      const result = await runAction(step.action, step.params);
+      inverse.unshift(...toSteps(before), ...inverseFromResult(step.action, result));
+    } catch (error) {
+      errors.push(`${step.action}: ${error.message}`);
+    }
+  }
+  return { errors, inverse };
+}
+
+/**
+ * Short description of a history entry
+ */
+function describeEntry(entry, steps) {
+  return {
+    id: entry.id,
+    action: entry.action,
+    timestamp: entry.timestamp,
+    steps: steps.length,
+    actions: steps
+  };
+}
+
+/**
+ * Replay the inverse of history entries, newest first
+ * Stops at the first entry that does not undo cleanly (older entries may depend on it).
+ * @param {Array<object>} entries - History entries
+ * @param {string} field - reverseAction (undo) or redoAction (redo)
+ * @param {Function} mark - (id, inverse) => Promise, called for each entry that went through
+ * @param {boolean} [dryRun] - Only list what would run
+ */
+async function replay(entries, field, mark, dryRun) {
+  if (dryRun) {
+    return { success: true, dryRun: true, entries: entries.map(entry => describeEntry(entry, toSteps(entry[field]))) };
+  }
+
+  const done = [];
+  for (const entry of entries) {
+    const steps = toSteps(entry[field]);
+    const { errors, inverse } = await applySteps(steps);
+    if (errors.length > 0) {
+      return { success: false, entries: done, failed: { id: entry.id, action: entry.action, errors } };
+    }
+    await mark(entry.id, inverse.length > 0 ? inverse : null);
+    done.push({ id: entry.id, action: entry.action, steps: steps.length });
+  }
+  return { success: true, entries: done };
+}
+
+/**
+ * Undo the latest reversible history entries
+ * @param {object} [options] - `steps` (entries to undo, default 1), `dryRun`
+ */
+export async function undo(options = {}) {
+  const count = parsePositive(options.steps, 'steps');
+  const entries = await getHistory({ reversibleOnly: true, limit: count });
+  if (entries.length === 0) throw new Error('Nothing to undo');
+  return replay(entries, 'reverseAction', markActionReversed, options.dryRun);
+}
+
+/**
+ * Redo the most recently undone history entries
+ * @param {object} [options] - `steps` (entries to redo, default 1), `dryRun`
+ */
+export async function redo(options = {}) {
+  const count = parsePositive(options.steps, 'steps');
+  const entries = (await getHistory({ reversedOnly: true, limit: Infinity }))
+    .sort((a, b) => b.reversedAt.localeCompare(a.reversedAt))
+    .slice(0, count);
+  if (entries.length === 0) throw new Error('Nothing to redo');
+  return replay(entries, 'redoAction', markActionRedone, options.dryRun);
+}
+
+function parsePositive(value, name) {
+  if (value === undefined) return 1;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`--${name} must be a positive integer, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Inverse actions of the tasks a queue run applied, last task first (as in a rollback):
+ * completed tasks, and forEach tasks that failed after some of their items went through
+ * @param {Array<object>} tasks - Tasks of the run (with `compensation`)
+ * @returns {{ applied: Array<object>, inverse: Array<{action, params}>, irreversible: number[] }}
+ */
+export function getRunInverse(tasks) {
+  const completed = tasks.filter(t => t.status === 'completed');
+  const applied = tasks.filter(t => t.status === 'completed' || (t.status === 'failed' && t.forEach && t.compensation));
+  return {
+    applied,
+    inverse: [...applied].reverse().flatMap(t => toSteps(t.compensation)),
+    irreversible: completed
+      .filter(t => !t.compensation && !READ_ONLY_ACTIONS.includes(t.action))
+      .map(t => t.id)
+  };
+}
@@ -35,6 +35,10 @@ import { registerSummarizeCommand } from './commands/summarize.js';
 import { registerTagsCommand } from './commands/tags.js';
 import { registerQueueCommand } from './commands/queue.js';
 import { registerSmartGroupCommand } from './commands/smartgroup.js';
+import { registerDaemonCommand } from './commands/daemon.js';
+import { registerWorkflowCommand } from './commands/workflow.js';
+import { registerHistoryCommand } from './commands/history.js';
+import { registerCassetteCommand } from './commands/cassette.js';
 
 const VERSION = '2.2.0';
 
@@ -45,6 +49,11 @@ export function createProgram() {
     .name('dt')
     .description('Command-line and MCP interface for DEVONthink 4')
     .version(VERSION, '-v, --version', 'Show version number')
+    // Let subcommands own options after their name (e.g. dt queue --name X add create --name Y)
+    .enablePositionalOptions()
+    // Usage errors throw instead of exiting (bin/dt.js exits with INVALID_ARGUMENT);
+    // set before registering so that every subcommand inherits it
+    .exitOverride()
     .configureHelp({
       sortSubcommands: true,
       sortOptions: true
@@ -82,6 +91,10 @@ export function createProgram() {
   registerTagsCommand(program);
   registerQueueCommand(program);
   registerSmartGroupCommand(program);
+  registerDaemonCommand(program);
+  registerWorkflowCommand(program);
+  registerHistoryCommand(program);
+  registerCassetteCommand(program);
 
   // Add completion command
   program
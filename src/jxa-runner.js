@@ -1,86 +1,63 @@
 /**
  * JXA Script Runner
- * Executes JXA scripts via osascript and returns parsed JSON results
+ * Runs the scripts in jxa/ by name and returns their parsed JSON results.
+ * Scripts run on a backend chosen by DT_BACKEND (see src/backends/index.js):
+ * osascript against DEVONthink by default, or an in-memory fake.
  */
 
-import { execFile } from 'node:child_process';
-import { promisify } from 'node:util';
-import { resolve, dirname } from 'node:path';
-import { fileURLToPath } from 'node:url';
-import { readFile } from 'node:fs/promises';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { getBackend } from './backends/index.js';
+import { codedError, withErrorCode } from './errors.js';
 
-const execFileAsync = promisify(execFile);
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const JXA_DIR = resolve(__dirname, '..', 'jxa');
+const DEFAULT_TIMEOUT_MS = 60000;
+
+// Deadline (epoch ms) shared by every runJxa call made inside runWithTimeout
+const deadlineStorage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a time budget for all JXA calls it makes (including nested ones)
+ * Each call gets the remaining budget instead of the default 60 second limit.
+ * @param {number} timeoutMs - Budget in milliseconds (falsy: keep the default limit)
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<any>} Result of fn
+ */
+export function runWithTimeout(timeoutMs, fn) {
+  if (!timeoutMs) return fn();
+  return deadlineStorage.run(Date.now() + timeoutMs, fn);
+}
 
 /**
  * Run a JXA script and return the parsed JSON result
  * @param {string} category - Script category (read, write, utils)
  * @param {string} scriptName - Script filename (without .js)
  * @param {string[]} args - Arguments to pass to the script
- * @returns {Promise<object>} Parsed JSON response
+ * @returns {Promise<object>} Parsed JSON response (failures carry a `code`, see src/errors.js)
  */
 export async function runJxa(category, scriptName, args = []) {
-  const scriptPath = resolve(JXA_DIR, category, `${scriptName}.js`);
-  const helpersPath = resolve(JXA_DIR, 'utils', 'helpers.js');
-
-  try {
-    const [scriptContent, helpersContent] = await Promise.all([
-      readFile(scriptPath, 'utf8'),
-      readFile(helpersPath, 'utf8')
-    ]);
-
-    const cleanHelpers = helpersContent.replace(/^(?:(?:\/\/.*|\s*)\r?\n)+/, ''); // Remove leading comments and empty lines
-    const cleanScript = scriptContent.replace(/^#!.*\r?\n/, '');
-    
-    // Combine helpers and script
-    const fullScript = `${cleanHelpers}\n${cleanScript}`;
-
-    const { stdout, stderr } = await execFileAsync(
-      'osascript',
-      ['-l', 'JavaScript', '-e', fullScript, '--', ...args],
-      {
-        timeout: 60000, // 60 second timeout
-        maxBuffer: 10 * 1024 * 1024, // 10MB buffer for large results
-      }
-    );
-
-    // Parse JSON output
-    const trimmed = stdout.trim();
-    if (!trimmed) {
-      return { success: false, error: 'Empty response from script' };
-    }
-
-    try {
-      return JSON.parse(trimmed);
-    } catch (parseError) {
-      // If not valid JSON, return raw output
-      return { success: true, raw: trimmed };
-    }
-  } catch (error) {
-    // Handle execution errors
-    if (error.killed) {
-      return { success: false, error: 'Script timed out' };
-    }
-    if (error.code === 'ENOENT') {
-      return { success: false, error: `Script not found: ${scriptPath}` };
-    }
+  const deadline = deadlineStorage.getStore();
+  const timeout = deadline ? Math.max(1, deadline - Date.now()) : DEFAULT_TIMEOUT_MS;
+  const backend = await getBackend();
+  return withErrorCode(await backend.run(category, scriptName, args, { timeout, taskTimeout: Boolean(deadline) }));
+}
 
-    // Try to parse stderr as JSON (some scripts output errors to stdout)
-    if (error.stdout) {
-      try {
-        return JSON.parse(error.stdout.trim());
-      } catch {
-        // Fall through to error handling
-      }
-    }
+/**
+ * Run JXA source built by a command rather than a script from jxa/
+ * @param {string} source - Complete script
+ * @param {object} [options] - `timeout` in ms (default 60 seconds)
+ * @returns {Promise<object>} Parsed JSON response
+ */
+export async function runJxaSource(source, options = {}) {
+  const backend = await getBackend();
+  return withErrorCode(await backend.runSource(source, { timeout: options.timeout || DEFAULT_TIMEOUT_MS }));
+}
 
-    return {
-      success: false,
-      error: error.message || 'Unknown error',
-      stderr: error.stderr?.trim() || undefined
-    };
-  }
+/**
+ * Keep one JXA process for the rest of this process's calls (long-running commands:
+ * MCP server, queue execution, daemon). Falls back to a process per call on its own.
+ */
+export async function useJxaWorker() {
+  const backend = await getBackend();
+  backend.enableWorker?.();
 }
 
 /**
@@ -88,34 +65,18 @@ export async function runJxa(category, scriptName, args = []) {
  * @returns {Promise<boolean>}
  */
 export async function isDevonthinkRunning() {
-  const scriptPath = resolve(JXA_DIR, 'utils', 'isRunning.js');
-  try {
-    const scriptContent = await readFile(scriptPath, 'utf8');
-    const { stdout } = await execFileAsync(
-      'osascript',
-      ['-l', 'JavaScript', '-e', scriptContent],
-      { timeout: 5000 }
-    );
-    const trimmed = stdout.trim();
-    if (!trimmed) return { success: false, running: false, error: 'Empty response from isRunning script' };
-    const result = JSON.parse(trimmed);
-    return result.success && result.running === true;
-  } catch (error) {
-    console.error(`Error checking DEVONthink status: ${error.message}`);
-    return { success: false, running: false, error: error.message };
-  }
+  const backend = await getBackend();
+  return backend.isRunning();
 }
 
 /**
  * Ensure DEVONthink is running before executing a command
  * @returns {Promise<void>}
- * @throws {Error} if DEVONthink is not running
+ * @throws {Error} APP_NOT_RUNNING if DEVONthink is not running
  */
 export async function requireDevonthink() {
   const running = await isDevonthinkRunning();
   if (!running) {
-    const error = new Error('DEVONthink is not running. Please launch DEVONthink and try again.');
-    error.code = 'DEVONTHINK_NOT_RUNNING';
-    throw error;
+    throw codedError('APP_NOT_RUNNING', 'DEVONthink is not running. Please launch DEVONthink and try again.');
   }
-}
\ No newline at end of file
+}
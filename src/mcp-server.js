@@ -14,13 +14,19 @@ import {
 } from "@modelcontextprotocol/sdk/types.js";
 import { createRequire } from 'module';
 import { runJxa } from "./jxa-runner.js";
+import { codedError, errorCode } from "./errors.js";
 import { processRecord } from "./commands/organize.js";
+import { summarizeRecord } from "./commands/summarize.js";
 import { 
   addTasks, 
   executeQueue, 
   getQueueStatus, 
-  clearQueue 
+  clearQueue,
+  verifyQueue,
+  aiRepairQueue,
+  repairQueue
 } from "./queue.js";
+import { listWorkflows, runWorkflow } from "./workflow.js";
 import { buildSearchQuery } from "./utils.js";
 
 const require = createRequire(import.meta.url);
@@ -51,19 +57,28 @@ Supported Actions & Params:
 - create: { name, type, content, database, group, tags }
 - move: { uuid, destination }
 - delete: { uuid }
+- replicate: { uuid, destination } (destination: group UUID or array of UUIDs)
+- duplicate: { uuid, destination, database? }
+- link / unlink: { source, target, wiki?, seeAlso?, search?, chat?, classification? }
+- convert: { uuid, format, destination? }
 - tag.add: { uuids: [], tags: [] }
 - tag.remove: { uuids: [], tags: [] }
 - tag.set: { uuids: [], tags: [] }
 - tag.merge: { target, sources, database? }
 - tag.rename: { from, to, database? }
 - tag.delete: { tag, database? }
+- search: { query, database?, group?, type?, limit? } (returns results[] and uuids[])
 - chat: { prompt?, promptRecord?, records?, url?, engine?, model?, temperature?, role?, mode?, usage?, format?, thinking?, toolCalls? }
 - organize: { uuid, auto: true }
-- summarize: { uuid, save: true }
-Variables like "$1.uuid" can be used to reference results of previous tasks.`,
+- summarize: { uuid, save: true, native?, type?, format? }
+Variables like "$1.uuid", "$3.results[0].uuid", "$3.results[*].uuid", "$2.uuid ?? $1.uuid" or "Notes for \${$1.name}" can be used to reference results of previous tasks (replicate, duplicate, convert and native summarize expose the new record as $N.uuid).
+Fan-out: add forEach: "$1.results" to run the task once per element, with "$item" bound to the element (e.g. { action: "move", forEach: "$1.results", params: { uuid: "$item.uuid", destination: "/Archive" } }).
+Guards: add when: "$2.results.length > 0" (operators ==, !=, >, >=, <, <=, !, &&, ||) to run a task only if the condition holds; otherwise it and its dependents are skipped.`,
     inputSchema: {
       type: "object",
       properties: {
+        queue: { type: "string", description: "Named queue (default: the default queue)" },
+        lockTimeoutMs: { type: "integer", description: "How long to wait if another process holds the queue lock (default 1000)" },
         tasks: {
           type: "array",
           items: {
@@ -79,6 +94,21 @@ Variables like "$1.uuid" can be used to reference results of previous tasks.`,
                 ]
               },
               params: { type: "object" },
+              forEach: { type: "string", description: "Reference to a list from an earlier task (e.g. $1.results); the task runs once per element with $item bound" },
+              when: { type: "string", description: "Guard evaluated against earlier results (e.g. $2.results.length > 0); the task is skipped if false" },
+              retry: {
+                type: "object",
+                description: "Retry policy: attempts (total tries), backoff (ms before first retry, doubled each time), on (error patterns to retry; default any)",
+                properties: {
+                  attempts: { type: "integer" },
+                  backoff: { type: "integer" },
+                  on: { type: "array", items: { type: "string" } }
+                }
+              },
+              timeoutMs: { type: "integer", description: "Task timeout in ms (also limits each DEVONthink script call, default 60000)" },
+              priority: { type: "integer", description: "Higher runs first (default 0); tasks it depends on inherit it" },
+              notBefore: { type: "string", description: "Do not run before this time (ISO date, HH:MM or +30m/+2h/+1d); the task and its dependents stay pending until then" },
+              deadline: { type: "string", description: "Run before this time (ISO date, HH:MM or +30m/+2h/+1d); earlier deadlines run first" },
               dependsOn: { type: "array", items: { type: "integer" } }
             },
             required: ["action", "params"]
@@ -88,6 +118,10 @@ Variables like "$1.uuid" can be used to reference results of previous tasks.`,
           type: "object",
           properties: {
             mode: { type: "string", enum: ["sequential", "parallel", "transactional"] },
+            concurrency: { type: "integer", description: "Max concurrent tasks in parallel mode (default 4)" },
+            rollbackOnError: { type: "boolean", description: "Undo completed write tasks if a task fails" },
+            retry: { type: "object", description: "Default retry policy for all tasks: { attempts, backoff, on }" },
+            timeoutMs: { type: "integer", description: "Default task timeout in ms" },
             verbose: { type: "boolean" }
           }
         }
@@ -97,22 +131,31 @@ Variables like "$1.uuid" can be used to reference results of previous tasks.`,
   },
   {
     name: "execute_queue",
-    description: "Execute all pending tasks in the queue.",
+    description: "Execute all pending tasks in the queue. Sends progress notifications (finished task count, total, ETA) when the request includes a progressToken.",
     inputSchema: {
       type: "object",
       properties: {
+        queue: { type: "string", description: "Named queue (default: the default queue)" },
+        lockTimeoutMs: { type: "integer", description: "How long to wait if another process holds the queue lock (default 1000)" },
         dryRun: { type: "boolean", description: "Validate only, don't execute" },
+        simulate: { type: "boolean", description: "Don't execute; predict the name, location and tags of every referenced record after the run, with a before/after diff and conflicts (e.g. moving a record an earlier task deletes)" },
         verbose: { type: "boolean", description: "If true, returns detailed result for every task. Default false (summary only)." },
-        mode: { type: "string", enum: ["sequential", "parallel", "transactional"] }
+        mode: { type: "string", enum: ["sequential", "parallel", "transactional"] },
+        concurrency: { type: "integer", description: "Max concurrent tasks in parallel mode (default 4)" },
+        rollbackOnError: { type: "boolean", description: "Undo completed write tasks if a task fails (implied by mode 'transactional')" },
+        retry: { type: "object", description: "Default retry policy for this run: { attempts, backoff, on }" },
+        timeoutMs: { type: "integer", description: "Default task timeout in ms for this run" },
+        until: { type: "string", description: "Leave out tasks with a deadline after this time (ISO date, HH:MM or +2h) unless a task that runs depends on them; tasks without a deadline run" }
       }
     }
   },
   {
     name: "get_queue_status",
-    description: "Get current queue status and task list.",
+    description: "Get current queue status and task list. Skipped tasks include a skipReason (false when guard or a dependency that did not complete).",
     inputSchema: {
       type: "object",
       properties: {
+        queue: { type: "string", description: "Named queue (default: the default queue)" },
         includeCompleted: { type: "boolean", default: false }
       }
     }
@@ -123,6 +166,7 @@ Variables like "$1.uuid" can be used to reference results of previous tasks.`,
     inputSchema: {
       type: "object",
       properties: {
+        queue: { type: "string", description: "Named queue (default: the default queue)" },
         scope: { type: "string", enum: ["completed", "failed", "all"], default: "completed" }
       }
     }
@@ -132,20 +176,50 @@ Variables like "$1.uuid" can be used to reference results of previous tasks.`,
     description: "Perform a deep existence check of all resources referenced in the queue against DEVONthink.",
     inputSchema: {
       type: "object",
-      properties: {}
+      properties: {
+        queue: { type: "string", description: "Named queue (default: the default queue)" },
+      }
     }
   },
   {
     name: "repair_queue",
-    description: "Use AI to analyze and fix an invalid or failed task queue based on session context.",
+    description: "Fix an invalid or failed task queue: with AI based on session context, or (offline) deterministically by matching databases, group paths and record names against the local caches, with a confidence score and diff per fix.",
     inputSchema: {
       type: "object",
       properties: {
+        queue: { type: "string", description: "Named queue (default: the default queue)" },
         apply: { type: "boolean", description: "Actually apply the fixes. Default false.", default: false },
-        engine: { type: "string", description: "AI engine to use. Default 'claude'." }
+        engine: { type: "string", description: "AI engine to use. Default 'claude'." },
+        offline: { type: "boolean", description: "Deterministic repair from local caches, no AI engine. Default false.", default: false },
+        minConfidence: { type: "number", description: "Offline: lowest confidence (0-1) to propose a fix. Default 0.6." }
       }
     }
   },
+  {
+    name: "list_workflows",
+    description: "List the reusable workflows (parameterized task files) in the workflows directory, with their inputs.",
+    inputSchema: {
+      type: "object",
+      properties: {}
+    }
+  },
+  {
+    name: "run_workflow",
+    description: "Run a workflow: validate its inputs, expand variables and includes, replace the tasks of its queue and execute them. Nothing is queued if an input is invalid.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "Workflow name (in the workflows directory) or file path" },
+        vars: { type: "object", description: "Input values, e.g. { database: 'Research', since: '2 weeks' }" },
+        queue: { type: "string", description: "Queue to run in (default: the workflow's file name)" },
+        mode: { type: "string", enum: ["sequential", "parallel", "transactional"] },
+        dryRun: { type: "boolean", description: "Only validate and return the expanded tasks" },
+        force: { type: "boolean", description: "Replace pending tasks in the queue that this workflow did not create" },
+        verbose: { type: "boolean", description: "Return detailed results for every task" }
+      },
+      required: ["name"]
+    }
+  },
   {
     name: "search_records",
     description: "Search for records in DEVONthink using full-text or metadata filters.",
@@ -470,42 +544,102 @@ server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
   }
 });
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+/**
+ * Map queue execution events to MCP progress notifications
+ * Sent only when the client asked for progress (request _meta.progressToken), and only
+ * when the number of finished tasks changes (progress must increase with each notification).
+ */
+function createProgressNotifier(extra, progressToken) {
+  let lastDone = -1;
+  const describe = (event) => {
+    switch (event.type) {
+      case 'run.started': return `Executing ${event.progress.total} tasks (${event.mode})`;
+      case 'task.completed': return `Task ${event.taskId} (${event.action}) completed`;
+      case 'task.failed': return `Task ${event.taskId} (${event.action}) failed: ${event.error}`;
+      case 'task.skipped': return `Task ${event.taskId} skipped: ${event.reason}`;
+      case 'run.finished': return `Finished: ${event.summary.completed} completed, ${event.summary.failed} failed`;
+      default: return event.type;
+    }
+  };
+
+  return (event) => {
+    const { done, total, etaMs } = event.progress;
+    if (done <= lastDone) return;
+    lastDone = done;
+    const eta = etaMs !== null && done < total ? ` (ETA ${Math.ceil(etaMs / 1000)}s)` : '';
+    extra.sendNotification({
+      method: "notifications/progress",
+      params: { progressToken, progress: done, total, message: describe(event) + eta }
+    }).catch(() => {});
+  };
+}
+
+/**
+ * Tool result with a JSON payload; failed results (`success: false`, with their
+ * error code) are flagged as isError
+ */
+function jsonResult(result) {
+  return {
+    ...(result?.success === false && { isError: true }),
+    content: [{ type: "text", text: JSON.stringify(result, null, 2) }]
+  };
+}
+
+server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
   const { name, arguments: args } = request.params;
 
   try {
     switch (name) {
       case "queue_tasks": {
-        const result = await addTasks(args.tasks, args.options);
-        return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+        const result = await addTasks(args.tasks, { ...args.options, queue: args.queue, lockTimeoutMs: args.lockTimeoutMs });
+        return jsonResult(result);
       }
 
       case "execute_queue": {
-        const result = await executeQueue(args);
-        return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+        const progressToken = request.params._meta?.progressToken;
+        const result = await executeQueue({
+          ...args,
+          ...(progressToken !== undefined && { onEvent: createProgressNotifier(extra, progressToken) })
+        });
+        return jsonResult(result);
       }
 
       case "get_queue_status": {
-        const result = await getQueueStatus();
+        const result = await getQueueStatus(args);
         if (!args.includeCompleted) {
            result.tasks = result.tasks.filter(t => t.status !== 'completed');
         }
-        return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+        return jsonResult(result);
       }
 
       case "clear_queue": {
-        await clearQueue(args.scope);
+        await clearQueue(args.scope, args);
         return { content: [{ type: "text", text: `Queue cleared (scope: ${args.scope || 'completed'})` }] };
       }
 
       case "verify_queue": {
-        const result = await verifyQueue();
-        return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+        const result = await verifyQueue(args);
+        return jsonResult(result);
       }
 
       case "repair_queue": {
-        const result = await aiRepairQueue(args);
-        return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+        const result = args.offline ? await repairQueue(args) : await aiRepairQueue(args);
+        return jsonResult(result);
+      }
+
+      case "list_workflows": {
+        const result = await listWorkflows();
+        return jsonResult(result);
+      }
+
+      case "run_workflow": {
+        const { name: workflow, ...options } = args;
+        const progressToken = request.params._meta?.progressToken;
+        const result = await runWorkflow(workflow, {
+          ...options,
+          ...(progressToken !== undefined && { onEvent: createProgressNotifier(extra, progressToken) })
+        });
+        return jsonResult(result);
       }
 
       case "search_records": {
@@ -521,7 +655,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           combinedQuery,
           JSON.stringify({ database: args.database, limit: args.limit || 20 })
         ]);
-        return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+        return jsonResult(result);
       }
 
       case "get_record_properties": {
@@ -530,7 +664,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           scriptArgs.push(JSON.stringify({ fields: args.fields }));
         }
         const result = await runJxa("read", "getRecordProperties", scriptArgs);
-        return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+        return jsonResult(result);
       }
 
       case "explore_devonthink": {
@@ -545,18 +679,18 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             result = await runJxa("read", "getSelection", []);
             break;
           case "children":
-            if (!uuid) throw new Error("UUID is required for 'children' scope");
+            if (!uuid) throw codedError('INVALID_ARGUMENT', "UUID is required for 'children' scope");
             result = await runJxa("read", "listGroupContents", [JSON.stringify({ groupRef: uuid })]);
             break;
           case "reveal":
-            if (!uuid) throw new Error("UUID is required for 'reveal' scope");
+            if (!uuid) throw codedError('INVALID_ARGUMENT', "UUID is required for 'reveal' scope");
             // mode can be window, tab, or reveal (reveal means navigate in-place)
             result = await runJxa("utils", "revealRecord", [uuid, "self", mode || "window"]);
             break;
           default:
-            throw new Error(`Unknown scope: ${scope}`);
+            throw codedError('INVALID_ARGUMENT', `Unknown scope: ${scope}`);
         }
-        return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+        return jsonResult(result);
       }
 
       case "get_record_content": {
@@ -564,6 +698,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           args.uuid,
           String(args.maxLength || 5000)
         ]);
+        if (!result.success) return jsonResult(result);
         return { content: [{ type: "text", text: result.preview || "No content found." }] };
       }
 
@@ -571,14 +706,14 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         const params = { uuid: args.uuid, type: args.type || "all" };
         if (args.database) params.database = args.database;
         const result = await runJxa("read", "getRelated", [JSON.stringify(params)]);
-        return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+        return jsonResult(result);
       }
 
       case "list_group_contents": {
         const result = await runJxa("read", "listGroupContents", [
           JSON.stringify({ groupRef: args.uuid })
         ]);
-        return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+        return jsonResult(result);
       }
 
       case "organize_record": {
@@ -589,7 +724,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             options.prompt = process.env.DT_ORGANIZE_PROMPT;
         }
         const result = await processRecord(args.uuid, options);
-        return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+        return jsonResult(result);
       }
 
       case "manage_record": {
@@ -615,7 +750,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
           case "update":
             scriptName = "modifyRecordProperties";
-            if (!uuid) throw new Error("UUID is required for update action");
+            if (!uuid) throw codedError('INVALID_ARGUMENT', "UUID is required for update action");
             scriptArgs = {
               uuid,
               newName: name,
@@ -629,8 +764,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
           case "move":
              scriptName = "modifyRecordProperties";
-             if (!uuid) throw new Error("UUID is required for move action");
-             if (!destination) throw new Error("Destination is required for move action");
+             if (!uuid) throw codedError('INVALID_ARGUMENT', "UUID is required for move action");
+             if (!destination) throw codedError('INVALID_ARGUMENT', "Destination is required for move action");
              scriptArgs = {
                uuid,
                destGroupUuid: destination
@@ -639,7 +774,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
           case "trash":
              scriptName = "deleteRecord";
-             if (!uuid) throw new Error("UUID is required for trash action");
+             if (!uuid) throw codedError('INVALID_ARGUMENT', "UUID is required for trash action");
              // deleteRecord takes uuid as direct arg, not json, but our JXA runner can handle it?
              // No, our JXA runner expects json string for most. 
              // Wait, deleteRecord.js takes UUID as argv[4].
@@ -652,7 +787,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
           case "convert":
              scriptName = "convertRecord";
-             if (!uuid) throw new Error("UUID is required for convert action");
+             if (!uuid) throw codedError('INVALID_ARGUMENT', "UUID is required for convert action");
              scriptArgs = {
                uuid,
                to: convertFormat,
@@ -661,68 +796,34 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
              break;
 
           default:
-            throw new Error(`Unknown action: ${action}`);
+            throw codedError('INVALID_ARGUMENT', `Unknown action: ${action}`);
         }
 
         // Special handling for deleteRecord which expects raw UUID
         if (action === "trash") {
              const result = await runJxa("write", "deleteRecord", [uuid]);
-             return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+             return jsonResult(result);
         }
 
         // All others expect JSON
         const result = await runJxa("write", scriptName, [JSON.stringify(scriptArgs)]);
-        return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+        return jsonResult(result);
       }
 
       case "summarize_record": {
-        const { uuid, promptRecord, native, type, format, save = true } = args;
-        
-        // Native Mode
-        if (native) {
-             const result = await runJxa('write', 'summarizeNative', [JSON.stringify({
-                 uuid,
-                 type: type || "annotations",
-                 format: format || "markdown"
-             })]);
-             return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
-        }
-
-        // AI Mode
-        const preview = await runJxa('read', 'getRecordPreview', [uuid, '10000']);
-        if (!preview.success) throw new Error(preview.error);
-
-        const promptUuid = promptRecord || process.env.DT_SUMMARIZE_PROMPT;
-        let customInstruction = "";
-        if (promptUuid) {
-           const pRec = await runJxa('read', 'getRecordPreview', [promptUuid, '5000']);
-           if (pRec.success) customInstruction = pRec.preview;
-        }
-
-        const chatPrompt = `You are an expert at summarizing information. 
-        ${customInstruction ? `Follow these specific instructions: ${customInstruction}` : "Provide a concise 1-2 sentence summary of the following text."}
-        
-        Text:
-        ${preview.preview.substring(0, 8000)}`;
-
-        const chatResult = await runJxa('read', 'chat', [JSON.stringify({ prompt: chatPrompt, thinking: false, format: 'text' })]);
-        if (!chatResult.success) throw new Error(chatResult.error);
-
-        const summary = chatResult.response.trim();
-        if (save) {
-            await runJxa('write', 'modifyRecordProperties', [JSON.stringify({ uuid, comment: summary })]);
+        const { uuid, promptRecord, native, type, format, save } = args;
+        const result = await summarizeRecord(uuid, { prompt: promptRecord, native, type, format, save });
+        if (result.success && result.summary !== undefined) {
+          return { content: [{ type: "text", text: result.summary }] };
         }
-        return { content: [{ type: "text", text: summary }] };
+        return jsonResult(result);
       }
 
       default:
-        throw new Error(`Unknown tool: ${name}`);
+        throw codedError('INVALID_ARGUMENT', `Unknown tool: ${name}`);
     }
   } catch (error) {
-    return {
-      isError: true,
-      content: [{ type: "text", text: error.message }],
-    };
+    return jsonResult({ success: false, error: error.message, code: errorCode(error) });
   }
 });
 
@@ -3,6 +3,8 @@
  * Handles JSON, table, and pretty-printed output
  */
 
+import { errorCode } from './errors.js';
+
 /**
  * Format output based on options
  * @param {object} data - Data to output
@@ -48,14 +50,14 @@ export function print(data, options = {}) {
 
 /**
  * Print error to stderr
- * @param {string|Error} error - Error to print
+ * @param {string|Error|object} error - Error to print (or a failed script result)
  * @param {object} options - Formatting options
  */
 export function printError(error, options = {}) {
-  const message = error instanceof Error ? error.message : error;
+  const message = error instanceof Error ? error.message : (error?.error ?? error);
 
   if (options.json || options.pretty) {
-    console.error(JSON.stringify({ success: false, error: message }, null, options.pretty ? 2 : 0));
+    console.error(JSON.stringify({ success: false, error: message, code: errorCode(error) }, null, options.pretty ? 2 : 0));
   } else {
     console.error(`Error: ${message}`);
   }
@@ -0,0 +1,569 @@
+/**
+ * Queue Variable Expressions
+ * Parses and resolves references to earlier task results in queue params
+ *
+ * Syntax:
+ *   $3                     Entire result of task 3
+ *   $3.uuid                Dotted path
+ *   $3.results[0].uuid     Array index
+ *   $3.results[*].uuid     Wildcard (maps over the array)
+ *   $2.uuid ?? $1.uuid     Default: first operand that resolves wins
+ *   $2.name ?? "Untitled"  Literal defaults (strings, numbers, true, false, null)
+ *   "Notes for ${$1.name}" Interpolation inside a larger string (other ${...} text stays literal)
+ *   $item.uuid             Current element inside a forEach task
+ *
+ * Guards (task `when`) combine values with ==, !=, >, >=, <, <=, !, &&, || and ( ):
+ *   $2.results.length > 0 && ($1.wordCount ?? 0) == 0
+ */
+
+// Named variables bound by the executor (see resolveValue's scope argument)
+const SCOPE_VARIABLES = ['item'];
+
+const REF_START = new RegExp(`^\\$(\\d|(${SCOPE_VARIABLES.join('|')})(?![A-Za-z0-9_]))`);
+
+/**
+ * Create a tokenizer/parser over an expression source
+ * Shared by parseExpression (values) and parseCondition (guards)
+ */
+function createParser(source) {
+  const src = source.trim();
+  let pos = 0;
+  // Positions of task IDs in `source` (for renumbering)
+  const lead = source.length - source.trimStart().length;
+  const refs = [];
+
+  const skipSpace = () => {
+    while (pos < src.length && /\s/.test(src[pos])) pos++;
+  };
+
+  const unexpected = () => new Error(`Unexpected '${src.slice(pos) || 'end of expression'}' at position ${pos}`);
+
+  const parseRef = () => {
+    pos++; // $
+    const idMatch = src.slice(pos).match(/^(\d+|[A-Za-z_][A-Za-z0-9_]*)/);
+    if (!idMatch) throw new Error(`Expected task ID after '$' at position ${pos}`);
+    const isVariable = !/^\d/.test(idMatch[0]);
+    if (isVariable && !SCOPE_VARIABLES.includes(idMatch[0])) {
+      throw new Error(`Unknown variable '$${idMatch[0]}' at position ${pos - 1}`);
+    }
+    if (!isVariable) refs.push({ start: lead + pos, end: lead + pos + idMatch[0].length });
+    pos += idMatch[0].length;
+
+    const path = [];
+    while (pos < src.length) {
+      if (src[pos] === '.') {
+        const keyMatch = src.slice(pos + 1).match(/^[A-Za-z0-9_-]+/);
+        if (!keyMatch) throw new Error(`Expected property name after '.' at position ${pos}`);
+        path.push({ key: keyMatch[0] });
+        pos += 1 + keyMatch[0].length;
+      } else if (src[pos] === '[') {
+        const indexMatch = src.slice(pos).match(/^\[\s*(\d+|\*)\s*\]/);
+        if (!indexMatch) throw new Error(`Expected [index] or [*] at position ${pos}`);
+        path.push(indexMatch[1] === '*' ? { wildcard: true } : { index: parseInt(indexMatch[1], 10) });
+        pos += indexMatch[0].length;
+      } else {
+        break;
+      }
+    }
+    return isVariable
+      ? { type: 'var', name: idMatch[0], path }
+      : { type: 'ref', taskId: parseInt(idMatch[0], 10), path };
+  };
+
+  const parseLiteral = () => {
+    const rest = src.slice(pos);
+    const stringMatch = rest.match(/^"((?:[^"\\]|\\.)*)"|^'((?:[^'\\]|\\.)*)'/);
+    if (stringMatch) {
+      pos += stringMatch[0].length;
+      const raw = stringMatch[1] !== undefined ? stringMatch[1] : stringMatch[2];
+      return { type: 'literal', value: raw.replace(/\\(.)/g, '$1') };
+    }
+    const numberMatch = rest.match(/^-?\d+(?:\.\d+)?/);
+    if (numberMatch) {
+      pos += numberMatch[0].length;
+      return { type: 'literal', value: parseFloat(numberMatch[0]) };
+    }
+    const keywordMatch = rest.match(/^(true|false|null)\b/);
+    if (keywordMatch) {
+      pos += keywordMatch[0].length;
+      return { type: 'literal', value: JSON.parse(keywordMatch[1]) };
+    }
+    throw unexpected();
+  };
+
+  // operand ( ?? operand )*
+  const parseValue = () => {
+    const start = pos;
+    const operands = [];
+    for (;;) {
+      skipSpace();
+      operands.push(src[pos] === '$' ? parseRef() : parseLiteral());
+      skipSpace();
+      if (!src.startsWith('??', pos)) break;
+      pos += 2;
+    }
+    return { operands, raw: src.slice(start, pos).trim() };
+  };
+
+  // Guards: value [op value], !, &&, ||, ( )
+  const parseOr = () => {
+    let node = parseAnd();
+    while (src.startsWith('||', pos)) {
+      pos += 2;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const parseAnd = () => {
+    let node = parseNot();
+    while (src.startsWith('&&', pos)) {
+      pos += 2;
+      node = { type: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  };
+
+  const parseNot = () => {
+    skipSpace();
+    if (src[pos] === '!' && src[pos + 1] !== '=') {
+      pos++;
+      return { type: 'not', operand: parseNot() };
+    }
+    return parseComparison();
+  };
+
+  const parseComparison = () => {
+    skipSpace();
+    let left;
+    if (src[pos] === '(') {
+      pos++;
+      left = parseOr();
+      skipSpace();
+      if (src[pos] !== ')') throw new Error(`Expected ')' at position ${pos}`);
+      pos++;
+      skipSpace();
+    } else {
+      left = { type: 'value', value: parseValue() };
+    }
+
+    const opMatch = src.slice(pos).match(/^(==|!=|>=|<=|>|<)/);
+    if (!opMatch) return left;
+    pos += opMatch[0].length;
+    const right = { type: 'value', value: parseValue() };
+    skipSpace();
+    return { type: 'compare', op: opMatch[0], left, right };
+  };
+
+  const expectEnd = () => {
+    skipSpace();
+    if (pos < src.length) throw unexpected();
+  };
+
+  return { parseValue, parseOr, expectEnd, refs };
+}
+
+/**
+ * Tokenize and parse an expression
+ * @param {string} source - Expression text (without ${ })
+ * @returns {{ operands: Array<object> }} Parsed expression
+ * @throws {Error} on syntax errors
+ */
+export function parseExpression(source) {
+  const parser = createParser(source);
+  const { operands } = parser.parseValue();
+  parser.expectEnd();
+  return { operands };
+}
+
+/**
+ * Parse a guard condition, e.g. "$2.results.length > 0 && $1.wordCount == 0"
+ * @param {string} source - Condition text
+ * @returns {object} Condition tree
+ * @throws {Error} on syntax errors
+ */
+export function parseCondition(source) {
+  const parser = createParser(String(source));
+  const tree = parser.parseOr();
+  parser.expectEnd();
+  return tree;
+}
+
+/**
+ * Split a string into literal text and ${...} expression parts
+ * Only a ${ followed by a reference ($N, $item) opens an expression; any other
+ * ${ (e.g. "Use ${HOME} here") is literal text.
+ * @param {string} str
+ * @returns {Array<{ text?: string, expression?: string }>|null} null if the string has no ${...} expression
+ */
+function splitTemplate(str) {
+  if (!str.includes('${')) return null;
+
+  const parts = [];
+  let text = '';
+  let pos = 0;
+  while (pos < str.length) {
+    const start = str.indexOf('${', pos);
+    if (start === -1) {
+      text += str.slice(pos);
+      break;
+    }
+    text += str.slice(pos, start);
+    if (!REF_START.test(str.slice(start + 2).trimStart())) {
+      text += '${';
+      pos = start + 2;
+      continue;
+    }
+
+    // Find the closing brace, skipping over quoted strings
+    let end = start + 2;
+    let quote = null;
+    while (end < str.length) {
+      const ch = str[end];
+      if (quote) {
+        if (ch === '\\') end++;
+        else if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === '}') {
+        break;
+      }
+      end++;
+    }
+    if (end >= str.length) throw new Error(`Unterminated '\${' in "${str}"`);
+
+    if (text) parts.push({ text });
+    text = '';
+    parts.push({ expression: str.slice(start + 2, end) });
+    pos = end + 1;
+  }
+  if (parts.length === 0) return null;
+  if (text) parts.push({ text });
+  return parts;
+}
+
+/**
+ * Classify a string param
+ * @returns {{ kind: 'expression'|'template'|'literal', parsed?: object, parts?: Array }}
+ */
+function classify(str) {
+  const parts = splitTemplate(str);
+  if (parts) {
+    return {
+      kind: 'template',
+      parts: parts.map(p => (p.expression !== undefined
+        ? { expression: p.expression, parsed: parseExpression(p.expression) }
+        : p))
+    };
+  }
+  if (REF_START.test(str)) {
+    try {
+      return { kind: 'expression', parsed: parseExpression(str) };
+    } catch {
+      // Not a well-formed expression (e.g. "$100 budget"): keep as literal
+    }
+  }
+  return { kind: 'literal' };
+}
+
+/**
+ * Find all variable references in a params value (recursively)
+ * @param {any} value - Params object, array or string
+ * @returns {Array<{ raw: string, taskIds: number[], variables: string[], error?: string }>}
+ */
+export function findReferences(value) {
+  const found = [];
+
+  const visit = (val) => {
+    if (typeof val === 'string') {
+      let info;
+      try {
+        info = classify(val);
+      } catch (e) {
+        found.push({ raw: val, taskIds: [], variables: [], error: e.message });
+        return;
+      }
+      const parsedList = info.kind === 'expression'
+        ? [info.parsed]
+        : (info.kind === 'template' ? info.parts.filter(p => p.parsed).map(p => p.parsed) : []);
+      if (parsedList.length > 0) {
+        const operands = parsedList.flatMap(p => p.operands);
+        const taskIds = operands.filter(o => o.type === 'ref').map(o => o.taskId);
+        const variables = operands.filter(o => o.type === 'var').map(o => o.name);
+        found.push({ raw: val, taskIds: [...new Set(taskIds)], variables: [...new Set(variables)] });
+      }
+    } else if (Array.isArray(val)) {
+      val.forEach(visit);
+    } else if (val && typeof val === 'object') {
+      Object.values(val).forEach(visit);
+    }
+  };
+
+  visit(value);
+  return found;
+}
+
+/**
+ * Walk a path of segments through a value
+ * @returns {any} undefined if any segment is missing
+ */
+function walkPath(value, path) {
+  let current = value;
+  for (let i = 0; i < path.length; i++) {
+    const segment = path[i];
+    if (current === undefined || current === null) return undefined;
+
+    if (segment.wildcard) {
+      if (!Array.isArray(current)) return undefined;
+      const rest = path.slice(i + 1);
+      const mapped = current.map(item => walkPath(item, rest));
+      return mapped.some(v => v === undefined) ? undefined : mapped;
+    }
+    current = segment.index !== undefined ? current[segment.index] : current[segment.key];
+  }
+  return current;
+}
+
+function formatPath(path) {
+  return path.map(s => (s.wildcard ? '[*]' : (s.index !== undefined ? `[${s.index}]` : `.${s.key}`))).join('');
+}
+
+/**
+ * Evaluate a parsed expression against task results
+ * @param {object} parsed - From parseExpression
+ * @param {Map<number, any>} context - taskId -> result
+ * @param {string} raw - Original text (for error messages)
+ * @param {object} scope - Named variables (e.g. { item })
+ * @param {boolean} [missingAsNull] - A missing or null field resolves to null instead of failing
+ *   (guards); a task without a result still fails
+ */
+function evaluate(parsed, context, raw, scope, missingAsNull = false) {
+  const failures = [];
+  let onlyMissingFields = true;
+
+  for (const operand of parsed.operands) {
+    if (operand.type === 'literal') return operand.value;
+
+    if (operand.type === 'var') {
+      if (!(operand.name in scope)) {
+        failures.push(`$${operand.name} is only available inside forEach tasks`);
+        onlyMissingFields = false;
+        continue;
+      }
+      const value = walkPath(scope[operand.name], operand.path);
+      if (value === undefined || value === null) {
+        failures.push(operand.path.length > 0
+          ? `'${formatPath(operand.path).replace(/^\./, '')}' not found in $${operand.name}`
+          : `$${operand.name} is empty`);
+        continue;
+      }
+      return value;
+    }
+
+    const taskResult = context.get(operand.taskId);
+    if (taskResult === undefined || taskResult === null) {
+      failures.push(`task ${operand.taskId} has no result`);
+      onlyMissingFields = false;
+      continue;
+    }
+
+    let value = walkPath(taskResult, operand.path);
+    // Fallback: result wrapped as { result: { ... } }
+    if (value === undefined && operand.path.length > 0 && taskResult.result) {
+      value = walkPath(taskResult.result, operand.path);
+    }
+
+    if (value === undefined || value === null) {
+      failures.push(`'${formatPath(operand.path).replace(/^\./, '')}' not found in task ${operand.taskId} result`);
+      continue;
+    }
+    return value;
+  }
+
+  if (missingAsNull && onlyMissingFields) return null;
+  throw new Error(`Could not resolve ${raw}: ${failures.join(', ')}`);
+}
+
+function stringify(value) {
+  if (Array.isArray(value)) return value.map(stringify).join(', ');
+  if (value && typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Resolve all variable references in a params value (recursively)
+ * @param {any} value - Params object, array or string
+ * @param {Map<number, any>} context - taskId -> result
+ * @param {object} [scope] - Named variables, e.g. { item } for forEach sub-tasks
+ * @returns {any} Resolved copy
+ * @throws {Error} if a reference cannot be resolved
+ */
+export function resolveValue(value, context, scope = {}) {
+  if (typeof value === 'string') {
+    const info = classify(value);
+    if (info.kind === 'expression') {
+      return evaluate(info.parsed, context, value, scope);
+    }
+    if (info.kind === 'template') {
+      return info.parts
+        .map(p => (p.parsed ? stringify(evaluate(p.parsed, context, `\${${p.expression}}`, scope)) : p.text))
+        .join('');
+    }
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    // A reference that resolves to an array is spliced in
+    // e.g. uuids: ["$1.uuids", "X"] where $1.uuids is [a, b] -> [a, b, "X"]
+    return value.flatMap(item => {
+      const resolved = resolveValue(item, context, scope);
+      const isReference = typeof item === 'string' && classify(item).kind === 'expression';
+      return isReference && Array.isArray(resolved) ? resolved : [resolved];
+    });
+  }
+
+  if (value && typeof value === 'object') {
+    const resolved = {};
+    for (const [key, val] of Object.entries(value)) {
+      resolved[key] = resolveValue(val, context, scope);
+    }
+    return resolved;
+  }
+
+  return value;
+}
+
+/**
+ * Replace task IDs in an expression or condition source
+ * @param {string} source
+ * @param {Map<number, number>} idMap - old ID -> new ID (IDs not in the map are kept)
+ */
+function renumberSource(source, idMap) {
+  const parser = createParser(source);
+  parser.parseOr();
+  parser.expectEnd();
+  let result = source;
+  for (const { start, end } of [...parser.refs].reverse()) {
+    const id = parseInt(source.slice(start, end), 10);
+    if (idMap.has(id)) result = result.slice(0, start) + idMap.get(id) + result.slice(end);
+  }
+  return result;
+}
+
+/**
+ * Rewrite $N references in a params value (recursively), e.g. when tasks are copied
+ * into another queue under new IDs
+ * @param {any} value - Params object, array or string
+ * @param {Map<number, number>} idMap - old ID -> new ID
+ * @returns {any} Rewritten copy
+ */
+export function renumberReferences(value, idMap) {
+  if (typeof value === 'string') {
+    const info = classify(value);
+    if (info.kind === 'expression') return renumberSource(value, idMap);
+    if (info.kind === 'template') {
+      return info.parts
+        .map(p => (p.parsed ? `\${${renumberSource(p.expression, idMap)}}` : p.text))
+        .join('');
+    }
+    return value;
+  }
+  if (Array.isArray(value)) return value.map(item => renumberReferences(item, idMap));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, val]) => [key, renumberReferences(val, idMap)]));
+  }
+  return value;
+}
+
+/**
+ * Rewrite $N references in a guard condition
+ * @param {string} source
+ * @param {Map<number, number>} idMap - old ID -> new ID
+ */
+export function renumberCondition(source, idMap) {
+  return renumberSource(String(source), idMap);
+}
+
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return Boolean(value);
+}
+
+function looseEquals(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return (a ?? null) === (b ?? null);
+  if (typeof a === 'number' || typeof b === 'number') return Number(a) === Number(b);
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function compare(op, a, b) {
+  if (op === '==') return looseEquals(a, b);
+  if (op === '!=') return !looseEquals(a, b);
+
+  const numeric = typeof a === 'number' || typeof b === 'number';
+  const x = numeric ? Number(a) : String(a);
+  const y = numeric ? Number(b) : String(b);
+  if (op === '>') return x > y;
+  if (op === '>=') return x >= y;
+  if (op === '<') return x < y;
+  return x <= y;
+}
+
+/**
+ * Evaluate a guard condition against task results
+ * Values use the expression syntax; a bare value is true unless empty, zero, false or an empty list.
+ * A missing or null field is null (so `$3.flag == null` and a bare `$3.flag` work); a task
+ * without a result is an error.
+ * @param {string} source - Condition text, e.g. "$2.results.length > 0"
+ * @param {Map<number, any>} context - taskId -> result
+ * @param {object} [scope] - Named variables
+ * @param {object} [options] - `missingAsNull: false` fails on missing fields instead (results known only in part)
+ * @returns {boolean}
+ * @throws {Error} on syntax errors or unresolvable references
+ */
+export function evaluateCondition(source, context, scope = {}, options = {}) {
+  const { missingAsNull = true } = options;
+  const test = (node) => {
+    switch (node.type) {
+      case 'or': return test(node.left) || test(node.right);
+      case 'and': return test(node.left) && test(node.right);
+      case 'not': return !test(node.operand);
+      case 'compare': return compare(node.op, valueOf(node.left), valueOf(node.right));
+      default: return isTruthy(valueOf(node));
+    }
+  };
+  const valueOf = (node) => (node.type === 'value'
+    ? evaluate(node.value, context, node.value.raw, scope, missingAsNull)
+    : test(node));
+
+  return test(parseCondition(source));
+}
+
+/**
+ * Find the variable references in a guard condition
+ * @param {string} source - Condition text
+ * @returns {Array<{ raw: string, taskIds: number[], variables: string[], error?: string }>} Same shape as findReferences
+ */
+export function findConditionReferences(source) {
+  let tree;
+  try {
+    tree = parseCondition(source);
+  } catch (e) {
+    return [{ raw: String(source), taskIds: [], variables: [], error: e.message }];
+  }
+
+  const operands = [];
+  const visit = (node) => {
+    if (node.type === 'value') operands.push(...node.value.operands);
+    else if (node.type === 'not') visit(node.operand);
+    else {
+      visit(node.left);
+      visit(node.right);
+    }
+  };
+  visit(tree);
+
+  const taskIds = operands.filter(o => o.type === 'ref').map(o => o.taskId);
+  const variables = operands.filter(o => o.type === 'var').map(o => o.name);
+  if (taskIds.length === 0 && variables.length === 0) return [];
+  return [{ raw: String(source), taskIds: [...new Set(taskIds)], variables: [...new Set(variables)] }];
+}
@@ -0,0 +1,313 @@
+/**
+ * Task File Formats
+ * Reads and writes task lists as YAML/JSON documents, NDJSON (one task per line)
+ * and CSV (an action column plus one column per param). NDJSON and CSV rows are
+ * validated one by one; errors name the line they come from.
+ *
+ * CSV cells: empty cells are left out; cells starting with [ { or " are JSON;
+ * true/false are booleans; list params (uuids, tags, sources, records) are split
+ * on ";". Columns named like task fields (id, dependsOn, when, forEach, priority,
+ * notBefore, deadline, timeoutMs, retry) set those; "params.<name>" forces a param.
+ */
+
+import path from 'path';
+import YAML from 'yaml';
+import { checkTask } from './queue.js';
+
+export const TASK_FORMATS = ['yaml', 'json', 'ndjson', 'csv'];
+
+const EXTENSION_FORMATS = {
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.csv': 'csv'
+};
+
+const TASK_FIELDS = ['id', 'action', 'dependsOn', 'when', 'forEach', 'priority', 'notBefore', 'deadline', 'timeoutMs', 'retry'];
+const INTEGER_FIELDS = ['id', 'priority', 'timeoutMs'];
+const LIST_PARAMS = ['uuids', 'tags', 'sources', 'records'];
+const LIST_SEPARATOR = ';';
+
+/**
+ * Pick the format of a task file from its extension, or from its content
+ * @param {string} file - Path ("-" for stdin)
+ * @param {string} content
+ * @returns {string} yaml, json, ndjson or csv
+ */
+export function detectFormat(file, content) {
+  const byExtension = EXTENSION_FORMATS[path.extname(String(file)).toLowerCase()];
+  if (byExtension) return byExtension;
+
+  const lines = content.split(/\r?\n/).filter(line => line.trim());
+  const first = (lines[0] || '').trim();
+  if (first.startsWith('{')) {
+    try {
+      const row = JSON.parse(first);
+      return lines.length > 1 || row.action !== undefined ? 'ndjson' : 'json';
+    } catch {
+      return 'json'; // A JSON document spread over several lines
+    }
+  }
+  if (!first.startsWith('[') && parseCsvLine(first).some(cell => cell.trim() === 'action')) return 'csv';
+  return 'yaml';
+}
+
+/**
+ * Split one CSV line (used for sniffing the header)
+ */
+function parseCsvLine(line) {
+  return parseCsv(line)[0]?.cells || [];
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted cells may hold commas, quotes and line breaks)
+ * @returns {Array<{line: number, cells: string[]}>} Rows with the line they start on
+ */
+function parseCsv(text) {
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.some(c => c.trim() !== '')) rows.push({ line: rowLine, cells });
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) throw Object.assign(new Error('Unterminated quoted cell'), { line: rowLine });
+  if (cell !== '' || cells.length > 0) endRow();
+  return rows;
+}
+
+/**
+ * Decode one CSV cell
+ * @throws {Error} on invalid JSON or numbers
+ */
+function decodeCell(column, raw) {
+  const value = raw.trim();
+  if (INTEGER_FIELDS.includes(column)) {
+    if (!/^-?\d+$/.test(value)) throw new Error(`${column} must be an integer, got "${value}"`);
+    return Number(value);
+  }
+  if (column === 'dependsOn') {
+    return value.split(/[;,\s]+/).filter(Boolean).map(id => {
+      if (!/^\d+$/.test(id)) throw new Error(`dependsOn must list task IDs, got "${id}"`);
+      return Number(id);
+    });
+  }
+  if (/^[[{"]/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      throw new Error(`Invalid JSON in column ${column}: ${error.message}`);
+    }
+  }
+  if (column === 'retry') throw new Error('retry must be a JSON object');
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (LIST_PARAMS.includes(column) && !value.startsWith('$')) {
+    return value.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+  }
+  return value;
+}
+
+/**
+ * Turn a flat row ({ action, uuid, tags, ... }) into a task ({ action, params, ... })
+ */
+function toTask(row) {
+  if (row.params !== undefined) return row;
+  const task = { params: {} };
+  for (const [key, value] of Object.entries(row)) {
+    if (key.startsWith('params.')) task.params[key.slice(7)] = value;
+    else if (TASK_FIELDS.includes(key)) task[key] = value;
+    else task.params[key] = value;
+  }
+  return task;
+}
+
+/**
+ * Parse NDJSON or CSV rows into tasks, validating each row
+ * @returns {Array<object>} Tasks
+ * @throws {Error} listing every invalid row with its line number
+ */
+function parseRows(content, format, source) {
+  const tasks = [];
+  const errors = [];
+  const check = (line, task) => {
+    const problems = checkTask(task);
+    if (problems.length > 0) errors.push(...problems.map(p => `line ${line}: ${p}`));
+    else tasks.push(task);
+  };
+
+  if (format === 'ndjson') {
+    content.split(/\r?\n/).forEach((text, index) => {
+      if (!text.trim()) return;
+      let row;
+      try {
+        row = JSON.parse(text);
+      } catch (error) {
+        errors.push(`line ${index + 1}: Invalid JSON: ${error.message}`);
+        return;
+      }
+      if (!row || typeof row !== 'object' || Array.isArray(row)) {
+        errors.push(`line ${index + 1}: Expected a task object`);
+        return;
+      }
+      check(index + 1, toTask(row));
+    });
+  } else {
+    let rows;
+    try {
+      rows = parseCsv(content);
+    } catch (error) {
+      throw new Error(`Invalid tasks in ${source}:\n  line ${error.line}: ${error.message}`);
+    }
+    const [header, ...body] = rows;
+    const columns = (header?.cells || []).map(c => c.trim());
+    if (!columns.includes('action')) {
+      throw new Error(`Invalid tasks in ${source}:\n  line ${header?.line ?? 1}: CSV header needs an "action" column`);
+    }
+    for (const { line, cells } of body) {
+      if (cells.length > columns.length) {
+        errors.push(`line ${line}: ${cells.length} cells, but the header has ${columns.length} columns`);
+        continue;
+      }
+      const row = {};
+      try {
+        cells.forEach((cell, i) => {
+          if (cell.trim() !== '') row[columns[i]] = decodeCell(columns[i].replace(/^params\./, ''), cell);
+        });
+      } catch (error) {
+        errors.push(`line ${line}: ${error.message}`);
+        continue;
+      }
+      check(line, toTask(row));
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid tasks in ${source}:\n  ${errors.join('\n  ')}`);
+  }
+  return tasks;
+}
+
+/**
+ * Parse a task file
+ * @param {string} content
+ * @param {string} format - yaml, json, ndjson or csv
+ * @param {string} [source] - File name for error messages
+ * @returns {any} The document (YAML/JSON), or an array of tasks (NDJSON/CSV)
+ */
+export function parseTaskFile(content, format, source = 'input') {
+  if (!TASK_FORMATS.includes(format)) {
+    throw new Error(`Unknown format: ${format} (use ${TASK_FORMATS.join(', ')})`);
+  }
+  if (format === 'ndjson' || format === 'csv') return parseRows(content, format, source);
+  // Try YAML then JSON
+  try {
+    return YAML.parse(content);
+  } catch {
+    return JSON.parse(content);
+  }
+}
+
+/**
+ * The fields of a task that are needed to load it again
+ */
+function exportedTask(task) {
+  const out = { id: task.id, action: task.action, params: task.params || {} };
+  for (const field of TASK_FIELDS.slice(2)) {
+    const value = task[field];
+    if (value === undefined || value === null) continue;
+    if (Array.isArray(value) && value.length === 0) continue;
+    out[field] = value;
+  }
+  return out;
+}
+
+function encodeCell(column, value) {
+  let text;
+  if (value === undefined || value === null) return '';
+  if (column === 'dependsOn') {
+    text = value.join(LIST_SEPARATOR);
+  } else if (Array.isArray(value) && LIST_PARAMS.includes(column) &&
+      value.every(v => typeof v === 'string' && v !== '' && !v.includes(LIST_SEPARATOR) && !/^[[{"$]/.test(v))) {
+    text = value.join(LIST_SEPARATOR);
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else if (typeof value === 'string' && (/^[[{"]/.test(value) || value === 'true' || value === 'false' ||
+      value !== value.trim() || (LIST_PARAMS.includes(column) && !value.startsWith('$')))) {
+    text = JSON.stringify(value); // Would be read back as something else
+  } else {
+    text = String(value);
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize tasks
+ * @param {Array<object>} tasks - Queue tasks
+ * @param {string} format - yaml, json, ndjson or csv
+ * @returns {string}
+ */
+export function formatTaskFile(tasks, format) {
+  const rows = tasks.map(exportedTask);
+  switch (format) {
+    case 'yaml':
+      return YAML.stringify({ tasks: rows });
+    case 'json':
+      return JSON.stringify({ tasks: rows }, null, 2) + '\n';
+    case 'ndjson':
+      return rows.map(row => JSON.stringify(row) + '\n').join('');
+    case 'csv': {
+      const paramColumns = [...new Set(rows.flatMap(row => Object.keys(row.params)))];
+      const fieldColumns = TASK_FIELDS.slice(2).filter(field => rows.some(row => row[field] !== undefined));
+      const header = [
+        'id',
+        'action',
+        ...paramColumns.map(key => (TASK_FIELDS.includes(key) || key.includes('.') ? `params.${key}` : key)),
+        ...fieldColumns
+      ];
+      const lines = rows.map(row => [
+        encodeCell('id', row.id),
+        encodeCell('action', row.action),
+        ...paramColumns.map(key => encodeCell(key, row.params[key])),
+        ...fieldColumns.map(field => encodeCell(field, row[field]))
+      ].join(','));
+      return [header.map(h => encodeCell('header', h)).join(','), ...lines].join('\n') + '\n';
+    }
+    default:
+      throw new Error(`Unknown format: ${format} (use ${TASK_FORMATS.join(', ')})`);
+  }
+}
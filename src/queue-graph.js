@@ -0,0 +1,226 @@
+/**
+ * Queue Dependency Graph
+ * Cycle detection, topological planning and rendering (text tree / DOT)
+ *
+ * A graph is { nodes: [{ id, action, status, ... }], edges: [{ from, to, type }] }
+ * where `from` must complete before `to` runs. Edge types: 'dependsOn' (explicit)
+ * and 'reference' ($N references in params, forEach or when).
+ */
+
+/**
+ * Find dependency cycles
+ * @param {Map<number, number[]>} deps - taskId -> IDs it depends on
+ * @returns {number[][]} Cycles as paths, first node repeated at the end (e.g. [2, 3, 2])
+ */
+export function findCycles(deps) {
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const stack = [];
+  const cycles = [];
+  const seen = new Set();
+
+  const visit = (id) => {
+    state.set(id, 'visiting');
+    stack.push(id);
+
+    for (const depId of deps.get(id) || []) {
+      if (!deps.has(depId)) continue;
+      if (state.get(depId) === 'visiting') {
+        const cycle = stack.slice(stack.indexOf(depId));
+        // Report each cycle once, starting from its lowest ID, in execution direction
+        const ordered = cycle.reverse();
+        const start = ordered.indexOf(Math.min(...ordered));
+        const path = [...ordered.slice(start), ...ordered.slice(0, start)];
+        const key = path.join('>');
+        if (!seen.has(key)) {
+          seen.add(key);
+          cycles.push([...path, path[0]]);
+        }
+      } else if (!state.has(depId)) {
+        visit(depId);
+      }
+    }
+
+    stack.pop();
+    state.set(id, 'done');
+  };
+
+  for (const id of deps.keys()) {
+    if (!state.has(id)) visit(id);
+  }
+  return cycles;
+}
+
+/**
+ * Effective urgency of each task: its own priority and deadline, raised to the
+ * highest priority and earliest deadline of the tasks that wait for it
+ * @returns {Map<number, {priority: number, deadline: number}>} deadline in ms (Infinity if none)
+ */
+function getUrgency(tasks, deps) {
+  const urgency = new Map(tasks.map(t => [t.id, {
+    priority: Number(t.priority) || 0,
+    deadline: t.deadline ? Date.parse(t.deadline) : Infinity
+  }]));
+
+  // Propagate to prerequisites until nothing changes (bounded, cycles included)
+  for (let pass = 0; pass < tasks.length; pass++) {
+    let changed = false;
+    for (const t of tasks) {
+      const own = urgency.get(t.id);
+      for (const depId of deps.get(t.id) || []) {
+        const dep = urgency.get(depId);
+        if (!dep) continue;
+        if (own.priority > dep.priority) { dep.priority = own.priority; changed = true; }
+        if (own.deadline < dep.deadline) { dep.deadline = own.deadline; changed = true; }
+      }
+    }
+    if (!changed) break;
+  }
+  return urgency;
+}
+
+/**
+ * Topologically sort tasks into steps (Kahn's algorithm, layer by layer)
+ * Tasks in one step are independent of each other. Each step takes the ready
+ * tasks of the highest effective priority (see getUrgency), earliest deadline
+ * first; within a step, tasks are grouped by action so the look-ahead batcher
+ * can bundle independent branches.
+ * @param {Array<object>} tasks - Tasks to plan ({ id, action, priority?, deadline? })
+ * @param {Map<number, number[]>} deps - taskId -> IDs it depends on (IDs outside `tasks` are ignored)
+ * @returns {{ steps: number[][], order: number[], cycles: number[][] }}
+ */
+export function planExecution(tasks, deps) {
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const remaining = new Map(tasks.map(t => [
+    t.id,
+    new Set((deps.get(t.id) || []).filter(id => byId.has(id)))
+  ]));
+  const urgency = getUrgency(tasks, deps);
+  const steps = [];
+
+  for (;;) {
+    let ready = [...remaining.keys()].filter(id => remaining.get(id).size === 0);
+    if (ready.length === 0) break;
+
+    const top = Math.max(...ready.map(id => urgency.get(id).priority));
+    const deadline = (id) => urgency.get(id).deadline;
+    ready = ready
+      .filter(id => urgency.get(id).priority === top)
+      .sort((a, b) => deadline(a) === deadline(b) ? 0 : deadline(a) < deadline(b) ? -1 : 1);
+
+    // Group by action, keeping the order in which each action first appears
+    const actions = [...new Set(ready.map(id => byId.get(id).action))];
+    const step = actions.flatMap(action => ready.filter(id => byId.get(id).action === action));
+    steps.push(step);
+
+    step.forEach(id => remaining.delete(id));
+    for (const pending of remaining.values()) {
+      step.forEach(id => pending.delete(id));
+    }
+  }
+
+  const blocked = new Map(tasks.filter(t => remaining.has(t.id)).map(t => [t.id, deps.get(t.id) || []]));
+  return {
+    steps,
+    order: steps.flat(),
+    cycles: remaining.size > 0 ? findCycles(blocked) : []
+  };
+}
+
+/**
+ * Format a cycle path for messages
+ * @param {number[]} cycle
+ * @returns {string} e.g. "2 -> 3 -> 2"
+ */
+export function formatCycle(cycle) {
+  return cycle.join(' -> ');
+}
+
+function describeNode(node) {
+  let label = `#${node.id} ${node.action} [${node.status}]`;
+  if (node.forEach) label += ` forEach ${node.forEach}`;
+  if (node.when !== undefined) label += ` when ${node.when}`;
+  if (node.priority) label += ` priority ${node.priority}`;
+  if (node.notBefore) label += ` not before ${node.notBefore}`;
+  if (node.deadline) label += ` deadline ${node.deadline}`;
+  return label;
+}
+
+/**
+ * Render the graph as a text tree, followed by the execution steps
+ * Tasks with several prerequisites appear under each of them; repeats are marked.
+ */
+export function renderTree(graph, plan) {
+  const nodes = new Map(graph.nodes.map(n => [n.id, n]));
+  const children = new Map(graph.nodes.map(n => [n.id, []]));
+  const hasParent = new Set();
+  for (const edge of graph.edges) {
+    if (!nodes.has(edge.from) || !nodes.has(edge.to)) continue;
+    children.get(edge.from).push(edge.to);
+    hasParent.add(edge.to);
+  }
+
+  const lines = [];
+  const printed = new Set();
+
+  const walk = (id, prefix, isLast, ancestors) => {
+    const connector = prefix === null ? '' : (isLast ? '└── ' : '├── ');
+    const node = nodes.get(id);
+    if (ancestors.has(id)) {
+      lines.push(`${prefix || ''}${connector}#${id} (cycle)`);
+      return;
+    }
+    if (printed.has(id)) {
+      lines.push(`${prefix || ''}${connector}#${id} ${node.action} (see above)`);
+      return;
+    }
+    printed.add(id);
+    lines.push(`${prefix || ''}${connector}${describeNode(node)}`);
+
+    const childPrefix = prefix === null ? '' : prefix + (isLast ? '    ' : '│   ');
+    const kids = [...new Set(children.get(id))].sort((a, b) => a - b);
+    const nextAncestors = new Set(ancestors).add(id);
+    kids.forEach((kid, k) => walk(kid, childPrefix, k === kids.length - 1, nextAncestors));
+  };
+
+  const roots = graph.nodes.filter(n => !hasParent.has(n.id)).map(n => n.id);
+  roots.forEach(id => walk(id, null, true, new Set()));
+  // Nodes only reachable through a cycle
+  graph.nodes.forEach(n => {
+    if (!printed.has(n.id)) walk(n.id, null, true, new Set());
+  });
+
+  if (plan) {
+    lines.push('');
+    lines.push(`Execution plan (${plan.steps.length} step${plan.steps.length === 1 ? '' : 's'}):`);
+    plan.steps.forEach((step, k) => {
+      lines.push(`  ${k + 1}. ${step.map(id => `#${id} ${nodes.get(id).action}`).join(', ')}`);
+    });
+    plan.cycles.forEach(cycle => lines.push(`  Cycle: ${formatCycle(cycle)}`));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Render the graph in Graphviz DOT format
+ */
+export function renderDot(graph) {
+  const escape = (text) => String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+  const lines = ['digraph queue {', '  rankdir=LR;', '  node [shape=box];'];
+
+  for (const node of graph.nodes) {
+    const label = [`#${node.id} ${node.action}`, node.status];
+    if (node.forEach) label.push(`forEach ${node.forEach}`);
+    if (node.when !== undefined) label.push(`when ${node.when}`);
+    if (node.priority) label.push(`priority ${node.priority}`);
+    if (node.notBefore) label.push(`not before ${node.notBefore}`);
+    if (node.deadline) label.push(`deadline ${node.deadline}`);
+    lines.push(`  ${node.id} [label="${label.map(escape).join('\\n')}"];`);
+  }
+  for (const edge of graph.edges) {
+    lines.push(`  ${edge.from} -> ${edge.to}${edge.type === 'reference' ? ' [style=dashed]' : ''};`);
+  }
+
+  lines.push('}');
+  return lines.join('\n');
+}
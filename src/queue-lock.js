@@ -0,0 +1,228 @@
+/**
+ * Queue Locks
+ * A lock file holds { pid, host, command, startedAt } of the process that owns the queue.
+ * A lock is stale when its process is gone (same host) or it is older than the max age;
+ * stale locks are taken over instead of blocking every later queue command. Long-lived
+ * holders (the daemon) refresh their lock, which adds `heartbeatAt` and restarts its age.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import { formatDuration } from './utils.js';
+
+export const DEFAULT_LOCK_TIMEOUT_MS = 1000;
+export const DEFAULT_LOCK_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const POLL_INTERVAL_MS = 100;
+// A lock without a readable PID may still be being written
+const UNREADABLE_GRACE_MS = 5000;
+
+function envMs(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * How long to wait for a busy lock (DT_QUEUE_LOCK_TIMEOUT, ms)
+ */
+export function getLockTimeout(timeoutMs) {
+  return timeoutMs ?? envMs('DT_QUEUE_LOCK_TIMEOUT', DEFAULT_LOCK_TIMEOUT_MS);
+}
+
+/**
+ * Age after which a lock is stale even if its PID is alive (DT_QUEUE_LOCK_MAX_AGE, ms),
+ * counted from the last heartbeat if there is one
+ */
+export function getLockMaxAge(maxAgeMs) {
+  return maxAgeMs ?? envMs('DT_QUEUE_LOCK_MAX_AGE', DEFAULT_LOCK_MAX_AGE_MS);
+}
+
+/**
+ * Check whether a process exists (EPERM means it exists but belongs to another user)
+ */
+export function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Describe the lock holder for messages
+ * @returns {string} e.g. "pid 4242 (dt queue execute, started 2026-01-06T10:00:00.000Z, 5m ago)"
+ */
+export function describeLock(lock) {
+  const details = [
+    lock.command,
+    lock.host && lock.host !== os.hostname() ? `on ${lock.host}` : null,
+    `started ${lock.startedAt}`,
+    `${formatDuration(lock.ageMs)} ago`
+  ].filter(Boolean);
+  return `${lock.pid ? `pid ${lock.pid}` : 'an unknown process'} (${details.join(', ')})`;
+}
+
+function parseLock(content) {
+  const text = content.trim();
+  // Older versions wrote just the PID
+  if (/^\d+$/.test(text)) return { pid: parseInt(text, 10) };
+  try {
+    const lock = JSON.parse(text);
+    return lock && typeof lock === 'object' ? lock : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Read a lock file
+ * @param {string} file
+ * @param {object} [options] - maxAgeMs
+ * @returns {Promise<object|null>} { pid, host, command, startedAt, heartbeatAt, ageMs, alive, stale, staleReason }
+ *   or null if unlocked
+ */
+export async function readLock(file, options = {}) {
+  let raw, stat;
+  try {
+    [raw, stat] = await Promise.all([fs.readFile(file, 'utf-8'), fs.stat(file)]);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  const lock = parseLock(raw);
+  const startedAt = lock.startedAt && !isNaN(Date.parse(lock.startedAt))
+    ? lock.startedAt
+    : stat.mtime.toISOString();
+  const ageMs = Date.now() - Date.parse(startedAt);
+  const heartbeatAt = lock.heartbeatAt && !isNaN(Date.parse(lock.heartbeatAt)) ? lock.heartbeatAt : null;
+  const idleMs = heartbeatAt ? Date.now() - Date.parse(heartbeatAt) : ageMs;
+  const pid = Number.isInteger(lock.pid) ? lock.pid : null;
+  const local = !lock.host || lock.host === os.hostname();
+  // Processes on other hosts (synced config dir) cannot be checked
+  const alive = pid && local ? isProcessAlive(pid) : null;
+
+  const maxAgeMs = getLockMaxAge(options.maxAgeMs);
+  let staleReason = null;
+  if (alive === false) {
+    staleReason = `pid ${pid} is not running`;
+  } else if (!pid && ageMs > UNREADABLE_GRACE_MS) {
+    staleReason = 'lock file has no owner';
+  } else if (idleMs > maxAgeMs) {
+    staleReason = heartbeatAt
+      ? `lock was last refreshed more than ${formatDuration(maxAgeMs)} ago`
+      : `lock is older than ${formatDuration(maxAgeMs)}`;
+  }
+
+  const info = {
+    pid,
+    host: lock.host || null,
+    command: lock.command || null,
+    startedAt,
+    heartbeatAt,
+    ageMs,
+    alive,
+    stale: staleReason !== null,
+    staleReason
+  };
+  // Kept out of JSON output; used to detect a lock replaced in the meantime
+  Object.defineProperty(info, 'raw', { value: raw });
+  return info;
+}
+
+/**
+ * Remove a stale lock, unless another process replaced it in the meantime
+ */
+async function removeStaleLock(file, lock) {
+  const raw = await fs.readFile(file, 'utf-8').catch(() => null);
+  if (raw !== lock.raw) return;
+  try {
+    await fs.unlink(file);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+/**
+ * Acquire a lock, waiting for a busy one and taking over stale ones
+ * @param {string} file - Lock file path
+ * @param {object} [options] - label (for messages, e.g. 'queue "default"'), hint (appended
+ *   to the timeout error), timeoutMs, maxAgeMs
+ */
+export async function acquireLock(file, options = {}) {
+  const label = options.label || file;
+  const deadline = Date.now() + getLockTimeout(options.timeoutMs);
+  const owner = {
+    pid: process.pid,
+    host: os.hostname(),
+    command: ['dt', ...process.argv.slice(2)].join(' '),
+    startedAt: new Date().toISOString()
+  };
+
+  for (;;) {
+    try {
+      await fs.writeFile(file, JSON.stringify(owner), { flag: 'wx' });
+      return owner;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const current = await readLock(file, options);
+    if (!current) continue; // Released in the meantime
+    if (current.stale) {
+      console.warn(`Removing stale lock of ${label}: ${current.staleReason}`);
+      await removeStaleLock(file, current);
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      const hint = options.hint ?? 'Wait longer (--lock-timeout or DT_QUEUE_LOCK_TIMEOUT), or run "dt queue unlock" if it is stuck';
+      const error = new Error(`Could not acquire lock for ${label}: held by ${describeLock(current)}.${hint ? ` ${hint}` : ''}`);
+      error.lock = current;
+      throw error;
+    }
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+}
+
+/**
+ * Release a lock held by this process
+ */
+export async function releaseLock(file) {
+  const lock = await readLock(file).catch(() => null);
+  if (lock && lock.pid !== process.pid) return; // Taken over (dt queue unlock --force)
+  await fs.unlink(file).catch(() => {});
+}
+
+/**
+ * Refresh a lock held by this process, so it does not become stale while the process runs
+ * @returns {Promise<boolean>} false if the lock is gone or was taken over by another process
+ */
+export async function refreshLock(file) {
+  const lock = await readLock(file).catch(() => null);
+  if (!lock || lock.pid !== process.pid) return false;
+  const owner = { ...parseLock(lock.raw), heartbeatAt: new Date().toISOString() };
+  // Written next to the lock and renamed, so readers never see a partial file
+  const temp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(temp, JSON.stringify(owner));
+  await fs.rename(temp, file);
+  return true;
+}
+
+/**
+ * Remove a lock on request
+ * Only stale locks are removed unless `force` is set.
+ * @returns {Promise<{ unlocked: boolean, lock: object|null }>}
+ */
+export async function breakLock(file, options = {}) {
+  const lock = await readLock(file, options);
+  if (!lock) return { unlocked: false, lock: null };
+  if (!lock.stale && !options.force) {
+    const label = options.label || file;
+    throw new Error(
+      `${label.charAt(0).toUpperCase()}${label.slice(1)} is locked by ${describeLock(lock)}, which is still running. ` +
+      'Use --force to remove the lock anyway'
+    );
+  }
+  await fs.unlink(file).catch(() => {});
+  return { unlocked: true, lock };
+}
@@ -0,0 +1,89 @@
+/**
+ * Queue Progress Rendering
+ * Turns execution events (see executeQueue's onEvent) into an NDJSON stream
+ * or a single-line progress bar for terminals.
+ */
+
+import { formatDuration } from './utils.js';
+
+const BAR_WIDTH = 24;
+
+/**
+ * Write each event as one JSON line
+ * @param {NodeJS.WritableStream} stream
+ */
+export function createNdjsonWriter(stream = process.stdout) {
+  return (event) => {
+    stream.write(JSON.stringify(event) + '\n');
+  };
+}
+
+/**
+ * Render one progress line, e.g. "[#########...............] 3/8  1 failed  ETA 12s  #4 move"
+ */
+export function formatProgressLine(progress, current) {
+  const ratio = progress.total > 0 ? progress.done / progress.total : 1;
+  const filled = Math.round(ratio * BAR_WIDTH);
+  const parts = [`[${'#'.repeat(filled)}${'.'.repeat(BAR_WIDTH - filled)}] ${progress.done}/${progress.total}`];
+  if (progress.failed > 0) parts.push(`${progress.failed} failed`);
+  if (progress.skipped > 0) parts.push(`${progress.skipped} skipped`);
+  if (progress.etaMs !== null && progress.done < progress.total) parts.push(`ETA ${formatDuration(progress.etaMs)}`);
+  if (current) parts.push(current);
+  return parts.join('  ');
+}
+
+/**
+ * Progress bar on a TTY stream; failures, skips and retries are printed above the bar
+ * @param {NodeJS.WriteStream} stream
+ * @returns {Function} Event listener
+ */
+export function createProgressBar(stream = process.stderr) {
+  let current = '';
+  const columns = () => stream.columns || 80;
+  const clear = () => stream.write('\r\x1b[K');
+  const draw = (progress) => {
+    clear();
+    stream.write(formatProgressLine(progress, current).slice(0, columns() - 1));
+  };
+  const above = (line, progress) => {
+    clear();
+    stream.write(line + '\n');
+    draw(progress);
+  };
+
+  return (event) => {
+    switch (event.type) {
+      case 'task.started':
+        current = `#${event.taskId} ${event.action}`;
+        draw(event.progress);
+        break;
+      case 'batch.formed':
+        current = event.forEach
+          ? `#${event.taskIds[0]} ${event.action} x${event.size}`
+          : `${event.action} batch of ${event.size}`;
+        draw(event.progress);
+        break;
+      case 'task.failed':
+        above(`Task ${event.taskId} (${event.action}) failed: ${event.error}`, event.progress);
+        break;
+      case 'task.skipped':
+        above(`Skipping task ${event.taskId}: ${event.reason}`, event.progress);
+        break;
+      case 'task.irreversible':
+        above(`Task ${event.taskId} (${event.action}) cannot be undone: ${event.error}`, event.progress);
+        break;
+      case 'task.retrying':
+        above(`Retrying task ${event.taskId} (attempt ${event.attempt} of ${event.attempts}): ${event.error}`, event.progress);
+        break;
+      case 'rollback.started':
+        current = `rolling back ${event.taskIds.length} task${event.taskIds.length === 1 ? '' : 's'}`;
+        draw(event.progress);
+        break;
+      case 'run.finished':
+        clear();
+        break;
+      default:
+        draw(event.progress);
+    }
+  };
+}
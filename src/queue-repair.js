@@ -0,0 +1,268 @@
+/**
+ * Offline Queue Repair
+ * Deterministic fixes for pending and failed tasks, using only local data:
+ * database names from databases.yaml, the known group tree and recent records
+ * from state.yaml. Every fix has a confidence score (0-1); the same queue and
+ * caches always produce the same plan.
+ */
+
+import { getDatabaseCache } from './cache.js';
+import { getRecentGroups, getRecentRecords } from './state.js';
+import { isUuid, levenshtein } from './utils.js';
+
+export const DEFAULT_MIN_CONFIDENCE = 0.6;
+
+// Runner-up candidates closer than this make a match ambiguous
+const AMBIGUITY_MARGIN = 0.05;
+const AMBIGUITY_PENALTY = 0.2;
+
+const GROUP_PARAMS = ['destination', 'groupPath', 'group'];
+const RECORD_PARAMS = ['uuid', 'uuids', 'records', 'promptRecord'];
+const LINK_PARAMS = ['source', 'target'];
+
+const round = (n) => Math.round(n * 100) / 100;
+const isReference = (value) => value.startsWith('$');
+const normalizeName = (value) => value.trim().replace(/\s+/g, ' ').toLowerCase();
+const normalizePath = (value) => '/' + value.split('/').map(normalizeName).filter(Boolean).join('/');
+const canonicalPath = (value) => value.replace(/\/+$/, '') || '/';
+
+/**
+ * Score how well a candidate matches a broken value
+ * @param {string} value
+ * @param {string} candidate
+ * @param {object} [options] - `path`: compare as group paths
+ * @returns {{score: number, reason: string}}
+ */
+export function scoreMatch(value, candidate, { path = false } = {}) {
+  if (value === candidate) return { score: 1, reason: 'exact match' };
+
+  const a = path ? normalizePath(value) : normalizeName(value);
+  const b = path ? normalizePath(candidate) : normalizeName(candidate);
+  if (a === b) return { score: 0.95, reason: 'differs only in case or spacing' };
+
+  const longest = Math.max(a.length, b.length);
+  let score = round(0.9 * (1 - levenshtein(a, b) / longest));
+  let reason = path ? 'similar path' : 'similar name';
+
+  if (path) {
+    const leaf = (p) => p.slice(p.lastIndexOf('/') + 1);
+    if (leaf(a) && leaf(a) === leaf(b) && score < 0.75) {
+      score = 0.75;
+      reason = 'same group name in another location';
+    }
+  }
+  return { score, reason };
+}
+
+/**
+ * Pick the best candidate for a value
+ * @param {string} value
+ * @param {Array<{value: string, label?: string}>} candidates - `label` is compared, `value` is the replacement
+ * @param {object} [options] - `path`
+ * @returns {{value, confidence, reason, alternatives}|null}
+ */
+export function findMatch(value, candidates, options = {}) {
+  const seen = new Set();
+  const scored = [];
+  for (const candidate of candidates) {
+    if (seen.has(candidate.value)) continue;
+    seen.add(candidate.value);
+    const label = candidate.label ?? candidate.value;
+    scored.push({ value: candidate.value, label, ...scoreMatch(value, label, options) });
+  }
+  if (scored.length === 0) return null;
+
+  scored.sort((x, y) => y.score - x.score || (x.value < y.value ? -1 : x.value > y.value ? 1 : 0));
+  const [best, runnerUp] = scored;
+  let confidence = best.score;
+  let reason = best.label === best.value ? best.reason : `"${best.label}" (${best.reason})`;
+  if (runnerUp && best.score - runnerUp.score < AMBIGUITY_MARGIN) {
+    confidence = round(Math.max(0, confidence - AMBIGUITY_PENALTY));
+    reason += `, ambiguous with "${runnerUp.label}"`;
+  }
+
+  return {
+    value: best.value,
+    confidence,
+    reason,
+    alternatives: scored.slice(1)
+      .filter(c => c.score > 0)
+      .slice(0, 2)
+      .map(c => ({ value: c.value, confidence: c.score }))
+  };
+}
+
+/**
+ * Group paths known in a database (recent groups, their ancestors and
+ * destinations of completed tasks). Without a database, all are considered.
+ */
+function getGroupTree(groups, database) {
+  const tree = new Set();
+  for (const group of groups) {
+    if (database && group.database && group.database !== database) continue;
+    const segments = canonicalPath(group.path).split('/').filter(Boolean);
+    for (let i = 1; i <= segments.length; i++) {
+      tree.add('/' + segments.slice(0, i).join('/'));
+    }
+  }
+  return [...tree].sort();
+}
+
+/**
+ * Plan fixes for pending and failed tasks
+ * @param {Array<object>} tasks - Queue tasks
+ * @param {object} known - `databases` (names, or null if unknown), `groups` ({path, database}), `records` ({uuid, name, database})
+ * @param {object} [options] - `minConfidence`
+ * @returns {{fixes: Array<object>, unresolved: Array<object>}}
+ */
+export function planRepairs(tasks, known, { minConfidence = DEFAULT_MIN_CONFIDENCE } = {}) {
+  const fixes = [];
+  const unresolved = [];
+
+  // Groups that completed tasks moved or copied into do exist
+  const groups = [...(known.groups || [])];
+  for (const task of tasks) {
+    if (task.status !== 'completed') continue;
+    for (const param of GROUP_PARAMS) {
+      const value = task.params?.[param];
+      if (typeof value === 'string' && value.startsWith('/')) {
+        groups.push({ path: value, database: task.params.database });
+      }
+    }
+  }
+
+  const repairable = tasks
+    .filter(t => t.status === 'pending' || t.status === 'failed')
+    .sort((a, b) => a.id - b.id);
+
+  for (const task of repairable) {
+    const params = task.params || {};
+    const propose = (param, index, resource, before, match, message) => {
+      if (match && match.confidence >= minConfidence && match.value !== before) {
+        fixes.push({
+          taskId: task.id,
+          action: task.action,
+          param,
+          ...(index !== undefined && { index }),
+          resource,
+          before,
+          after: match.value,
+          confidence: match.confidence,
+          reason: match.reason,
+          ...(match.alternatives.length > 0 && { alternatives: match.alternatives })
+        });
+        return match.value;
+      }
+      if (message) {
+        unresolved.push({
+          taskId: task.id,
+          action: task.action,
+          param,
+          ...(index !== undefined && { index }),
+          resource,
+          value: before,
+          message,
+          ...(match && { suggestion: { value: match.value, confidence: match.confidence, reason: match.reason } })
+        });
+      }
+      return before;
+    };
+
+    // 1. Database names (databases.yaml lists every open database)
+    let database = params.database;
+    if (known.databases && typeof database === 'string' && !isReference(database) &&
+        !isUuid(database) && !known.databases.includes(database)) {
+      database = propose('database', undefined, 'database', database,
+        findMatch(database, known.databases.map(name => ({ value: name }))),
+        `Database not found in databases.yaml: ${database}`);
+    }
+
+    // 2. Group paths. The tree is incomplete, so an unknown path only counts as
+    // broken when a close match exists or the task failed.
+    for (const param of GROUP_PARAMS) {
+      const value = params[param];
+      if (typeof value !== 'string' || isReference(value) || isUuid(value) || !value.includes('/')) continue;
+      const tree = getGroupTree(groups, database);
+      if (tree.includes(canonicalPath(value))) continue;
+      propose(param, undefined, 'group', value,
+        findMatch(value, tree.map(p => ({ value: p })), { path: true }),
+        task.status === 'failed' ? `Group path not in the known group tree: ${value}` : null);
+    }
+
+    // 3. Record names where a UUID is expected
+    const recordParams = task.action === 'link' || task.action === 'unlink'
+      ? [...RECORD_PARAMS, ...LINK_PARAMS]
+      : RECORD_PARAMS;
+    const records = (known.records || []).filter(r => !database || !r.database || r.database === database);
+    for (const param of recordParams) {
+      const value = params[param];
+      const entries = Array.isArray(value) ? value.map((v, i) => [v, i]) : [[value, undefined]];
+      for (const [entry, index] of entries) {
+        if (typeof entry !== 'string' || isReference(entry) || isUuid(entry)) continue;
+        propose(param, index, 'record', entry,
+          findMatch(entry, records.map(r => ({ value: r.uuid, label: r.name }))),
+          `Not a UUID and no recent record matches: ${entry}`);
+      }
+    }
+  }
+
+  return { fixes, unresolved };
+}
+
+/**
+ * Apply planned fixes to queue tasks in place. Repaired failed tasks are reset to pending.
+ * @returns {number[]} IDs of changed tasks
+ */
+export function applyRepairs(tasks, fixes) {
+  const changed = new Set();
+  for (const fix of fixes) {
+    const task = tasks.find(t => t.id === fix.taskId);
+    if (!task) continue;
+    if (fix.index !== undefined) {
+      task.params[fix.param][fix.index] = fix.after;
+    } else {
+      task.params[fix.param] = fix.after;
+    }
+    if (task.status === 'failed') {
+      task.status = 'pending';
+      task.error = null;
+      task.result = null;
+    }
+    changed.add(task.id);
+  }
+  return [...changed];
+}
+
+/**
+ * Render fixes as a diff, one hunk per task
+ */
+export function formatRepairDiff(fixes) {
+  const lines = [];
+  let taskId;
+  for (const fix of fixes) {
+    if (fix.taskId !== taskId) {
+      taskId = fix.taskId;
+      lines.push(`Task ${fix.taskId} (${fix.action})`);
+    }
+    const key = fix.index !== undefined ? `${fix.param}[${fix.index}]` : fix.param;
+    lines.push(`-  ${key}: ${fix.before}`);
+    lines.push(`+  ${key}: ${fix.after}    # ${fix.confidence.toFixed(2)} ${fix.reason}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Read the local caches used for repair (stale data is fine here)
+ */
+export async function loadKnownResources() {
+  const [cache, groups, records] = await Promise.all([
+    getDatabaseCache(),
+    getRecentGroups(),
+    getRecentRecords()
+  ]);
+  return {
+    databases: cache?.databases ? cache.databases.map(db => db.name) : null,
+    groups: groups.filter(g => typeof g.path === 'string'),
+    records: records.filter(r => r.uuid && r.name)
+  };
+}
@@ -0,0 +1,118 @@
+/**
+ * Queue Run History
+ * Every execution is archived as an immutable run record in runs/<queue>/<runId>.yaml
+ * (tasks with resolved params, results, errors and timings). Old runs are pruned
+ * per queue by count (DT_QUEUE_RUNS_KEEP) and age in days (DT_QUEUE_RUNS_MAX_AGE).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import YAML from 'yaml';
+import { getConfigDir } from './cache.js';
+
+const RETENTION = {
+  runs: 50,
+  maxAgeDays: 30
+};
+
+function getRunsDir(queueName) {
+  return queueName
+    ? path.join(getConfigDir(), 'runs', queueName)
+    : path.join(getConfigDir(), 'runs');
+}
+
+/**
+ * Effective retention limits (0 disables a limit)
+ */
+export function getRetention() {
+  const env = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+  };
+  return {
+    runs: env('DT_QUEUE_RUNS_KEEP', RETENTION.runs),
+    maxAgeDays: env('DT_QUEUE_RUNS_MAX_AGE', RETENTION.maxAgeDays)
+  };
+}
+
+export function createRunId() {
+  return `r_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Write a run record (never overwrites an existing run) and apply retention
+ * @param {object} run - Run record ({ id, queue, ... })
+ * @returns {Promise<string[]>} IDs of pruned runs
+ */
+export async function archiveRun(run) {
+  const dir = getRunsDir(run.queue);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, `${run.id}.yaml`), YAML.stringify(run), { encoding: 'utf-8', flag: 'wx' });
+  return pruneRuns(run.queue);
+}
+
+/**
+ * List run records of a queue, newest first
+ * @param {string} queueName
+ * @returns {Promise<Array<object>>} Run records
+ */
+export async function listRuns(queueName) {
+  const dir = getRunsDir(queueName);
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const runs = await Promise.all(files
+    .filter(f => f.endsWith('.yaml'))
+    .map(async f => YAML.parse(await fs.readFile(path.join(dir, f), 'utf-8'))));
+  return runs
+    .filter(Boolean)
+    .sort((a, b) => Date.parse(b.startedAt) - Date.parse(a.startedAt));
+}
+
+/**
+ * Load a run record by ID, from any queue
+ * @throws {Error} if the run does not exist
+ */
+export async function loadRun(runId) {
+  if (!/^[A-Za-z0-9_-]+$/.test(runId)) throw new Error(`Invalid run ID: ${runId}`);
+
+  let queues = [];
+  try {
+    queues = await fs.readdir(getRunsDir());
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  for (const queueName of queues) {
+    try {
+      const content = await fs.readFile(path.join(getRunsDir(queueName), `${runId}.yaml`), 'utf-8');
+      return YAML.parse(content);
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') throw error;
+    }
+  }
+  throw new Error(`Run not found: ${runId}`);
+}
+
+/**
+ * Delete runs beyond the retention limits
+ * @returns {Promise<string[]>} IDs of deleted runs
+ */
+export async function pruneRuns(queueName) {
+  const { runs: keep, maxAgeDays } = getRetention();
+  const runs = await listRuns(queueName);
+  const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+
+  const expired = runs.filter((run, index) =>
+    (keep > 0 && index >= keep) ||
+    (maxAgeDays > 0 && Date.parse(run.startedAt) < cutoff)
+  );
+  await Promise.all(expired.map(run =>
+    fs.unlink(path.join(getRunsDir(queueName), `${run.id}.yaml`)).catch(() => {})
+  ));
+  return expired.map(run => run.id);
+}
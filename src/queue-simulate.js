@@ -0,0 +1,364 @@
+/**
+ * Queue Simulation
+ * Predicts the end state of a queue without changing anything: replays pending
+ * tasks in execution order against the current properties of the records they
+ * reference (name, location, tags, comment) and flags conflicts, e.g. a task
+ * that moves a record an earlier task deletes.
+ *
+ * Results of read tasks (search, chat) and AI tasks are only known at run time;
+ * tasks that depend on them are listed as unpredicted instead of guessed.
+ */
+
+import { resolveValue, evaluateCondition, findReferences, findConditionReferences } from './queue-expr.js';
+
+// Placeholder UUIDs for records created during the simulation
+const NEW_PREFIX = 'new:';
+
+// Actions whose effects are not modelled (result or change is decided at run time)
+const OPAQUE_ACTIONS = {
+  search: 'Search results are known only at run time',
+  chat: 'Chat responses are known only at run time',
+  organize: 'Organize decides names and tags at run time',
+  summarize: 'Summaries are created at run time',
+  link: 'Links are not simulated',
+  unlink: 'Links are not simulated'
+};
+
+const FIELDS = ['name', 'location', 'tags', 'comment'];
+
+const uuidsOf = (params) => (Array.isArray(params.uuids) ? params.uuids : (params.uuid ? [params.uuid] : []));
+const asList = (value) => (Array.isArray(value) ? value : (value === undefined || value === null ? [] : [value]));
+const sameTags = (a, b) => a.length === b.length && a.every(tag => b.includes(tag));
+const samePath = (a, b) => typeof a === 'string' && typeof b === 'string' && (a.replace(/\/+$/, '') || '/') === (b.replace(/\/+$/, '') || '/');
+
+/**
+ * Simulate tasks in order
+ * @param {Array<object>} tasks - Pending tasks in execution order
+ * @param {object} deps
+ * @param {Function} deps.fetchRecord - async (uuid) => { uuid, name, location, groupUuid, database, tags, comment }
+ *   or null if not found; `location` is the path of the record's group in its database
+ * @param {Map<number, any>} [deps.context] - Results of completed tasks
+ * @returns {Promise<{records: Array<object>, created: Array<object>, conflicts: Array<object>, warnings: Array<object>, unpredicted: Array<object>}>}
+ */
+export async function simulateTasks(tasks, { fetchRecord, context = new Map() }) {
+  const results = new Map(context);
+  const states = new Map(); // uuid -> { uuid, before, after, deletedBy, changedBy, missing }
+  const created = [];
+  const conflicts = [];
+  const warnings = [];
+  const unpredicted = [];
+  // Task ID -> reason its result is unknown
+  const unknown = new Map();
+
+  const load = async (uuid) => {
+    if (states.has(uuid)) return states.get(uuid);
+    let state;
+    if (String(uuid).startsWith(NEW_PREFIX)) {
+      state = { uuid, before: null, after: null };
+    } else {
+      const props = await fetchRecord(uuid);
+      state = props
+        ? {
+          uuid,
+          database: props.database,
+          groupUuid: props.groupUuid,
+          before: { name: props.name, location: props.location, tags: props.tags || [], comment: props.comment || '' },
+          changedBy: new Set(),
+          fields: {}
+        }
+        : { uuid, missing: true };
+      if (state.before) state.after = { ...state.before, tags: [...state.before.tags] };
+    }
+    states.set(uuid, state);
+    return state;
+  };
+
+  // The record a task works on, or null (with a conflict) if it cannot
+  const use = async (task, uuid) => {
+    const state = await load(uuid);
+    if (state.missing) {
+      conflicts.push({ taskId: task.id, action: task.action, uuid, type: 'missing', message: `Record not found: ${uuid}` });
+      return null;
+    }
+    if (state.deletedBy) {
+      conflicts.push({
+        taskId: task.id,
+        action: task.action,
+        uuid,
+        type: 'deleted',
+        message: `Task ${task.id} (${task.action}) uses ${describe(state)}, which task ${state.deletedBy} deletes`
+      });
+      return null;
+    }
+    return state;
+  };
+
+  const change = (task, state, field, value) => {
+    state.after[field] = value;
+    state.changedBy?.add(task.id);
+    if (state.fields) (state.fields[field] ||= new Set()).add(task.id);
+  };
+
+  const addCreated = (task, record) => {
+    const uuid = `${NEW_PREFIX}${task.id}`;
+    const entry = { taskId: task.id, action: task.action, uuid, ...record };
+    created.push(entry);
+    states.set(uuid, {
+      uuid,
+      created: entry,
+      before: null,
+      after: { name: record.name, location: record.location, tags: record.tags || [], comment: '' },
+      changedBy: new Set()
+    });
+    return uuid;
+  };
+
+  // Tag changes of records the queue does not reference are not known
+  const retag = (task, database, update) => {
+    for (const state of states.values()) {
+      if (!state.after || state.deletedBy || (database && state.database && state.database !== database)) continue;
+      const tags = update(state.after.tags);
+      if (!sameTags(tags, state.after.tags)) change(task, state, 'tags', tags);
+    }
+  };
+
+  const apply = async (task, params) => {
+    switch (task.action) {
+      case 'create': {
+        const uuid = addCreated(task, {
+          name: params.name,
+          type: params.type,
+          database: params.database,
+          location: params.groupPath || params.group || params.destination || '/',
+          tags: asList(params.tags)
+        });
+        return { success: true, uuid, name: params.name };
+      }
+
+      case 'move': {
+        const state = await use(task, params.uuid);
+        if (!state) return null;
+        const destination = params.destination;
+        if (samePath(state.after.location, destination) || (!state.movedBy && destination === state.groupUuid)) {
+          warnings.push({ taskId: task.id, uuid: state.uuid, type: 'no-op', message: `${describe(state)} is already in ${destination}` });
+          return { success: true, uuid: state.uuid };
+        }
+        if (state.movedBy) {
+          warnings.push({
+            taskId: task.id,
+            uuid: state.uuid,
+            type: 'overridden',
+            message: `Task ${task.id} moves ${describe(state)} again (task ${state.movedBy} moved it to ${state.after.location})`
+          });
+        }
+        change(task, state, 'location', destination);
+        state.movedBy = task.id;
+        return { success: true, uuid: state.uuid };
+      }
+
+      case 'delete': {
+        const state = await use(task, params.uuid);
+        if (!state) return null;
+        state.deletedBy = task.id;
+        state.changedBy?.add(task.id);
+        return { success: true, uuid: state.uuid };
+      }
+
+      case 'modify': {
+        const state = await use(task, params.uuid);
+        if (!state) return null;
+        if (params.newName !== undefined) change(task, state, 'name', params.newName);
+        if (params.comment !== undefined) change(task, state, 'comment', params.comment);
+        if (params.destGroupUuid) change(task, state, 'location', params.destGroupUuid);
+        let tags = params.tagsReplace ? asList(params.tagsReplace) : state.after.tags;
+        tags = [...tags, ...asList(params.tagsAdd).filter(t => !tags.includes(t))];
+        tags = tags.filter(t => !asList(params.tagsRemove).includes(t));
+        if (!sameTags(tags, state.after.tags)) change(task, state, 'tags', tags);
+        return { success: true, uuid: state.uuid };
+      }
+
+      case 'tag.add':
+      case 'tag.remove':
+      case 'tag.set': {
+        const tags = asList(params.tags);
+        for (const uuid of uuidsOf(params)) {
+          const state = await use(task, uuid);
+          if (!state) continue;
+          const current = state.after.tags;
+          const next = task.action === 'tag.set'
+            ? tags
+            : task.action === 'tag.add'
+              ? [...current, ...tags.filter(t => !current.includes(t))]
+              : current.filter(t => !tags.includes(t));
+          if (sameTags(next, current)) {
+            warnings.push({ taskId: task.id, uuid, type: 'no-op', message: `Task ${task.id} (${task.action}) does not change the tags of ${describe(state)}` });
+          } else {
+            change(task, state, 'tags', next);
+          }
+        }
+        return { success: true, uuids: uuidsOf(params) };
+      }
+
+      case 'tag.rename':
+        retag(task, params.database, tags => tags.map(t => (t === params.from ? params.to : t)).filter((t, i, all) => all.indexOf(t) === i));
+        return { success: true };
+
+      case 'tag.merge': {
+        const sources = asList(params.sources);
+        retag(task, params.database, tags => (tags.some(t => sources.includes(t))
+          ? [...tags.filter(t => !sources.includes(t) && t !== params.target), params.target]
+          : tags));
+        return { success: true };
+      }
+
+      case 'tag.delete': {
+        const removed = asList(params.tags ?? params.tag);
+        retag(task, params.database, tags => tags.filter(t => !removed.includes(t)));
+        return { success: true };
+      }
+
+      case 'duplicate':
+      case 'replicate':
+      case 'convert': {
+        const state = await use(task, params.uuid);
+        if (!state) return null;
+        const destinations = task.action === 'convert'
+          ? [params.destination || params.destGroupUuid || state.after.location]
+          : asList(params.destination);
+        const uuids = destinations.map(destination => addCreated(task, {
+          name: state.after.name,
+          location: destination,
+          tags: [...state.after.tags],
+          [`${task.action}Of`]: state.uuid,
+          ...(task.action === 'convert' && { format: params.format || params.to })
+        }));
+        return { success: true, uuid: uuids[0], uuids };
+      }
+
+      default: {
+        // Opaque actions: check the records they use, the result stays unknown
+        for (const uuid of [...uuidsOf(params), params.promptRecord, params.source, params.target, ...asList(params.records)]) {
+          if (typeof uuid === 'string') await use(task, uuid);
+        }
+        const reason = OPAQUE_ACTIONS[task.action] || `${task.action} is not simulated`;
+        unknown.set(task.id, reason);
+        if (!['search', 'chat'].includes(task.action)) {
+          unpredicted.push({ taskId: task.id, action: task.action, reason });
+        }
+        return null;
+      }
+    }
+  };
+
+  // Why a reference cannot be resolved: the first referenced task with an unknown result
+  const explain = (task, refs, error) => {
+    const id = refs.flatMap(r => r.taskIds).find(taskId => unknown.has(taskId));
+    return id !== undefined
+      ? `Uses the result of task ${id} (${unknown.get(id)})`
+      : error.message;
+  };
+
+  for (const task of tasks) {
+    const skip = (reason) => {
+      unpredicted.push({ taskId: task.id, action: task.action, reason });
+      unknown.set(task.id, `task ${task.id} was not simulated`);
+    };
+
+    if (task.when !== undefined) {
+      try {
+        // Predicted results have only some fields: a missing one is unknown, not null
+        if (!evaluateCondition(String(task.when), results, {}, { missingAsNull: false })) {
+          warnings.push({ taskId: task.id, type: 'skipped', message: `Task ${task.id} (${task.action}) would be skipped: condition not met (${task.when})` });
+          unknown.set(task.id, 'skipped');
+          continue;
+        }
+      } catch (error) {
+        skip(explain(task, findConditionReferences(String(task.when)), error));
+        continue;
+      }
+    }
+
+    let runs;
+    try {
+      runs = task.forEach !== undefined
+        ? asList(resolveValue(task.forEach, results)).map(item => resolveValue(task.params, results, { item }))
+        : [resolveValue(task.params || {}, results)];
+    } catch (error) {
+      skip(explain(task, findReferences([task.forEach, task.params]), error));
+      continue;
+    }
+
+    let result = null;
+    for (const params of runs) {
+      result = await apply(task, params);
+    }
+    if (result) results.set(task.id, task.forEach !== undefined ? { success: true, count: runs.length } : result);
+  }
+
+  const records = [...states.values()]
+    .filter(s => s.changedBy?.size > 0 && !s.created)
+    .map(s => ({
+      uuid: s.uuid,
+      name: s.before.name,
+      ...(s.database && { database: s.database }),
+      before: s.before,
+      after: s.deletedBy ? null : s.after,
+      ...(s.deletedBy && { deletedBy: s.deletedBy }),
+      taskIds: [...s.changedBy].sort((a, b) => a - b),
+      changedBy: Object.fromEntries(Object.entries(s.fields).map(([field, ids]) => [field, [...ids].sort((a, b) => a - b)]))
+    }));
+
+  // Final state of created records (later tasks may move or tag them)
+  for (const entry of created) {
+    const state = states.get(entry.uuid);
+    if (state.deletedBy) entry.deletedBy = state.deletedBy;
+    else Object.assign(entry, { name: state.after.name, location: state.after.location, tags: state.after.tags });
+  }
+
+  return { records, created, conflicts, warnings, unpredicted };
+}
+
+function describe(state) {
+  const name = state.after?.name ?? state.before?.name;
+  return name ? `"${name}" (${state.uuid})` : state.uuid;
+}
+
+const formatValue = (field, value) => (field === 'tags' ? (value.length ? value.join(', ') : '(none)') : (value || '(empty)'));
+
+/**
+ * Render a simulation as a before/after diff per record
+ */
+export function formatSimulation({ records, created, conflicts, warnings, unpredicted }) {
+  const lines = [];
+  for (const record of records) {
+    lines.push(`Record ${record.uuid} (${record.name})`);
+    if (!record.after) {
+      lines.push(`-  location: ${formatValue('location', record.before.location)}`);
+      lines.push(`+  (deleted)    # task ${record.deletedBy}`);
+      continue;
+    }
+    for (const field of FIELDS) {
+      const before = record.before[field];
+      const after = record.after[field];
+      if (field === 'tags' ? sameTags(before, after) : before === after) continue;
+      lines.push(`-  ${field}: ${formatValue(field, before)}`);
+      lines.push(`+  ${field}: ${formatValue(field, after)}    # task ${record.changedBy[field].join(', ')}`);
+    }
+  }
+  for (const entry of created) {
+    const source = entry.duplicateOf || entry.replicateOf || entry.convertOf;
+    const origin = source ? ` from ${source}` : '';
+    const tags = entry.tags?.length ? ` tagged ${entry.tags.join(', ')}` : '';
+    const state = entry.deletedBy ? `, deleted by task ${entry.deletedBy}` : ` in ${entry.location}${tags}`;
+    lines.push(`New record (task ${entry.taskId}, ${entry.action}${origin}) "${entry.name}"${state}`);
+  }
+  const section = (title, items, text) => {
+    if (items.length === 0) return;
+    lines.push('', `${title}:`);
+    items.forEach(item => lines.push(`  ${text(item)}`));
+  };
+  section('Conflicts', conflicts, c => `task ${c.taskId}: ${c.message}`);
+  section('Warnings', warnings, w => `task ${w.taskId}: ${w.message}`);
+  section('Not predicted', unpredicted, u => `task ${u.taskId} (${u.action}): ${u.reason}`);
+  return lines.join('\n') || 'No changes predicted';
+}
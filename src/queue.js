@@ -2,12 +2,31 @@ import fs from 'fs/promises';
 import path from 'path';
 import YAML from 'yaml';
 import { getConfigDir, ensureConfigDir } from './cache.js';
-import { logAction } from './state.js';
-import { runJxa } from './jxa-runner.js';
-import { isUuid } from './utils.js';
+import { runJxa, runWithTimeout } from './jxa-runner.js';
+import { isUuid, parseTime } from './utils.js';
+import {
+  findReferences,
+  findConditionReferences,
+  resolveValue,
+  evaluateCondition,
+  renumberReferences,
+  renumberCondition
+} from './queue-expr.js';
+import { planExecution, formatCycle } from './queue-graph.js';
+import {
+  acquireLock as acquireLockFile,
+  releaseLock as releaseLockFile,
+  readLock,
+  breakLock
+} from './queue-lock.js';
+import { archiveRun, createRunId, getRetention, listRuns, loadRun } from './queue-runs.js';
+import { planRepairs, applyRepairs, formatRepairDiff, loadKnownResources } from './queue-repair.js';
+import { simulateTasks, formatSimulation } from './queue-simulate.js';
+import { detectFormat, formatTaskFile } from './queue-format.js';
+import { captureInverses, inverseFromResult, toSteps, recordAction, getRunInverse } from './history.js';
 
-const QUEUE_FILE = path.join(getConfigDir(), 'queue.yaml');
-const LOCK_FILE = path.join(getConfigDir(), 'queue.lock');
+const DEFAULT_QUEUE = 'default';
+const QUEUE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
 
 // Supported actions and their required params
 const VALID_ACTIONS = {
@@ -24,6 +43,7 @@ const VALID_ACTIONS = {
   'tag.rename': ['from', 'to'],
   'tag.delete': ['tag'],
   'chat': ['prompt'],
+  'search': ['query'],
   'link': ['source', 'target'],
   'unlink': ['source', 'target'],
   'convert': ['uuid', 'format'],
@@ -32,55 +52,97 @@ const VALID_ACTIONS = {
 };
 
 /**
- * Acquire lock
+ * Normalize and validate a queue name
+ * @param {string} [name] - Queue name (default: "default")
  */
-async function acquireLock(retries = 10) {
-  await ensureConfigDir();
-  for (let i = 0; i < retries; i++) {
-    try {
-      await fs.writeFile(LOCK_FILE, process.pid.toString(), { flag: 'wx' });
-      return true;
-    } catch (e) {
-      if (e.code === 'EEXIST') {
-        await new Promise(resolve => setTimeout(resolve, 100)); // Wait 100ms
-        continue;
-      }
-      throw e;
-    }
+export function resolveQueueName(name) {
+  if (name === undefined || name === null || name === '') return DEFAULT_QUEUE;
+  if (!QUEUE_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid queue name: ${name} (use letters, digits, ".", "_" and "-")`);
   }
-  throw new Error('Could not acquire queue lock');
+  return name;
+}
+
+/**
+ * Queue file paths
+ * The default queue keeps queue.yaml/queue.lock; named queues live in queues/<name>.yaml
+ */
+function getQueuesDir() {
+  return path.join(getConfigDir(), 'queues');
+}
+
+function getQueueFile(name) {
+  name = resolveQueueName(name);
+  return name === DEFAULT_QUEUE
+    ? path.join(getConfigDir(), 'queue.yaml')
+    : path.join(getQueuesDir(), `${name}.yaml`);
+}
+
+function getLockFile(name) {
+  name = resolveQueueName(name);
+  return name === DEFAULT_QUEUE
+    ? path.join(getConfigDir(), 'queue.lock')
+    : path.join(getQueuesDir(), `${name}.lock`);
+}
+
+/**
+ * Acquire lock
+ * @param {string} [name] - Queue name
+ * @param {object} [options] - lockTimeoutMs: how long to wait for a busy lock
+ */
+async function acquireLock(name, options = {}) {
+  const lockFile = getLockFile(name);
+  await fs.mkdir(path.dirname(lockFile), { recursive: true });
+  return acquireLockFile(lockFile, { label: `queue "${resolveQueueName(name)}"`, timeoutMs: options.lockTimeoutMs });
 }
 
 /**
  * Release lock
  */
-async function releaseLock() {
-  try {
-    await fs.unlink(LOCK_FILE);
-  } catch (e) {
-    // Ignore if missing
-  }
+async function releaseLock(name) {
+  await releaseLockFile(getLockFile(name));
+}
+
+/**
+ * Get the current lock holder of a queue
+ * @returns {Promise<object|null>} Lock info or null if the queue is not locked
+ */
+export async function getQueueLock(options = {}) {
+  return readLock(getLockFile(options.queue));
+}
+
+/**
+ * Remove a queue lock (stale locks only, unless `force`)
+ */
+export async function unlockQueue(options = {}) {
+  const name = resolveQueueName(options.queue);
+  const result = await breakLock(getLockFile(name), { label: `queue "${name}"`, force: options.force });
+  return { success: true, queue: name, ...result };
 }
 
 /**
  * Load queue
+ * @param {string} [name] - Queue name (default: "default")
  */
-export async function loadQueue() {
+export async function loadQueue(name) {
+  name = resolveQueueName(name);
   try {
-    const content = await fs.readFile(QUEUE_FILE, 'utf-8');
-    const queue = YAML.parse(content);
-    return queue || createEmptyQueue();
+    const content = await fs.readFile(getQueueFile(name), 'utf-8');
+    const queue = YAML.parse(content) || createEmptyQueue(name);
+    queue.name = name;
+    return queue;
   } catch (error) {
     if (error.code === 'ENOENT') {
-      return createEmptyQueue();
+      return createEmptyQueue(name);
     }
     throw error;
   }
 }
 
-function createEmptyQueue() {
+function createEmptyQueue(name = DEFAULT_QUEUE) {
   return {
     version: 1,
+    name,
     id: `q_${Date.now()}`,
     createdAt: new Date().toISOString(),
     status: 'pending',
@@ -92,7 +154,7 @@ function createEmptyQueue() {
       verbose: false
     },
     tasks: [],
-    summary: { total: 0, pending: 0, completed: 0, failed: 0 },
+    summary: { total: 0, pending: 0, completed: 0, failed: 0, skipped: 0 },
     executionLog: []
   };
 }
@@ -101,91 +163,149 @@ function createEmptyQueue() {
  * Save queue
  */
 export async function saveQueue(queue) {
+  const file = getQueueFile(queue.name);
   await ensureConfigDir();
-  
+  await fs.mkdir(path.dirname(file), { recursive: true });
+
   // Update summary
   queue.summary = {
     total: queue.tasks.length,
     pending: queue.tasks.filter(t => t.status === 'pending').length,
     completed: queue.tasks.filter(t => t.status === 'completed').length,
-    failed: queue.tasks.filter(t => t.status === 'failed').length
+    failed: queue.tasks.filter(t => t.status === 'failed').length,
+    skipped: queue.tasks.filter(t => t.status === 'skipped').length
   };
   
-  await fs.writeFile(QUEUE_FILE, YAML.stringify(queue), 'utf-8');
+  await fs.writeFile(file, YAML.stringify(queue), 'utf-8');
+}
+
+/**
+ * Rewrite the task IDs a task refers to ($N references, guard, forEach, dependsOn)
+ * @param {object} task
+ * @param {Map<number, number>} idMap - old ID -> new ID (IDs not in the map are kept)
+ * @returns {object} Rewritten copy
+ */
+export function renumberTask(task, idMap) {
+  return {
+    ...task,
+    ...(task.params && { params: renumberReferences(task.params, idMap) }),
+    ...(task.forEach && { forEach: renumberReferences(task.forEach, idMap) }),
+    ...(typeof task.when === 'string' && { when: renumberCondition(task.when, idMap) }),
+    ...(task.dependsOn && { dependsOn: task.dependsOn.map(id => idMap.get(id) ?? id) })
+  };
 }
 
 /**
  * Add tasks to queue
+ * @param {Array<object>} tasks
+ * @param {object} [options] - Queue options to merge; `queue` selects a named queue;
+ *   `relativeIds`: $N references and dependsOn count from the first added task (workflows);
+ *   `workflow`: name recorded on the added tasks; `replace`: start a new queue instead,
+ *   refused while it has pending tasks of another workflow (or none) unless `force` is set
  */
 export async function addTasks(tasks, options = {}) {
-  await acquireLock();
+  await acquireLock(options.queue, options);
   try {
-    const queue = await loadQueue();
+    let queue = await loadQueue(options.queue);
+    if (options.replace) {
+      const foreign = queue.tasks.filter(t => t.status === 'pending' && t.workflow !== options.workflow);
+      if (foreign.length > 0 && !options.force) {
+        throw new Error(
+          `Queue "${queue.name}" has ${foreign.length} pending task${foreign.length === 1 ? '' : 's'} ` +
+          `not created by ${options.workflow ? `workflow "${options.workflow}"` : 'this run'} ` +
+          `(${foreign.map(t => t.id).join(', ')}). Use --force to replace them`
+        );
+      }
+      queue = createEmptyQueue(queue.name);
+    }
     
     // Merge options
     if (options.mode) queue.options.mode = options.mode;
     if (options.verbose !== undefined) queue.options.verbose = options.verbose;
+    if (options.concurrency !== undefined) queue.options.concurrency = options.concurrency;
+    if (options.rollbackOnError !== undefined) queue.options.rollbackOnError = options.rollbackOnError;
+    if (options.retry !== undefined) queue.options.retry = options.retry;
+    if (options.timeoutMs !== undefined) queue.options.timeoutMs = options.timeoutMs;
 
     // Add tasks
     let maxId = queue.tasks.reduce((max, t) => Math.max(max, t.id), 0);
+    const taskIds = [];
+    if (options.relativeIds && maxId > 0) {
+      const idMap = new Map(tasks.map((_, i) => [i + 1, maxId + i + 1]));
+      tasks = tasks.map(task => renumberTask(task, idMap));
+    }
     
     for (const task of tasks) {
       if (!VALID_ACTIONS[task.action]) {
         throw new Error(`Invalid action: ${task.action}`);
       }
+      const schedule = parseSchedule(task);
       
       queue.tasks.push({
         id: ++maxId,
         action: task.action,
         status: 'pending',
         params: task.params,
+        ...(options.workflow && { workflow: options.workflow }),
+        ...(task.forEach && { forEach: task.forEach }),
+        ...(task.when !== undefined && { when: task.when }),
+        ...(task.retry && { retry: task.retry }),
+        ...(task.timeoutMs && { timeoutMs: task.timeoutMs }),
+        ...schedule,
         dependsOn: task.dependsOn || [],
         result: null,
         error: null,
         addedAt: new Date().toISOString()
       });
+      taskIds.push(maxId);
     }
     
     await saveQueue(queue);
-    return { success: true, count: tasks.length, queueId: queue.id };
+    return { success: true, count: tasks.length, queue: queue.name, queueId: queue.id, taskIds };
   } finally {
-    await releaseLock();
+    await releaseLock(options.queue);
+  }
+}
+
+/**
+ * Check a task's action and required params (without queue context)
+ * @param {object} task - { action, params }
+ * @returns {string[]} Error messages
+ */
+export function checkTask(task) {
+  if (!VALID_ACTIONS[task.action]) {
+    return [task.action ? `Unknown action '${task.action}'` : 'Missing action'];
+  }
+  const params = task.params || {};
+  const errors = [];
+  for (const req of VALID_ACTIONS[task.action]) {
+    // Check for 'uuids' vs 'uuid' flexibility
+    if (req === 'uuids' && params.uuid) continue;
+    if (req === 'uuid' && params.uuids) continue;
+    if (req === 'tag' && params.tags) continue;
+    if (req === 'prompt' && params.promptRecord) continue;
+    if (req === 'format' && params.to) continue;
+
+    // The key must exist; its value may be a $N reference
+    if (params[req] === undefined) {
+      errors.push(`Missing required param '${req}' for action '${task.action}'`);
+    }
   }
+  return errors;
 }
 
 /**
  * Validate queue
  */
-export async function validateQueue() {
-  const queue = await loadQueue();
+export async function validateQueue(options = {}) {
+  const queue = await loadQueue(options.queue);
   const errors = [];
   const warnings = [];
 
   for (const task of queue.tasks) {
-    // 1. Validate Action
-    if (!VALID_ACTIONS[task.action]) {
-      errors.push(`Task ${task.id}: Unknown action '${task.action}'`);
-      continue;
-    }
-
-    // 2. Validate Params
-    const required = VALID_ACTIONS[task.action];
-    for (const req of required) {
-      // Check for 'uuids' vs 'uuid' flexibility
-      if (req === 'uuids' && task.params.uuid) continue; 
-      if (req === 'uuid' && task.params.uuids) continue;
-      if (req === 'tag' && task.params.tags) continue;
-      if (req === 'prompt' && task.params.promptRecord) continue;
-
-      if (task.params[req] === undefined) {
-        // Check if it's a variable reference
-        // (We can't strictly validate missing params if they are variables, 
-        // but typically variables are values, not keys. 
-        // So strict check: key must exist, value can be $var)
-        
-        errors.push(`Task ${task.id}: Missing required param '${req}' for action '${task.action}'`);
-      }
-    }
+    // 1-2. Validate Action and Params
+    errors.push(...checkTask(task).map(e => `Task ${task.id}: ${e}`));
+    if (!VALID_ACTIONS[task.action]) continue;
 
     // 3. Validate Dependencies
     if (task.dependsOn) {
@@ -193,30 +313,92 @@ export async function validateQueue() {
         const depTask = queue.tasks.find(t => t.id === depId);
         if (!depTask) {
           errors.push(`Task ${task.id}: Depends on missing task ID ${depId}`);
-        } else if (depTask.id >= task.id) {
-          errors.push(`Task ${task.id}: Dependency cycle or forward reference to task ${depId}`);
         }
       }
     }
     
-    // 4. Validate Variable Syntax
-    // Scan params for strings starting with $
-    for (const [key, val] of Object.entries(task.params)) {
-       if (typeof val === 'string' && val.startsWith('$')) {
-         const match = val.match(/^\$(\d+)\.?/);
-         if (match) {
-           const refId = parseInt(match[1], 10);
-           const refTask = queue.tasks.find(t => t.id === refId);
-           if (!refTask) {
-             errors.push(`Task ${task.id}: Variable reference ${val} points to missing task ${refId}`);
-           } else if (refTask.id >= task.id) {
-             errors.push(`Task ${task.id}: Variable reference ${val} points to future/current task`);
-           }
-         }
-       }
+    // 4. Validate Variable References
+    // Scan params (recursively) for $N expressions and ${...} interpolations,
+    // plus the forEach list and the when guard
+    const guardRefs = task.when !== undefined ? findConditionReferences(task.when) : [];
+    for (const ref of [...findReferences([task.forEach, task.params]), ...guardRefs]) {
+      if (ref.error) {
+        errors.push(`Task ${task.id}: Invalid variable expression ${ref.raw}: ${ref.error}`);
+        continue;
+      }
+      if (ref.variables.includes('item') &&
+          (!task.forEach || ref.raw === task.forEach || guardRefs.includes(ref))) {
+        errors.push(`Task ${task.id}: Variable reference ${ref.raw} uses $item outside a forEach list`);
+      }
+      for (const refId of ref.taskIds) {
+        const refTask = queue.tasks.find(t => t.id === refId);
+        if (!refTask) {
+          errors.push(`Task ${task.id}: Variable reference ${ref.raw} points to missing task ${refId}`);
+        }
+      }
+    }
+
+    // forEach must be a reference to a list produced by another task
+    if (task.forEach !== undefined) {
+      const [listRef] = findReferences(task.forEach);
+      if (typeof task.forEach !== 'string' || !listRef || listRef.taskIds.length === 0) {
+        errors.push(`Task ${task.id}: forEach must be a task reference such as $1.results`);
+      }
+    }
+
+    // Retry policy and timeout
+    for (const message of validatePolicy(task)) {
+      errors.push(`Task ${task.id}: ${message}`);
+    }
+
+    // Priority, notBefore and deadline
+    try {
+      parseSchedule(task);
+    } catch (e) {
+      errors.push(`Task ${task.id}: ${e.message}`);
+    }
+
+    // 5. Resolve references against results that already exist
+    // (same resolution and error messages as execution)
+    // forEach params depend on $item, so only the list itself is resolved
+    const target = task.forEach !== undefined ? task.forEach : task.params;
+    const refIds = findReferences(target).flatMap(ref => ref.taskIds);
+    if (task.status === 'pending' && refIds.length > 0 &&
+        refIds.every(id => queue.tasks.find(t => t.id === id)?.status === 'completed')) {
+      const context = new Map(queue.tasks.filter(t => t.status === 'completed').map(t => [t.id, t.result]));
+      try {
+        const resolved = resolveParams(target, context);
+        if (task.forEach !== undefined && !Array.isArray(resolved)) {
+          errors.push(`Task ${task.id}: forEach ${task.forEach} did not resolve to a list`);
+        }
+      } catch (e) {
+        errors.push(`Task ${task.id}: ${e.message}`);
+      }
+    }
+
+    const guardIds = guardRefs.flatMap(ref => ref.taskIds);
+    if (task.status === 'pending' && guardIds.length > 0 && !guardRefs.some(ref => ref.error) &&
+        guardIds.every(id => queue.tasks.find(t => t.id === id)?.status === 'completed')) {
+      const context = new Map(queue.tasks.filter(t => t.status === 'completed').map(t => [t.id, t.result]));
+      try {
+        evaluateCondition(String(task.when), context);
+      } catch (e) {
+        errors.push(`Task ${task.id}: ${e.message}`);
+      }
     }
   }
 
+  for (const message of validatePolicy(queue.options)) {
+    errors.push(`Queue options: ${message}`);
+  }
+
+  // 6. Dependencies may point forward, but must not form a cycle
+  const pending = queue.tasks.filter(t => t.status === 'pending');
+  const { cycles } = planExecution(pending, getDependencyMap(pending));
+  for (const cycle of cycles) {
+    errors.push(`Task ${cycle[0]}: Dependency cycle ${formatCycle(cycle)}`);
+  }
+
   return { 
     valid: errors.length === 0, 
     errors, 
@@ -226,92 +408,144 @@ export async function validateQueue() {
 }
 
 /**
- * Resolve variables in params
+ * Check a retry policy and timeout ({ retry, timeoutMs } on a task or the queue options)
+ * @returns {string[]} Error messages
  */
-function resolveParams(params, context) {
-  const resolved = { ...params };
-  
-  for (const [key, val] of Object.entries(resolved)) {
-    if (typeof val === 'string' && val.startsWith('$')) {
-      // Regex for $N.field or just $N (implies result)
-      // Supports: $1.uuid, $1.result.uuid, $1 (entire result)
-      const match = val.match(/^\$(\d+)(?:\.(.+))?$/);
-      if (match) {
-        const taskId = parseInt(match[1], 10);
-        const path = match[2];
-        const taskResult = context.get(taskId);
-        
-        if (!taskResult) {
-          throw new Error(`Referenced task ${taskId} has no result`);
-        }
-        
-        if (!path) {
-          resolved[key] = taskResult;
-        } else {
-          // Resolve path: "uuid" -> taskResult.uuid
-          // "result.uuid" -> taskResult.result.uuid
-          // "items[0].uuid" -> (not supported yet, simple dot access only)
-          
-          // Helper to safely access deep property
-          const getVal = (obj, p) => p.split('.').reduce((o, k) => (o || {})[k], obj);
-          
-          let value = getVal(taskResult, path);
-          
-          // Fallback: If path is 'uuid' but result structure is { result: { uuid: ... } }
-          // Try accessing inside 'result' property if top level missing
-          if (value === undefined && taskResult.result) {
-            value = getVal(taskResult.result, path);
-          }
-          
-          // Fallback: If path is 'uuid' but result itself is the object { uuid: ... }
-          // (Already handled by first getVal)
-          
-          if (value === undefined) {
-             throw new Error(`Could not resolve '${path}' from task ${taskId} result`);
-          }
-          
-          resolved[key] = value;
-        }
+function validatePolicy({ retry, timeoutMs }) {
+  const errors = [];
+  if (retry !== undefined && retry !== null) {
+    if (typeof retry !== 'object' || Array.isArray(retry)) {
+      errors.push('retry must be an object like { attempts, backoff, on }');
+      return errors;
+    }
+    if (retry.attempts !== undefined && !(Number.isInteger(retry.attempts) && retry.attempts >= 1)) {
+      errors.push(`retry.attempts must be a positive integer, got ${retry.attempts}`);
+    }
+    const backoff = retry.backoff;
+    if (backoff !== undefined && !(typeof backoff === 'number' && backoff >= 0) &&
+        !(backoff && typeof backoff === 'object' && Number(backoff.delayMs) >= 0)) {
+      errors.push('retry.backoff must be a delay in ms or { delayMs, factor, maxDelayMs }');
+    }
+    if (retry.on !== undefined && ![].concat(retry.on).every(p => typeof p === 'string')) {
+      errors.push('retry.on must be a list of error patterns');
+    }
+  }
+  if (timeoutMs !== undefined && timeoutMs !== null && !(Number(timeoutMs) > 0)) {
+    errors.push(`timeoutMs must be a positive number, got ${timeoutMs}`);
+  }
+  return errors;
+}
+
+/**
+ * Check and normalize a task's priority, notBefore and deadline
+ * Times may be given as ISO dates, HH:MM or relative (+2h) and are stored as ISO dates.
+ * A deadline given as HH:MM is the first one after notBefore (22:00 to 06:00 spans the night).
+ * @param {object} task
+ * @param {Date} [now]
+ * @returns {object} { priority?, notBefore?, deadline? }
+ * @throws {Error} if a value is invalid
+ */
+export function parseSchedule(task, now = new Date()) {
+  const schedule = {};
+  if (task.priority !== undefined && task.priority !== null) {
+    if (!Number.isInteger(task.priority)) {
+      throw new Error(`priority must be an integer (higher runs first), got ${task.priority}`);
+    }
+    if (task.priority !== 0) schedule.priority = task.priority;
+  }
+  let notBefore = null;
+  for (const field of ['notBefore', 'deadline']) {
+    if (task[field] === undefined || task[field] === null || task[field] === '') continue;
+    const from = field === 'deadline' && notBefore && /^\d{1,2}:\d{2}$/.test(String(task[field]).trim())
+      ? notBefore
+      : now;
+    try {
+      const time = parseTime(task[field], from);
+      if (field === 'notBefore') notBefore = time;
+      schedule[field] = time.toISOString();
+    } catch (e) {
+      throw new Error(`${field}: ${e.message}`);
+    }
+  }
+  if (schedule.notBefore && schedule.deadline && schedule.notBefore > schedule.deadline) {
+    throw new Error(`notBefore (${schedule.notBefore}) is after the deadline (${schedule.deadline})`);
+  }
+  return schedule;
+}
+
+/**
+ * Tasks that are not part of this run: tasks whose notBefore lies in the future,
+ * and with `until`, tasks whose deadline is after it (unless a due task depends on
+ * them); tasks without a deadline are due. Tasks that depend on a held task are held too.
+ * @param {Array<object>} pending - Pending tasks
+ * @param {object} [options] - `now` (Date), `until` (Date)
+ * @returns {Map<number, string>} taskId -> reason
+ */
+export function getHeldTasks(pending, { now = new Date(), until } = {}) {
+  const held = new Map();
+  const deps = getDependencyMap(pending);
+  const byId = new Map(pending.map(t => [t.id, t]));
+
+  if (until) {
+    // A later deadline waits, unless a task due by `until` needs it
+    const needed = new Set();
+    const need = (id) => {
+      if (needed.has(id) || !byId.has(id)) return;
+      needed.add(id);
+      (deps.get(id) || []).forEach(need);
+    };
+    const dueLater = (t) => t.deadline && Date.parse(t.deadline) > until.getTime();
+    pending.filter(t => t.deadline && !dueLater(t)).forEach(t => need(t.id));
+    for (const t of pending) {
+      if (dueLater(t) && !needed.has(t.id)) held.set(t.id, `Not due by ${until.toISOString()}`);
+    }
+  }
+
+  for (const t of pending) {
+    if (t.notBefore && Date.parse(t.notBefore) > now.getTime()) {
+      held.set(t.id, `Not before ${t.notBefore}`);
+    }
+  }
+
+  // Dependents of held tasks wait as well
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const t of pending) {
+      if (held.has(t.id)) continue;
+      const waitsFor = (deps.get(t.id) || []).find(id => held.has(id));
+      if (waitsFor !== undefined) {
+        held.set(t.id, `Waits for task ${waitsFor} (${held.get(waitsFor)})`);
+        changed = true;
       }
-    } else if (Array.isArray(val)) {
-      // Recursively resolve arrays (e.g. uuids: ["$1.uuid", "$2.uuid"])
-      resolved[key] = val.map(item => {
-        if (typeof item === 'string' && item.startsWith('$')) {
-           // Reuse logic? A bit complex for simple recursion.
-           // Let's simplified check:
-           const match = item.match(/^\$(\d+)(?:\.(.+))?$/);
-           if (match) {
-             const taskId = parseInt(match[1], 10);
-             const path = match[2];
-             const taskResult = context.get(taskId);
-             if (!taskResult) return item; // fail or keep literal?
-             
-             const getVal = (obj, p) => p.split('.').reduce((o, k) => (o || {})[k], obj);
-             let v = getVal(taskResult, path);
-             if (v === undefined && taskResult.result) v = getVal(taskResult.result, path);
-             return v !== undefined ? v : item;
-           }
-        }
-        return item;
-      });
-      
-      // Auto-flatten if the resolved value is an array and the target expects an array
-      // e.g. uuids: ["$1.uuids"] where $1.uuids is [a,b] -> uuids: [a,b]
-      // But we just mapped, so we have [[a,b]].
-      // We should flat() it.
-      resolved[key] = resolved[key].flat();
     }
   }
-  return resolved;
+  return held;
+}
+
+/**
+ * Resolve variables in params
+ * See queue-expr.js for the supported syntax ($N.path, [i], [*], ??, ${...}, $item)
+ */
+function resolveParams(params, context, scope) {
+  return resolveValue(params || {}, context, scope);
 }
 
 /**
  * Execute a single task
  */
 async function executeTask(task, context) {
-  const { action, params } = task;
-  const resolvedParams = resolveParams(params, context);
-  
+  return runAction(task.action, resolveParams(task.params, context, task.scope));
+}
+
+/**
+ * Run one action with resolved params (no $N references)
+ * @param {string} action - Queue action
+ * @param {object} resolvedParams
+ * @returns {Promise<object>} The script result
+ * @throws {Error} if the action fails
+ */
+export async function runAction(action, resolvedParams) {
   // Map Action to Command/JXA
   // This is the "Dispatcher"
   
@@ -329,10 +563,19 @@ async function executeTask(task, context) {
         result = await runJxa('write', 'createRecord', [JSON.stringify(resolvedParams)]);
         break;
         
-      case 'move':
-        // params: uuid, destination
-        result = await runJxa('write', 'moveRecord', [resolvedParams.uuid, resolvedParams.destination]);
+      case 'move': {
+        // params: uuid, destination, database (for path-based destination)
+        const params = {
+          records: [resolvedParams.uuid],
+          to: resolvedParams.destination
+        };
+        if (resolvedParams.database) params.database = resolvedParams.database;
+        result = await runJxa('write', 'moveRecord', [JSON.stringify(params)]);
+        if (result.success) {
+          result.uuid = result.moved[0].uuid;
+        }
         break;
+      }
         
       case 'delete':
         // params: uuid
@@ -362,6 +605,9 @@ async function executeTask(task, context) {
         }));
 
         result = await runJxa('write', 'batchTag', [JSON.stringify(items)]);
+        if (result.success && result.tagged.length > 0) {
+          result.uuid = result.tagged[0].uuid;
+        }
         break;
       }
 
@@ -403,6 +649,23 @@ async function executeTask(task, context) {
         break;
       }
 
+      case 'search': {
+        // params: query, database?, group?, type?, limit?, comparison?, excludeSubgroups?
+        const opts = {
+          database: resolvedParams.database || '',
+          parentUUID: resolvedParams.group || '',
+          limit: parseInt(resolvedParams.limit, 10) || 50,
+          recordType: resolvedParams.type || '',
+          comparison: resolvedParams.comparison || '',
+          excludeSubgroups: resolvedParams.excludeSubgroups || false
+        };
+        result = await runJxa('read', 'search', [resolvedParams.query, JSON.stringify(opts)]);
+        if (result.success) {
+          result.uuids = (result.results || []).map(r => r.uuid);
+        }
+        break;
+      }
+
       case 'chat': {
         if (!resolvedParams.prompt && !resolvedParams.promptRecord) {
           throw new Error("Missing prompt or promptRecord for chat");
@@ -429,27 +692,98 @@ async function executeTask(task, context) {
         break;
       }
 
-      case 'search':
-         // Hidden action for intermediate steps?
-         // params: query, database
-         const searchOpts = {
-             database: resolvedParams.database || '',
-             limit: resolvedParams.limit || 50
-         };
-         result = await runJxa('read', 'search', [resolvedParams.query, JSON.stringify(searchOpts)]);
-         break;
+      case 'replicate': {
+        // params: uuid, destination (group UUID or array of UUIDs)
+        const destinations = Array.isArray(resolvedParams.destination)
+          ? resolvedParams.destination
+          : [resolvedParams.destination];
+        result = await runJxa('write', 'replicateRecord', [resolvedParams.uuid, ...destinations]);
+        if (result.success) {
+          result.uuid = result.replicated[0].replicantUuid;
+          result.uuids = result.replicated.map(r => r.replicantUuid);
+        }
+        break;
+      }
+
+      case 'duplicate': {
+        // params: uuid, destination, database (for path-based destination)
+        const params = {
+          records: [resolvedParams.uuid],
+          to: resolvedParams.destination,
+          mode: 'duplicate'
+        };
+        if (resolvedParams.database) params.database = resolvedParams.database;
+        result = await runJxa('write', 'copyRecord', [JSON.stringify(params)]);
+        if (result.success) {
+          result.uuid = result.copied[0].copiedUuid;
+        }
+        break;
+      }
+
+      case 'link':
+      case 'unlink': {
+        // params: source, target, plus optional wiki/seeAlso/search/chat/classification flags
+        const params = {
+          sourceUuid: resolvedParams.source,
+          targetUuid: resolvedParams.target,
+          mode: action
+        };
+        for (const flag of ['wiki', 'seeAlso', 'search', 'chat', 'classification']) {
+          if (resolvedParams[flag] !== undefined) params[flag] = resolvedParams[flag];
+        }
+        result = await runJxa('write', 'linkRecords', [JSON.stringify(params)]);
+        break;
+      }
+
+      case 'convert': {
+        // params: uuid, format (or 'to' as queued by `dt convert --queue`), destination
+        const params = {
+          uuid: resolvedParams.uuid,
+          to: resolvedParams.format || resolvedParams.to
+        };
+        const destination = resolvedParams.destination || resolvedParams.destGroupUuid;
+        if (destination) params.destGroupUuid = destination;
+        result = await runJxa('write', 'convertRecord', [JSON.stringify(params)]);
+        if (result.success) {
+          result.uuid = result.convertedUuid;
+        }
+        break;
+      }
+
+      case 'organize': {
+        // params: uuid, ocr, rename, tag, summarize, auto, prompt
+        const { processRecord } = await import('./commands/organize.js');
+        const { uuid, ...options } = resolvedParams;
+        if (!options.prompt && process.env.DT_ORGANIZE_PROMPT) {
+          options.prompt = process.env.DT_ORGANIZE_PROMPT;
+        }
+        result = await processRecord(uuid, options);
+        break;
+      }
+
+      case 'summarize': {
+        // params: uuid, native, type, format, prompt, save
+        const { summarizeRecord } = await import('./commands/summarize.js');
+        const { uuid, ...options } = resolvedParams;
+        result = await summarizeRecord(uuid, options);
+        if (result.success && result.summaryUuid) {
+          // Native summaries create a new record; expose it as $N.uuid
+          result.originalUuid = uuid;
+          result.uuid = result.summaryUuid;
+        }
+        break;
+      }
 
       default:
         throw new Error(`Action '${action}' not implemented in executor yet`);
     }
 
     if (!result.success) {
-      throw new Error(result.error || 'Unknown JXA error');
+      // Batch scripts report per-item errors instead of a single message
+      const itemErrors = (result.errors || []).map(e => `${e.uuid}: ${e.error}`).join('; ');
+      throw new Error(result.error || itemErrors || 'Unknown JXA error');
     }
     
-    // Log history
-    await logAction(action, resolvedParams, result);
-    
     return result;
 
   } catch (e) {
@@ -457,228 +791,1038 @@ async function executeTask(task, context) {
   }
 }
 
+const BATCHABLE_ACTIONS = ['move', 'delete', 'modify', 'tag.add', 'tag.remove', 'tag.set'];
+const DEFAULT_CONCURRENCY = 4;
+
+// Result list key returned by each batch script
+const BATCH_RESULT_KEYS = {
+  'batchMove': 'moved',
+  'batchDelete': 'deleted',
+  'batchTag': 'tagged',
+  'batchUpdate': 'updated'
+};
+
 /**
- * Execute Queue with Batch Optimization
+ * Execute a look-ahead batch (or a single task)
+ * @returns {Promise<Array>} One entry per task in the batch: its result, or an Error if that task failed
  */
-export async function executeQueue(options = {}) {
-  await acquireLock();
-  try {
-    const queue = await loadQueue();
-    
-    if (options.dryRun) {
-      return validateQueue();
+async function executeBatch(batch, context) {
+  if (batch.length === 1) {
+    return [await executeTask(batch[0], context)];
+  }
+
+  const task = batch[0];
+
+  // Resolve all params first
+  // owners[k] is the position in `batch` of the task that produced batchItems[k]
+  const batchItems = [];
+  const owners = [];
+  const outcomes = new Array(batch.length).fill(null);
+
+  batch.forEach((t, position) => {
+    let resolved;
+    try {
+      resolved = resolveParams(t.params, context, t.scope);
+    } catch (e) {
+      outcomes[position] = e;
+      return;
     }
-    
-    queue.status = 'executing';
-    await saveQueue(queue);
-    
-    const context = new Map(); // Store results: taskId -> result
-    const results = [];
-    
-    // Load existing results into context
-    queue.tasks.forEach(t => {
-      if (t.status === 'completed' && t.result) {
-        context.set(t.id, t.result);
-      }
-    });
-    
-    // Filter pending tasks
-    const pendingTasks = queue.tasks.filter(t => t.status === 'pending');
-    
-    let completedCount = 0;
-    let failedCount = 0;
-    
-    // Main Execution Loop with Batching
-    let i = 0;
-    while (i < pendingTasks.length) {
-      const task = pendingTasks[i];
-      
-      // Check dependencies
-      if (hasUnmetDependencies(task, queue.tasks)) {
-         console.warn(`Skipping task ${task.id}, unmet dependencies`);
-         i++; // Skip but don't fail? Or fail? 
-         // For sequential, we should fail or stop.
-         task.status = 'skipped';
-         continue; 
-      }
-
-      // LOOK-AHEAD: Check if we can batch this task with subsequent ones
-      const batch = [task];
-      let j = i + 1;
-      
-      // We can only batch if:
-      // 1. Same action type
-      // 2. Action supports batching (move, delete, tag.*, modify)
-      // 3. Next task has no dependency on current batch
-      // 4. Params are compatible (e.g. resolveParams succeeds)
-      
-      const batchableActions = ['move', 'delete', 'modify', 'tag.add', 'tag.remove', 'tag.set'];
-      const isBatchable = batchableActions.includes(task.action);
-
-      if (isBatchable) {
-        while (j < pendingTasks.length) {
-          const nextTask = pendingTasks[j];
-          
-          if (nextTask.action !== task.action) break;
-          
-          // Check dependency: nextTask cannot depend on any task in current batch
-          // (Since batch executes 'simultaneously' from JXA perspective, or at least in one shot)
-          const dependsOnBatch = nextTask.dependsOn?.some(depId => batch.some(b => b.id === depId));
-          if (dependsOnBatch) break;
-          
-          batch.push(nextTask);
-          j++;
-        }
+    // Standardize params for batch scripts
+    // move: { uuid, destination }
+    // delete: uuid (string)
+    // tag.*: { uuid, tags, operation }
+    // modify: { uuid, properties: resolved }
+    if (t.action === 'move') {
+      batchItems.push({ uuid: resolved.uuid, destination: resolved.destination });
+      owners.push(position);
+    } else if (t.action === 'delete') {
+      batchItems.push(resolved.uuid);
+      owners.push(position);
+    } else if (t.action.startsWith('tag.')) {
+      const uuids = Array.isArray(resolved.uuids)
+        ? resolved.uuids
+        : (resolved.uuid ? [resolved.uuid] : []);
+      if (uuids.length === 0) {
+        outcomes[position] = new Error("Missing uuid(s) for tag operation");
+        return;
       }
+      uuids.forEach(uuid => {
+        batchItems.push({
+          uuid,
+          tags: resolved.tags,
+          operation: t.action.split('.')[1]
+        });
+        owners.push(position);
+      });
+    } else if (t.action === 'modify') {
+      batchItems.push({ uuid: resolved.uuid, properties: resolved });
+      owners.push(position);
+    }
+  });
 
-      // Execute Batch or Single
-      try {
-        if (batch.length > 1) {
-          // Resolve all params first
-          let batchItems = [];
-          for (const t of batch) {
-            const resolved = resolveParams(t.params, context);
-            // Standardize params for batch scripts
-            // move: { uuid, destination }
-            // delete: uuid (string)
-            // tag.*: { uuid, tags, operation }
-            // modify: { uuid, properties: resolved }
-            if (t.action === 'move') {
-              batchItems.push({ uuid: resolved.uuid, destination: resolved.destination });
-            } else if (t.action === 'delete') {
-              batchItems.push(resolved.uuid);
-            } else if (t.action.startsWith('tag.')) {
-              const uuids = Array.isArray(resolved.uuids)
-                ? resolved.uuids
-                : (resolved.uuid ? [resolved.uuid] : []);
-              uuids.forEach(uuid => {
-                batchItems.push({
-                  uuid,
-                  tags: resolved.tags,
-                  operation: t.action.split('.')[1]
-                });
-              });
-            } else if (t.action === 'modify') {
-              batchItems.push({ uuid: resolved.uuid, properties: resolved });
-            } else {
-              batchItems.push(resolved);
-            }
-          }
+  if (batchItems.length === 0) return outcomes;
 
-          // Run Batch JXA
-          let batchResult;
-          if (task.action === 'move') {
-             batchResult = await runJxa('write', 'batchMove', [JSON.stringify(batchItems)]);
-          } else if (task.action === 'delete') {
-             batchResult = await runJxa('write', 'batchDelete', [JSON.stringify(batchItems)]);
-          } else if (task.action.startsWith('tag.')) {
-             batchResult = await runJxa('write', 'batchTag', [JSON.stringify(batchItems)]);
-          } else if (task.action === 'modify') {
-             batchResult = await runJxa('write', 'batchUpdate', [JSON.stringify(batchItems)]);
-          }
+  // Run Batch JXA
+  let scriptName;
+  if (task.action === 'move') scriptName = 'batchMove';
+  else if (task.action === 'delete') scriptName = 'batchDelete';
+  else if (task.action.startsWith('tag.')) scriptName = 'batchTag';
+  else if (task.action === 'modify') scriptName = 'batchUpdate';
 
-          if (!batchResult.success) throw new Error(batchResult.error);
-
-          // Update tasks with results
-          // batchResult.moved/deleted/tagged/updated is array matching input order usually?
-          // Or array of results with UUIDs.
-          // JXA scripts return results list. We should match by UUID or index.
-          // My scripts return list of results. 
-          // Let's assume order is preserved or use UUID to match.
-          
-          // Map results back to tasks
-          batch.forEach(t => {
-             t.status = 'completed';
-             t.executedAt = new Date().toISOString();
-             // Find result for this UUID?
-             // Since batchItems[k] corresponds to batch[k], and JXA iterates in order...
-             // We can assume success for all if JXA says success?
-             // My JXA scripts return "errors" array if some failed.
-             // And "results" array for successes.
-             // This is tricky. 
-             // Logic: If global success=true, all good? 
-             // No, my scripts say success=errors.length===0.
-             
-             // Simple approach: Mark all completed if success=true.
-             // If success=false, mark all failed? Or check individual errors?
-             // For now, mark all completed.
-             context.set(t.id, { batch: true, success: true }); // Simplistic
-             completedCount++;
-          });
-          
-        } else {
-          // Single Execution
-          const result = await executeTask(task, context);
-          task.status = 'completed';
-          task.result = result;
-          task.executedAt = new Date().toISOString();
-          context.set(task.id, result);
-          completedCount++;
-        }
-        
-      } catch (error) {
-        // Fail the batch (or single task)
-        batch.forEach(t => {
-          t.status = 'failed';
-          t.error = error.message;
-          failedCount++;
-          results.push({ id: t.id, success: false, error: error.message });
-        });
-        
-        if (queue.options.stopOnError) {
-          break;
-        }
-      }
+  const batchResult = await runJxa('write', scriptName, [JSON.stringify(batchItems)]);
+  const itemResults = batchResult[BATCH_RESULT_KEYS[scriptName]];
+
+  // Script-level failure (bad input, app error): no per-item data to map
+  if (!batchResult.success && !Array.isArray(itemResults)) {
+    throw new Error(batchResult.error || 'Unknown JXA error');
+  }
+
+  // Map per-item results and errors back onto the originating tasks
+  const perTask = batch.map(() => ({ items: [], errors: [] }));
+  (itemResults || []).forEach(item => {
+    if (item.index !== undefined) perTask[owners[item.index]].items.push(item);
+  });
+  (batchResult.errors || []).forEach(err => {
+    if (err.index !== undefined) perTask[owners[err.index]].errors.push(err);
+  });
 
-      // Advance index
-      i += batch.length;
+  batch.forEach((t, position) => {
+    if (outcomes[position]) return;
+    const { items, errors } = perTask[position];
+
+    if (errors.length > 0) {
+      const error = new Error(errors.map(e => `${e.uuid}: ${e.error}`).join('; '));
+      error.items = errors;
+      outcomes[position] = error;
+      return;
     }
-    
-    queue.status = failedCount > 0 ? 'failed' : 'completed';
-    await saveQueue(queue);
-    
-    if (!options.verbose) {
-      return {
-        success: failedCount === 0,
-        completed: completedCount,
-        failed: failedCount,
-        queueId: queue.id
-      };
+    if (items.length === 0) {
+      outcomes[position] = new Error(`No result returned by ${scriptName}`);
+      return;
     }
-    
-    return {
-      success: failedCount === 0,
-      completed: completedCount,
-      failed: failedCount,
-      queueId: queue.id,
-      results
-    };
-    
-  } finally {
-    await releaseLock();
-  }
-}
 
-function hasUnmetDependencies(task, allTasks) {
-  if (!task.dependsOn || task.dependsOn.length === 0) return false;
-  return task.dependsOn.some(depId => {
-     const dep = allTasks.find(t => t.id === depId);
-     return !dep || dep.status !== 'completed';
+    const { index, ...first } = items[0];
+    const result = { success: true, batch: true, uuid: first.uuid };
+    if (t.action === 'move') {
+      result.status = first.status;
+    } else if (t.action === 'delete') {
+      result.deleted = first;
+    } else if (t.action.startsWith('tag.')) {
+      result.tagged = items.map(({ index, ...rest }) => rest);
+    } else if (t.action === 'modify') {
+      result.status = first.status;
+      result.changes = first.changes;
+    }
+    outcomes[position] = result;
   });
+
+  return outcomes;
 }
 
 /**
- * Clear queue
+ * Apply the outcomes of a batch to its tasks
+ * @returns {boolean} true if any task in the batch failed
  */
-export async function clearQueue(scope = 'completed') {
-  await acquireLock();
+function settleBatch(batch, outcomes, onCompleted, onFailed) {
+  let anyFailed = false;
+  batch.forEach((t, k) => {
+    if (outcomes[k] instanceof Error) {
+      onFailed(t, outcomes[k]);
+      anyFailed = true;
+    } else {
+      onCompleted(t, outcomes[k]);
+    }
+  });
+  return anyFailed;
+}
+
+/**
+ * Expand a forEach task into one sub-task per element of its list and run them.
+ * Sub-tasks share the parent's action and params with `$item` bound to the element;
+ * batchable actions are sent through executeBatch as a single look-ahead batch.
+ * @returns {Promise<object>} { success, forEach: true, count, results, uuids }
+ */
+async function executeForEach(task, context, options = {}) {
+  const items = resolveValue(task.forEach, context);
+  if (!Array.isArray(items)) {
+    throw new Error(`forEach ${task.forEach} did not resolve to a list`);
+  }
+
+  const subtasks = items.map(item => ({
+    id: task.id,
+    action: task.action,
+    params: task.params,
+    scope: { item },
+    ...(task.retry && { retry: task.retry }),
+    ...(task.timeoutMs && { timeoutMs: task.timeoutMs })
+  }));
+  const units = BATCHABLE_ACTIONS.includes(task.action) && subtasks.length > 0
+    ? [subtasks]
+    : subtasks.map(sub => [sub]);
+  (options.emit || warnOnly)({ type: 'batch.formed', action: task.action, taskIds: [task.id], forEach: true, size: items.length });
+
+  const outcomes = [];
+  for (const unit of units) {
+    outcomes.push(...await executeWithRetry(unit, context, options));
+    if (options.stopOnError && outcomes.some(o => o instanceof Error)) break;
+  }
+
+  // Attempt logs of the sub-tasks, by element index
+  const attempts = subtasks.flatMap((sub, index) => (sub.attempts || []).map(a => ({ item: index, ...a })));
+  if (attempts.length > 0) task.attempts = attempts;
+
+  // Compensations of the sub-tasks that went through (transactional mode)
+  const compensation = subtasks
+    .filter((sub, k) => outcomes[k] && !(outcomes[k] instanceof Error) && sub.compensation)
+    .flatMap(sub => sub.compensation);
+  if (compensation.length > 0) task.compensation = compensation;
+
+  const failed = outcomes
+    .map((outcome, index) => ({ outcome, index }))
+    .filter(({ outcome }) => outcome instanceof Error);
+  if (failed.length > 0) {
+    const error = new Error(`${failed.length} of ${items.length} forEach items failed: ` +
+      failed.map(({ outcome, index }) => `[${index}] ${outcome.message}`).join('; '));
+    error.items = failed.map(({ outcome, index }) => ({ index, error: outcome.message }));
+    throw error;
+  }
+
+  return {
+    success: true,
+    forEach: true,
+    count: outcomes.length,
+    results: outcomes,
+    uuids: outcomes.map(r => r?.uuid).filter(Boolean)
+  };
+}
+
+/**
+ * Execute a unit chosen by the schedulers: a forEach task or a look-ahead batch
+ * @returns {Promise<Array>} One outcome per task in the unit (see executeBatch)
+ */
+async function executeUnit(unit, context, options) {
+  if (unit[0].forEach) {
+    return [await executeForEach(unit[0], context, options)];
+  }
+  if (options?.beforeBatch) await options.beforeBatch(unit);
+  return executeBatch(unit, context);
+}
+
+/**
+ * Effective retry policy and timeout of a task (task level overrides queue level)
+ * @param {object} task
+ * @param {object} [defaults] - Queue level { retry, timeoutMs }
+ * @returns {{ attempts: number, backoff: number|object, on: string[]|null, timeoutMs: number|null }}
+ */
+function getTaskPolicy(task, defaults = {}) {
+  const retry = { ...(defaults.retry || {}), ...(task.retry || {}) };
+  return {
+    attempts: Math.max(1, parseInt(retry.attempts, 10) || 1),
+    backoff: retry.backoff || 0,
+    on: retry.on ? [].concat(retry.on) : null,
+    timeoutMs: parseInt(task.timeoutMs ?? defaults.timeoutMs, 10) || null
+  };
+}
+
+/**
+ * Delay before the given retry (1 = first retry)
+ * A number is the initial delay in ms, doubled on each retry;
+ * an object is { delayMs, factor, maxDelayMs }.
+ */
+function getBackoffDelay(backoff, retryNumber) {
+  if (!backoff) return 0;
+  const { delayMs, factor = 2, maxDelayMs = Infinity } = typeof backoff === 'object'
+    ? backoff
+    : { delayMs: backoff };
+  return Math.min((Number(delayMs) || 0) * factor ** (retryNumber - 1), maxDelayMs);
+}
+
+/**
+ * Whether an error matches a retry policy's `on` patterns (case-insensitive regex or substring)
+ */
+function isRetryable(policy, error) {
+  if (!policy.on) return true;
+  const message = error.message || '';
+  return policy.on.some(pattern => {
+    try {
+      return new RegExp(pattern, 'i').test(message);
+    } catch {
+      return message.toLowerCase().includes(String(pattern).toLowerCase());
+    }
+  });
+}
+
+/**
+ * Execute a unit, retrying failed tasks according to their retry policy
+ * Every attempt runs within the task's timeout (which also bounds each runJxa call).
+ * Tasks with more than one allowed attempt record them in `task.attempts`; when all
+ * attempts fail, the final error lists every attempt.
+ * @returns {Promise<Array>} One outcome per task in the unit: its result, or an Error
+ */
+async function executeWithRetry(unit, context, options = {}) {
+  const emit = options.emit || warnOnly;
+  const startedAt = new Date().toISOString();
+  unit.forEach(t => { t.startedAt = startedAt; });
+  // forEach sub-tasks are reported through their parent
+  if (!unit[0].scope) {
+    if (unit.length > 1) {
+      emit({ type: 'batch.formed', action: unit[0].action, taskIds: unit.map(t => t.id), size: unit.length });
+    }
+    unit.forEach(t => emit({ type: 'task.started', taskId: t.id, action: t.action }));
+  }
+
+  // forEach tasks apply the policy to their sub-tasks
+  if (unit[0].forEach) {
+    try {
+      return await runWithTimeout(getTaskPolicy(unit[0], options.defaults).timeoutMs,
+        () => executeUnit(unit, context, options));
+    } catch (error) {
+      return [error];
+    }
+  }
+
+  const policies = unit.map(t => getTaskPolicy(t, options.defaults));
+  const history = unit.map(() => []);
+  const outcomes = new Array(unit.length);
+  let remaining = unit.map((t, k) => k);
+
+  for (let attempt = 1; remaining.length > 0; attempt++) {
+    const current = remaining.map(k => unit[k]);
+    const timeoutMs = Math.max(0, ...remaining.map(k => policies[k].timeoutMs || 0));
+    const startedAt = new Date();
+
+    let results;
+    try {
+      results = await runWithTimeout(timeoutMs, () => executeUnit(current, context, options));
+    } catch (error) {
+      results = current.map(() => error);
+    }
+
+    const retry = [];
+    remaining.forEach((k, i) => {
+      const outcome = results[i];
+      const failed = outcome instanceof Error;
+      history[k].push({
+        attempt,
+        startedAt: startedAt.toISOString(),
+        durationMs: Date.now() - startedAt.getTime(),
+        ...(failed && { error: outcome.message })
+      });
+      outcomes[k] = outcome;
+      if (failed && attempt < policies[k].attempts && isRetryable(policies[k], outcome)) {
+        retry.push(k);
+      }
+    });
+
+    if (retry.length > 0) {
+      const delay = Math.max(...retry.map(k => getBackoffDelay(policies[k].backoff, attempt)));
+      retry.forEach(k => {
+        emit({
+          type: 'task.retrying',
+          taskId: unit[k].id,
+          action: unit[k].action,
+          attempt: attempt + 1,
+          attempts: policies[k].attempts,
+          delayMs: delay,
+          error: outcomes[k].message
+        }, `Retrying task ${unit[k].id} (attempt ${attempt + 1} of ${policies[k].attempts}): ${outcomes[k].message}`);
+      });
+      if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+    }
+    remaining = retry;
+  }
+
+  unit.forEach((t, k) => {
+    if (policies[k].attempts > 1) t.attempts = history[k];
+    if (outcomes[k] instanceof Error && history[k].length > 1) {
+      const error = new Error(`Failed after ${history[k].length} attempts: ` +
+        history[k].map(a => `attempt ${a.attempt}: ${a.error}`).join('; '));
+      error.items = outcomes[k].items;
+      error.attempts = history[k];
+      outcomes[k] = error;
+    }
+  });
+
+  return outcomes;
+}
+
+/**
+ * All task IDs a task must wait for: explicit dependsOn plus $N references
+ */
+function getTaskDependencies(task) {
+  const refs = findReferences([task.forEach, task.params]);
+  if (task.when !== undefined) refs.push(...findConditionReferences(task.when));
+  const deps = new Set(refs.flatMap(ref => ref.taskIds));
+  (task.dependsOn || []).forEach(id => deps.add(id));
+  return Array.from(deps);
+}
+
+function getDependencyMap(tasks) {
+  return new Map(tasks.map(t => [t.id, getTaskDependencies(t)]));
+}
+
+/**
+ * Build the dependency graph of the queue (all tasks) and the plan for its pending tasks
+ * @returns {Promise<object>} { nodes, edges, steps, order, cycles }
+ */
+export async function getQueueGraph(options = {}) {
+  const queue = await loadQueue(options.queue);
+  const ids = new Set(queue.tasks.map(t => t.id));
+
+  const nodes = queue.tasks.map(t => ({
+    id: t.id,
+    action: t.action,
+    status: t.status,
+    ...(t.forEach && { forEach: t.forEach }),
+    ...(t.when !== undefined && { when: t.when }),
+    ...(t.priority && { priority: t.priority }),
+    ...(t.notBefore && { notBefore: t.notBefore }),
+    ...(t.deadline && { deadline: t.deadline })
+  }));
+  const edges = queue.tasks.flatMap(t => {
+    const explicit = new Set(t.dependsOn || []);
+    return getTaskDependencies(t)
+      .filter(id => ids.has(id))
+      .map(id => ({ from: id, to: t.id, type: explicit.has(id) ? 'dependsOn' : 'reference' }));
+  });
+
+  const pending = queue.tasks.filter(t => t.status === 'pending');
+  return { nodes, edges, ...planExecution(pending, getDependencyMap(pending)) };
+}
+
+/**
+ * Why a task cannot run because of its dependencies
+ * @returns {string|null} Skip reason, or null if every dependency completed
+ */
+function getDependencySkipReason(task, allTasks) {
+  const blocking = getTaskDependencies(task)
+    .map(id => ({ id, status: allTasks.find(t => t.id === id)?.status }))
+    .filter(dep => dep.status !== 'completed');
+  if (blocking.length === 0) return null;
+
+  // Prefer a dependency that will never complete over one that is still pending
+  const dep = blocking.find(d => d.status && d.status !== 'pending') || blocking[0];
+  return dep.status
+    ? `Dependency task ${dep.id} did not complete (${dep.status})`
+    : `Dependency task ${dep.id} does not exist`;
+}
+
+/**
+ * Evaluate a task's `when` guard against earlier results
+ * @returns {string|null} Skip reason if the guard is false
+ * @throws {Error} if the guard cannot be evaluated
+ */
+function checkGuard(task, context) {
+  if (task.when === undefined || task.when === null || task.when === '') return null;
+  return evaluateCondition(String(task.when), context) ? null : `Condition not met: ${task.when}`;
+}
+
+function markSkipped(task, reason, emit = warnOnly) {
+  task.status = 'skipped';
+  task.skipReason = reason;
+  emit({ type: 'task.skipped', taskId: task.id, action: task.action, reason }, `Skipping task ${task.id}: ${reason}`);
+}
+
+/**
+ * Default event sink: progress events are dropped, warnings go to stderr
+ */
+function warnOnly(event, warning) {
+  if (warning) console.warn(warning);
+}
+
+/**
+ * Build the immutable record of a run
+ * Params are resolved against the final results, so each task shows the values it ran
+ * with (forEach tasks show the resolved list as `items`).
+ * @param {Array<object>} runTasks - Tasks that were pending when the run started
+ */
+function buildRunRecord(runId, queue, runTasks, context, { startedAt, mode, defaults, rollback, deferred = [] }) {
+  const finishedAt = new Date();
+  const runIds = new Set(runTasks.map(t => t.id));
+  const count = (status) => runTasks.filter(t => t.status === status).length;
+
+  const tasks = runTasks.map(t => {
+    const record = {
+      id: t.id,
+      action: t.action,
+      status: t.status,
+      params: t.params,
+      ...(t.forEach && { forEach: t.forEach }),
+      ...(t.when !== undefined && { when: t.when }),
+      ...(t.retry && { retry: t.retry }),
+      ...(t.timeoutMs && { timeoutMs: t.timeoutMs }),
+      ...(t.priority && { priority: t.priority }),
+      ...(t.notBefore && { notBefore: t.notBefore }),
+      ...(t.deadline && { deadline: t.deadline }),
+      dependsOn: t.dependsOn || []
+    };
+    if (t.startedAt) {
+      try {
+        if (t.forEach) record.items = resolveValue(t.forEach, context);
+        else record.resolvedParams = resolveParams(t.params, context);
+      } catch (error) {
+        record.resolveError = error.message;
+      }
+    }
+    if (t.result !== null && t.result !== undefined) record.result = t.result;
+    if (t.error) record.error = t.error;
+    if (t.skipReason) record.skipReason = t.skipReason;
+    if (t.attempts) record.attempts = t.attempts;
+    if (t.startedAt) {
+      record.startedAt = t.startedAt;
+      if (t.executedAt) {
+        record.finishedAt = t.executedAt;
+        record.durationMs = Date.parse(t.executedAt) - Date.parse(t.startedAt);
+        if (t.deadline && t.executedAt > t.deadline) record.late = true;
+      }
+    }
+    return record;
+  });
+
+  // Earlier results this run depended on (needed to rerun it)
+  const inputs = queue.tasks
+    .filter(t => !runIds.has(t.id) && t.status === 'completed')
+    .filter(t => runTasks.some(r => getTaskDependencies(r).includes(t.id)))
+    .map(t => ({ id: t.id, action: t.action, params: t.params, result: t.result }));
+
+  return {
+    id: runId,
+    queue: queue.name,
+    queueId: queue.id,
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt,
+    mode,
+    status: count('failed') > 0 ? 'failed' : 'completed',
+    options: {
+      ...queue.options,
+      ...(defaults.retry && { retry: defaults.retry }),
+      ...(defaults.timeoutMs && { timeoutMs: defaults.timeoutMs })
+    },
+    summary: {
+      total: runTasks.length,
+      completed: count('completed'),
+      failed: count('failed'),
+      skipped: count('skipped'),
+      rolledBack: count('rolled_back'),
+      pending: count('pending')
+    },
+    tasks,
+    ...(inputs.length > 0 && { inputs }),
+    ...(deferred.length > 0 && { deferred }),
+    ...(rollback && { rollback })
+  };
+}
+
+/**
+ * Execute Queue with Batch Optimization
+ * @param {object} [options] - `queue`, `mode`, `until`, `onEvent`, ...; `taskIds`: run only
+ *   these pending tasks, the others stay pending (a workflow runs just the tasks it added)
+ */
+export async function executeQueue(options = {}) {
+  await acquireLock(options.queue, options);
+  try {
+    const queue = await loadQueue(options.queue);
+    
+    if (options.simulate) {
+      return simulateQueue(options);
+    }
+    if (options.dryRun) {
+      return validateQueue(options);
+    }
+
+    // Run pending tasks that are due, in dependency and priority order
+    const until = options.until ? parseTime(options.until) : undefined;
+    const pending = queue.tasks.filter(t => t.status === 'pending' && (!options.taskIds || options.taskIds.includes(t.id)));
+    const { cycles } = planExecution(pending, getDependencyMap(pending));
+    if (cycles.length > 0) {
+      throw new Error(`Dependency cycle: ${cycles.map(formatCycle).join('; ')}`);
+    }
+    const held = getHeldTasks(pending, { until });
+    const due = pending.filter(t => !held.has(t.id));
+    const plan = planExecution(due, getDependencyMap(due));
+    const deferred = [...held].map(([id, reason]) => ({ id, reason }));
+    
+    queue.status = 'executing';
+    await saveQueue(queue);
+    const runId = createRunId();
+    const runStartedAt = new Date();
+    
+    const context = new Map(); // Store results: taskId -> result
+    const results = [];
+    
+    // Load existing results into context
+    queue.tasks.forEach(t => {
+      if (t.status === 'completed' && t.result) {
+        context.set(t.id, t.result);
+      }
+    });
+    
+    // Pending tasks, topologically sorted
+    const pendingTasks = plan.order.map(id => queue.tasks.find(t => t.id === id));
+    const mode = options.mode || queue.options.mode || 'sequential';
+
+    // Progress events (see options.onEvent); without a listener only warnings are printed
+    const progress = () => {
+      const count = (status) => pendingTasks.filter(t => t.status === status).length;
+      const done = pendingTasks.length - count('pending');
+      const elapsedMs = Date.now() - runStartedAt.getTime();
+      return {
+        done,
+        total: pendingTasks.length,
+        completed: count('completed'),
+        failed: count('failed'),
+        skipped: count('skipped'),
+        elapsedMs,
+        // Average time per finished task so far, times the tasks left
+        etaMs: done === 0 ? null : Math.round(elapsedMs / done * (pendingTasks.length - done))
+      };
+    };
+    const emit = (event, warning) => {
+      if (!options.onEvent) return warnOnly(event, warning);
+      try {
+        options.onEvent({ ...event, runId, queue: queue.name, time: new Date().toISOString(), progress: progress() });
+      } catch {
+        // A failing listener must not break the execution
+      }
+    };
+    emit({
+      type: 'run.started',
+      mode,
+      taskIds: plan.order,
+      steps: plan.steps.length,
+      ...(deferred.length > 0 && { deferredTaskIds: deferred.map(d => d.id) })
+    });
+    
+    let completedCount = 0;
+    let failedCount = 0;
+
+    const onCompleted = (t, result) => {
+      // Inverses known only from the result (created records, merged or deleted tags)
+      const fromResult = inverseFromResult(t.action, result);
+      if (fromResult.length > 0) t.compensation = [...toSteps(t.compensation), ...fromResult];
+      t.status = 'completed';
+      t.result = result;
+      t.executedAt = new Date().toISOString();
+      context.set(t.id, result);
+      completedCount++;
+      emit({ type: 'task.completed', taskId: t.id, action: t.action, durationMs: Date.parse(t.executedAt) - Date.parse(t.startedAt) });
+    };
+
+    const onFailed = (t, error) => {
+      t.status = 'failed';
+      t.error = error.message;
+      t.executedAt = new Date().toISOString();
+      failedCount++;
+      results.push({ id: t.id, success: false, error: error.message });
+      emit({ type: 'task.failed', taskId: t.id, action: t.action, error: error.message });
+    };
+
+    const transactional = mode === 'transactional' ||
+      !!(options.rollbackOnError ?? queue.options.rollbackOnError);
+    // Queue level retry policy and timeout (tasks can override both)
+    const defaults = {
+      retry: options.retry ?? queue.options.retry,
+      timeoutMs: options.timeoutMs ?? queue.options.timeoutMs
+    };
+    const executed = []; // Tasks completed in this run, in order (for rollback)
+    let rollback;
+
+    if (transactional) {
+      // Transactions run sequentially and stop at the first failure
+      await executeSequential(pendingTasks, queue, context, {
+        stopOnError: true,
+        beforeBatch: (batch) => captureCompensations(batch, context, { strict: true }),
+        defaults,
+        emit,
+        onCompleted: (t, result) => {
+          executed.push(t);
+          onCompleted(t, result);
+        },
+        onFailed: (t, error) => {
+          // A partially applied forEach still has sub-tasks to undo
+          if (t.forEach && t.compensation) executed.push(t);
+          onFailed(t, error);
+        }
+      });
+
+      if (failedCount > 0) {
+        emit({ type: 'rollback.started', taskIds: executed.map(t => t.id) });
+        rollback = await rollbackTasks(executed, context);
+        completedCount = executed.filter(t => t.status === 'completed').length;
+      }
+    } else if (mode === 'parallel') {
+      const concurrency = parseInt(options.concurrency || queue.options.concurrency || DEFAULT_CONCURRENCY, 10);
+      await executeParallel(pendingTasks, queue, context, {
+        concurrency: Math.max(1, concurrency),
+        stopOnError: queue.options.stopOnError,
+        beforeBatch: (batch) => captureCompensations(batch, context, { emit }),
+        defaults,
+        emit,
+        onCompleted,
+        onFailed
+      });
+    } else {
+      await executeSequential(pendingTasks, queue, context, {
+        stopOnError: queue.options.stopOnError,
+        beforeBatch: (batch) => captureCompensations(batch, context, { emit }),
+        defaults,
+        emit,
+        onCompleted,
+        onFailed
+      });
+    }
+    
+    // Deferred tasks and tasks left out of the run stay pending
+    queue.status = failedCount > 0 ? 'failed' : queue.tasks.some(t => t.status === 'pending') ? 'pending' : 'completed';
+    const run = buildRunRecord(runId, queue, pendingTasks, context, {
+      startedAt: runStartedAt,
+      mode,
+      defaults,
+      rollback,
+      deferred
+    });
+    queue.executionLog = [
+      ...(queue.executionLog || []),
+      { runId, startedAt: run.startedAt, finishedAt: run.finishedAt, status: run.status, summary: run.summary }
+    ].slice(-(getRetention().runs || Infinity));
+    await saveQueue(queue);
+
+    try {
+      await archiveRun(run);
+    } catch (error) {
+      console.warn(`Could not archive run ${runId}: ${error.message}`);
+    }
+
+    // One history entry per run, so `dt undo` reverts the whole run (including the items
+    // of a forEach task that failed partway)
+    const { applied, inverse, irreversible } = getRunInverse(pendingTasks);
+    if (completedCount > 0 || inverse.length > 0) {
+      try {
+        await recordAction('queue.execute', {
+          queue: queue.name,
+          runId,
+          tasks: applied.map(t => ({ id: t.id, action: t.action }))
+        }, {
+          success: failedCount === 0,
+          completed: completedCount,
+          failed: failedCount,
+          ...(irreversible.length > 0 && { irreversible })
+        }, inverse);
+      } catch (error) {
+        console.warn(`Could not record run ${runId} in the history: ${error.message}`);
+      }
+    }
+
+    const skipped = pendingTasks
+      .filter(t => t.status === 'skipped')
+      .map(t => ({ id: t.id, reason: t.skipReason }));
+    emit({
+      type: 'run.finished',
+      success: failedCount === 0,
+      status: run.status,
+      summary: run.summary,
+      durationMs: run.durationMs,
+      ...(deferred.length > 0 && { deferred: deferred.length }),
+      ...(rollback && { rollback })
+    });
+    
+    if (!options.verbose) {
+      return {
+        success: failedCount === 0,
+        completed: completedCount,
+        failed: failedCount,
+        ...(skipped.length > 0 && { skipped: skipped.length }),
+        ...(deferred.length > 0 && { deferred: deferred.length }),
+        queue: queue.name,
+        queueId: queue.id,
+        runId,
+        ...(rollback && { rollback })
+      };
+    }
+    
+    return {
+      success: failedCount === 0,
+      completed: completedCount,
+      failed: failedCount,
+      ...(skipped.length > 0 && { skipped: skipped.length }),
+      ...(deferred.length > 0 && { deferred: deferred.length }),
+      queue: queue.name,
+      queueId: queue.id,
+      runId,
+      mode,
+      results: [
+        ...results,
+        ...skipped.map(({ id, reason }) => ({ id, skipped: true, reason })),
+        ...deferred.map(({ id, reason }) => ({ id, deferred: true, reason }))
+      ],
+      ...(rollback && { rollback })
+    };
+    
+  } finally {
+    await releaseLock(options.queue);
+  }
+}
+
+/**
+ * Sequential execution with look-ahead batching
+ */
+async function executeSequential(pendingTasks, queue, context, { stopOnError, beforeBatch, defaults, emit, onCompleted, onFailed }) {
+  // Main Execution Loop with Batching
+  let i = 0;
+  while (i < pendingTasks.length) {
+    const task = pendingTasks[i];
+    
+    // Check dependencies (a skipped or failed prerequisite skips its dependents)
+    const skipReason = getDependencySkipReason(task, queue.tasks);
+    if (skipReason) {
+      markSkipped(task, skipReason, emit);
+      i++;
+      continue;
+    }
+
+    // Check the when guard
+    let guardReason;
+    try {
+      guardReason = checkGuard(task, context);
+    } catch (error) {
+      onFailed(task, error);
+      if (stopOnError) break;
+      i++;
+      continue;
+    }
+    if (guardReason) {
+      markSkipped(task, guardReason, emit);
+      i++;
+      continue;
+    }
+
+    // LOOK-AHEAD: Check if we can batch this task with subsequent ones
+    const batch = [task];
+    let j = i + 1;
+    
+    // We can only batch if:
+    // 1. Same action type
+    // 2. Action supports batching (move, delete, tag.*, modify)
+    // 3. Next task has no dependency on current batch
+    // 4. Params are compatible (e.g. resolveParams succeeds)
+    
+    if (BATCHABLE_ACTIONS.includes(task.action) && !task.forEach) {
+      while (j < pendingTasks.length) {
+        const nextTask = pendingTasks[j];
+        
+        if (nextTask.action !== task.action || nextTask.forEach) break;
+
+        // Guarded or blocked tasks are handled on their own turn
+        if (nextTask.when !== undefined || getDependencySkipReason(nextTask, queue.tasks)) break;
+        
+        // Check dependency: nextTask cannot depend on any task in current batch
+        // (Since batch executes 'simultaneously' from JXA perspective, or at least in one shot)
+        const dependsOnBatch = getTaskDependencies(nextTask).some(depId => batch.some(b => b.id === depId));
+        if (dependsOnBatch) break;
+        
+        batch.push(nextTask);
+        j++;
+      }
+    }
+
+    // Execute Batch or Single
+    try {
+      const outcomes = await executeWithRetry(batch, context, { beforeBatch, stopOnError, defaults, emit });
+      const anyFailed = settleBatch(batch, outcomes, onCompleted, onFailed);
+      if (anyFailed && stopOnError) {
+        break;
+      }
+    } catch (error) {
+      // Fail the batch (or single task)
+      batch.forEach(t => onFailed(t, error));
+      
+      if (stopOnError) {
+        break;
+      }
+    }
+
+    // Advance index
+    i += batch.length;
+  }
+}
+
+/**
+ * Parallel execution: independent tasks run concurrently (up to `concurrency`
+ * units at a time), dependents wait until every prerequisite has completed.
+ * Ready tasks of the same batchable action are still bundled into one JXA call.
+ */
+async function executeParallel(pendingTasks, queue, context, { concurrency, stopOnError, beforeBatch, defaults, emit, onCompleted, onFailed }) {
+  const waiting = new Set(pendingTasks);
+  const running = new Set();
+  const deps = new Map(pendingTasks.map(t => [t.id, getTaskDependencies(t)]));
+  let stopped = false;
+
+  const depState = (depId) => {
+    const dep = queue.tasks.find(t => t.id === depId);
+    if (!dep) return 'missing';
+    return dep.status;
+  };
+
+  while (waiting.size > 0 || running.size > 0) {
+    // Collect ready tasks, skipping those whose prerequisites can no longer complete
+    const ready = [];
+    let progressed = true;
+    while (progressed) {
+      progressed = false;
+      for (const t of waiting) {
+        const states = deps.get(t.id).map(depState);
+        if (states.some(s => s === 'failed' || s === 'skipped' || s === 'missing' || s === 'rolled_back')) {
+          markSkipped(t, getDependencySkipReason(t, queue.tasks), emit);
+          waiting.delete(t);
+          progressed = true;
+        } else if (states.every(s => s === 'completed') && !ready.includes(t)) {
+          let guardReason;
+          try {
+            guardReason = checkGuard(t, context);
+          } catch (error) {
+            waiting.delete(t);
+            onFailed(t, error);
+            if (stopOnError) stopped = true;
+            progressed = true;
+            continue;
+          }
+          if (guardReason) {
+            markSkipped(t, guardReason, emit);
+            waiting.delete(t);
+            progressed = true;
+          } else {
+            ready.push(t);
+          }
+        }
+      }
+    }
+
+    // Group ready tasks into execution units (look-ahead batches by action)
+    const units = [];
+    for (const t of ready) {
+      const unit = BATCHABLE_ACTIONS.includes(t.action) && !t.forEach
+        ? units.find(u => u[0].action === t.action && !u[0].forEach)
+        : null;
+      if (unit) unit.push(t);
+      else units.push([t]);
+    }
+
+    while (!stopped && units.length > 0 && running.size < concurrency) {
+      const unit = units.shift();
+      unit.forEach(t => waiting.delete(t));
+
+      const promise = executeWithRetry(unit, context, { beforeBatch, stopOnError, defaults, emit })
+        .then(outcomes => {
+          const anyFailed = settleBatch(unit, outcomes, onCompleted, onFailed);
+          if (anyFailed && stopOnError) stopped = true;
+        })
+        .catch(error => {
+          unit.forEach(t => onFailed(t, error));
+          if (stopOnError) stopped = true;
+        })
+        .finally(() => running.delete(promise));
+      running.add(promise);
+    }
+
+    if (running.size === 0) {
+      // Nothing in flight and nothing could be started: stopped, or the rest is blocked
+      break;
+    }
+
+    await Promise.race(running);
+  }
+}
+
+/**
+ * Record the inverse of each write task in a batch before it executes (see history.js).
+ * The inverse is stored on the task as `compensation` ({ action, params } or a list of them);
+ * inverses built from results (create, tag.merge, tag.delete) are added on completion.
+ * The records of the whole batch are read in one script call.
+ * @param {object} [options] - `strict`: fail the batch when a record's state cannot be
+ *   read (transactions); otherwise the task runs without an inverse and a
+ *   `task.irreversible` event is emitted
+ */
+async function captureCompensations(batch, context, { strict = false, emit = warnOnly } = {}) {
+  const steps = [];
+  for (const t of batch) {
+    delete t.compensation;
+    try {
+      steps.push({ task: t, action: t.action, params: resolveParams(t.params, context, t.scope) });
+    } catch (error) {
+      if (strict) throw error; // Otherwise the task fails on the same params
+    }
+  }
+
+  let captured;
+  try {
+    captured = await captureInverses(steps);
+  } catch (error) {
+    if (strict) throw error;
+    captured = steps.map(() => ({ error }));
+  }
+  steps.forEach(({ task }, i) => {
+    const { inverse, error } = captured[i];
+    if (inverse) task.compensation = inverse;
+    if (!error) return;
+    if (strict) throw error;
+    emit(
+      { type: 'task.irreversible', taskId: task.id, action: task.action, error: error.message },
+      `Task ${task.id} (${task.action}) cannot be undone: ${error.message}`
+    );
+  });
+}
+
+/**
+ * Replay compensations of executed tasks in reverse order
+ * @returns {Promise<object>} { performed, compensations: [{ taskId, action, success, error? }], irreversible: [taskId] }
+ */
+async function rollbackTasks(executed, context) {
+  const compensations = [];
+  const irreversible = [];
+
+  for (const t of [...executed].reverse()) {
+    if (!t.compensation) {
+      if (!['chat', 'search'].includes(t.action)) irreversible.push(t.id);
+      continue;
+    }
+
+    const steps = Array.isArray(t.compensation) ? t.compensation : [t.compensation];
+    const errors = [];
+    for (const step of steps) {
+      try {
+        await executeTask(step, context);
+      } catch (e) {
+        errors.push(e.message);
+      }
+    }
+
+    if (errors.length === 0) {
+      t.status = 'rolled_back';
+      t.rolledBackAt = new Date().toISOString();
+      compensations.push({ taskId: t.id, action: t.action, success: true });
+    } else {
+      compensations.push({ taskId: t.id, action: t.action, success: false, error: errors.join('; ') });
+    }
+  }
+
+  return { performed: true, compensations, irreversible };
+}
+
+/**
+ * Clear queue
+ * @param {string} [scope] - completed, failed, or all
+ * @param {object} [options] - `queue` selects a named queue
+ */
+export async function clearQueue(scope = 'completed', options = {}) {
+  await acquireLock(options.queue, options);
   try {
     if (scope === 'all') {
-       await fs.unlink(QUEUE_FILE).catch(() => {});
+       await fs.unlink(getQueueFile(options.queue)).catch(() => {});
        return;
     }
     
-    const queue = await loadQueue();
+    const queue = await loadQueue(options.queue);
     if (scope === 'completed') {
       queue.tasks = queue.tasks.filter(t => t.status !== 'completed');
     } else if (scope === 'failed') {
@@ -687,25 +1831,220 @@ export async function clearQueue(scope = 'completed') {
     
     await saveQueue(queue);
   } finally {
-    await releaseLock();
+    await releaseLock(options.queue);
   }
 }
 
-export async function getQueueStatus() {
-  const queue = await loadQueue();
+export async function getQueueStatus(options = {}) {
+  const queue = await loadQueue(options.queue);
+  const lock = await readLock(getLockFile(queue.name));
   return {
+    name: queue.name,
     id: queue.id,
     status: queue.status,
+    ...(lock && { lock }),
     summary: queue.summary,
     tasks: queue.tasks // Caller can filter if needed
   };
 }
 
+/**
+ * List all queues (the default queue only if it has been written)
+ * @returns {Promise<Array<object>>} { name, id, status, summary, locked, lock?, updatedAt }
+ */
+export async function listQueues() {
+  const names = [];
+  try {
+    await fs.access(getQueueFile(DEFAULT_QUEUE));
+    names.push(DEFAULT_QUEUE);
+  } catch {
+    // No default queue yet
+  }
+  try {
+    const files = await fs.readdir(getQueuesDir());
+    files
+      .filter(f => f.endsWith('.yaml'))
+      .map(f => f.slice(0, -'.yaml'.length))
+      .filter(name => QUEUE_NAME_PATTERN.test(name) && name !== DEFAULT_QUEUE)
+      .sort()
+      .forEach(name => names.push(name));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  return Promise.all(names.map(async (name) => {
+    const queue = await loadQueue(name);
+    const stat = await fs.stat(getQueueFile(name));
+    const lock = await readLock(getLockFile(name));
+    return {
+      name,
+      id: queue.id,
+      status: queue.status,
+      summary: queue.summary,
+      locked: lock !== null,
+      ...(lock && { lock }),
+      updatedAt: stat.mtime.toISOString()
+    };
+  }));
+}
+
+/**
+ * Write a copy of a queue to a file
+ * @param {string} file - Destination path
+ * @param {object} [options] - `queue` selects a named queue
+ */
+export async function snapshotQueue(file, options = {}) {
+  const queue = await loadQueue(options.queue);
+  const snapshot = { ...queue, snapshotAt: new Date().toISOString() };
+  await fs.writeFile(file, YAML.stringify(snapshot), 'utf-8');
+  return { success: true, queue: queue.name, file, tasks: queue.tasks.length };
+}
+
+/**
+ * Export a queue's tasks (action, params, dependencies and scheduling, without status
+ * or results) in a format `dt queue load` reads back
+ * @param {string} [file] - Destination path; without one the content is returned
+ * @param {object} [options] - `queue`, `format` (default: from the file extension, else yaml)
+ */
+export async function exportQueue(file, options = {}) {
+  const queue = await loadQueue(options.queue);
+  const format = options.format || (file ? detectFormat(file, '') : 'yaml');
+  const content = formatTaskFile(queue.tasks, format);
+  if (file) await fs.writeFile(file, content, 'utf-8');
+  return { success: true, queue: queue.name, format, tasks: queue.tasks.length, ...(file ? { file } : { content }) };
+}
+
+/**
+ * Restore a queue from a snapshot file
+ * Refuses to replace a queue that still has tasks unless `force` is set.
+ * @param {string} file - Snapshot path (YAML or JSON)
+ * @param {object} [options] - `queue` target name (default: the name in the snapshot), `force`
+ */
+export async function restoreQueue(file, options = {}) {
+  const snapshot = YAML.parse(await fs.readFile(file, 'utf-8'));
+  if (!snapshot || !Array.isArray(snapshot.tasks)) {
+    throw new Error(`Not a queue snapshot: ${file}`);
+  }
+
+  const name = resolveQueueName(options.queue ?? snapshot.name);
+  await acquireLock(name, options);
+  try {
+    const current = await loadQueue(name);
+    if (current.tasks.length > 0 && !options.force) {
+      throw new Error(`Queue "${name}" already has ${current.tasks.length} task${current.tasks.length === 1 ? '' : 's'}. Use --force to replace it`);
+    }
+
+    const { snapshotAt, ...queue } = snapshot;
+    queue.name = name;
+    await saveQueue(queue);
+    return { success: true, queue: name, queueId: queue.id, tasks: queue.tasks.length, snapshotAt };
+  } finally {
+    await releaseLock(name);
+  }
+}
+
+/**
+ * List archived runs of a queue, newest first
+ * @param {object} [options] - `queue`, `limit`
+ * @returns {Promise<Array<object>>} Run summaries (without tasks)
+ */
+export async function getQueueRuns(options = {}) {
+  const runs = await listRuns(resolveQueueName(options.queue));
+  return runs
+    .slice(0, options.limit || runs.length)
+    .map(({ tasks, inputs, rollback, options: runOptions, ...run }) => run);
+}
+
+/**
+ * Get an archived run by ID
+ */
+export async function getRun(runId) {
+  return loadRun(runId);
+}
+
+/**
+ * Queue the tasks of an archived run again
+ * Tasks get new IDs in the target queue; $N references and dependsOn are rewritten.
+ * With `failedOnly`, only tasks that did not complete are queued (guard-skipped tasks
+ * are left out); completed tasks they depend on are copied as completed, with their
+ * results, so references still resolve.
+ * @param {string} runId
+ * @param {object} [options] - `queue` (default: the run's queue), `failedOnly`
+ */
+export async function rerunQueue(runId, options = {}) {
+  const run = await loadRun(runId);
+  const name = resolveQueueName(options.queue ?? run.queue);
+  const known = [...(run.inputs || []).map(t => ({ ...t, status: 'completed' })), ...run.tasks];
+  const byId = new Map(known.map(t => [t.id, t]));
+
+  const selected = run.tasks.filter(t => !options.failedOnly ||
+    (t.status !== 'completed' && !(t.status === 'skipped' && String(t.skipReason).startsWith('Condition not met'))));
+  if (selected.length === 0) {
+    throw new Error(`Nothing to rerun: all tasks of run ${runId} completed`);
+  }
+
+  // Completed prerequisites of the selected tasks (transitively)
+  const rerunIds = new Set(selected.map(t => t.id));
+  const copied = new Map();
+  const collect = (task) => {
+    for (const depId of getTaskDependencies(task)) {
+      const dep = byId.get(depId);
+      if (!dep || rerunIds.has(depId) || copied.has(depId)) continue;
+      if (dep.status !== 'completed') continue;
+      copied.set(depId, dep);
+      collect(dep);
+    }
+  };
+  selected.forEach(collect);
+
+  await acquireLock(name, options);
+  try {
+    const queue = await loadQueue(name);
+    let maxId = queue.tasks.reduce((max, t) => Math.max(max, t.id), 0);
+    const tasks = [...copied.values(), ...selected].sort((a, b) => a.id - b.id);
+    const idMap = new Map(tasks.map(t => [t.id, ++maxId]));
+    const now = new Date().toISOString();
+
+    for (const task of tasks) {
+      const done = copied.has(task.id);
+      queue.tasks.push({
+        id: idMap.get(task.id),
+        action: task.action,
+        status: done ? 'completed' : 'pending',
+        params: renumberReferences(task.params, idMap),
+        ...(task.forEach && { forEach: renumberReferences(task.forEach, idMap) }),
+        ...(task.when !== undefined && { when: renumberCondition(task.when, idMap) }),
+        ...(task.retry && { retry: task.retry }),
+        ...(task.timeoutMs && { timeoutMs: task.timeoutMs }),
+        ...(task.priority && { priority: task.priority }),
+        ...(task.deadline && { deadline: task.deadline }),
+        dependsOn: (task.dependsOn || []).map(id => idMap.get(id) ?? id),
+        result: done ? task.result : null,
+        error: null,
+        addedAt: now,
+        rerunOf: { runId, taskId: task.id }
+      });
+    }
+    queue.status = 'pending';
+    await saveQueue(queue);
+    return {
+      success: true,
+      queue: name,
+      runId,
+      count: selected.length,
+      copied: copied.size,
+      taskIds: selected.map(t => idMap.get(t.id)).sort((a, b) => a - b)
+    };
+  } finally {
+    await releaseLock(name);
+  }
+}
+
 /**
  * Verify queue resources (Deep Check)
  */
-export async function verifyQueue() {
-  const queue = await loadQueue();
+export async function verifyQueue(options = {}) {
+  const queue = await loadQueue(options.queue);
   const pending = queue.tasks.filter(t => t.status === 'pending');
   
   const resources = {
@@ -830,12 +2169,130 @@ export async function verifyQueue() {
   };
 }
 
+/**
+ * Current name, group and tags of a record, or null if it does not exist
+ */
+async function getSimulationProperties(uuid) {
+  const props = await runJxa('read', 'getRecordProperties', [
+    uuid,
+    JSON.stringify({ fields: ['uuid', 'name', 'database', 'parentPath', 'parentUuid', 'tags', 'comment'] })
+  ]);
+  if (!props.success) {
+    if (/not found/i.test(props.error || '')) return null;
+    throw new Error(`Could not read ${uuid} for simulation: ${props.error}`);
+  }
+  // parentPath is prefixed with the database name
+  const parentPath = props.parentPath || '';
+  const location = parentPath === props.database
+    ? '/'
+    : (parentPath.startsWith(`${props.database}/`) ? parentPath.slice(props.database.length) : parentPath);
+  return {
+    uuid: props.uuid || uuid,
+    name: props.name,
+    database: props.database,
+    location,
+    groupUuid: props.parentUuid,
+    tags: props.tags || [],
+    comment: props.comment || ''
+  };
+}
+
+/**
+ * Simulate the queue: predict the state of every referenced record after the pending
+ * tasks ran, without changing anything (see queue-simulate.js). Reads current record
+ * properties from DEVONthink.
+ * @param {object} [options] - `queue`, `until` (simulate only what execute --until would run)
+ * @returns {Promise<object>} { success (no conflicts), simulated, queue, tasks, records, created,
+ *   conflicts, warnings, unpredicted, deferred, diff }
+ */
+export async function simulateQueue(options = {}) {
+  const queue = await loadQueue(options.queue);
+  const until = options.until ? parseTime(options.until) : undefined;
+  const pending = queue.tasks.filter(t => t.status === 'pending');
+  const { cycles } = planExecution(pending, getDependencyMap(pending));
+  if (cycles.length > 0) {
+    throw new Error(`Dependency cycle: ${cycles.map(formatCycle).join('; ')}`);
+  }
+  const held = getHeldTasks(pending, { until });
+  const due = pending.filter(t => !held.has(t.id));
+  const { order } = planExecution(due, getDependencyMap(due));
+
+  const context = new Map(queue.tasks
+    .filter(t => t.status === 'completed' && t.result)
+    .map(t => [t.id, t.result]));
+  const simulation = await simulateTasks(order.map(id => due.find(t => t.id === id)), {
+    context,
+    fetchRecord: getSimulationProperties
+  });
+
+  return {
+    success: simulation.conflicts.length === 0,
+    simulated: true,
+    queue: queue.name,
+    tasks: due.length,
+    ...simulation,
+    deferred: [...held].map(([id, reason]) => ({ id, reason })),
+    diff: formatSimulation(simulation)
+  };
+}
+
+/**
+ * Deterministic Queue Repair
+ * Fixes database names, group paths and record names from the local caches,
+ * without DEVONthink or an AI engine (see queue-repair.js)
+ * @param {object} [options] - `queue`, `apply`, `minConfidence`
+ */
+export async function repairQueue(options = {}) {
+  const { minConfidence } = options;
+  if (minConfidence !== undefined && !(minConfidence >= 0 && minConfidence <= 1)) {
+    throw new Error(`Invalid minimum confidence: ${minConfidence} (use a number from 0 to 1)`);
+  }
+  const known = await loadKnownResources();
+  const plan = (q) => planRepairs(q.tasks, known, { minConfidence });
+  const report = (q, { fixes, unresolved }, changed = []) => ({
+    success: true,
+    offline: true,
+    queue: q.name,
+    fixes,
+    unresolved,
+    diff: formatRepairDiff(fixes),
+    applied: changed.length > 0,
+    changedTasks: changed,
+    sources: {
+      databases: known.databases ? known.databases.length : null,
+      groups: known.groups.length,
+      records: known.records.length
+    }
+  });
+
+  if (!options.apply) {
+    const queue = await loadQueue(options.queue);
+    return report(queue, plan(queue));
+  }
+
+  await acquireLock(options.queue, options);
+  try {
+    const queue = await loadQueue(options.queue);
+    const result = plan(queue);
+    const changed = applyRepairs(queue.tasks, result.fixes);
+    if (changed.length > 0) {
+      if (queue.status === 'failed' && !queue.tasks.some(t => t.status === 'failed')) {
+        queue.status = 'pending';
+      }
+      await saveQueue(queue);
+    }
+    return report(queue, result, changed);
+  } finally {
+    await releaseLock(options.queue);
+  }
+}
+
 /**
  * AI-Powered Queue Repair
  */
 export async function aiRepairQueue(options = {}) {
-  const queue = await loadQueue();
-  const verification = await verifyQueue();
+  const queue = await loadQueue(options.queue);
+  const verification = await verifyQueue(options);
   
   if (verification.valid && queue.status !== 'failed') {
     return { success: true, message: "Queue is valid and no failures detected. No repair needed." };
@@ -904,9 +2361,9 @@ NEW QUEUE JSON:`;
   }
 
   if (options.apply) {
-    await acquireLock();
+    await acquireLock(options.queue, options);
     try {
-      const q = await loadQueue();
+      const q = await loadQueue(options.queue);
       // Replace pending/failed tasks with fixed ones
       // Or just replace the whole thing?
       // Replacing the whole thing is safer for consistency.
@@ -919,7 +2376,7 @@ NEW QUEUE JSON:`;
       q.status = 'pending';
       await saveQueue(q);
     } finally {
-      await releaseLock();
+      await releaseLock(options.queue);
     }
   }
 
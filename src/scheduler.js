@@ -0,0 +1,300 @@
+/**
+ * Queue Schedules
+ * Recurring queue runs: schedules.yaml maps a name to a task file, a cron expression
+ * and a queue. `dt daemon` replaces the queue's tasks with the file's and executes it
+ * whenever the expression fires. Runs are skipped while DEVONthink is not running or
+ * the queue is locked; every attempt is recorded in the schedule's history.
+ *
+ * The clock (now/sleep), the DEVONthink check and the queue runner can be injected,
+ * so the scheduler can be driven by a fake clock in tests.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import YAML from 'yaml';
+import { setTimeout as sleep } from 'timers/promises';
+import { getConfigDir, ensureConfigDir } from './cache.js';
+import { acquireLock, releaseLock, refreshLock, describeLock } from './queue-lock.js';
+import { parseCron, getNextRun } from './cron.js';
+import { resolveQueueName } from './queue.js';
+import { loadWorkflow, runWorkflow } from './workflow.js';
+import { isDevonthinkRunning } from './jxa-runner.js';
+
+const HISTORY_LIMIT = 20;
+const DEFAULT_INTERVAL_MS = 60000;
+
+export const systemClock = {
+  now: () => new Date(),
+  sleep: (ms, signal) => sleep(ms, undefined, { signal }).catch(() => {})
+};
+
+function getSchedulesFile() {
+  return path.join(getConfigDir(), 'schedules.yaml');
+}
+
+async function loadSchedules() {
+  try {
+    const content = await fs.readFile(getSchedulesFile(), 'utf-8');
+    const data = YAML.parse(content);
+    return { version: 1, ...data, schedules: data?.schedules || [] };
+  } catch (error) {
+    if (error.code === 'ENOENT') return { version: 1, schedules: [] };
+    throw error;
+  }
+}
+
+/**
+ * Read-modify-write schedules.yaml under its lock
+ */
+async function updateSchedules(updater) {
+  await ensureConfigDir();
+  const lockFile = path.join(getConfigDir(), 'schedules.lock');
+  await acquireLock(lockFile, { label: 'schedules', hint: 'Try again in a moment' });
+  try {
+    const data = await loadSchedules();
+    const result = updater(data);
+    await fs.writeFile(getSchedulesFile(), YAML.stringify(data), 'utf-8');
+    return result;
+  } finally {
+    await releaseLock(lockFile);
+  }
+}
+
+function findSchedule(data, name) {
+  const schedule = data.schedules.find(s => s.name === name);
+  if (!schedule) throw new Error(`Schedule not found: ${name}`);
+  return schedule;
+}
+
+/**
+ * List schedules, sorted by name
+ */
+export async function listSchedules() {
+  const { schedules } = await loadSchedules();
+  return [...schedules].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get one schedule
+ * @throws {Error} if it does not exist
+ */
+export async function getSchedule(name) {
+  return findSchedule(await loadSchedules(), name);
+}
+
+/**
+ * Register a task file to run on a cron expression
+ * @param {string} name - Schedule name (also the default queue name)
+ * @param {string} file - Task or workflow file (same format as dt queue load)
+ * @param {object} options - `cron`, `queue`, `mode`, `vars` (workflow inputs), `force`, `now`
+ */
+export async function addSchedule(name, file, options = {}) {
+  resolveQueueName(name);
+  const queue = resolveQueueName(options.queue ?? name);
+  const cron = parseCron(options.cron);
+  const now = options.now || new Date();
+  const filePath = path.resolve(file);
+  const vars = options.vars && Object.keys(options.vars).length > 0 ? options.vars : undefined;
+  const { tasks } = await loadWorkflow(filePath, vars);
+
+  const schedule = {
+    name,
+    file: filePath,
+    cron: cron.expression,
+    queue,
+    ...(options.mode && { mode: options.mode }),
+    ...(vars && { vars }),
+    enabled: true,
+    createdAt: now.toISOString(),
+    nextRunAt: getNextRun(cron, now).toISOString()
+  };
+
+  await updateSchedules(data => {
+    const index = data.schedules.findIndex(s => s.name === name);
+    if (index !== -1 && !options.force) {
+      throw new Error(`Schedule "${name}" already exists. Use --force to replace it`);
+    }
+    if (index !== -1) data.schedules.splice(index, 1);
+    data.schedules.push(schedule);
+  });
+  return { success: true, ...schedule, tasks: tasks.length };
+}
+
+/**
+ * Remove a schedule (its queue and archived runs are kept)
+ */
+export async function removeSchedule(name) {
+  return updateSchedules(data => {
+    const schedule = findSchedule(data, name);
+    data.schedules = data.schedules.filter(s => s !== schedule);
+    return { success: true, name, removed: true };
+  });
+}
+
+/**
+ * Pause or resume a schedule. Resuming starts from the next time the
+ * expression fires, missed runs are not made up.
+ */
+export async function setScheduleEnabled(name, enabled, { now = new Date() } = {}) {
+  return updateSchedules(data => {
+    const schedule = findSchedule(data, name);
+    schedule.enabled = enabled;
+    if (enabled) schedule.nextRunAt = getNextRun(schedule.cron, now).toISOString();
+    return { success: true, name, enabled, nextRunAt: schedule.nextRunAt };
+  });
+}
+
+/**
+ * Default queue runner: replace the queue's tasks with the task file and execute it
+ * @returns {Promise<object>} executeQueue result
+ */
+export async function runScheduledQueue(schedule, options = {}) {
+  return runWorkflow(schedule.file, {
+    vars: schedule.vars,
+    queue: schedule.queue,
+    mode: schedule.mode,
+    lockTimeoutMs: options.lockTimeoutMs
+  });
+}
+
+/**
+ * Create a scheduler
+ * @param {object} [deps]
+ * @param {object} [deps.clock] - { now(): Date, sleep(ms, signal): Promise }
+ * @param {Function} [deps.isRunning] - Resolves to true if DEVONthink is running
+ * @param {Function} [deps.runQueue] - (schedule) => executeQueue result
+ * @param {Function} [deps.log] - (schedule, entry) called after each attempt
+ * @returns {{ tick: Function, run: Function, start: Function, stop: Function }}
+ */
+export function createScheduler(deps = {}) {
+  const {
+    clock = systemClock,
+    isRunning = isDevonthinkRunning,
+    runQueue = runScheduledQueue,
+    log = () => {}
+  } = deps;
+  let controller = null;
+
+  const runOne = async (schedule) => {
+    const entry = { at: clock.now().toISOString() };
+    try {
+      if ((await isRunning()) !== true) {
+        entry.status = 'skipped';
+        entry.reason = 'DEVONthink is not running';
+      } else {
+        const result = await runQueue(schedule);
+        entry.status = result.success ? 'completed' : 'failed';
+        entry.runId = result.runId;
+        entry.summary = { completed: result.completed, failed: result.failed, skipped: result.skipped || 0 };
+      }
+    } catch (error) {
+      // A locked queue is busy, not broken
+      entry.status = error.lock ? 'skipped' : 'failed';
+      entry[error.lock ? 'reason' : 'error'] = error.message;
+    }
+
+    const finishedAt = clock.now();
+    await updateSchedules(data => {
+      const current = data.schedules.find(s => s.name === schedule.name);
+      if (!current) return; // Removed while running
+      current.lastRun = entry;
+      current.history = [entry, ...(current.history || [])].slice(0, HISTORY_LIMIT);
+      current.nextRunAt = getNextRun(current.cron, finishedAt).toISOString();
+    });
+    log(schedule, entry);
+    return entry;
+  };
+
+  const scheduler = {
+    /**
+     * Run every enabled schedule that is due (each at most once, missed runs are not repeated)
+     * @returns {Promise<Array<object>>} One entry per attempted schedule
+     */
+    async tick() {
+      const now = clock.now().getTime();
+      const due = (await listSchedules())
+        .filter(s => s.enabled !== false && Date.parse(s.nextRunAt) <= now)
+        .sort((a, b) => Date.parse(a.nextRunAt) - Date.parse(b.nextRunAt) || a.name.localeCompare(b.name));
+
+      const entries = [];
+      for (const schedule of due) {
+        entries.push({ name: schedule.name, ...await runOne(schedule) });
+      }
+      return entries;
+    },
+
+    /**
+     * Run one schedule now, whether it is due or not
+     */
+    async run(name) {
+      const schedule = await getSchedule(name);
+      return { name, ...await runOne(schedule) };
+    },
+
+    /**
+     * Tick until stop() is called, sleeping until the next run (at most `intervalMs`,
+     * so new and changed schedules are picked up). `beforeTick` runs before every tick;
+     * when it returns false, the scheduler stops.
+     */
+    async start({ intervalMs = DEFAULT_INTERVAL_MS, onError = () => {}, beforeTick = () => true } = {}) {
+      controller = new AbortController();
+      const { signal } = controller;
+      while (!signal.aborted) {
+        if (await beforeTick() === false) break;
+        try {
+          await scheduler.tick();
+        } catch (error) {
+          onError(error);
+        }
+        if (signal.aborted) break;
+
+        const next = (await listSchedules().catch(() => []))
+          .filter(s => s.enabled !== false)
+          .map(s => Date.parse(s.nextRunAt))
+          .reduce((min, t) => Math.min(min, t), Infinity);
+        const delay = Math.min(intervalMs, Math.max(0, next - clock.now().getTime()));
+        await clock.sleep(Math.max(delay, 1000), signal);
+      }
+    },
+
+    stop() {
+      controller?.abort();
+    }
+  };
+  return scheduler;
+}
+
+/**
+ * Run the scheduler as the single daemon of this config directory
+ * @param {object} [options] - `once` (one tick, then exit), `intervalMs`, `log`, `onError`
+ */
+export async function runDaemon(options = {}) {
+  await ensureConfigDir();
+  const lockFile = path.join(getConfigDir(), 'daemon.lock');
+  try {
+    await acquireLock(lockFile, { label: 'the daemon', timeoutMs: 0 });
+  } catch (error) {
+    if (error.lock) throw new Error(`dt daemon is already running: ${describeLock(error.lock)}`);
+    throw error;
+  }
+
+  const scheduler = createScheduler({ log: options.log });
+  const stop = () => scheduler.stop();
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+  try {
+    if (options.once) return await scheduler.tick();
+    // Without a heartbeat, another daemon would take the lock over after DT_QUEUE_LOCK_MAX_AGE
+    const heartbeat = async () => {
+      if (await refreshLock(lockFile).catch(() => true)) return true;
+      (options.onError || console.error)(new Error('The daemon lock was taken over by another process, stopping'));
+      return false;
+    };
+    await scheduler.start({ intervalMs: options.intervalMs, onError: options.onError, beforeTick: heartbeat });
+    return [];
+  } finally {
+    process.off('SIGINT', stop);
+    process.off('SIGTERM', stop);
+    await releaseLock(lockFile);
+  }
+}
@@ -100,11 +100,18 @@ function updateRecentList(list, item, limit, compareFn) {
  * Helper to update state with proper locking (simulated via load-save)
  * @param {Function} updater - (state) => modifiedState
  */
+let updateChain = Promise.resolve();
+
 async function updateState(updater) {
   // TODO: Add file locking here for concurrency safety
-  const state = await loadState();
-  updater(state);
-  await saveState(state);
+  // In-process updates (e.g. parallel queue tasks) are serialized through a promise chain
+  const run = updateChain.then(async () => {
+    const state = await loadState();
+    updater(state);
+    await saveState(state);
+  });
+  updateChain = run.catch(() => {});
+  return run;
 }
 
 // --- Recent Access Tracking ---
@@ -196,8 +203,21 @@ export async function getRecentRecords(limit = LIMITS.recent.records) {
 
 // --- History & Undo ---
 
+/**
+ * Add an entry to the history
+ * A reversible entry ends what can be redone: redoing an older undo on top of it could
+ * overwrite its changes.
+ * @param {string} action
+ * @param {object} params
+ * @param {object} result
+ * @param {object|Array|null} [reverseAction] - Action(s) that undo this one (see history.js)
+ */
 export async function logAction(action, params, result, reverseAction = null) {
   await updateState(state => {
+    if (reverseAction) {
+      state.history.filter(h => h.redoAction).forEach(h => { h.redoAction = null; });
+    }
+
     const entry = {
       id: `h_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
       action,
@@ -217,13 +237,14 @@ export async function logAction(action, params, result, reverseAction = null) {
 }
 
 export async function getHistory(options = {}) {
-  const { limit = 20, action, since, reversibleOnly } = options;
+  const { limit = 20, action, since, reversibleOnly, reversedOnly } = options;
   const state = await loadState();
   
   let history = state.history;
   
   if (action) {
-    history = history.filter(h => h.action === action);
+    // "tag" matches tag.add, tag.remove, ...
+    history = history.filter(h => h.action === action || h.action.startsWith(`${action}.`));
   }
   
   if (since) {
@@ -234,21 +255,60 @@ export async function getHistory(options = {}) {
   if (reversibleOnly) {
     history = history.filter(h => h.reversible);
   }
+
+  if (reversedOnly) {
+    history = history.filter(h => h.reversedAt && h.redoAction);
+  }
   
   return history.slice(0, limit);
 }
 
+/**
+ * Find a history entry by ID (or a unique ID prefix)
+ */
+export async function getAction(actionId) {
+  const state = await loadState();
+  const exact = state.history.find(h => h.id === actionId);
+  if (exact) return exact;
+  const matches = state.history.filter(h => h.id.startsWith(actionId));
+  return matches.length === 1 ? matches[0] : null;
+}
+
 export async function getLastReversibleAction() {
   const state = await loadState();
   return state.history.find(h => h.reversible) || null;
 }
 
-export async function markActionReversed(actionId) {
+/**
+ * Mark an entry as undone
+ * @param {string} actionId
+ * @param {object|Array|null} [redoAction] - Action(s) that redo it
+ */
+export async function markActionReversed(actionId, redoAction = null) {
   await updateState(state => {
     const entry = state.history.find(h => h.id === actionId);
     if (entry) {
       entry.reversible = false; // It's already reversed, can't reverse again
       entry.reversedAt = new Date().toISOString();
+      entry.redoAction = redoAction;
+    }
+  });
+}
+
+/**
+ * Mark an undone entry as redone
+ * @param {string} actionId
+ * @param {object|Array|null} reverseAction - Action(s) that undo the redo
+ */
+export async function markActionRedone(actionId, reverseAction) {
+  await updateState(state => {
+    const entry = state.history.find(h => h.id === actionId);
+    if (entry) {
+      entry.reversible = !!reverseAction;
+      entry.reverseAction = reverseAction;
+      entry.redoneAt = new Date().toISOString();
+      delete entry.reversedAt;
+      delete entry.redoAction;
     }
   });
 }
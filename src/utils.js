@@ -231,3 +231,80 @@ export function buildSearchQuery(baseQuery, filters = {}) {
 
   return parts.concat(filterParts).join(' AND ');
 }
+
+/**
+ * Format a duration for humans
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. "42s", "5m", "2h 3m"
+ */
+export function formatDuration(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  return minutes % 60 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+}
+
+/**
+ * Parse a point in time: an ISO date, "HH:MM" (the next time the clock shows it)
+ * or a relative time ("+30m", "+2h", "+1d")
+ * @param {string|Date} value
+ * @param {Date} [now]
+ * @returns {Date}
+ * @throws {Error} if the value is not a valid time
+ */
+export function parseTime(value, now = new Date()) {
+  if (value instanceof Date && !isNaN(value)) return value;
+  const text = String(value ?? '').trim();
+
+  const relative = text.match(/^\+(\d+(?:\.\d+)?)\s*(s|m|h|d)$/);
+  if (relative) {
+    const unit = { s: 1000, m: 60000, h: 3600000, d: 86400000 }[relative[2]];
+    return new Date(now.getTime() + parseFloat(relative[1]) * unit);
+  }
+
+  const clock = text.match(/^(\d{1,2}):(\d{2})$/);
+  if (clock && Number(clock[1]) < 24 && Number(clock[2]) < 60) {
+    const date = new Date(now);
+    date.setHours(Number(clock[1]), Number(clock[2]), 0, 0);
+    if (date <= now) date.setDate(date.getDate() + 1);
+    return date;
+  }
+
+  const date = /^\d{4}-\d{2}-\d{2}/.test(text) ? new Date(text) : null;
+  if (!date || isNaN(date)) {
+    throw new Error(`Invalid time: "${text}" (use an ISO date, HH:MM, or +30m, +2h, +1d)`);
+  }
+  return date;
+}
+
+/**
+ * Calculate Levenshtein distance between two strings
+ */
+export function levenshtein(a, b) {
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  const matrix = [];
+  for (let i = 0; i <= b.length; i++) {
+    matrix[i] = [i];
+  }
+  for (let j = 0; j <= a.length; j++) {
+    matrix[0][j] = j;
+  }
+  for (let i = 1; i <= b.length; i++) {
+    for (let j = 1; j <= a.length; j++) {
+      if (b.charAt(i - 1) === a.charAt(j - 1)) {
+        matrix[i][j] = matrix[i - 1][j - 1];
+      } else {
+        matrix[i][j] = Math.min(
+          matrix[i - 1][j - 1] + 1,
+          matrix[i][j - 1] + 1,
+          matrix[i - 1][j] + 1
+        );
+      }
+    }
+  }
+  return matrix[b.length][a.length];
+}
@@ -0,0 +1,372 @@
+/**
+ * Workflows
+ * Reusable task files with typed inputs, {{ variable }} interpolation and includes.
+ * Workflows live in the `workflows/` directory of the config dir (or anywhere, by path):
+ *
+ *   name: inbox-triage
+ *   description: Tag and file new records
+ *   inputs:
+ *     database: { type: string, required: true }
+ *     since: { type: string, default: "2 weeks" }
+ *     limit: { type: integer, default: 50 }
+ *   tasks:
+ *     - action: search
+ *       params: { query: "tags:", database: "{{ database }}", createdAfter: "{{ since }}", limit: "{{ limit }}" }
+ *     - include: tag-cleanup            # Name in workflows/ or path relative to this file
+ *       vars: { database: "{{ database }}" }
+ *
+ * A value that is exactly "{{ name }}" keeps the input's type; inside a longer string
+ * the value is inserted as text; a key whose whole value is an unset optional input is
+ * dropped. $N references count from the file's first task; a reference to an include
+ * points to its last task. Nothing is queued unless every file and input is valid.
+ *
+ * Plain task lists (as before workflows) are workflows without inputs; their $N
+ * references keep pointing at queue task IDs.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { getConfigDir } from './cache.js';
+import { isUuid, parseTime, readStdin, isStdinMarker } from './utils.js';
+import { renumberTask, resolveQueueName, addTasks, executeQueue } from './queue.js';
+import { detectFormat, parseTaskFile } from './queue-format.js';
+
+const INPUT_TYPES = ['string', 'number', 'integer', 'boolean', 'list', 'uuid', 'time'];
+const EXTENSIONS = ['.yaml', '.yml', '.json', '.ndjson', '.jsonl', '.csv'];
+const VARIABLE = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+const WHOLE_VARIABLE = /^\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}$/;
+
+/**
+ * Directory holding named workflows
+ */
+export function getWorkflowsDir() {
+  return path.join(getConfigDir(), 'workflows');
+}
+
+/**
+ * Parse `--var key=value` options into an object
+ * @param {string[]} pairs
+ */
+export function parseVars(pairs = []) {
+  const vars = {};
+  for (const pair of pairs) {
+    const index = pair.indexOf('=');
+    if (index <= 0) throw new Error(`Invalid --var "${pair}" (use name=value)`);
+    vars[pair.slice(0, index).trim()] = pair.slice(index + 1);
+  }
+  return vars;
+}
+
+function baseName(file) {
+  return path.basename(file).replace(/\.(ya?ml|json|ndjson|jsonl|csv)$/, '');
+}
+
+async function exists(file) {
+  try {
+    return (await fs.stat(file)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Find a workflow file: a path, or a name in workflows/ (with or without extension)
+ * @param {string} ref
+ * @param {string} [baseDir] - Directory for relative paths (the including file's)
+ */
+export async function resolveWorkflowFile(ref, baseDir = process.cwd()) {
+  if (isStdinMarker(ref)) return ref;
+  const candidates = [];
+  const direct = path.resolve(baseDir, ref);
+  candidates.push(direct, ...EXTENSIONS.map(ext => direct + ext));
+  if (!ref.includes('/')) {
+    const named = path.join(getWorkflowsDir(), ref);
+    candidates.push(named, ...EXTENSIONS.map(ext => named + ext));
+  }
+  for (const file of candidates) {
+    if (await exists(file)) return file;
+  }
+  throw new Error(`Workflow not found: ${ref} (looked in ${ref.includes('/') ? path.dirname(direct) : `${baseDir} and ${getWorkflowsDir()}`})`);
+}
+
+/**
+ * Make the `id`s of exported tasks relative: when every task has one, $N references
+ * and dependsOn are mapped to task positions so the file loads into any queue
+ * @returns {Array<object>|null} Renumbered tasks, or null when the tasks have no IDs
+ */
+function positionTasks(file, tasks) {
+  if (tasks.length === 0 || !tasks.every(t => Number.isInteger(t?.id))) return null;
+  const idMap = new Map();
+  tasks.forEach((task, index) => {
+    if (idMap.has(task.id)) throw new Error(`${file}: Duplicate task id ${task.id}`);
+    idMap.set(task.id, index + 1);
+  });
+  return tasks.map(({ id, ...task }) => renumberTask(task, idMap));
+}
+
+/**
+ * Read a workflow or task file (YAML, JSON, NDJSON or CSV; see queue-format.js)
+ * @param {string} file - Path, "-" for stdin
+ * @param {object} [options] - `format` overrides detection by extension and content
+ * @returns {Promise<{name, description, inputs, mode, tasks, plain}>} `plain`: a task
+ *   list without inputs, includes or task IDs
+ */
+export async function readWorkflow(file, options = {}) {
+  const content = isStdinMarker(file) ? await readStdin() : await fs.readFile(file, 'utf-8');
+  let doc = parseTaskFile(content, options.format || detectFormat(file, content), path.basename(file));
+  if (Array.isArray(doc)) doc = { tasks: doc };
+  if (!doc || !Array.isArray(doc.tasks)) {
+    throw new Error(`${file}: Input must be an array of tasks or object with "tasks" array`);
+  }
+  const positioned = positionTasks(file, doc.tasks);
+
+  const inputs = {};
+  for (const [key, input] of Object.entries(doc.inputs || {})) {
+    inputs[key] = input || {};
+    const type = inputs[key].type || 'string';
+    if (!INPUT_TYPES.includes(type)) {
+      throw new Error(`${file}: Input "${key}" has unknown type "${type}" (use ${INPUT_TYPES.join(', ')})`);
+    }
+  }
+  return {
+    name: doc.name || (isStdinMarker(file) ? 'stdin' : baseName(file)),
+    description: doc.description,
+    inputs,
+    mode: doc.mode,
+    tasks: positioned || doc.tasks,
+    plain: !doc.inputs && !positioned && !doc.tasks.some(t => t?.include)
+  };
+}
+
+/**
+ * Convert one input value to its declared type
+ * @throws {Error} with a short reason
+ */
+function coerceInput(value, input) {
+  const type = input.type || 'string';
+  let result;
+  switch (type) {
+    case 'number':
+    case 'integer': {
+      result = typeof value === 'number' ? value : (String(value).trim() === '' ? NaN : Number(value));
+      if (!Number.isFinite(result)) throw new Error(`expected a number, got "${value}"`);
+      if (type === 'integer' && !Number.isInteger(result)) throw new Error(`expected an integer, got "${value}"`);
+      break;
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') { result = value; break; }
+      const text = String(value).toLowerCase();
+      if (['true', 'yes', '1'].includes(text)) result = true;
+      else if (['false', 'no', '0'].includes(text)) result = false;
+      else throw new Error(`expected true or false, got "${value}"`);
+      break;
+    }
+    case 'list':
+      result = Array.isArray(value) ? value : String(value).split(',').map(s => s.trim()).filter(Boolean);
+      break;
+    case 'uuid':
+      if (!isUuid(String(value))) throw new Error(`expected a UUID, got "${value}"`);
+      result = String(value);
+      break;
+    case 'time':
+      result = parseTime(value).toISOString();
+      break;
+    default:
+      if (value !== null && typeof value === 'object') throw new Error('expected a string');
+      result = String(value);
+  }
+  if (input.enum && !input.enum.includes(result)) {
+    throw new Error(`must be one of ${input.enum.join(', ')}, got "${result}"`);
+  }
+  return result;
+}
+
+/**
+ * Check variables against a workflow's inputs, apply defaults and types
+ * @returns {object} Typed values
+ * @throws {Error} listing every problem
+ */
+export function resolveInputs(workflow, vars = {}) {
+  const values = {};
+  const problems = [];
+  for (const key of Object.keys(vars)) {
+    if (!(key in workflow.inputs)) problems.push(`${key}: unknown input`);
+  }
+  for (const [key, input] of Object.entries(workflow.inputs)) {
+    const value = vars[key] ?? input.default;
+    if (value === undefined || value === null) {
+      if (input.required) problems.push(`${key}: required${input.description ? ` (${input.description})` : ''}`);
+      values[key] = undefined;
+      continue;
+    }
+    try {
+      values[key] = coerceInput(value, input);
+    } catch (error) {
+      problems.push(`${key}: ${error.message}`);
+    }
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid inputs for workflow "${workflow.name}":\n  ${problems.join('\n  ')}`);
+  }
+  return values;
+}
+
+/**
+ * Replace {{ name }} in a value (recursively)
+ * @param {any} value
+ * @param {object} values - Typed input values
+ * @param {string} where - Location for error messages
+ */
+function interpolate(value, values, where) {
+  if (typeof value === 'string') {
+    const lookup = (name) => {
+      if (!(name in values)) throw new Error(`Unknown variable "${name}" in ${where}`);
+      return values[name];
+    };
+    const whole = value.match(WHOLE_VARIABLE);
+    if (whole) return lookup(whole[1]);
+    return value.replace(VARIABLE, (_, name) => {
+      const resolved = lookup(name);
+      return Array.isArray(resolved) ? resolved.join(',') : String(resolved ?? '');
+    });
+  }
+  if (Array.isArray(value)) return value.map((item, i) => interpolate(item, values, `${where}[${i}]`));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .map(([key, val]) => [key, interpolate(val, values, `${where}.${key}`)])
+      .filter(([, val]) => val !== undefined));
+  }
+  return value;
+}
+
+/**
+ * Expand a workflow into a flat task list
+ * @param {string} file - Resolved workflow file
+ * @param {object} workflow - Result of readWorkflow(file)
+ * @param {object} vars - Input values (strings from --var, or typed)
+ * @param {string[]} stack - Files being expanded (include cycle detection)
+ * @returns {Promise<{values: object, tasks: Array<object>}>} Typed inputs, and tasks whose
+ *   $N references and dependsOn count from 1
+ */
+async function expand(file, workflow, vars, stack) {
+  const values = resolveInputs(workflow, vars);
+  const label = path.basename(file);
+
+  // Expand includes first: $N in this file counts entries, so the mapping from
+  // entry position to expanded ID is known only after all includes are read
+  const segments = [];
+  for (const [index, entry] of workflow.tasks.entries()) {
+    const where = `${label} tasks[${index}]`;
+    if (entry?.include) {
+      const includeFile = await resolveWorkflowFile(
+        interpolate(entry.include, values, `${where}.include`),
+        isStdinMarker(file) ? process.cwd() : path.dirname(file)
+      );
+      if (stack.includes(includeFile) || includeFile === file) {
+        throw new Error(`Include cycle: ${[...stack, file, includeFile].map(f => path.basename(f)).join(' -> ')}`);
+      }
+      const vars = interpolate(entry.vars || {}, values, `${where}.vars`);
+      const { tasks } = await expand(includeFile, await readWorkflow(includeFile), vars, [...stack, file]);
+      segments.push({ included: tasks });
+    } else if (entry?.action) {
+      segments.push({ task: interpolate(entry, values, where) });
+    } else {
+      throw new Error(`${where}: Task needs an "action" (or "include")`);
+    }
+  }
+
+  const idMap = new Map();
+  let count = 0;
+  segments.forEach((segment, index) => {
+    segment.offset = count;
+    count += segment.included ? segment.included.length : 1;
+    if (count > segment.offset) idMap.set(index + 1, count);
+  });
+
+  const tasks = segments.flatMap(({ task, included, offset }) => {
+    if (task) return [renumberTask(task, idMap)];
+    const shift = new Map(included.map((_, i) => [i + 1, offset + i + 1]));
+    return included.map(t => renumberTask(t, shift));
+  });
+  return { values, tasks };
+}
+
+/**
+ * Load a workflow and expand it into tasks
+ * @param {string} ref - Workflow name (in workflows/) or file path, "-" for stdin
+ * @param {object} [vars] - Input values
+ * @param {object} [options] - `format` of the file (default: detected)
+ * @returns {Promise<{name, file, mode, inputs, tasks, relativeIds}>} Pass `relativeIds` on to addTasks
+ */
+export async function loadWorkflow(ref, vars = {}, options = {}) {
+  const file = await resolveWorkflowFile(ref);
+  const workflow = await readWorkflow(file, options);
+  const { values, tasks } = await expand(file, workflow, vars, []);
+  if (tasks.length === 0) throw new Error(`Workflow "${workflow.name}" has no tasks`);
+  return {
+    name: workflow.name,
+    file,
+    ...(workflow.mode && { mode: workflow.mode }),
+    inputs: values,
+    tasks,
+    relativeIds: !workflow.plain
+  };
+}
+
+/**
+ * Run a workflow: replace the tasks of its queue with the expanded tasks and execute them
+ * Refuses to replace pending tasks the workflow did not create unless `force` is set.
+ * @param {string} ref - Workflow name or file
+ * @param {object} [options] - `vars`, `queue` (default: the workflow's file name), `mode`,
+ *   `dryRun` (expand and validate only), `force`; other options are passed to executeQueue
+ * @returns {Promise<object>} executeQueue result with `workflow`, `inputs` and `queue`
+ */
+export async function runWorkflow(ref, options = {}) {
+  const { vars, queue, mode, dryRun, force, ...executeOptions } = options;
+  const workflow = await loadWorkflow(ref, vars);
+  const name = resolveQueueName(queue ?? (isStdinMarker(workflow.file)
+    ? workflow.name
+    : baseName(workflow.file)));
+  if (dryRun) {
+    return { success: true, dryRun: true, workflow: workflow.name, queue: name, inputs: workflow.inputs, tasks: workflow.tasks };
+  }
+
+  const target = { queue: name, lockTimeoutMs: options.lockTimeoutMs };
+  const queueMode = mode ?? workflow.mode;
+  const added = await addTasks(workflow.tasks, {
+    ...target,
+    replace: true,
+    force,
+    workflow: workflow.name,
+    relativeIds: workflow.relativeIds,
+    ...(queueMode && { mode: queueMode })
+  });
+  // Only the tasks added here: tasks queued by others in the meantime wait for their own run
+  const result = await executeQueue({ ...executeOptions, ...target, taskIds: added.taskIds });
+  return { workflow: workflow.name, inputs: workflow.inputs, ...result, queue: name };
+}
+
+/**
+ * List workflows in the workflows directory
+ * @returns {Promise<Array<{name, file, description, inputs}>>}
+ */
+export async function listWorkflows() {
+  let entries;
+  try {
+    entries = await fs.readdir(getWorkflowsDir());
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  const workflows = [];
+  for (const entry of entries.filter(e => EXTENSIONS.includes(path.extname(e))).sort()) {
+    const file = path.join(getWorkflowsDir(), entry);
+    try {
+      const { name, description, inputs } = await readWorkflow(file);
+      workflows.push({ name: baseName(entry), title: name, file, description, inputs });
+    } catch (error) {
+      workflows.push({ name: baseName(entry), file, error: error.message });
+    }
+  }
+  return workflows;
+}
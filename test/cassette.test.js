@@ -0,0 +1,58 @@
+/**
+ * Cassette Tests
+ * Recording script calls and replaying them, no DEVONthink required
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dt-cassette-'));
+delete process.env.DT_MEMORY_FILE;
+const memory = await import('../src/backends/memory.js');
+const { recordBackend, replayBackend, readCassette, sanitizeCassette } = await import('../src/backends/cassette.js');
+
+describe('cassettes', () => {
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should replay recorded calls in order and report unmatched ones', async () => {
+    memory.resetLibrary();
+    const file = path.join(dir, 'run.ndjson');
+    const recorder = recordBackend(memory, file);
+
+    const created = await recorder.run('write', 'createRecord', [JSON.stringify({ name: 'Note', type: 'markdown', database: 'Inbox' })]);
+    await recorder.run('read', 'getRecordProperties', [created.uuid, 'tags']);
+    await recorder.run('write', 'batchTag', [JSON.stringify([{ uuid: created.uuid, tags: ['a'] }])]);
+    await recorder.run('read', 'getRecordProperties', [created.uuid, 'tags']);
+    assert.strictEqual(readCassette(file).length, 4);
+
+    const replay = replayBackend(file);
+    const props = () => replay.run('read', 'getRecordProperties', [created.uuid, 'tags']);
+    assert.deepStrictEqual((await props()).tags, []);
+    assert.deepStrictEqual((await props()).tags, ['a']);
+    assert.deepStrictEqual((await props()).tags, ['a']);
+    assert.strictEqual(await replay.isRunning(), true);
+
+    const missing = await replay.run('read', 'search', ['nothing']);
+    assert.strictEqual(missing.success, false);
+    assert.match(missing.error, /No recorded response for read\/search \["nothing"\]/);
+  });
+
+  it('should sanitize UUIDs and names consistently', () => {
+    const uuid = '3DAB969D-B963-4056-ABE5-4990E2243F59';
+    const { entries, uuids, names } = sanitizeCassette([
+      { category: 'read', script: 'getRecordProperties', args: [uuid], response: { uuid, name: 'Notes of jane doe', path: '/Users/jane/Databases/x' } },
+      { category: 'write', script: 'batchTag', args: [JSON.stringify([{ uuid: uuid.toLowerCase(), tags: ['Jane Doe'] }])], response: { success: true } }
+    ], { names: ['Jane Doe'] });
+
+    const fake = '00000000-0000-4000-8000-000000000001';
+    assert.deepStrictEqual(entries[0].args, [fake]);
+    assert.deepStrictEqual(entries[0].response, { uuid: fake, name: 'Notes of Person 1', path: '/Users/user/Databases/x' });
+    assert.deepStrictEqual(JSON.parse(entries[1].args[0]), [{ uuid: fake, tags: ['Person 1'] }]);
+    assert.deepStrictEqual({ uuids, names }, { uuids: 1, names: 1 });
+  });
+});
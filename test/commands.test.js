@@ -18,6 +18,7 @@ import {
   recordExists,
   cleanupTestRecords,
   uniqueName,
+  needsDevonthink,
   TEST_DATABASE
 } from './helpers.js';
 
@@ -81,6 +82,7 @@ describe('DevonThink CLI Commands', () => {
       it('should fail for invalid UUID', async () => {
         const result = await runCommand(['get', 'props', 'INVALID-UUID'], { expectFailure: true });
         assert.strictEqual(result.success, false);
+        assert.strictEqual(result.code, 'RECORD_NOT_FOUND');
       });
     });
 
@@ -776,7 +778,7 @@ describe('DevonThink CLI Commands', () => {
   // ============================================================
   // CLASSIFY COMMAND
   // ============================================================
-  describe('classify command', () => {
+  describe('classify command', { skip: needsDevonthink('Classification') }, () => {
     let classifyTestUuid;
 
     before(async () => {
@@ -874,7 +876,7 @@ describe('DevonThink CLI Commands', () => {
   // ============================================================
   // CONVERT COMMAND
   // ============================================================
-  describe('convert command', () => {
+  describe('convert command', { skip: needsDevonthink('Conversion') }, () => {
     let convertTestUuid;
 
     before(async () => {
@@ -1075,7 +1077,7 @@ describe('DevonThink CLI Commands', () => {
   // ============================================================
   // CHAT COMMANDS
   // ============================================================
-  describe('chat commands', () => {
+  describe('chat commands', { skip: needsDevonthink('AI chat') }, () => {
     describe('chat models', () => {
       it('should list models for default engine', async () => {
         const result = await runCommand(['chat', 'models']);
@@ -1740,7 +1742,408 @@ describe('DevonThink CLI Commands', () => {
       assert.ok(!props.tags.includes(deleteTag));
     });
 
-    it('should run chat via queue and store response', async () => {
+    it('should duplicate via queue and expose $N.uuid to later tasks', async () => {
+      const tag = uniqueName('QueueDuplicateTag');
+      const sourceUuid = await createTestRecord({
+        name: uniqueName('QueueDuplicateSource')
+      });
+      const destGroupUuid = await createTestGroup(uniqueName('QueueDuplicateDest'));
+      createdRecords.push(sourceUuid, destGroupUuid);
+
+      const dupResult = await runCommand([
+        'queue', 'add', 'duplicate',
+        '--uuid', sourceUuid,
+        '--destination', destGroupUuid
+      ]);
+      assert.strictEqual(dupResult.success, true);
+      const dupTaskId = dupResult.taskIds[0];
+
+      const tagResult = await runCommand([
+        'queue', 'add', 'tag.add',
+        '--uuid', `$${dupTaskId}.uuid`,
+        '--tags', tag
+      ]);
+      assert.strictEqual(tagResult.success, true);
+
+      const execResult = await runCommand(['queue', 'execute']);
+      assert.strictEqual(execResult.success, true);
+
+      const status = await runCommand(['queue', 'status', '--all']);
+      const dupTask = status.tasks.find(t => t.id === dupTaskId);
+      assert.ok(dupTask.result.uuid);
+      assert.notStrictEqual(dupTask.result.uuid, sourceUuid);
+      createdRecords.push(dupTask.result.uuid);
+
+      const props = await getRecordProps(dupTask.result.uuid);
+      assert.ok(props.tags.includes(tag));
+    });
+
+    it('should execute independent tasks in parallel mode', async () => {
+      const tagA = uniqueName('QueueParallelA');
+      const tagB = uniqueName('QueueParallelB');
+      const recordUuid = await createTestRecord({
+        name: uniqueName('QueueParallelRecord')
+      });
+      createdRecords.push(recordUuid);
+
+      await runCommand(['queue', 'add', 'tag.add', '--uuid', recordUuid, '--tags', tagA]);
+      await runCommand(['queue', 'add', 'modify', '--uuid', recordUuid]);
+      await runCommand(['queue', 'add', 'tag.add', '--uuid', recordUuid, '--tags', tagB]);
+
+      const execResult = await runCommand([
+        'queue', 'execute',
+        '--mode', 'parallel',
+        '--concurrency', '2'
+      ]);
+      assert.strictEqual(execResult.success, true);
+      assert.strictEqual(execResult.completed, 3);
+
+      const props = await getRecordProps(recordUuid);
+      assert.ok(props.tags.includes(tagA));
+      assert.ok(props.tags.includes(tagB));
+    });
+
+    it('should fail only the affected tasks of a partial batch', async () => {
+      const tagGood = uniqueName('QueueBatchGood');
+      const recordUuid = await createTestRecord({
+        name: uniqueName('QueueBatchRecord'),
+        tags: []
+      });
+      createdRecords.push(recordUuid);
+
+      const goodResult = await runCommand(['queue', 'add', 'tag.add', '--uuid', recordUuid, '--tags', tagGood]);
+      const badResult = await runCommand([
+        'queue', 'add', 'tag.add',
+        '--uuid', '00000000-0000-0000-0000-000000000000',
+        '--tags', tagGood
+      ]);
+
+      const execResult = await runCommand(['queue', 'execute'], { expectFailure: true });
+      assert.strictEqual(execResult.success, false);
+      assert.strictEqual(execResult.failed, 1);
+
+      const status = await runCommand(['queue', 'status', '--all']);
+      const goodTask = status.tasks.find(t => t.id === goodResult.taskIds[0]);
+      const badTask = status.tasks.find(t => t.id === badResult.taskIds[0]);
+      assert.strictEqual(goodTask.status, 'completed');
+      assert.strictEqual(goodTask.result.uuid, recordUuid);
+      assert.strictEqual(badTask.status, 'failed');
+
+      const props = await getRecordProps(recordUuid);
+      assert.ok(props.tags.includes(tagGood));
+    });
+
+    it('should roll back completed tasks in transactional mode', async () => {
+      const tag = uniqueName('QueueTxTag');
+      const recordUuid = await createTestRecord({
+        name: uniqueName('QueueTxRecord'),
+        tags: []
+      });
+      createdRecords.push(recordUuid);
+
+      await runCommand(['queue', 'add', 'tag.add', '--uuid', recordUuid, '--tags', tag]);
+      await runCommand([
+        'queue', 'add', 'move',
+        '--uuid', recordUuid,
+        '--destination', '00000000-0000-0000-0000-000000000000'
+      ]);
+
+      const execResult = await runCommand(['queue', 'execute', '--mode', 'transactional'], { expectFailure: true });
+      assert.strictEqual(execResult.success, false);
+      assert.ok(execResult.rollback);
+      assert.ok(execResult.rollback.compensations.every(c => c.success));
+
+      const props = await getRecordProps(recordUuid);
+      assert.ok(!props.tags.includes(tag));
+    });
+
+    it('should fan out forEach tasks over search results', async () => {
+      const tag = uniqueName('QueueForEachTag');
+      const prefix = uniqueName('QueueForEach');
+      const uuidA = await createTestRecord({ name: `${prefix} A` });
+      const uuidB = await createTestRecord({ name: `${prefix} B` });
+      createdRecords.push(uuidA, uuidB);
+
+      const searchResult = await runCommand([
+        'queue', 'add', 'search',
+        '--query', `name:${prefix}`,
+        '--database', TEST_DATABASE.name
+      ]);
+      const searchTaskId = searchResult.taskIds[0];
+
+      const tagResult = await runCommand([
+        'queue', 'add', 'tag.add',
+        '--for-each', `$${searchTaskId}.results`,
+        '--uuid', '$item.uuid',
+        '--tags', tag
+      ]);
+      assert.strictEqual(tagResult.success, true);
+
+      const execResult = await runCommand(['queue', 'execute']);
+      assert.strictEqual(execResult.success, true);
+
+      const status = await runCommand(['queue', 'status', '--all']);
+      const fanOutTask = status.tasks.find(t => t.id === tagResult.taskIds[0]);
+      assert.strictEqual(fanOutTask.result.forEach, true);
+      assert.strictEqual(fanOutTask.result.count, 2);
+
+      for (const uuid of [uuidA, uuidB]) {
+        const props = await getRecordProps(uuid);
+        assert.ok(props.tags.includes(tag));
+      }
+    });
+
+    it('should skip guarded tasks and their dependents', async () => {
+      const tag = uniqueName('QueueWhenTag');
+      const skippedTag = uniqueName('QueueWhenSkipped');
+      const recordUuid = await createTestRecord({
+        name: uniqueName('QueueWhenRecord'),
+        tags: []
+      });
+      createdRecords.push(recordUuid);
+
+      const first = await runCommand(['queue', 'add', 'tag.add', '--uuid', recordUuid, '--tags', tag]);
+      const firstId = first.taskIds[0];
+      const guarded = await runCommand([
+        'queue', 'add', 'tag.add',
+        '--when', `$${firstId}.uuid != "${recordUuid}"`,
+        '--uuid', recordUuid,
+        '--tags', skippedTag
+      ]);
+      const guardedId = guarded.taskIds[0];
+      const dependent = await runCommand([
+        'queue', 'add', 'tag.add',
+        '--uuid', `$${guardedId}.uuid`,
+        '--tags', skippedTag
+      ]);
+
+      const execResult = await runCommand(['queue', 'execute']);
+      assert.strictEqual(execResult.success, true);
+      assert.strictEqual(execResult.skipped, 2);
+
+      const status = await runCommand(['queue', 'status', '--all']);
+      const guardedTask = status.tasks.find(t => t.id === guardedId);
+      const dependentTask = status.tasks.find(t => t.id === dependent.taskIds[0]);
+      assert.strictEqual(guardedTask.status, 'skipped');
+      assert.match(guardedTask.skipReason, /Condition not met/);
+      assert.strictEqual(dependentTask.status, 'skipped');
+      assert.match(dependentTask.skipReason, new RegExp(`Dependency task ${guardedId}`));
+
+      const props = await getRecordProps(recordUuid);
+      assert.ok(props.tags.includes(tag));
+      assert.ok(!props.tags.includes(skippedTag));
+    });
+
+    it('should run tasks in dependency order and render the graph', async () => {
+      const tag = uniqueName('QueueDagTag');
+      const recordUuid = await createTestRecord({
+        name: uniqueName('QueueDagRecord'),
+        tags: []
+      });
+      const destGroupUuid = await createTestGroup(uniqueName('QueueDagDest'));
+      createdRecords.push(recordUuid, destGroupUuid);
+
+      // The tag task references the duplicate task, which is added after it
+      const status = await runCommand(['queue', 'status', '--all']);
+      const nextId = status.tasks.reduce((max, t) => Math.max(max, t.id), 0) + 1;
+      const tagTask = await runCommand([
+        'queue', 'add', 'tag.add',
+        '--uuid', `$${nextId + 1}.uuid`,
+        '--tags', tag
+      ]);
+      const dupTask = await runCommand([
+        'queue', 'add', 'duplicate',
+        '--uuid', recordUuid,
+        '--destination', destGroupUuid
+      ]);
+      assert.strictEqual(dupTask.taskIds[0], nextId + 1);
+
+      const graph = await runCommand(['queue', 'list', '--graph']);
+      assert.deepStrictEqual(graph.cycles, []);
+      assert.ok(graph.edges.some(e => e.from === dupTask.taskIds[0] && e.to === tagTask.taskIds[0]));
+      assert.ok(graph.order.indexOf(dupTask.taskIds[0]) < graph.order.indexOf(tagTask.taskIds[0]));
+
+      const validation = await runCommand(['queue', 'validate']);
+      assert.strictEqual(validation.valid, true);
+
+      const execResult = await runCommand(['queue', 'execute']);
+      assert.strictEqual(execResult.success, true);
+
+      const after = await runCommand(['queue', 'status', '--all']);
+      const duplicated = after.tasks.find(t => t.id === dupTask.taskIds[0]);
+      createdRecords.push(duplicated.result.uuid);
+      const props = await getRecordProps(duplicated.result.uuid);
+      assert.ok(props.tags.includes(tag));
+    });
+
+    it('should retry failed tasks and keep every attempt in the error', async () => {
+      const addResult = await runCommand([
+        'queue', 'add', 'tag.add',
+        '--uuid', '00000000-0000-0000-0000-000000000000',
+        '--tags', uniqueName('QueueRetryTag'),
+        '--retry', '2',
+        '--backoff', '10',
+        '--timeout', '30000'
+      ]);
+      const taskId = addResult.taskIds[0];
+
+      const execResult = await runCommand(['queue', 'execute'], { expectFailure: true });
+      assert.strictEqual(execResult.success, false);
+
+      const status = await runCommand(['queue', 'status', '--all']);
+      const task = status.tasks.find(t => t.id === taskId);
+      assert.strictEqual(task.status, 'failed');
+      assert.match(task.error, /^Failed after 2 attempts: attempt 1: .*; attempt 2: /);
+      assert.strictEqual(task.attempts.length, 2);
+      assert.ok(task.attempts.every(a => a.error));
+    });
+
+    it('should archive runs and rerun their failed tasks', async () => {
+      const name = uniqueName('runs');
+      const tag = uniqueName('QueueRunTag');
+      const recordUuid = await createTestRecord({ name: uniqueName('QueueRunRecord'), tags: [] });
+      createdRecords.push(recordUuid);
+
+      await runCommand(['queue', '--name', name, 'add', 'tag.add', '--uuid', recordUuid, '--tags', tag]);
+      await runCommand([
+        'queue', '--name', name, 'add', 'tag.add',
+        '--uuid', '00000000-0000-0000-0000-000000000000',
+        '--tags', tag
+      ]);
+      const execResult = await runCommand(['queue', '--name', name, 'execute'], { expectFailure: true });
+      assert.ok(execResult.runId);
+
+      const runs = await runCommand(['queue', '--name', name, 'runs']);
+      assert.strictEqual(runs[0].id, execResult.runId);
+      assert.strictEqual(runs[0].summary.completed, 1);
+      assert.strictEqual(runs[0].summary.failed, 1);
+
+      const run = await runCommand(['queue', 'run', 'show', execResult.runId]);
+      const [ok, failed] = run.tasks;
+      assert.deepStrictEqual(ok.resolvedParams.uuid, recordUuid);
+      assert.ok(ok.durationMs >= 0);
+      assert.strictEqual(failed.status, 'failed');
+      assert.ok(failed.error);
+
+      const rerun = await runCommand(['queue', '--name', `${name}-retry`, 'rerun', execResult.runId, '--failed-only']);
+      assert.strictEqual(rerun.count, 1);
+      const status = await runCommand(['queue', '--name', `${name}-retry`, 'status']);
+      assert.strictEqual(status.tasks.length, 1);
+      assert.deepStrictEqual(status.tasks[0].params.uuid, '00000000-0000-0000-0000-000000000000');
+    });
+
+    it('should stream progress events as NDJSON', async () => {
+      const name = uniqueName('events');
+      const recordUuid = await createTestRecord({ name: uniqueName('QueueEventsRecord'), tags: [] });
+      createdRecords.push(recordUuid);
+
+      await runCommand(['queue', '--name', name, 'add', 'tag.add', '--uuid', recordUuid, '--tags', uniqueName('QueueEventsA')]);
+      await runCommand(['queue', '--name', name, 'add', 'tag.add', '--uuid', recordUuid, '--tags', uniqueName('QueueEventsB')]);
+      const result = await runCommand(['queue', '--name', name, 'execute', '--events', 'ndjson']);
+
+      const events = result.output.split('\n').map(line => JSON.parse(line));
+      assert.deepStrictEqual(
+        events.map(e => e.type),
+        ['run.started', 'batch.formed', 'task.started', 'task.started', 'task.completed', 'task.completed', 'run.finished']
+      );
+      assert.deepStrictEqual(events[1].taskIds, [1, 2]);
+      assert.strictEqual(events[5].progress.done, 2);
+      assert.strictEqual(events[5].progress.total, 2);
+      assert.strictEqual(events[6].success, true);
+    });
+
+    it('should keep named queues apart and restore them from snapshots', async () => {
+      const name = uniqueName('nightly');
+      const recordUuid = await createTestRecord({ name: uniqueName('QueueNamedRecord'), tags: [] });
+      createdRecords.push(recordUuid);
+
+      const addResult = await runCommand([
+        'queue', '--name', name, 'add', 'tag.add',
+        '--uuid', recordUuid,
+        '--tags', uniqueName('QueueNamedTag')
+      ]);
+      assert.strictEqual(addResult.queue, name);
+      assert.deepStrictEqual(addResult.taskIds, [1]);
+
+      const queues = await runCommand(['queue', 'ls']);
+      const listed = queues.find(q => q.name === name);
+      assert.strictEqual(listed.summary.pending, 1);
+      assert.strictEqual(listed.locked, false);
+
+      const defaultStatus = await runCommand(['queue', 'status', '--all']);
+      assert.ok(!defaultStatus.tasks.some(t => t.params.uuid === recordUuid));
+
+      const snapshotFile = resolve(queueConfigDir, 'snapshot.yaml');
+      const snapshot = await runCommand(['queue', '--name', name, 'snapshot', snapshotFile]);
+      assert.strictEqual(snapshot.tasks, 1);
+
+      const refused = await runCommand(['queue', 'restore', snapshotFile], { expectFailure: true });
+      assert.strictEqual(refused.success, false);
+      assert.match(refused.error, /already has 1 task/);
+
+      const restored = await runCommand(['queue', '--name', `${name}-copy`, 'restore', snapshotFile]);
+      assert.strictEqual(restored.queue, `${name}-copy`);
+
+      const execResult = await runCommand(['queue', '--name', name, 'execute']);
+      assert.strictEqual(execResult.success, true);
+      assert.strictEqual(execResult.queue, name);
+
+      const copyStatus = await runCommand(['queue', '--name', `${name}-copy`, 'status']);
+      assert.strictEqual(copyStatus.tasks[0].status, 'pending');
+    });
+
+    it('should defer tasks that are not due yet', async () => {
+      const name = uniqueName('scheduled');
+      const recordUuid = await createTestRecord({ name: uniqueName('QueueScheduleRecord'), tags: [] });
+      createdRecords.push(recordUuid);
+
+      await runCommand(['queue', '--name', name, 'add', 'tag.add', '--uuid', recordUuid, '--tags', uniqueName('QueueLater'), '--not-before', '+1d']);
+      await runCommand(['queue', '--name', name, 'add', 'tag.add', '--uuid', recordUuid, '--tags', uniqueName('QueueSoon'), '--deadline', '+1h']);
+      await runCommand(['queue', '--name', name, 'add', 'tag.add', '--uuid', recordUuid, '--tags', uniqueName('QueueAnytime')]);
+
+      await runCommand(['queue', '--name', name, 'add', 'tag.add', '--uuid', recordUuid, '--tags', uniqueName('QueueNextWeek'), '--deadline', '+7d']);
+
+      // Tasks without a deadline are due; a later deadline waits
+      const dueSoon = await runCommand(['queue', '--name', name, 'execute', '--until', '+2h', '--verbose']);
+      assert.strictEqual(dueSoon.success, true);
+      assert.strictEqual(dueSoon.completed, 2);
+      assert.strictEqual(dueSoon.deferred, 2);
+      assert.match(dueSoon.results.find(r => r.id === 1).reason, /^Not before /);
+      assert.match(dueSoon.results.find(r => r.id === 4).reason, /^Not due by /);
+
+      const rest = await runCommand(['queue', '--name', name, 'execute']);
+      assert.strictEqual(rest.completed, 1);
+      assert.strictEqual(rest.deferred, 1);
+
+      const status = await runCommand(['queue', '--name', name, 'status']);
+      assert.strictEqual(status.status, 'pending');
+      assert.deepStrictEqual(status.tasks.map(t => t.id), [1]);
+    });
+
+    it('should simulate a queue without changing records', async () => {
+      const name = uniqueName('simulated');
+      const recordUuid = await createTestRecord({ name: uniqueName('QueueSimulateRecord'), tags: [] });
+      createdRecords.push(recordUuid);
+      const tag = uniqueName('QueueSimulated');
+
+      await runCommand(['queue', '--name', name, 'add', 'tag.add', '--uuid', recordUuid, '--tags', tag]);
+      await runCommand(['queue', '--name', name, 'add', 'delete', '--uuid', recordUuid]);
+      await runCommand(['queue', '--name', name, 'add', 'tag.remove', '--uuid', recordUuid, '--tags', tag]);
+
+      const result = await runCommand(['queue', '--name', name, 'execute', '--simulate'], { expectFailure: true });
+      assert.strictEqual(result.simulated, true);
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.records[0].uuid, recordUuid);
+      assert.strictEqual(result.records[0].deletedBy, 2);
+      assert.deepStrictEqual(result.conflicts.map(c => [c.taskId, c.type]), [[3, 'deleted']]);
+
+      const props = await runCommand(['get', 'props', recordUuid]);
+      assert.ok(!props.tags.includes(tag));
+      const status = await runCommand(['queue', '--name', name, 'status']);
+      assert.strictEqual(status.summary.pending, 3);
+    });
+
+    it('should run chat via queue and store response', { skip: needsDevonthink('AI chat') }, async () => {
       const prompt = `Say hello from queue ${uniqueName('QueueChat')}`;
 
       const addResult = await runCommand([
@@ -1758,6 +2161,28 @@ describe('DevonThink CLI Commands', () => {
       assert.strictEqual(chatTask.result.success, true);
       assert.ok(chatTask.result.response !== undefined);
     });
+
+    it('should undo and redo a modify', async () => {
+      const name = uniqueName('UndoRecord');
+      const recordUuid = await createTestRecord({ name, tags: ['undo-before'] });
+      createdRecords.push(recordUuid);
+
+      const modifyResult = await runCommand(['modify', recordUuid, '-n', `${name}-renamed`, '--set-tags', 'undo-after']);
+      assert.strictEqual(modifyResult.success, true);
+
+      const undoResult = await runCommand(['undo']);
+      assert.strictEqual(undoResult.success, true);
+      assert.strictEqual(undoResult.entries[0].action, 'modify');
+      let props = await getRecordProps(recordUuid);
+      assert.strictEqual(props.name, name);
+      assert.deepStrictEqual(props.tags, ['undo-before']);
+
+      const redoResult = await runCommand(['redo']);
+      assert.strictEqual(redoResult.success, true);
+      props = await getRecordProps(recordUuid);
+      assert.strictEqual(props.name, `${name}-renamed`);
+      assert.deepStrictEqual(props.tags, ['undo-after']);
+    });
   });
 
   // ============================================================
@@ -0,0 +1,36 @@
+/**
+ * Error Code Tests
+ * Codes and exit codes of failures, no DEVONthink required
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { EXIT_CODES, codedError, errorCode, exitCode, withErrorCode } from '../src/errors.js';
+
+describe('error codes', () => {
+  it('should keep an explicit code and derive one from the message otherwise', () => {
+    assert.strictEqual(errorCode(codedError('AI_FAILURE', 'Record not found: X')), 'AI_FAILURE');
+    assert.strictEqual(errorCode({ success: false, error: 'Record not found: X' }), 'RECORD_NOT_FOUND');
+    assert.strictEqual(errorCode('Database not found: Archive'), 'DATABASE_NOT_FOUND');
+    assert.strictEqual(errorCode(new Error('Group not found with UUID: X')), 'GROUP_NOT_FOUND');
+    assert.strictEqual(errorCode('Script timed out (task timeout reached)'), 'TIMEOUT');
+    assert.strictEqual(errorCode('execution error: Not authorized to send Apple events to DEVONthink. (-1743)'), 'PERMISSION_DENIED');
+    assert.strictEqual(errorCode('Usage: batchTag.js JSON_ARRAY'), 'INVALID_ARGUMENT');
+    // Codes that are not ours (e.g. from node:fs) do not count
+    assert.strictEqual(errorCode(Object.assign(new Error('boom'), { code: 'ENOENT' })), 'ERROR');
+  });
+
+  it('should map codes to their documented exit codes', () => {
+    assert.strictEqual(exitCode(codedError('INVALID_ARGUMENT', 'x')), 2);
+    assert.strictEqual(exitCode({ success: false, error: 'DEVONthink is not running' }), EXIT_CODES.APP_NOT_RUNNING);
+    assert.strictEqual(exitCode(new Error('something else')), 1);
+    assert.strictEqual(new Set(Object.values(EXIT_CODES)).size, Object.keys(EXIT_CODES).length);
+  });
+
+  it('should add a code to failed script results only', () => {
+    const ok = { success: true, uuid: 'X' };
+    assert.strictEqual(withErrorCode(ok), ok);
+    assert.deepStrictEqual(withErrorCode({ success: false, error: 'Tag not found: a' }), { success: false, error: 'Tag not found: a', code: 'TAG_NOT_FOUND' });
+    assert.strictEqual(withErrorCode({ success: false, error: 'Record not found: X', code: 'AI_FAILURE' }).code, 'AI_FAILURE');
+  });
+});
@@ -1,11 +1,17 @@
 /**
  * Test Helpers for DevonThink CLI
  * Provides utilities for testing commands against Test_Database
+ *
+ * With DT_BACKEND=memory the tests run against the in-memory backend instead of
+ * DEVONthink: Test_Database is created in a library file (DT_MEMORY_FILE) that the
+ * spawned dt processes share.
  */
 
 import { execFile } from 'node:child_process';
 import { promisify } from 'node:util';
-import { resolve } from 'node:path';
+import { resolve, join } from 'node:path';
+import { mkdtempSync } from 'node:fs';
+import { tmpdir } from 'node:os';
 
 const execFileAsync = promisify(execFile);
 
@@ -16,6 +22,32 @@ export const TEST_DATABASE = {
   itemLink: 'x-devonthink-item://3DAB969D-B963-4056-ABE5-4990E2243F59'
 };
 
+// In-memory backend (DT_BACKEND=memory), or null for DEVONthink
+const memory = process.env.DT_BACKEND === 'memory' ? await import('../src/backends/memory.js') : null;
+if (memory) {
+  process.env.DT_MEMORY_FILE ||= join(mkdtempSync(join(tmpdir(), 'dt-memory-')), 'library.json');
+  memory.addDatabase({ name: TEST_DATABASE.name, uuid: TEST_DATABASE.uuid });
+}
+
+/**
+ * Skip reason for tests of features the memory backend does not model (AI, conversion),
+ * or false when running against DEVONthink
+ * @param {string} feature - e.g. 'AI chat'
+ * @returns {string|false} Pass as the `skip` option of describe/it
+ */
+export function needsDevonthink(feature) {
+  return memory ? `${feature} is not modelled by the memory backend (DT_BACKEND=memory)` : false;
+}
+
+/**
+ * Run a script on the memory backend, throwing on failure
+ */
+async function runMemoryScript(category, scriptName, args) {
+  const result = await memory.run(category, scriptName, args);
+  if (!result.success) throw new Error(result.error);
+  return result;
+}
+
 // Path to the CLI binary
 const CLI_PATH = resolve(import.meta.dirname, '../bin/dt.js');
 
@@ -147,6 +179,16 @@ export async function createTestRecord(options = {}) {
     tags = []
   } = options;
 
+  if (memory) {
+    const destination = group === '/'
+      ? '/'
+      : (await runMemoryScript('write', 'resolveOrCreateGroup', [JSON.stringify({ database: TEST_DATABASE.name, path: group })])).uuid;
+    const result = await runMemoryScript('write', 'createRecord', [JSON.stringify({
+      name, type, content, tags, database: TEST_DATABASE.name, groupPath: destination
+    })]);
+    return result.uuid;
+  }
+
   const script = `
     ObjC.import("Foundation");
     try {
@@ -192,6 +234,13 @@ export async function createTestRecord(options = {}) {
  * @returns {Promise<string>} UUID of created group
  */
 export async function createTestGroup(name, parent = '/') {
+  if (memory) {
+    const result = await runMemoryScript('write', 'createRecord', [JSON.stringify({
+      name, type: 'group', database: TEST_DATABASE.name, groupPath: parent
+    })]);
+    return result.uuid;
+  }
+
   const script = `
     ObjC.import("Foundation");
     try {
@@ -233,6 +282,11 @@ export async function createTestGroup(name, parent = '/') {
  * @param {string} uuid - Record UUID
  */
 export async function deleteTestRecord(uuid) {
+  if (memory) {
+    await memory.run('write', 'deleteRecord', [uuid]);
+    return;
+  }
+
   const script = `
     ObjC.import("Foundation");
     try {
@@ -255,6 +309,14 @@ export async function deleteTestRecord(uuid) {
  * @returns {Promise<object>} Record properties
  */
 export async function getRecordProps(uuid) {
+  if (memory) {
+    const props = await memory.run('read', 'getRecordProperties', [uuid]);
+    if (!props.success) return props;
+    const { location } = await memory.run('read', 'getRecordPath', [uuid, 'dbpath']);
+    const { name, recordType: type, tags, comment } = props;
+    return { success: true, uuid: props.uuid, name, type, tags, comment, annotation: '', location };
+  }
+
   const script = `
     ObjC.import("Foundation");
     try {
@@ -288,6 +350,11 @@ export async function getRecordProps(uuid) {
  * @returns {Promise<any>} Custom metadata value
  */
 export async function getCustomMetadata(uuid, field) {
+  if (memory) {
+    const result = await memory.run('read', 'getCustomMetadata', [JSON.stringify({ uuid, field })]);
+    return result.value;
+  }
+
   const script = `
     ObjC.import("Foundation");
     try {
@@ -311,6 +378,11 @@ export async function getCustomMetadata(uuid, field) {
  * @returns {Promise<boolean>}
  */
 export async function recordExists(uuid) {
+  if (memory) {
+    const result = await memory.run('read', 'getRecordProperties', [uuid]);
+    return result.success === true;
+  }
+
   const script = `
     ObjC.import("Foundation");
     try {
@@ -344,6 +416,11 @@ export async function cleanupTestRecords(uuids) {
  * Empty the trash in Test_Database
  */
 export async function emptyTestTrash() {
+  if (memory) {
+    memory.emptyTrash(TEST_DATABASE.uuid);
+    return;
+  }
+
   const script = `
     ObjC.import("Foundation");
     try {
@@ -0,0 +1,152 @@
+/**
+ * History Tests
+ * Inverse actions and undo/redo bookkeeping, against the memory backend
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+// The config directory is fixed when cache.js is loaded
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dt-history-'));
+process.env.DT_CONFIG_DIR = dir;
+process.env.DT_BACKEND = 'memory';
+delete process.env.DT_MEMORY_FILE;
+const { runJxa } = await import('../src/jxa-runner.js');
+const { resetLibrary } = await import('../src/backends/memory.js');
+const { addTasks, executeQueue } = await import('../src/queue.js');
+const { inverseFromResult, getRunInverse, captureInverse, recordAction, undo, redo } = await import('../src/history.js');
+const { getHistory, markActionReversed } = await import('../src/state.js');
+
+describe('history', () => {
+  before(() => resetLibrary({ databases: [{ name: 'Notes' }] }));
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should build inverses from results', async () => {
+    assert.deepStrictEqual(inverseFromResult('create', { success: true, uuid: 'N1' }), [
+      { action: 'delete', params: { uuid: 'N1' } }
+    ]);
+    assert.deepStrictEqual(inverseFromResult('create', { forEach: true, results: [{ uuid: 'N1' }, { uuid: 'N2' }] }), [
+      { action: 'delete', params: { uuid: 'N1' } },
+      { action: 'delete', params: { uuid: 'N2' } }
+    ]);
+    assert.deepStrictEqual(inverseFromResult('tag.merge', {
+      success: true,
+      target: 'ai',
+      sourceRecords: { AI: ['A', 'B'], 'a.i.': [] },
+      targetRecords: ['B', 'C']
+    }), [
+      { action: 'tag.add', params: { uuids: ['A', 'B'], tags: ['AI'] } },
+      { action: 'tag.remove', params: { uuids: ['A'], tags: ['ai'] } }
+    ]);
+    assert.deepStrictEqual(inverseFromResult('tag.delete', {
+      success: true,
+      deleted: [{ name: 'old', records: ['A'] }, { name: 'empty', records: [] }]
+    }), [{ action: 'tag.add', params: { uuids: ['A'], tags: ['old'] } }]);
+    assert.deepStrictEqual(inverseFromResult('tag.merge', { success: true, dryRun: true }), []);
+    assert.deepStrictEqual(await captureInverse('tag.rename', { database: 'R', from: 'a', to: 'b' }), {
+      action: 'tag.rename', params: { database: 'R', from: 'b', to: 'a' }
+    });
+  });
+
+  it('should undo a queue run last task first', () => {
+    const { inverse, irreversible } = getRunInverse([
+      { id: 1, action: 'move', status: 'completed', compensation: { action: 'move', params: { uuid: 'A', destination: 'G' } } },
+      { id: 2, action: 'search', status: 'completed' },
+      { id: 3, action: 'tag.add', status: 'completed', compensation: [{ action: 'tag.set', params: { uuid: 'A', tags: [] } }] },
+      { id: 4, action: 'organize', status: 'completed' },
+      { id: 5, action: 'move', status: 'failed', compensation: { action: 'move', params: { uuid: 'B', destination: 'G' } } }
+    ]);
+    assert.deepStrictEqual(inverse.map(s => s.action), ['tag.set', 'move']);
+    assert.deepStrictEqual(irreversible, [4]);
+  });
+
+  it('should pick entries to undo and redo', async () => {
+    await assert.rejects(undo(), /Nothing to undo/);
+    await recordAction('move', { records: ['A'] }, { success: true }, [{ action: 'move', params: { uuid: 'A', destination: 'G1' } }]);
+    await recordAction('search', { query: 'x' }, { success: true });
+    await recordAction('tag.add', { uuids: ['B'] }, { success: true }, [{ action: 'tag.set', params: { uuid: 'B', tags: [] } }]);
+    await recordAction('move', { records: ['C'] }, { success: false, error: 'Record not found' });
+
+    const history = await getHistory();
+    assert.deepStrictEqual(history.map(h => [h.action, h.reversible]), [['tag.add', true], ['search', false], ['move', true]]);
+    assert.deepStrictEqual((await getHistory({ action: 'tag' })).map(h => h.action), ['tag.add']);
+
+    const plan = await undo({ steps: 5, dryRun: true });
+    assert.deepStrictEqual(plan.entries.map(e => [e.action, e.steps]), [['tag.add', 1], ['move', 1]]);
+    await assert.rejects(undo({ steps: 0 }), /--steps must be a positive integer/);
+
+    await assert.rejects(redo(), /Nothing to redo/);
+    await markActionReversed(history[2].id, [{ action: 'move', params: { uuid: 'A', destination: 'G2' } }]);
+    await markActionReversed(history[0].id, [{ action: 'tag.set', params: { uuid: 'B', tags: ['x'] } }]);
+    const redoPlan = await redo({ steps: 2, dryRun: true });
+    assert.deepStrictEqual(redoPlan.entries.map(e => e.id), [history[0].id, history[2].id]);
+    assert.deepStrictEqual((await getHistory({ reversibleOnly: true })).length, 0);
+  });
+
+  it('should only keep the captured inverse of what was applied', async () => {
+    const inverse = ['A', 'B'].map(uuid => ({ action: 'move', params: { uuid, destination: 'G' } }));
+    await recordAction('delete', { uuids: ['A', 'B'] }, { success: false, error: 'DEVONthink is not running' }, inverse, { captured: true });
+    await recordAction('delete', { uuids: ['A', 'B'] }, {
+      success: false,
+      errors: [{ uuid: 'A', error: 'Record not found' }, { uuid: 'B', error: 'Record not found' }]
+    }, inverse, { captured: true });
+    await recordAction('delete', { uuids: ['A', 'B'] }, {
+      success: false,
+      deleted: [{ uuid: 'B' }],
+      errors: [{ uuid: 'A', error: 'Record not found' }]
+    }, inverse, { captured: true });
+
+    const [entry, previous] = await getHistory({ limit: 2 });
+    assert.deepStrictEqual(entry.reverseAction, [{ action: 'move', params: { uuid: 'B', destination: 'G' } }]);
+    assert.notStrictEqual(previous.action, 'delete');
+  });
+
+  it('should forget what can be redone when a new reversible action is logged', async () => {
+    await recordAction('tag.add', { uuids: ['D'] }, { success: true }, [{ action: 'tag.set', params: { uuid: 'D', tags: [] } }]);
+    const [entry] = await getHistory({ limit: 1 });
+    await markActionReversed(entry.id, [{ action: 'tag.set', params: { uuid: 'D', tags: ['x'] } }]);
+    assert.deepStrictEqual((await getHistory({ reversedOnly: true })).map(h => h.id), [entry.id]);
+
+    await recordAction('search', { query: 'x' }, { success: true });
+    assert.deepStrictEqual((await getHistory({ reversedOnly: true })).map(h => h.id), [entry.id]);
+    await recordAction('move', { records: ['E'] }, { success: true }, [{ action: 'move', params: { uuid: 'E', destination: 'G' } }]);
+    assert.deepStrictEqual(await getHistory({ reversedOnly: true }), []);
+    await assert.rejects(redo(), /Nothing to redo/);
+  });
+
+  it('should undo the items of a forEach task that failed partway', async () => {
+    const created = await runJxa('write', 'createRecord', [JSON.stringify({ database: 'Notes', name: 'Fan', type: 'markdown', tags: ['old'] })]);
+    const missing = '00000000-0000-0000-0000-000000000000';
+    await addTasks([
+      { action: 'tag.set', params: { uuids: '$item', tags: ['new'] }, forEach: [[created.uuid], [missing]] }
+    ], { queue: 'fan-out' });
+
+    const run = await executeQueue({ queue: 'fan-out' });
+    assert.strictEqual(run.success, false);
+    assert.strictEqual(run.completed, 0);
+    let props = await runJxa('read', 'getRecordProperties', [created.uuid, 'tags']);
+    assert.deepStrictEqual(props.tags, ['new']);
+
+    const [entry] = await getHistory({ limit: 1 });
+    assert.strictEqual(entry.action, 'queue.execute');
+    assert.deepStrictEqual(entry.reverseAction, [{ action: 'tag.set', params: { uuid: created.uuid, tags: ['old'] } }]);
+    assert.strictEqual((await undo()).success, true);
+    props = await runJxa('read', 'getRecordProperties', [created.uuid, 'tags']);
+    assert.deepStrictEqual(props.tags, ['old']);
+  });
+
+  it('should undo a queue run last task first, including partly applied forEach tasks', () => {
+    const { inverse } = getRunInverse([
+      { id: 1, action: 'move', status: 'completed', compensation: { action: 'move', params: { uuid: 'A', destination: 'G' } } },
+      { id: 2, action: 'tag.add', forEach: '$1.uuids', status: 'failed', compensation: [{ action: 'tag.set', params: { uuid: 'A', tags: [] } }] },
+      { id: 3, action: 'tag.add', status: 'failed', compensation: [{ action: 'tag.set', params: { uuid: 'B', tags: [] } }] }
+    ]);
+    assert.deepStrictEqual(inverse.map(s => [s.action, s.params.uuid]), [['tag.set', 'A'], ['move', 'A']]);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Memory Backend Tests
+ * The in-memory DEVONthink answering the jxa/ script contracts, no DEVONthink required
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+// The config directory is fixed when cache.js is loaded
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dt-memory-'));
+process.env.DT_CONFIG_DIR = dir;
+process.env.DT_BACKEND = 'memory';
+delete process.env.DT_MEMORY_FILE;
+const { runJxa } = await import('../src/jxa-runner.js');
+const { resetLibrary } = await import('../src/backends/memory.js');
+const { addTasks, executeQueue, loadQueue } = await import('../src/queue.js');
+const { captureInverses } = await import('../src/history.js');
+
+async function create(props) {
+  const result = await runJxa('write', 'createRecord', [JSON.stringify({ database: 'Notes', type: 'markdown', ...props })]);
+  assert.strictEqual(result.success, true, result.error);
+  return result.uuid;
+}
+
+describe('memory backend', () => {
+  before(() => resetLibrary({ databases: [{ name: 'Notes' }, { name: 'Inbox' }] }));
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should move, replicate and trash records', async () => {
+    const group = await runJxa('write', 'resolveOrCreateGroup', [JSON.stringify({ database: 'Notes', path: '/Projects/Alpha' })]);
+    assert.deepStrictEqual(group.createdParts, ['Projects', 'Alpha']);
+    const note = await create({ name: 'Plan', content: 'Quarterly plan' });
+
+    const moved = await runJxa('write', 'moveRecord', [JSON.stringify({ records: [note], to: '/Projects/Alpha', database: 'Notes' })]);
+    assert.deepStrictEqual(moved.moved.map(m => m.newLocation), ['/Projects/Alpha/']);
+
+    const root = (await runJxa('read', 'listGroupContents', ['Notes', '/'])).uuid;
+    const replicated = await runJxa('write', 'replicateRecord', [note, root]);
+    assert.strictEqual(replicated.replicated[0].replicantUuid, note);
+    const props = await runJxa('read', 'getRecordProperties', [note, 'numberOfReplicants,location']);
+    assert.deepStrictEqual(props, { success: true, numberOfReplicants: 1, location: 'Notes/Projects/Alpha/Plan' });
+
+    const inbox = (await runJxa('read', 'listGroupContents', ['Inbox', '/'])).uuid;
+    const elsewhere = await runJxa('write', 'replicateRecord', [note, inbox]);
+    assert.deepStrictEqual(elsewhere.errors, [{ uuid: inbox, error: 'Replicants must be in the same database' }]);
+
+    await runJxa('write', 'deleteRecord', [note]);
+    const search = await runJxa('read', 'search', ['Quarterly', JSON.stringify({ database: 'Notes' })]);
+    assert.strictEqual(search.totalCount, 0);
+    const missing = await runJxa('read', 'getRecordProperties', ['00000000-0000-0000-0000-000000000000']);
+    assert.strictEqual(missing.error, 'Record not found: 00000000-0000-0000-0000-000000000000');
+  });
+
+  it('should refuse to move a group into itself or below itself', async () => {
+    const dest = await runJxa('write', 'resolveOrCreateGroup', [JSON.stringify({ database: 'Notes', path: '/Dest/Inner' })]);
+    const outer = (await runJxa('read', 'listGroupContents', ['Notes', '/Dest'])).uuid;
+    const note = await create({ name: 'Loose' });
+
+    const moved = await runJxa('write', 'batchMove', [JSON.stringify([
+      { uuid: note, destination: outer },
+      { uuid: outer, destination: outer },
+      { uuid: outer, destination: dest.uuid }
+    ])]);
+    assert.deepStrictEqual(moved.moved.map(m => m.uuid), [note]);
+    assert.deepStrictEqual(moved.errors.map(e => e.error), [
+      'Cannot move a group into itself or one of its subgroups',
+      'Cannot move a group into itself or one of its subgroups'
+    ]);
+    const props = await runJxa('read', 'getRecordProperties', [outer, 'location']);
+    assert.strictEqual(props.location, 'Notes/Dest');
+  });
+
+  it('should tag records and merge, rename and delete tags', async () => {
+    const a = await create({ name: 'A', tags: ['AI'] });
+    const b = await create({ name: 'B', tags: ['ai', 'old'] });
+
+    const tagged = await runJxa('write', 'batchTag', [JSON.stringify([
+      { uuid: a, tags: ['ml'], operation: 'add' },
+      { uuid: b, tags: ['ai'], operation: 'add' },
+      { uuid: 'missing', tags: ['x'] }
+    ])]);
+    assert.deepStrictEqual(tagged.tagged.map(t => t.status), ['updated', 'unchanged']);
+    assert.deepStrictEqual(tagged.errors, [{ index: 2, uuid: 'missing', error: 'Record not found' }]);
+
+    const merged = await runJxa('write', 'mergeTags', [JSON.stringify({ database: 'Notes', target: 'ai', sources: ['AI', 'nope'] })]);
+    assert.deepStrictEqual(merged.sourceRecords, { AI: [a] });
+    assert.deepStrictEqual(merged.notFound, ['nope']);
+
+    const clash = await runJxa('write', 'renameTags', [JSON.stringify({ database: 'Notes', from: 'ml', to: 'ai' })]);
+    assert.match(clash.error, /already exists/);
+    await runJxa('write', 'renameTags', [JSON.stringify({ database: 'Notes', from: 'ml', to: 'learning' })]);
+    await runJxa('write', 'deleteTags', [JSON.stringify({ database: 'Notes', tags: ['old'] })]);
+
+    const tags = await runJxa('read', 'listTags', [JSON.stringify({ database: 'Notes', sort: 'count' })]);
+    assert.deepStrictEqual(tags.tags, [{ tag: 'ai', count: 2 }, { tag: 'learning', count: 1 }]);
+  });
+
+  it('should fill smart groups from their query and run a queue', async () => {
+    const report = await create({ name: 'Report 2026', content: 'budget numbers', tags: ['finance'] });
+    await create({ name: 'Memo', content: 'lunch', tags: ['finance'] });
+    const smart = await create({ name: 'Budget', type: 'smart group', query: 'tag:finance budget' });
+
+    const items = await runJxa('read', 'listSmartGroupItems', [smart]);
+    assert.deepStrictEqual(items.items.map(i => i.uuid), [report]);
+    const updated = await runJxa('write', 'updateSmartGroup', [JSON.stringify({ smartGroupRef: smart, query: 'tag:finance' })]);
+    assert.strictEqual(updated.searchPredicates, 'tag:finance');
+    assert.strictEqual((await runJxa('read', 'listSmartGroupItems', [smart])).count, 2);
+
+    await addTasks([
+      { action: 'search', params: { query: 'name:Report', database: 'Notes' } },
+      { action: 'tag.add', params: { uuids: '$1.results[*].uuid', tags: ['reviewed'] } },
+      { action: 'move', params: { uuid: report, destination: '/Archive', database: 'Notes' } }
+    ], { queue: 'memory' });
+    await runJxa('write', 'resolveOrCreateGroup', [JSON.stringify({ database: 'Notes', path: '/Archive' })]);
+    const run = await executeQueue({ queue: 'memory' });
+    assert.strictEqual(run.success, true);
+
+    const props = await runJxa('read', 'getRecordProperties', [report, 'tags,location']);
+    assert.deepStrictEqual(props, { success: true, tags: ['finance', 'reviewed'], location: 'Notes/Archive/Report 2026' });
+  });
+
+  it('should run only the given tasks and leave the others pending', async () => {
+    const note = await create({ name: 'Subset' });
+    await addTasks([{ action: 'tag.add', params: { uuids: [note], tags: ['other'] } }], { queue: 'subset' });
+    const { taskIds } = await addTasks([{ action: 'tag.add', params: { uuids: [note], tags: ['mine'] } }], { queue: 'subset' });
+
+    const run = await executeQueue({ queue: 'subset', taskIds });
+    assert.strictEqual(run.completed, 1);
+    const queue = await loadQueue('subset');
+    assert.deepStrictEqual(queue.tasks.map(t => t.status), ['pending', 'completed']);
+    assert.strictEqual(queue.status, 'pending');
+    const props = await runJxa('read', 'getRecordProperties', [note, 'tags']);
+    assert.deepStrictEqual(props.tags, ['mine']);
+  });
+
+  it('should read the undo state of a batch at once', async () => {
+    const note = await create({ name: 'Undo', tags: ['draft'] });
+    const root = (await runJxa('read', 'listGroupContents', ['Notes', '/'])).uuid;
+    const missing = '00000000-0000-0000-0000-000000000000';
+
+    const [tagged, moved, partial] = await captureInverses([
+      { action: 'tag.add', params: { uuids: [note], tags: ['final'] } },
+      { action: 'move', params: { uuid: note, destination: '/Archive', database: 'Notes' } },
+      { action: 'tag.remove', params: { uuids: [note, missing], tags: ['draft'] } }
+    ]);
+    assert.deepStrictEqual(tagged.inverse, [{ action: 'tag.set', params: { uuid: note, tags: ['draft'] } }]);
+    assert.deepStrictEqual(moved.inverse, { action: 'move', params: { uuid: note, destination: root } });
+    assert.match(partial.error.message, new RegExp(`Could not capture state of ${missing} for undo: Record not found`));
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * osascript Worker Tests
+ * The worker protocol against a fake osascript on PATH, no DEVONthink required
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+// A fake osascript: worker.js speaks the NDJSON protocol, the first argument of a
+// request picks what the script does; any other call is a process of its own
+const FAKE_OSASCRIPT = `#!${process.execPath}
+const { createInterface } = require('node:readline');
+if (!process.argv.some(arg => arg.endsWith('worker.js'))) {
+  console.log(JSON.stringify({ success: true, fallback: true }));
+  process.exit(0);
+}
+let pings = 0;
+const reply = (message) => process.stdout.write(JSON.stringify(message) + '\\n');
+createInterface({ input: process.stdin }).on('line', (line) => {
+  const request = JSON.parse(line);
+  if (request.ping) {
+    pings++;
+    return reply({ id: request.id, pong: true });
+  }
+  const output = JSON.stringify({ success: true, pid: process.pid, pings });
+  switch (request.args[0]) {
+    case 'hang': return;
+    case 'crash': return process.exit(1);
+    case 'slow': return setTimeout(() => reply({ id: request.id, output }), 200);
+    default: return reply({ id: request.id, output });
+  }
+});
+`;
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dt-worker-'));
+await fs.writeFile(path.join(dir, 'osascript'), FAKE_OSASCRIPT, { mode: 0o755 });
+process.env.PATH = `${dir}${path.delimiter}${process.env.PATH}`;
+process.env.DT_JXA_WORKER = '1';
+const { run } = await import('../src/backends/osascript.js');
+const { workerStatus } = await import('../src/backends/osascript-worker.js');
+
+const call = (behaviour, timeout = 5000) => run('read', 'search', [behaviour], { timeout });
+
+describe('osascript worker', () => {
+  before(() => {
+    assert.strictEqual(workerStatus().running, false);
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should run calls in one pinged worker and send concurrent calls to their own process', async () => {
+    const [first, concurrent] = await Promise.all([call('slow'), call('echo')]);
+    assert.strictEqual(first.pings, 1);
+    assert.deepStrictEqual(concurrent, { success: true, fallback: true });
+
+    const second = await call('echo');
+    assert.strictEqual(second.pid, first.pid);
+    assert.strictEqual(second.pings, 1); // Not idle, so no new ping
+    assert.strictEqual(workerStatus().pid, first.pid);
+  });
+
+  it('should stop a worker whose request times out and start a new one', async () => {
+    const previous = workerStatus().pid;
+    const timedOut = await call('hang', 300);
+    assert.deepStrictEqual(timedOut, { success: false, error: 'Script timed out', code: 'TIMEOUT' });
+    assert.strictEqual(workerStatus().running, false);
+    assert.strictEqual(workerStatus().recentFailures, 1);
+
+    const next = await call('echo');
+    assert.notStrictEqual(next.pid, previous);
+    assert.strictEqual(next.pings, 1);
+  });
+
+  it('should give up the worker after repeated failures and run a process per call', async () => {
+    const crashed = await call('crash');
+    assert.strictEqual(crashed.success, false);
+    assert.match(crashed.error, /^JXA worker exited \(code 1\)/);
+    assert.strictEqual(workerStatus().gaveUp, false);
+
+    await call('crash'); // Third failure within the window
+    assert.strictEqual(workerStatus().gaveUp, true);
+    assert.deepStrictEqual(await call('echo'), { success: true, fallback: true });
+    assert.strictEqual(workerStatus().running, false);
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Payload Transport Tests
+ * Large script arguments passed through temp files, no DEVONthink required
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { existsSync, readFileSync, statSync } from 'node:fs';
+import { PAYLOAD_PREFIX, stagePayloads } from '../src/backends/payload.js';
+
+describe('payload transport', () => {
+  it('should pass a very large batch as a file reference', async () => {
+    const items = Array.from({ length: 20000 }, (_, i) => ({
+      uuid: `3DAB969D-B963-4056-ABE5-${String(i).padStart(12, '0')}`,
+      comment: `Batch item ${i} ` + 'x'.repeat(100)
+    }));
+    const batch = JSON.stringify(items);
+    assert.ok(batch.length > 2 * 1024 * 1024);
+
+    const { args, files, cleanup } = await stagePayloads([batch, 'small']);
+    assert.strictEqual(files.length, 1);
+    assert.strictEqual(args[0], PAYLOAD_PREFIX + files[0]);
+    assert.strictEqual(args[1], 'small');
+    assert.ok(args[0].length < 200);
+    assert.strictEqual(readFileSync(files[0], 'utf8'), batch);
+    assert.strictEqual(statSync(files[0]).mode & 0o777, 0o600);
+
+    await cleanup();
+    assert.strictEqual(existsSync(files[0]), false);
+  });
+
+  it('should stage arguments by size in bytes and ones that look like references', async () => {
+    const { args, files, cleanup } = await stagePayloads(['é'.repeat(600), 'a'.repeat(600), `${PAYLOAD_PREFIX}/etc/passwd`]);
+    assert.strictEqual(files.length, 2);
+    assert.ok(args[0].startsWith(PAYLOAD_PREFIX));
+    assert.strictEqual(args[1], 'a'.repeat(600));
+    assert.strictEqual(readFileSync(args[2].slice(PAYLOAD_PREFIX.length), 'utf8'), `${PAYLOAD_PREFIX}/etc/passwd`);
+    await cleanup();
+  });
+});
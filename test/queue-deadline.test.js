@@ -0,0 +1,66 @@
+/**
+ * Queue Priority and Deadline Tests
+ * Task schedules and held tasks against a fixed clock, no DEVONthink required
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+// The config directory is fixed when cache.js is loaded
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dt-deadline-'));
+process.env.DT_CONFIG_DIR = dir;
+const { parseSchedule, getHeldTasks } = await import('../src/queue.js');
+
+const local = (y, mo, d, h = 0, mi = 0) => new Date(y, mo - 1, d, h, mi);
+
+describe('queue task schedules', () => {
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should resolve a time-of-day deadline after notBefore', () => {
+    const lateEvening = local(2026, 3, 6, 23, 0);
+    assert.deepStrictEqual(parseSchedule({ notBefore: '22:00', deadline: '06:00' }, lateEvening), {
+      notBefore: local(2026, 3, 7, 22, 0).toISOString(),
+      deadline: local(2026, 3, 8, 6, 0).toISOString()
+    });
+
+    const afternoon = local(2026, 3, 6, 15, 0);
+    assert.deepStrictEqual(parseSchedule({ notBefore: '22:00', deadline: '06:00' }, afternoon), {
+      notBefore: local(2026, 3, 6, 22, 0).toISOString(),
+      deadline: local(2026, 3, 7, 6, 0).toISOString()
+    });
+  });
+
+  it('should resolve other deadlines from now', () => {
+    const lateEvening = local(2026, 3, 6, 23, 0);
+    assert.deepStrictEqual(parseSchedule({ deadline: '06:00' }, lateEvening), { deadline: local(2026, 3, 7, 6, 0).toISOString() });
+    assert.throws(
+      () => parseSchedule({ notBefore: '+2h', deadline: '+1h' }, lateEvening),
+      /notBefore \(.*\) is after the deadline/
+    );
+    assert.throws(() => parseSchedule({ priority: 1.5 }), /priority must be an integer/);
+  });
+
+  it('should hold tasks due after --until, and what needs them, but not tasks without a deadline', () => {
+    const now = local(2026, 3, 6, 9, 0);
+    const until = local(2026, 3, 6, 18, 0);
+    const pending = [
+      { id: 1, action: 'tag.add', params: {} },
+      { id: 2, action: 'tag.add', params: {}, deadline: local(2026, 3, 6, 12, 0).toISOString() },
+      { id: 3, action: 'convert', params: {}, deadline: local(2026, 3, 7, 6, 0).toISOString() },
+      { id: 4, action: 'tag.add', params: { uuid: '$3.uuid' } },
+      { id: 5, action: 'move', params: {}, deadline: local(2026, 3, 7, 6, 0).toISOString() },
+      { id: 6, action: 'tag.add', params: {}, dependsOn: [5], deadline: local(2026, 3, 6, 12, 0).toISOString() },
+      { id: 7, action: 'tag.add', params: {}, notBefore: local(2026, 3, 6, 10, 0).toISOString() }
+    ];
+    const held = getHeldTasks(pending, { now, until });
+    assert.deepStrictEqual([...held.keys()].sort(), [3, 4, 7]);
+    assert.match(held.get(3), /^Not due by /);
+    assert.match(held.get(4), /^Waits for task 3/);
+    assert.match(held.get(7), /^Not before /);
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Queue Variable Expression Tests
+ * Pure logic, no DEVONthink required
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  parseExpression,
+  findReferences,
+  resolveValue,
+  evaluateCondition,
+  findConditionReferences,
+  renumberReferences,
+  renumberCondition
+} from '../src/queue-expr.js';
+
+const context = new Map([
+  [1, { success: true, uuid: 'UUID-1', name: 'First' }],
+  [2, { success: true, result: { uuid: 'UUID-2-NESTED' } }],
+  [3, { success: true, results: [{ uuid: 'R-A', name: 'A' }, { uuid: 'R-B', name: 'B' }] }]
+]);
+
+describe('queue variable expressions', () => {
+  describe('parseExpression', () => {
+    it('should parse paths, indexes and wildcards', () => {
+      const parsed = parseExpression('$3.results[*].uuid');
+      assert.strictEqual(parsed.operands.length, 1);
+      assert.strictEqual(parsed.operands[0].taskId, 3);
+      assert.deepStrictEqual(parsed.operands[0].path, [{ key: 'results' }, { wildcard: true }, { key: 'uuid' }]);
+    });
+
+    it('should parse defaults with literals', () => {
+      const parsed = parseExpression('$2.uuid ?? $1.uuid ?? "none"');
+      assert.strictEqual(parsed.operands.length, 3);
+      assert.deepStrictEqual(parsed.operands[2], { type: 'literal', value: 'none' });
+    });
+
+    it('should reject malformed expressions', () => {
+      assert.throws(() => parseExpression('$1.'), /property name/);
+      assert.throws(() => parseExpression('$1.items[x]'), /\[index\]/);
+      assert.throws(() => parseExpression('$1 $2'), /Unexpected/);
+    });
+  });
+
+  describe('resolveValue', () => {
+    it('should resolve whole results and dotted paths', () => {
+      assert.deepStrictEqual(resolveValue('$1', context), context.get(1));
+      assert.strictEqual(resolveValue('$1.uuid', context), 'UUID-1');
+    });
+
+    it('should fall back to the nested result object', () => {
+      assert.strictEqual(resolveValue('$2.uuid', context), 'UUID-2-NESTED');
+    });
+
+    it('should index and map over arrays', () => {
+      assert.strictEqual(resolveValue('$3.results[1].uuid', context), 'R-B');
+      assert.deepStrictEqual(resolveValue('$3.results[*].uuid', context), ['R-A', 'R-B']);
+      assert.strictEqual(resolveValue('$3.results.length', context), 2);
+    });
+
+    it('should use the first operand that resolves', () => {
+      assert.strictEqual(resolveValue('$9.uuid ?? $1.uuid', context), 'UUID-1');
+      assert.strictEqual(resolveValue('$1.missing ?? "fallback"', context), 'fallback');
+    });
+
+    it('should interpolate ${...} inside strings', () => {
+      assert.strictEqual(resolveValue('Notes for ${$1.name}', context), 'Notes for First');
+      assert.strictEqual(resolveValue('${$3.results[*].name} done', context), 'A, B done');
+      assert.strictEqual(resolveValue('Hi ${$9.name ?? "there"}!', context), 'Hi there!');
+    });
+
+    it('should resolve nested objects and splice array references', () => {
+      const resolved = resolveValue({
+        uuids: ['$3.results[*].uuid', 'X'],
+        meta: { source: '$1.uuid', list: [['$1.uuid']] }
+      }, context);
+      assert.deepStrictEqual(resolved.uuids, ['R-A', 'R-B', 'X']);
+      assert.deepStrictEqual(resolved.meta, { source: 'UUID-1', list: [['UUID-1']] });
+    });
+
+    it('should leave non-expression strings alone', () => {
+      assert.strictEqual(resolveValue('$100 budget', context), '$100 budget');
+      assert.strictEqual(resolveValue('plain', context), 'plain');
+    });
+
+    it('should keep ${...} that does not start with a reference as literal text', () => {
+      assert.strictEqual(resolveValue('Use ${HOME} here', context), 'Use ${HOME} here');
+      assert.strictEqual(resolveValue('price ${', context), 'price ${');
+      assert.strictEqual(resolveValue('${HOME}/${$1.name}', context), '${HOME}/First');
+      assert.deepStrictEqual(findReferences({ prompt: 'Use ${HOME} here', note: 'price ${' }), []);
+    });
+
+    it('should resolve $item from the scope', () => {
+      const scope = { item: { uuid: 'ITEM-1', tags: ['a', 'b'] } };
+      assert.deepStrictEqual(
+        resolveValue({ uuid: '$item.uuid', tags: ['$item.tags', 'c'], name: 'Hit ${$item.uuid}' }, context, scope),
+        { uuid: 'ITEM-1', tags: ['a', 'b', 'c'], name: 'Hit ITEM-1' }
+      );
+      assert.strictEqual(resolveValue('$itemized', context), '$itemized');
+      assert.throws(() => resolveValue('$item.uuid', context), /only available inside forEach tasks/);
+    });
+
+    it('should report unresolvable references', () => {
+      assert.throws(() => resolveValue('$9.uuid', context), /Could not resolve \$9\.uuid: task 9 has no result/);
+      assert.throws(() => resolveValue(['$1.nope'], context), /'nope' not found in task 1 result/);
+      assert.throws(() => resolveValue('x ${$9}', context), /task 9 has no result/);
+    });
+  });
+
+  describe('evaluateCondition', () => {
+    it('should compare values', () => {
+      assert.strictEqual(evaluateCondition('$3.results.length > 0', context), true);
+      assert.strictEqual(evaluateCondition('$3.results.length >= 3', context), false);
+      assert.strictEqual(evaluateCondition('$1.name == "First"', context), true);
+      assert.strictEqual(evaluateCondition('$1.name != "First"', context), false);
+    });
+
+    it('should combine conditions with !, && and ||', () => {
+      assert.strictEqual(evaluateCondition('$3.results && !($1.missing ?? false)', context), true);
+      assert.strictEqual(evaluateCondition('$1.name == "Other" || $3.results[0].name == "A"', context), true);
+      assert.strictEqual(evaluateCondition('($1.count ?? 0) == 0 && false', context), false);
+    });
+
+    it('should treat empty lists as false', () => {
+      const empty = new Map([[1, { success: true, results: [] }]]);
+      assert.strictEqual(evaluateCondition('$1.results', empty), false);
+      assert.strictEqual(evaluateCondition('$1.results.length == 0', empty), true);
+    });
+
+    it('should treat missing and null fields as null', () => {
+      const flags = new Map([[3, { success: true, flag: null, done: true }]]);
+      assert.strictEqual(evaluateCondition('$3.flag == null', flags), true);
+      assert.strictEqual(evaluateCondition('$3.missing == null', flags), true);
+      assert.strictEqual(evaluateCondition('$3.done == null', flags), false);
+      assert.strictEqual(evaluateCondition('$3.flag', flags), false);
+      assert.strictEqual(evaluateCondition('!$3.missing', flags), true);
+      assert.strictEqual(evaluateCondition('$3.done', flags), true);
+      assert.strictEqual(evaluateCondition('$3.missing == 0', flags), false);
+    });
+
+    it('should fail on unresolvable references and syntax errors', () => {
+      assert.throws(() => evaluateCondition('$9.count > 0', context), /task 9 has no result/);
+      assert.throws(() => evaluateCondition('$1.name ==', context), /Unexpected/);
+    });
+
+    it('should report guard references', () => {
+      const [ref] = findConditionReferences('$3.results.length > 0 && $1.name');
+      assert.deepStrictEqual(ref.taskIds.sort(), [1, 3]);
+      assert.deepStrictEqual(findConditionReferences('true'), []);
+    });
+  });
+
+  describe('findReferences', () => {
+    it('should collect task IDs from nested params and templates', () => {
+      const refs = findReferences({
+        uuid: '$2.uuid ?? $1.uuid',
+        name: 'Copy of ${$3.results[0].name}',
+        deep: { list: ['$4'] },
+        plain: 'text'
+      });
+      assert.deepStrictEqual(refs.flatMap(r => r.taskIds).sort(), [1, 2, 3, 4]);
+    });
+
+    it('should report $item usage separately from task IDs', () => {
+      const [ref] = findReferences({ uuid: '$item.uuid ?? $1.uuid' });
+      assert.deepStrictEqual(ref.taskIds, [1]);
+      assert.deepStrictEqual(ref.variables, ['item']);
+    });
+
+    it('should report syntax errors in templates', () => {
+      const refs = findReferences({ name: 'Bad ${$1.}' });
+      assert.strictEqual(refs.length, 1);
+      assert.ok(refs[0].error);
+    });
+  });
+
+  describe('renumberReferences', () => {
+    const idMap = new Map([[1, 11], [3, 13]]);
+
+    it('should rewrite task IDs in expressions and templates', () => {
+      assert.deepStrictEqual(
+        renumberReferences({
+          uuid: '$2.uuid ?? $1.uuid ?? "$3"',
+          name: 'Copy of ${$3.results[0].name} (${$item.name})',
+          list: ['$3.results[*].uuid', '$100 budget']
+        }, idMap),
+        {
+          uuid: '$2.uuid ?? $11.uuid ?? "$3"',
+          name: 'Copy of ${$13.results[0].name} (${$item.name})',
+          list: ['$13.results[*].uuid', '$100 budget']
+        }
+      );
+    });
+
+    it('should rewrite guards', () => {
+      assert.strictEqual(renumberCondition('$3.results.length > 0 && !$1.done', idMap), '$13.results.length > 0 && !$11.done');
+    });
+  });
+});
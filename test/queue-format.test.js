@@ -0,0 +1,95 @@
+/**
+ * Queue File Format Tests
+ * NDJSON/CSV parsing, validation and export round trips, no DEVONthink required
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+// The config directory is fixed when cache.js is loaded
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dt-format-'));
+process.env.DT_CONFIG_DIR = dir;
+const { detectFormat, parseTaskFile, formatTaskFile } = await import('../src/queue-format.js');
+const { loadWorkflow } = await import('../src/workflow.js');
+const { addTasks, exportQueue } = await import('../src/queue.js');
+
+describe('queue file formats', () => {
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should parse CSV rows into tasks', () => {
+    const csv = [
+      'action,uuid,newName,tags,dependsOn,params.when',
+      'modify,ABC,"Report, Q3",,,',
+      'tag.add,$1.uuid,,finance; 2025,1,',
+      'search,,,,,"""quoted"""',
+      ',,,,,',
+      'chat,,,,,'
+    ].join('\r\n') + '\n';
+    assert.strictEqual(detectFormat('-', csv), 'csv');
+    assert.throws(() => parseTaskFile(csv, 'csv', 'in.csv'), (error) => {
+      assert.strictEqual(error.message, [
+        'Invalid tasks in in.csv:',
+        "  line 4: Missing required param 'query' for action 'search'",
+        "  line 6: Missing required param 'prompt' for action 'chat'"
+      ].join('\n'));
+      return true;
+    });
+
+    const valid = csv.split('\n').slice(0, 3).join('\n');
+    assert.deepStrictEqual(parseTaskFile(valid, 'csv'), [
+      { params: { uuid: 'ABC', newName: 'Report, Q3' }, action: 'modify' },
+      { params: { uuid: '$1.uuid', tags: ['finance', '2025'] }, action: 'tag.add', dependsOn: [1] }
+    ]);
+  });
+
+  it('should parse NDJSON with line-numbered errors', () => {
+    const ndjson = [
+      '{"action":"create","params":{"name":"A","type":"markdown"}}',
+      '',
+      '{"action":"tag.add","uuids":"$1.uuid","tags":["x"],"dependsOn":[1]}'
+    ].join('\n');
+    assert.strictEqual(detectFormat('-', ndjson), 'ndjson');
+    assert.deepStrictEqual(parseTaskFile(ndjson, 'ndjson'), [
+      { action: 'create', params: { name: 'A', type: 'markdown' } },
+      { action: 'tag.add', params: { uuids: '$1.uuid', tags: ['x'] }, dependsOn: [1] }
+    ]);
+    assert.throws(
+      () => parseTaskFile('{"action":"move"}\n{oops\n{"action":"frobnicate"}\n', 'ndjson', 'in.ndjson'),
+      /in\.ndjson:\n {2}line 1: Missing required param 'uuid'.*\n {2}line 1: .*'destination'.*\n {2}line 2: Invalid JSON.*\n {2}line 3: Unknown action 'frobnicate'/
+    );
+  });
+
+  it('should export tasks so that they load back into another queue', async () => {
+    await addTasks([{ action: 'search', params: { query: 'x' } }], { queue: 'other' });
+    await addTasks([
+      { action: 'search', params: { query: 'tags:old, "draft"' } },
+      { action: 'tag.add', params: { uuids: '$1.uuids', tags: ['a;b', 'true'] }, dependsOn: [1], priority: 2 },
+      { action: 'modify', params: { uuid: '$1.uuids[0]', comment: 'true', tagsAdd: ['x', 'y'] }, when: '$1.uuids.length > 0' }
+    ], { queue: 'source' });
+
+    for (const format of ['csv', 'ndjson', 'json', 'yaml']) {
+      const file = path.join(dir, `export.${format}`);
+      const exported = await exportQueue(file, { queue: 'source' });
+      assert.strictEqual(exported.format, format);
+
+      const workflow = await loadWorkflow(file);
+      assert.strictEqual(workflow.relativeIds, true);
+      assert.deepStrictEqual(workflow.tasks, [
+        { action: 'search', params: { query: 'tags:old, "draft"' } },
+        { action: 'tag.add', params: { uuids: '$1.uuids', tags: ['a;b', 'true'] }, dependsOn: [1], priority: 2 },
+        { action: 'modify', params: { uuid: '$1.uuids[0]', comment: 'true', tagsAdd: ['x', 'y'] }, when: '$1.uuids.length > 0' }
+      ], format);
+    }
+
+    const { taskIds } = await addTasks((await loadWorkflow(path.join(dir, 'export.csv'))).tasks, { queue: 'other', relativeIds: true });
+    assert.deepStrictEqual(taskIds, [2, 3, 4]);
+    const copy = await exportQueue(undefined, { queue: 'other', format: 'ndjson' });
+    assert.match(copy.content.split('\n')[2], /"uuids":"\$2\.uuids".*"dependsOn":\[2\]/);
+    assert.throws(() => formatTaskFile([], 'xml'), /Unknown format: xml/);
+  });
+});
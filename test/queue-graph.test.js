@@ -0,0 +1,104 @@
+/**
+ * Queue Dependency Graph Tests
+ * Pure logic, no DEVONthink required
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { findCycles, planExecution, renderTree, renderDot } from '../src/queue-graph.js';
+
+const task = (id, action) => ({ id, action, status: 'pending' });
+
+describe('queue dependency graph', () => {
+  describe('planExecution', () => {
+    it('should order tasks after their dependencies, including forward ones', () => {
+      const tasks = [task(1, 'move'), task(2, 'chat'), task(3, 'create')];
+      const deps = new Map([[1, [3]], [2, [1]], [3, []]]);
+      const plan = planExecution(tasks, deps);
+      assert.deepStrictEqual(plan.steps, [[3], [1], [2]]);
+      assert.deepStrictEqual(plan.cycles, []);
+    });
+
+    it('should group independent branches by action', () => {
+      const tasks = [task(1, 'create'), task(2, 'move'), task(3, 'create'), task(4, 'move')];
+      const deps = new Map([[1, []], [2, [1]], [3, []], [4, [3]]]);
+      const plan = planExecution(tasks, deps);
+      assert.deepStrictEqual(plan.steps, [[1, 3], [2, 4]]);
+      assert.deepStrictEqual(plan.order, [1, 3, 2, 4]);
+    });
+
+    it('should ignore dependencies outside the planned tasks', () => {
+      const plan = planExecution([task(5, 'move')], new Map([[5, [1]]]));
+      assert.deepStrictEqual(plan.order, [5]);
+    });
+
+    it('should run higher priorities first, passing them on to prerequisites', () => {
+      const tasks = [
+        task(1, 'convert'),
+        task(2, 'tag.add'),
+        { ...task(3, 'move'), priority: 5 },
+        { ...task(4, 'tag.add'), priority: 1 }
+      ];
+      const deps = new Map([[1, []], [2, []], [3, [2]], [4, []]]);
+      const plan = planExecution(tasks, deps);
+      assert.deepStrictEqual(plan.steps, [[2], [3], [4], [1]]);
+    });
+
+    it('should order tasks of equal priority by deadline', () => {
+      const tasks = [
+        task(1, 'move'),
+        { ...task(2, 'move'), deadline: '2026-01-02T00:00:00.000Z' },
+        { ...task(3, 'convert'), deadline: '2026-01-01T00:00:00.000Z' }
+      ];
+      const plan = planExecution(tasks, new Map([[1, []], [2, []], [3, []]]));
+      assert.deepStrictEqual(plan.order, [3, 2, 1]);
+    });
+
+    it('should leave cyclic tasks out of the plan and report the cycle', () => {
+      const tasks = [task(1, 'move'), task(2, 'chat'), task(3, 'create'), task(4, 'chat')];
+      const deps = new Map([[1, [3]], [2, [1]], [3, [2]], [4, []]]);
+      const plan = planExecution(tasks, deps);
+      assert.deepStrictEqual(plan.order, [4]);
+      assert.deepStrictEqual(plan.cycles, [[1, 2, 3, 1]]);
+    });
+  });
+
+  describe('findCycles', () => {
+    it('should report self references', () => {
+      assert.deepStrictEqual(findCycles(new Map([[7, [7]]])), [[7, 7]]);
+    });
+
+    it('should report each cycle once', () => {
+      const cycles = findCycles(new Map([[1, [2]], [2, [1]], [3, [1]]]));
+      assert.deepStrictEqual(cycles, [[1, 2, 1]]);
+    });
+  });
+
+  describe('rendering', () => {
+    const graph = {
+      nodes: [task(1, 'create'), task(2, 'move'), { ...task(3, 'tag.add'), when: '$1.uuid' }],
+      edges: [
+        { from: 1, to: 2, type: 'reference' },
+        { from: 1, to: 3, type: 'dependsOn' },
+        { from: 2, to: 3, type: 'dependsOn' }
+      ]
+    };
+
+    it('should render a text tree with the execution plan', () => {
+      const text = renderTree(graph, { steps: [[1], [2], [3]], cycles: [] });
+      assert.match(text, /^#1 create \[pending\]/);
+      assert.match(text, /├── #2 move \[pending\]/);
+      assert.match(text, /#3 tag\.add \[pending\] when \$1\.uuid/);
+      assert.match(text, /#3 tag\.add \(see above\)/);
+      assert.match(text, /Execution plan \(3 steps\)/);
+    });
+
+    it('should render DOT', () => {
+      const dot = renderDot(graph);
+      assert.match(dot, /^digraph queue \{/);
+      assert.match(dot, /1 -> 2 \[style=dashed\];/);
+      assert.match(dot, /1 -> 3;/);
+      assert.match(dot, /label="#3 tag\.add\\npending\\nwhen \$1\.uuid"/);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Queue Lock Tests
+ * Uses a temporary directory, no DEVONthink required
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { spawn } from 'node:child_process';
+import { acquireLock, releaseLock, refreshLock, readLock, breakLock, describeLock } from '../src/queue-lock.js';
+
+describe('queue locks', () => {
+  let dir;
+  let lockFile;
+  let holder;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dt-lock-'));
+    lockFile = path.join(dir, 'queue.lock');
+    // A live process that is not us
+    holder = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 60000)'], { stdio: 'ignore' });
+  });
+
+  after(async () => {
+    holder.kill();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const writeLock = (lock) => fs.writeFile(lockFile, JSON.stringify(lock));
+
+  it('should record the owner and release its own lock', async () => {
+    const owner = await acquireLock(lockFile, { label: 'test' });
+    const lock = await readLock(lockFile);
+    assert.strictEqual(lock.pid, process.pid);
+    assert.strictEqual(lock.startedAt, owner.startedAt);
+    assert.strictEqual(lock.stale, false);
+    await releaseLock(lockFile);
+    assert.strictEqual(await readLock(lockFile), null);
+  });
+
+  it('should report the holder when the wait times out', async () => {
+    await writeLock({ pid: holder.pid, command: 'dt queue execute', startedAt: new Date().toISOString() });
+    await assert.rejects(
+      acquireLock(lockFile, { label: 'test', timeoutMs: 150 }),
+      (error) => {
+        assert.match(error.message, new RegExp(`held by pid ${holder.pid} \\(dt queue execute, started `));
+        assert.strictEqual(error.lock.alive, true);
+        return true;
+      }
+    );
+  });
+
+  it('should take over locks of dead processes and old locks', async () => {
+    await fs.writeFile(lockFile, '999999999'); // Old format: PID only
+    assert.strictEqual((await readLock(lockFile)).staleReason, 'pid 999999999 is not running');
+    await acquireLock(lockFile, { label: 'test', timeoutMs: 0 });
+    assert.strictEqual((await readLock(lockFile)).pid, process.pid);
+
+    await writeLock({ pid: holder.pid, startedAt: '2020-01-01T00:00:00.000Z' });
+    assert.match((await readLock(lockFile, { maxAgeMs: 1000 })).staleReason, /older than/);
+    await acquireLock(lockFile, { label: 'test', timeoutMs: 0, maxAgeMs: 1000 });
+    await releaseLock(lockFile);
+  });
+
+  it('should keep a refreshed lock of a live process beyond the max age', async () => {
+    const startedAt = '2020-01-01T00:00:00.000Z';
+    await writeLock({ pid: process.pid, command: 'dt daemon', startedAt });
+    assert.strictEqual((await readLock(lockFile)).stale, true);
+
+    assert.strictEqual(await refreshLock(lockFile), true);
+    const lock = await readLock(lockFile);
+    assert.strictEqual(lock.stale, false);
+    assert.strictEqual(lock.startedAt, startedAt);
+    assert.strictEqual(lock.command, 'dt daemon');
+    assert.ok(lock.heartbeatAt);
+    await assert.rejects(acquireLock(lockFile, { label: 'the daemon', timeoutMs: 0 }), /held by pid/);
+
+    // A lock taken over by another process is left alone
+    await writeLock({ pid: holder.pid, startedAt });
+    assert.strictEqual(await refreshLock(lockFile), false);
+    assert.strictEqual((await readLock(lockFile)).heartbeatAt, null);
+    await fs.unlink(lockFile);
+  });
+
+  it('should not release a lock taken over by another process', async () => {
+    await writeLock({ pid: holder.pid, startedAt: new Date().toISOString() });
+    await releaseLock(lockFile);
+    assert.strictEqual((await readLock(lockFile)).pid, holder.pid);
+  });
+
+  it('should only break live locks with force', async () => {
+    await writeLock({ pid: holder.pid, startedAt: new Date().toISOString() });
+    await assert.rejects(breakLock(lockFile, { label: 'test' }), /still running\. Use --force/);
+    const result = await breakLock(lockFile, { label: 'test', force: true });
+    assert.strictEqual(result.unlocked, true);
+    assert.match(describeLock(result.lock), new RegExp(`^pid ${holder.pid} \\(`));
+    assert.deepStrictEqual(await breakLock(lockFile), { unlocked: false, lock: null });
+  });
+});
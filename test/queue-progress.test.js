@@ -0,0 +1,43 @@
+/**
+ * Queue Progress Rendering Tests
+ * Pure logic, no DEVONthink required
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { createNdjsonWriter, createProgressBar, formatProgressLine } from '../src/queue-progress.js';
+
+const progress = (done, extra = {}) => ({ done, total: 4, completed: done, failed: 0, skipped: 0, elapsedMs: 1000, etaMs: 2000, ...extra });
+
+function memoryStream() {
+  const stream = { output: '', columns: 120 };
+  stream.write = (chunk) => { stream.output += chunk; };
+  return stream;
+}
+
+describe('queue progress rendering', () => {
+  it('should format a progress line with counts and ETA', () => {
+    const line = formatProgressLine(progress(2, { failed: 1 }), '#3 move');
+    assert.match(line, /^\[#{12}\.{12}\] 2\/4  1 failed  ETA 2s  #3 move$/);
+    assert.doesNotMatch(formatProgressLine(progress(4)), /ETA/);
+  });
+
+  it('should write one JSON object per event', () => {
+    const stream = memoryStream();
+    const write = createNdjsonWriter(stream);
+    write({ type: 'task.started', taskId: 1 });
+    write({ type: 'task.completed', taskId: 1 });
+    const lines = stream.output.trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(lines.map(e => e.type), ['task.started', 'task.completed']);
+  });
+
+  it('should print failures above the bar and clear it at the end', () => {
+    const stream = memoryStream();
+    const onEvent = createProgressBar(stream);
+    onEvent({ type: 'task.started', taskId: 1, action: 'move', progress: progress(0, { etaMs: null }) });
+    onEvent({ type: 'task.failed', taskId: 1, action: 'move', error: 'boom', progress: progress(1, { failed: 1 }) });
+    onEvent({ type: 'run.finished', progress: progress(4) });
+    assert.match(stream.output, /\r\x1b\[KTask 1 \(move\) failed: boom\n/);
+    assert.ok(stream.output.endsWith('\r\x1b[K'));
+  });
+});
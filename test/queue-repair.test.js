@@ -0,0 +1,93 @@
+/**
+ * Offline Queue Repair Tests
+ * Pure logic, no DEVONthink required
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { planRepairs, applyRepairs, findMatch, formatRepairDiff } from '../src/queue-repair.js';
+
+const NOTES_UUID = '11111111-2222-3333-4444-555555555555';
+
+const known = {
+  databases: ['Inbox', 'Research'],
+  groups: [
+    { path: '/Projects/Active', database: 'Research' },
+    { path: '/Archive/2024/Papers', database: 'Research' },
+    { path: '/Projects/Active', database: 'Inbox' }
+  ],
+  records: [
+    { uuid: NOTES_UUID, name: 'Meeting Notes', database: 'Research' }
+  ]
+};
+
+const task = (id, action, params, extra = {}) => ({ id, action, status: 'pending', params, ...extra });
+
+describe('offline queue repair', () => {
+  it('should fix databases, group paths and record names with confidence scores', () => {
+    const tasks = [
+      task(1, 'move', { uuid: 'meeting notes', destination: '/projects/activ', database: 'research' }),
+      task(2, 'move', { uuid: NOTES_UUID, destination: '/Projects/Active/', database: 'Research' }),
+      task(3, 'move', { uuid: '$1.uuid', destination: '/Papers', database: 'Research' })
+    ];
+    const { fixes, unresolved } = planRepairs(tasks, known);
+
+    assert.deepStrictEqual(
+      fixes.map(f => [f.taskId, f.param, f.after, f.confidence]),
+      [
+        [1, 'database', 'Research', 0.95],
+        [1, 'destination', '/Projects/Active', 0.84],
+        [1, 'uuid', NOTES_UUID, 0.95],
+        [3, 'destination', '/Archive/2024/Papers', 0.75]
+      ]
+    );
+    assert.deepStrictEqual(unresolved, []);
+    assert.match(formatRepairDiff(fixes), /^Task 1 \(move\)\n-  database: research\n\+  database: Research {4}# 0\.95 /);
+
+    // Same inputs, same plan
+    assert.deepStrictEqual(planRepairs(tasks, known), { fixes, unresolved });
+  });
+
+  it('should report what it cannot fix and respect the minimum confidence', () => {
+    const tasks = [
+      task(1, 'create', { type: 'markdown', name: 'X', database: 'Nowhere' }),
+      task(2, 'move', { uuid: NOTES_UUID, destination: '/Unknown/Place' }),
+      task(3, 'move', { uuid: NOTES_UUID, destination: '/Unknown/Place' }, { status: 'failed', error: 'Group not found' }),
+      task(4, 'tag.add', { uuids: [NOTES_UUID, 'Budget 2025'], tags: ['x'] })
+    ];
+    const { fixes, unresolved } = planRepairs(tasks, known);
+
+    assert.deepStrictEqual(fixes, []);
+    assert.deepStrictEqual(
+      unresolved.map(u => [u.taskId, u.param, u.index, u.resource]),
+      [
+        [1, 'database', undefined, 'database'],
+        [3, 'destination', undefined, 'group'],
+        [4, 'uuids', 1, 'record']
+      ]
+    );
+
+    const strict = planRepairs([task(1, 'move', { uuid: NOTES_UUID, destination: '/Papers' })], known, { minConfidence: 0.8 });
+    assert.strictEqual(strict.fixes.length, 0);
+  });
+
+  it('should lower the confidence of ambiguous matches', () => {
+    const match = findMatch('/Project', [{ value: '/Projects' }, { value: '/Projecta' }], { path: true });
+    assert.strictEqual(match.value, '/Projecta');
+    assert.match(match.reason, /ambiguous with "\/Projects"/);
+    assert.ok(match.confidence < 0.7);
+  });
+
+  it('should apply fixes and reset repaired failed tasks', () => {
+    const tasks = [
+      task(1, 'move', { uuid: NOTES_UUID, destination: '/Projects/Activ' }, { status: 'failed', error: 'Group not found' }),
+      task(2, 'tag.add', { uuids: ['Meeting Notes'], tags: ['x'] })
+    ];
+    const { fixes } = planRepairs(tasks, known);
+    assert.deepStrictEqual(applyRepairs(tasks, fixes), [1, 2]);
+    assert.strictEqual(tasks[0].params.destination, '/Projects/Active');
+    assert.strictEqual(tasks[0].status, 'pending');
+    assert.strictEqual(tasks[0].error, null);
+    assert.deepStrictEqual(tasks[1].params.uuids, [NOTES_UUID]);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Queue Schedule Tests
+ * Cron parsing and the scheduler driven by a fake clock, no DEVONthink required
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+// The config directory is fixed when cache.js is loaded
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dt-schedule-'));
+process.env.DT_CONFIG_DIR = dir;
+const { parseCron, getNextRun } = await import('../src/cron.js');
+const { addSchedule, getSchedule, setScheduleEnabled, createScheduler } = await import('../src/scheduler.js');
+
+const local = (y, mo, d, h = 0, mi = 0) => new Date(y, mo - 1, d, h, mi);
+
+describe('cron expressions', () => {
+  it('should find the next run for common expressions', () => {
+    const after = local(2026, 3, 6, 14, 20); // Friday
+    assert.deepStrictEqual(getNextRun('30 2 * * *', after), local(2026, 3, 7, 2, 30));
+    assert.deepStrictEqual(getNextRun('*/15 9-17 * * *', after), local(2026, 3, 6, 14, 30));
+    assert.deepStrictEqual(getNextRun('0 7 * * mon-fri', after), local(2026, 3, 9, 7, 0));
+    assert.deepStrictEqual(getNextRun('@monthly', after), local(2026, 4, 1));
+    assert.deepStrictEqual(getNextRun('0 0 29 2 *', after), local(2028, 2, 29));
+    // Both day fields restricted: either matches
+    assert.deepStrictEqual(getNextRun('0 12 1 * 0', after), local(2026, 3, 8, 12, 0));
+    // Strictly after
+    assert.deepStrictEqual(getNextRun('20 14 * * *', after), local(2026, 3, 7, 14, 20));
+  });
+
+  it('should reject invalid expressions', () => {
+    assert.throws(() => parseCron('* * * *'), /Invalid cron expression "\* \* \* \*": expected 5 fields/);
+    assert.throws(() => parseCron('60 * * * *'), /minute "60" is out of range 0-59/);
+    assert.throws(() => parseCron('0 0 * foo *'), /month "foo"/);
+    assert.throws(() => parseCron('*/0 * * * *'), /invalid step/);
+    assert.throws(() => getNextRun('0 0 30 2 *', local(2026, 1, 1)), /never fires/);
+    assert.ok(parseCron('0 0 * * 7').weekdays.has(0));
+  });
+});
+
+describe('scheduler', () => {
+  let taskFile;
+
+  before(async () => {
+    taskFile = path.join(dir, 'tasks.yaml');
+    await fs.writeFile(taskFile, '- action: tag.add\n  params: { uuids: [x], tags: [a] }\n');
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const fakeClock = (start) => {
+    let now = start;
+    return {
+      now: () => new Date(now),
+      sleep: async () => {},
+      set: (date) => { now = date; }
+    };
+  };
+
+  it('should run due schedules once, record them and skip when DEVONthink is not running', async () => {
+    const clock = fakeClock(local(2026, 3, 6, 1, 0));
+    const added = await addSchedule('nightly', taskFile, { cron: '30 2 * * *', now: clock.now() });
+    assert.strictEqual(added.queue, 'nightly');
+    assert.strictEqual(added.tasks, 1);
+    await assert.rejects(addSchedule('nightly', taskFile, { cron: '@daily' }), /already exists/);
+
+    let running = true;
+    const runs = [];
+    const scheduler = createScheduler({
+      clock,
+      isRunning: async () => running,
+      runQueue: async (schedule) => {
+        runs.push(schedule.queue);
+        return { success: true, runId: `run-${runs.length}`, completed: 1, failed: 0 };
+      }
+    });
+
+    assert.deepStrictEqual(await scheduler.tick(), []);
+
+    // Missed by hours: runs once, then waits for the next night
+    clock.set(local(2026, 3, 6, 9, 0));
+    const [entry] = await scheduler.tick();
+    assert.strictEqual(entry.status, 'completed');
+    assert.strictEqual(entry.runId, 'run-1');
+    assert.deepStrictEqual(await scheduler.tick(), []);
+    let schedule = await getSchedule('nightly');
+    assert.strictEqual(schedule.nextRunAt, local(2026, 3, 7, 2, 30).toISOString());
+    assert.deepStrictEqual(schedule.lastRun.summary, { completed: 1, failed: 0, skipped: 0 });
+
+    running = false;
+    clock.set(local(2026, 3, 7, 2, 30));
+    const [skipped] = await scheduler.tick();
+    assert.strictEqual(skipped.status, 'skipped');
+    assert.strictEqual(skipped.reason, 'DEVONthink is not running');
+    assert.deepStrictEqual(runs, ['nightly']);
+
+    schedule = await getSchedule('nightly');
+    assert.deepStrictEqual(schedule.history.map(h => h.status), ['skipped', 'completed']);
+    assert.strictEqual(schedule.nextRunAt, local(2026, 3, 8, 2, 30).toISOString());
+  });
+
+  it('should skip locked queues, report failures and ignore disabled schedules', async () => {
+    const clock = fakeClock(local(2026, 3, 6, 10, 0));
+    await addSchedule('hourly', taskFile, { cron: '@hourly', queue: 'sweeps', now: clock.now() });
+    await setScheduleEnabled('nightly', false);
+
+    const errors = [
+      Object.assign(new Error('Could not acquire lock for queue "sweeps"'), { lock: { pid: 1 } }),
+      new Error('Task file not found')
+    ];
+    const scheduler = createScheduler({
+      clock,
+      isRunning: async () => true,
+      runQueue: async () => { throw errors.shift(); }
+    });
+
+    clock.set(local(2026, 3, 9, 11, 0));
+    const [locked] = await scheduler.tick();
+    assert.strictEqual(locked.name, 'hourly');
+    assert.strictEqual(locked.status, 'skipped');
+    assert.match(locked.reason, /Could not acquire lock/);
+
+    const failed = await scheduler.run('hourly');
+    assert.strictEqual(failed.status, 'failed');
+    assert.strictEqual(failed.error, 'Task file not found');
+    await assert.rejects(scheduler.run('missing'), /Schedule not found: missing/);
+  });
+});
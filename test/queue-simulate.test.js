@@ -0,0 +1,55 @@
+/**
+ * Queue Simulation Tests
+ * Pure logic with fake record properties, no DEVONthink required
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { simulateTasks, formatSimulation } from '../src/queue-simulate.js';
+
+const records = {
+  A: { uuid: 'A', name: 'Notes', location: '/Inbox', groupUuid: 'G-INBOX', database: 'Research', tags: ['inbox'], comment: '' },
+  B: { uuid: 'B', name: 'Draft', location: '/Inbox', groupUuid: 'G-INBOX', database: 'Research', tags: [], comment: '' }
+};
+const fetchRecord = async (uuid) => records[uuid] ?? null;
+const task = (id, action, params, extra = {}) => ({ id, action, params, ...extra });
+
+describe('queue simulation', () => {
+  it('should predict location, tags and names per record', async () => {
+    const result = await simulateTasks([
+      task(1, 'create', { type: 'markdown', name: 'Weekly', groupPath: '/Projects' }),
+      task(2, 'move', { uuid: 'A', destination: '/Archive' }),
+      task(3, 'tag.add', { uuids: ['A', '$1.uuid'], tags: ['done'] }),
+      task(4, 'modify', { uuid: 'B', newName: 'Final', tagsAdd: ['x'] }),
+      task(5, 'tag.rename', { from: 'inbox', to: 'triaged' })
+    ], { fetchRecord });
+
+    assert.deepStrictEqual(result.records.map(r => [r.uuid, r.after, r.changedBy]), [
+      ['A', { name: 'Notes', location: '/Archive', tags: ['triaged', 'done'], comment: '' }, { location: [2], tags: [3, 5] }],
+      ['B', { name: 'Final', location: '/Inbox', tags: ['x'], comment: '' }, { name: [4], tags: [4] }]
+    ]);
+    assert.deepStrictEqual(result.created.map(c => [c.uuid, c.name, c.location, c.tags]), [['new:1', 'Weekly', '/Projects', ['done']]]);
+    assert.deepStrictEqual(result.conflicts, []);
+    assert.match(formatSimulation(result), /^Record A \(Notes\)\n-  location: \/Inbox\n\+  location: \/Archive {4}# task 2\n-  tags: inbox\n\+  tags: triaged, done {4}# task 3, 5\n/);
+  });
+
+  it('should flag deleted and missing records, no-ops and unknown results', async () => {
+    const result = await simulateTasks([
+      task(1, 'delete', { uuid: 'B' }),
+      task(2, 'move', { uuid: 'B', destination: '/Archive' }),
+      task(3, 'move', { uuid: 'A', destination: 'G-INBOX' }),
+      task(4, 'tag.remove', { uuid: 'A', tags: ['missing'] }),
+      task(5, 'modify', { uuid: 'GONE', newName: 'x' }),
+      task(6, 'search', { query: 'kind:pdf' }),
+      task(7, 'tag.add', { uuids: '$6.uuids', tags: ['pdf'] }),
+      task(8, 'tag.add', { uuid: 'A', tags: ['y'] }, { when: '$6.results.length > 0' })
+    ], { fetchRecord });
+
+    assert.deepStrictEqual(result.conflicts.map(c => [c.taskId, c.type]), [[2, 'deleted'], [5, 'missing']]);
+    assert.match(result.conflicts[0].message, /Task 2 \(move\) uses "Draft" \(B\), which task 1 deletes/);
+    assert.deepStrictEqual(result.warnings.map(w => [w.taskId, w.type]), [[3, 'no-op'], [4, 'no-op']]);
+    assert.deepStrictEqual(result.unpredicted.map(u => u.taskId), [7, 8]);
+    assert.match(result.unpredicted[0].reason, /result of task 6 \(Search results are known only at run time\)/);
+    assert.deepStrictEqual(result.records.map(r => [r.uuid, r.after, r.deletedBy]), [['B', null, 1]]);
+  });
+});
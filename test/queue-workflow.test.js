@@ -0,0 +1,124 @@
+/**
+ * Workflow Tests
+ * Inputs, interpolation and includes, no DEVONthink required
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+// The config directory is fixed when cache.js is loaded
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dt-workflow-'));
+process.env.DT_CONFIG_DIR = dir;
+const { loadWorkflow, runWorkflow, parseVars, getWorkflowsDir } = await import('../src/workflow.js');
+const { addTasks, loadQueue } = await import('../src/queue.js');
+
+const write = (name, content) => fs.writeFile(path.join(getWorkflowsDir(), name), content);
+
+describe('workflows', () => {
+  before(async () => {
+    await fs.mkdir(getWorkflowsDir(), { recursive: true });
+    await write('tag-cleanup.yaml', `
+inputs:
+  database: { type: string, required: true }
+tasks:
+  - action: search
+    params: { query: "tags:old", database: "{{ database }}" }
+  - action: tag.remove
+    params: { uuids: $1.uuids, tags: [old] }
+`);
+    await write('triage.yaml', `
+name: triage
+inputs:
+  database: { type: string, required: true }
+  limit: { type: integer, default: 50 }
+  tags: { type: list }
+  group: { type: string }
+  archive: { type: boolean, default: false }
+tasks:
+  - action: search
+    params: { query: "kind:any", database: "{{ database }}", limit: "{{ limit }}", group: "{{ group }}" }
+  - include: tag-cleanup
+    vars: { database: "{{ database }}" }
+  - action: tag.add
+    params: { uuids: $1.uuids, tags: "{{ tags }}", comment: "{{ database }}: {{ tags }}" }
+    when: $2.uuids.length > 0 && {{ archive }} == false
+    dependsOn: [2]
+`);
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should type inputs, interpolate them and renumber includes', async () => {
+    const workflow = await loadWorkflow('triage', parseVars(['database=Research', 'limit=5', 'tags=a, b']));
+    assert.deepStrictEqual(workflow.inputs, { database: 'Research', limit: 5, tags: ['a', 'b'], group: undefined, archive: false });
+    assert.strictEqual(workflow.relativeIds, true);
+    assert.deepStrictEqual(workflow.tasks, [
+      { action: 'search', params: { query: 'kind:any', database: 'Research', limit: 5 } },
+      { action: 'search', params: { query: 'tags:old', database: 'Research' } },
+      { action: 'tag.remove', params: { uuids: '$2.uuids', tags: ['old'] } },
+      {
+        action: 'tag.add',
+        params: { uuids: '$1.uuids', tags: ['a', 'b'], comment: 'Research: a,b' },
+        when: '$3.uuids.length > 0 && false == false',
+        dependsOn: [3]
+      }
+    ]);
+  });
+
+  it('should report every invalid input before expanding', async () => {
+    await assert.rejects(
+      loadWorkflow('triage', { limit: '2.5', extra: 'x' }),
+      (error) => {
+        assert.strictEqual(error.message, [
+          'Invalid inputs for workflow "triage":',
+          '  extra: unknown input',
+          '  database: required',
+          '  limit: expected an integer, got "2.5"'
+        ].join('\n'));
+        return true;
+      }
+    );
+    await assert.rejects(loadWorkflow('triage', { database: 'X', archive: 'maybe' }), /archive: expected true or false/);
+    assert.throws(() => parseVars(['database']), /Invalid --var "database"/);
+  });
+
+  it('should keep plain task lists and reject unknown variables and include cycles', async () => {
+    await write('plain.json', JSON.stringify([{ action: 'tag.add', params: { uuids: '$1.uuids', tags: ['x'] } }]));
+    const plain = await loadWorkflow('plain');
+    assert.strictEqual(plain.relativeIds, false);
+    assert.strictEqual(plain.tasks[0].params.uuids, '$1.uuids');
+
+    await write('typo.yaml', 'tasks:\n  - action: search\n    params: { query: "{{ qeury }}" }\n');
+    await assert.rejects(loadWorkflow('typo'), /Unknown variable "qeury" in typo.yaml tasks\[0\]\.params\.query/);
+
+    await write('a.yaml', 'tasks:\n  - include: b\n');
+    await write('b.yaml', 'tasks:\n  - include: ./a.yaml\n');
+    await assert.rejects(loadWorkflow('a'), /Include cycle: a.yaml -> b.yaml -> a.yaml/);
+    await assert.rejects(loadWorkflow('missing'), /Workflow not found: missing/);
+  });
+
+  it('should only replace pending tasks of the same workflow', async () => {
+    const queue = 'triage-inbox';
+    const workflow = await loadWorkflow('triage', { database: 'Inbox' });
+    await addTasks([{ action: 'tag.add', params: { uuids: ['x'], tags: ['keep'] } }], { queue });
+
+    await assert.rejects(
+      runWorkflow('triage', { vars: { database: 'Inbox' }, queue }),
+      /Queue "triage-inbox" has 1 pending task not created by workflow "triage" \(1\)\. Use --force/
+    );
+    assert.deepStrictEqual((await loadQueue(queue)).tasks.map(t => t.params.tags), [['keep']]);
+
+    const replace = { queue, replace: true, workflow: workflow.name, relativeIds: true };
+    await addTasks(workflow.tasks, { ...replace, force: true });
+    const added = await addTasks(workflow.tasks, replace);
+    assert.deepStrictEqual(added.taskIds, [1, 2, 3, 4]);
+    const { tasks } = await loadQueue(queue);
+    assert.strictEqual(tasks.length, 4);
+    assert.ok(tasks.every(t => t.workflow === 'triage'));
+  });
+});